@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * img4laser 命令行工具
+ * 用法: img4laser process <输入文件或目录...> --material <材料> [选项] -o <输出目录>
+ */
+
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import Headless from '../js/headless.js';
+
+const USAGE = `用法:
+  img4laser process <输入文件或目录...> --material <材料> [选项] -o <输出目录>
+
+选项:
+  -m, --material <id>     材料ID (${Object.keys(Headless.Materials.getAllMaterials()).join(', ')}，或材料库中的自定义材料)
+      --library <file>    加载网页版导出的自定义材料库 JSON
+      --variant <v>       材料颜色变体: dark | neutral (默认 neutral)
+      --laser <type>      激光器类型: CO2 | Diode | Fiber | Infrared (默认 CO2)
+      --dither <type>     抖动算法: ${Headless.ImageAlgorithms.getDitherAlgorithms().map(algo => algo.id).join(' | ')} | none
+                          (默认使用材料设置)
+      --rotate <deg>      处理前顺时针旋转 (90 的倍数无损，其他角度空出的角落填白)
+      --mirror            水平镜像 (玻璃/亚克力背面反雕)
+      --flip              垂直翻转
+      --crop <x,y,w,h>    裁剪区域 (旋转翻转后的像素坐标)，图像类型检测和统计只使用该区域
+      --remove-background 按边缘颜色自动去除背景，背景不雕刻
+      --bg-tolerance <n>  去除背景的颜色容差 (0-255，默认 32)
+      --alpha <mode>      透明区域: unburned 不雕刻 | composite 合成到 --alpha-color (默认 unburned)
+      --alpha-color <c>   透明区域合成的底色 (#rrggbb，默认 #ffffff)
+      --regions <file>    区域蒙版 JSON 文件 ([{ name, shapes, params }]，网页版区域的格式)，各区域单独设置锚点/对比度/锐化/抖动
+      --tone-curve <list>      色调曲线 "输入:输出,..." (如 0:0,64:40,192:220,255:255)，代替亮度/对比度和色阶
+      --serpentine        误差扩散使用蛇形扫描，减少渐变上的斜向纹理
+      --error-attenuation <n>  误差衰减系数 (0.5-1，默认 1)
+      --error-clamp <n>   单个像素扩散误差上限 (0-255，默认 0 不限制)
+      --blue-noise-size <n>    蓝噪声阈值图边长 (默认 64，如 128)
+      --blue-noise-seed <n>    蓝噪声阈值图随机种子 (默认 1)
+      --halftone-shape <s>     调幅网点点形: ${Headless.ImageAlgorithms.getHalftoneShapes().map(shape => shape.id).join(' | ')} (默认 round)
+      --halftone-angle <n>     调幅网点网线角度 (默认 45)
+      --halftone-lpi <n>       调幅网点网线数 (默认 50，单元边长 = DPI / LPI 像素)
+      --levels <n>        抖动输出灰度级数 (默认 2 黑白，如 4、8、16 对应多级功率)
+      --level-table <list>     各级别的输出灰度值，逗号分隔且从深到浅递增 (如 0,60,150,255)，默认均匀分布
+      --dot-gain <mode>   抖动前的网点扩大补偿: ${Headless.DotGain.getModes().map(mode => mode.id).join(' | ')} (默认使用材料设置)
+      --dot-gain-curve <list>  测试卡实测曲线 "标称:实测,..." (如 0:0,128:70,255:255)，指定后使用曲线补偿
+      --beam-diameter <mm>     材料上的烧蚀光斑直径，指定后使用光斑模型补偿
+      --dpi <n>           输出分辨率，写入 PNG 的 pHYs 信息
+      --width <n>         输出宽度 (需配合 --dpi，按宽度重采样)
+      --height <n>        输出高度 (需配合 --dpi，只给一边时另一边按比例)
+      --unit <u>          尺寸单位: mm | inch (默认 mm)
+      --kernel <k>        重采样插值: ${Headless.ImageResampler.getKernelList().map(k => k.id).join(' | ')} (默认 bicubic)
+      --anchor <n>        锚点灰度 (0-255)，默认自动计算
+      --type <t>          指定图像类型: photo | cartoon | portrait，跳过自动检测
+  -o, --output <dir>      输出目录 (每个文件输出 PNG 和 JSON 报告)
+  -v, --verbose           输出详细处理日志
+  -h, --help              显示帮助
+`;
+
+const parseNumber = (value, name) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`参数 --${name} 必须是数字: ${value}`);
+    }
+    return number;
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            material: { type: 'string', short: 'm' },
+            library: { type: 'string' },
+            variant: { type: 'string' },
+            laser: { type: 'string' },
+            dither: { type: 'string' },
+            rotate: { type: 'string' },
+            mirror: { type: 'boolean' },
+            flip: { type: 'boolean' },
+            crop: { type: 'string' },
+            'remove-background': { type: 'boolean' },
+            'bg-tolerance': { type: 'string' },
+            alpha: { type: 'string' },
+            'alpha-color': { type: 'string' },
+            regions: { type: 'string' },
+            'tone-curve': { type: 'string' },
+            serpentine: { type: 'boolean' },
+            'error-attenuation': { type: 'string' },
+            'error-clamp': { type: 'string' },
+            'blue-noise-size': { type: 'string' },
+            'blue-noise-seed': { type: 'string' },
+            'halftone-shape': { type: 'string' },
+            'halftone-angle': { type: 'string' },
+            'halftone-lpi': { type: 'string' },
+            levels: { type: 'string' },
+            'level-table': { type: 'string' },
+            'dot-gain': { type: 'string' },
+            'dot-gain-curve': { type: 'string' },
+            'beam-diameter': { type: 'string' },
+            dpi: { type: 'string' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            unit: { type: 'string' },
+            kernel: { type: 'string' },
+            anchor: { type: 'string' },
+            type: { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            verbose: { type: 'boolean', short: 'v' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...inputs] = positionals;
+    if (values.help || command !== 'process') {
+        process.stdout.write(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+    if (inputs.length === 0) {
+        throw new Error('请指定至少一个输入文件或目录');
+    }
+    if (!values.material) {
+        throw new Error('请使用 --material 指定材料');
+    }
+    if (values.library) {
+        await Headless.loadMaterialLibrary(values.library);
+    }
+    if (!Headless.Materials.getMaterialInfo(values.material)) {
+        throw new Error(`未知材料: ${values.material}`);
+    }
+
+    const options = {
+        material: values.material,
+        variant: values.variant || 'neutral',
+        laser: values.laser || 'CO2',
+        dither: values.dither,
+        rotate: parseNumber(values.rotate, 'rotate'),
+        mirror: values.mirror,
+        flipVertical: values.flip,
+        crop: values.crop,
+        removeBackground: values['remove-background'],
+        backgroundTolerance: parseNumber(values['bg-tolerance'], 'bg-tolerance'),
+        alphaMode: values.alpha,
+        alphaColor: values['alpha-color'],
+        regions: values.regions ? await readFile(values.regions, 'utf8') : undefined,
+        toneCurve: values['tone-curve'],
+        serpentine: values.serpentine,
+        errorAttenuation: parseNumber(values['error-attenuation'], 'error-attenuation'),
+        errorClamp: parseNumber(values['error-clamp'], 'error-clamp'),
+        blueNoiseSize: parseNumber(values['blue-noise-size'], 'blue-noise-size'),
+        blueNoiseSeed: parseNumber(values['blue-noise-seed'], 'blue-noise-seed'),
+        halftoneShape: values['halftone-shape'],
+        halftoneAngle: parseNumber(values['halftone-angle'], 'halftone-angle'),
+        halftoneLpi: parseNumber(values['halftone-lpi'], 'halftone-lpi'),
+        levels: parseNumber(values.levels, 'levels'),
+        levelTable: values['level-table'],
+        dotGain: values['dot-gain'],
+        dotGainCurve: values['dot-gain-curve'],
+        beamDiameter: parseNumber(values['beam-diameter'], 'beam-diameter'),
+        dpi: parseNumber(values.dpi, 'dpi'),
+        width: parseNumber(values.width, 'width'),
+        height: parseNumber(values.height, 'height'),
+        unit: values.unit || 'mm',
+        kernel: values.kernel,
+        anchorGray: parseNumber(values.anchor, 'anchor'),
+        imageType: values.type
+    };
+    if ((options.width || options.height) && !options.dpi) {
+        throw new Error('指定输出尺寸时需要同时指定 --dpi');
+    }
+    const outputDir = values.output || '.';
+
+    // 处理模块的调试日志较多，默认只输出结果
+    if (!values.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const files = await Headless.collectInputFiles(inputs);
+    // 同名输入 (不同目录或不同扩展名) 输出为 name_2、name_3，不互相覆盖
+    const outputNames = Headless.createOutputNames(files);
+    let failed = 0;
+    for (const file of files) {
+        try {
+            const report = await Headless.processFile(file, outputDir, options, outputNames.get(file));
+            process.stdout.write(`✓ ${file} -> ${report.output} (${report.outputSize.width}x${report.outputSize.height}, ${report.detectedImageType})\n`);
+        } catch (error) {
+            failed++;
+            process.stderr.write(`✗ ${file}: ${error.message}\n`);
+        }
+    }
+    process.stdout.write(`完成: ${files.length - failed}/${files.length} 个文件\n`);
+    if (failed > 0) process.exitCode = 1;
+};
+
+main().catch((error) => {
+    process.stderr.write(`错误: ${error.message}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,365 @@
+/**
+ * Node.js 无界面处理接口
+ * 使用 { width, height, data } 图像缓冲区运行与网页版相同的处理流程，供命令行和脚本批量处理使用
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+import ImageProcessor from './modules/imageProcessor.js';
+import ImageAlgorithms from './modules/algorithms.js';
+import DotGain from './modules/dotGain.js';
+import ToneCurve from './modules/toneCurve.js';
+import Materials from './modules/materials.js';
+import ImageResampler from './modules/resampler.js';
+import ImageEncoders from './modules/encoders.js';
+import ImageBuffer from './modules/imageBuffer.js';
+import ProcessingReport from './modules/report.js';
+import MaterialLibrary from './modules/materialLibrary.js';
+import ImageGeometry from './modules/geometry.js';
+import BackgroundRemoval from './modules/background.js';
+import Color from './modules/color.js';
+import RegionMasks from './modules/regions.js';
+
+const Headless = (() => {
+    // 支持读取的图像格式
+    const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+    // 只在抖动时生效的选项 (选项名 -> 命令行参数名)：不抖动时指定这些选项视为错误，而不是静默忽略
+    const DITHER_ONLY_OPTIONS = {
+        serpentine: 'serpentine',
+        errorAttenuation: 'error-attenuation',
+        errorClamp: 'error-clamp',
+        blueNoiseSize: 'blue-noise-size',
+        blueNoiseSeed: 'blue-noise-seed',
+        halftoneShape: 'halftone-shape',
+        halftoneAngle: 'halftone-angle',
+        halftoneLpi: 'halftone-lpi',
+        levels: 'levels',
+        levelTable: 'level-table',
+        dotGain: 'dot-gain',
+        dotGainCurve: 'dot-gain-curve',
+        beamDiameter: 'beam-diameter'
+    };
+
+    /**
+     * 解码图像文件 (JPEG 按 EXIF 方向校正)
+     * @param {Buffer} buffer - 文件内容
+     * @param {string} fileName - 文件名 (用于判断格式)
+     * @returns {Object} { width, height, data } RGBA 图像缓冲区
+     */
+    const decodeImage = (buffer, fileName) => {
+        const ext = path.extname(fileName).toLowerCase();
+        if (ext === '.png') {
+            const png = PNG.sync.read(buffer);
+            return ImageBuffer.create(new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length), png.width, png.height);
+        }
+        if (ext === '.jpg' || ext === '.jpeg') {
+            const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+            const image = ImageBuffer.create(new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.length), decoded.width, decoded.height);
+            return ImageGeometry.applyOrientation(image, ImageGeometry.readExifOrientation(buffer));
+        }
+        throw new Error(`不支持的图像格式: ${ext || fileName}`);
+    };
+
+    /**
+     * 读取并解码图像文件
+     * @param {string} filePath - 文件路径
+     * @returns {Promise<Object>} 图像缓冲区
+     */
+    const readImage = async (filePath) => {
+        return decodeImage(await fs.readFile(filePath), filePath);
+    };
+
+    /**
+     * 加载网页版导出的材料库 JSON 文件，使其中的自定义材料可用
+     * @param {string} filePath - 材料库文件路径
+     * @returns {Promise<number>} 导入的材料数量
+     */
+    const loadMaterialLibrary = async (filePath) => {
+        const result = MaterialLibrary.importJSON(await fs.readFile(filePath, 'utf8'));
+        if (result.errors.length > 0) {
+            throw new Error(`材料库 ${filePath} 无效: ${result.errors.join('; ')}`);
+        }
+        return result.imported;
+    };
+
+    /**
+     * 将旋转/镜像/裁剪选项转换为几何设置
+     * @param {Object} options - 处理选项
+     * @returns {Object} 几何设置
+     */
+    const buildTransform = (options) => {
+        const transform = ImageGeometry.createTransform();
+        if (options.rotate !== undefined) transform.rotation = options.rotate;
+        transform.mirror = !!options.mirror;
+        transform.flipVertical = !!options.flipVertical;
+        if (options.crop) transform.crop = ImageGeometry.parseCrop(options.crop);
+        return transform;
+    };
+
+    /**
+     * 将处理选项转换为 ImageProcessor 的覆盖参数
+     * @param {Object} image - 图像缓冲区
+     * @param {Object} options - 处理选项
+     * @returns {Object} 覆盖参数
+     */
+    const buildOverrideParams = (image, options) => {
+        const overrideParams = {};
+        if (options.anchorGray !== undefined && options.anchorGray !== null) {
+            overrideParams.anchorGray = options.anchorGray;
+        }
+        if (options.imageType) {
+            // 校验类型名，未知类型直接报错
+            ImageProcessor.createManualImageType(options.imageType);
+            overrideParams.knownImageType = options.imageType;
+        }
+        if (options.alphaMode !== undefined) {
+            if (!BackgroundRemoval.getAlphaModes().some(mode => mode.id === options.alphaMode)) {
+                throw new Error(`未知透明区域处理方式: ${options.alphaMode}`);
+            }
+            overrideParams.alphaMode = options.alphaMode;
+        }
+        if (options.alphaColor !== undefined) {
+            Color.parseColor(options.alphaColor);
+            overrideParams.alphaColor = options.alphaColor;
+        }
+        if (options.regions) {
+            overrideParams.regions = RegionMasks.normalizeRegions(
+                typeof options.regions === 'string' ? JSON.parse(options.regions) : options.regions);
+        }
+
+        // 输出尺寸：给出宽或高 (另一边按比例) 时，按 DPI 换算为像素
+        const dpi = options.dpi > 0 ? options.dpi : null;
+        if (dpi && (options.width > 0 || options.height > 0)) {
+            const aspectRatio = image.width / image.height;
+            const width = options.width > 0 ? options.width : options.height * aspectRatio;
+            const height = options.height > 0 ? options.height : options.width / aspectRatio;
+            const size = ImageResampler.calculateTargetSize(width, height, options.unit || 'mm', dpi);
+            overrideParams.outputWidth = size.width;
+            overrideParams.outputHeight = size.height;
+            overrideParams.resampleKernel = options.kernel || 'bicubic';
+        }
+        if (dpi) {
+            overrideParams.outputDpi = dpi;
+        }
+        return overrideParams;
+    };
+
+    /**
+     * 处理图像缓冲区
+     * @param {Object} image - { width, height, data } 图像缓冲区
+     * @param {Object} options - 处理选项
+     * @param {string} options.material - 材料ID
+     * @param {number} [options.rotate] - 顺时针旋转角度 (处理前的第一步，之后依次镜像、翻转、裁剪)
+     * @param {boolean} [options.mirror] - 水平镜像 (透明材料背面反雕)
+     * @param {boolean} [options.flipVertical] - 垂直翻转
+     * @param {Object|string} [options.crop] - 裁剪区域 { x, y, width, height } 或 "x,y,宽,高" (旋转翻转后的像素坐标)
+     * @param {boolean} [options.removeBackground] - 按边缘颜色聚类自动去除背景 (背景不雕刻)
+     * @param {number} [options.backgroundTolerance] - 去除背景的颜色容差 (0-255，默认 32)
+     * @param {string} [options.alphaMode] - 透明区域: unburned 不雕刻 (默认) | composite 合成到 alphaColor
+     * @param {string} [options.alphaColor] - 透明区域合成的底色 (#rrggbb)
+     * @param {Array|string} [options.regions] - 区域蒙版列表 (或其 JSON)：[{ name, shapes, params }]，坐标基于裁剪后的图像
+     * @param {string} [options.variant] - 'dark' | 'neutral'
+     * @param {string} [options.laser] - 激光器类型
+     * @param {string} [options.dither] - 抖动算法，'none' 表示不抖动，未指定时使用材料默认设置
+     * @param {Array|string} [options.toneCurve] - 色调曲线控制点 (点列表或 "输入:输出" 逗号分隔的文本)，代替亮度/对比度和色阶
+     * @param {boolean} [options.serpentine] - 误差扩散蛇形扫描
+     * @param {number} [options.errorAttenuation] - 误差衰减系数 (0.5-1)
+     * @param {number} [options.errorClamp] - 扩散误差上限 (0 表示不限制)
+     * @param {number} [options.blueNoiseSize] - 蓝噪声阈值图边长
+     * @param {number} [options.blueNoiseSeed] - 蓝噪声阈值图随机种子
+     * @param {string} [options.halftoneShape] - 调幅网点点形: round | ellipse | line
+     * @param {number} [options.halftoneAngle] - 调幅网点网线角度 (度)
+     * @param {number} [options.halftoneLpi] - 调幅网点网线数 (相对 dpi)
+     * @param {number} [options.levels] - 抖动输出级别数 (2 为黑白)
+     * @param {Array|string} [options.levelTable] - 各级别的输出灰度值 (数组或逗号分隔的文本)
+     * @param {string} [options.dotGain] - 网点扩大补偿: none | curve | model，未指定时使用材料设置
+     * @param {Array|string} [options.dotGainCurve] - 实测补偿曲线 (点列表或 "标称:实测" 逗号分隔的文本)
+     * @param {number} [options.beamDiameter] - 光斑模型的烧蚀光斑直径 (mm)
+     * @param {number} [options.dpi] - 输出分辨率
+     * @param {number} [options.width] - 输出宽度 (物理单位)
+     * @param {number} [options.height] - 输出高度 (物理单位)
+     * @param {string} [options.unit] - 'mm' | 'inch'
+     * @param {string} [options.kernel] - 重采样插值核
+     * @param {number} [options.anchorGray] - 锚点灰度覆盖值
+     * @param {string} [options.imageType] - 指定图像类型，跳过检测
+     * @returns {Promise<Object>} { processedImage, result, params, geometry }
+     */
+    const processImageBuffer = async (sourceImage, options = {}) => {
+        const material = options.material;
+        if (!Materials.getMaterialInfo(material)) {
+            throw new Error(`未知材料: ${material}，可选: ${Object.keys(Materials.getAllMaterials()).join(', ')}`);
+        }
+        const variant = options.variant || 'neutral';
+        const laserType = options.laser || 'CO2';
+        const ditherTypes = ImageAlgorithms.getDitherAlgorithms().map(algo => algo.id);
+        if (options.dither !== undefined && options.dither !== 'none' && !ditherTypes.includes(options.dither)) {
+            throw new Error(`未知抖动算法: ${options.dither}，可选: ${ditherTypes.join(', ')}, none`);
+        }
+
+        // 几何变换是第一步：图像类型检测和统计只看到裁剪后的区域
+        const geometry = buildTransform(options);
+        let image = ImageGeometry.isIdentity(geometry) ? sourceImage : ImageGeometry.apply(sourceImage, geometry);
+        if (options.removeBackground) {
+            const { mask } = BackgroundRemoval.detectBackground(image, { tolerance: options.backgroundTolerance });
+            image = BackgroundRemoval.applyMask(image, mask);
+        }
+
+        const result = await ImageProcessor.processImage(image, material, variant, laserType, buildOverrideParams(image, options));
+
+        // processImage 不执行抖动也不使用指定的曲线：按指定 (或材料默认) 算法和曲线在最终参数上重新处理
+        const ditherType = options.dither || (result.params.ditherEnabled ? result.params.ditherType : 'none');
+        if (ditherType === 'none') {
+            const ignored = Object.keys(DITHER_ONLY_OPTIONS).filter(key => options[key] !== undefined);
+            if (ignored.length > 0) {
+                const names = ignored.map(key => `--${DITHER_ONLY_OPTIONS[key]}`).join(', ');
+                throw new Error(`${names} 只在抖动时生效，当前${options.dither === 'none' ? '指定了不抖动' : '材料默认不抖动'}，请使用 --dither 指定抖动算法`);
+            }
+        }
+        if (ditherType === 'none' && options.toneCurve === undefined) {
+            return { processedImage: result.processedImage, result, params: result.params, geometry };
+        }
+
+        const params = { ...result.params, ditherEnabled: ditherType !== 'none', ditherType, invert: result.wasInverted };
+        if (options.toneCurve !== undefined) params.toneCurve = ToneCurve.normalizePoints(options.toneCurve);
+        if (options.serpentine !== undefined) params.ditherSerpentine = options.serpentine;
+        if (options.errorAttenuation !== undefined) params.ditherErrorAttenuation = options.errorAttenuation;
+        if (options.errorClamp !== undefined) params.ditherErrorClamp = options.errorClamp;
+        if (options.blueNoiseSize !== undefined) params.ditherBlueNoiseSize = options.blueNoiseSize;
+        if (options.blueNoiseSeed !== undefined) params.ditherBlueNoiseSeed = options.blueNoiseSeed;
+        if (options.halftoneShape !== undefined) params.ditherHalftoneShape = options.halftoneShape;
+        if (options.halftoneAngle !== undefined) params.ditherHalftoneAngle = options.halftoneAngle;
+        if (options.halftoneLpi !== undefined) params.ditherHalftoneLpi = options.halftoneLpi;
+        if (options.levels !== undefined) params.ditherLevels = options.levels;
+        if (options.levelTable !== undefined) {
+            params.ditherLevelTable = ImageAlgorithms.normalizeLevelTable(options.levelTable, params.ditherLevels || 2);
+        }
+        if (options.dotGainCurve !== undefined) {
+            params.dotGainCurve = DotGain.normalizeCurve(options.dotGainCurve);
+            params.dotGainMode = 'curve';
+        }
+        if (options.beamDiameter !== undefined) {
+            params.dotGainBeamDiameter = options.beamDiameter;
+            params.dotGainMode = 'model';
+        }
+        if (options.dotGain !== undefined) {
+            if (!DotGain.getModes().some(mode => mode.id === options.dotGain)) {
+                throw new Error(`未知补偿方式: ${options.dotGain}`);
+            }
+            params.dotGainMode = options.dotGain;
+        }
+        if (params.dotGainMode === 'curve' && !params.dotGainCurve) {
+            throw new Error('实测曲线补偿需要指定补偿曲线');
+        }
+        const ditherResult = ImageProcessor.processImageWithCustomParams(image, params);
+        return { processedImage: ditherResult.processedImage, result, params, geometry };
+    };
+
+    /**
+     * 生成不重复的输出文件名 (去掉扩展名)：不同目录下的同名文件或仅扩展名不同的文件依次加 _2、_3 后缀
+     * 比较时不区分大小写 (大小写不敏感的文件系统上同样不会互相覆盖)
+     * @param {Array<string>} files - 输入文件路径
+     * @returns {Map} 文件路径 -> 文件名
+     */
+    const createOutputNames = (files) => {
+        const used = new Set();
+        const names = new Map();
+        for (const file of files) {
+            const base = path.basename(file, path.extname(file)) || 'image';
+            let name = base;
+            for (let n = 2; used.has(name.toLowerCase()); n++) {
+                name = `${base}_${n}`;
+            }
+            used.add(name.toLowerCase());
+            names.set(file, name);
+        }
+        return names;
+    };
+
+    /**
+     * 处理单个文件：输出 PNG (写入 DPI) 和同名 JSON 报告
+     * @param {string} inputPath - 输入文件路径
+     * @param {string} outputDir - 输出目录
+     * @param {Object} options - 处理选项 (同 processImageBuffer)
+     * @param {string} [outputName] - 输出文件名 (不含扩展名)，默认取输入文件名；处理多个文件时使用 createOutputNames 的结果
+     * @returns {Promise<Object>} 报告对象
+     */
+    const processFile = async (inputPath, outputDir, options = {}, outputName = null) => {
+        const image = await readImage(inputPath);
+        const processed = await processImageBuffer(image, options);
+
+        const baseName = outputName || path.basename(inputPath, path.extname(inputPath));
+        const outputPath = path.join(outputDir, `${baseName}.png`);
+        const reportPath = path.join(outputDir, `${baseName}.json`);
+
+        await fs.mkdir(outputDir, { recursive: true });
+        const bytes = await ImageEncoders.encodePNG(processed.processedImage, { dpi: processed.params.outputDpi || options.dpi });
+        await fs.writeFile(outputPath, bytes);
+
+        const report = ProcessingReport.build(processed, {
+            input: inputPath,
+            output: outputPath,
+            material: options.material,
+            variant: options.variant || 'neutral',
+            laser: options.laser || 'CO2',
+            anchorOverride: options.anchorGray
+        });
+        await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+        return report;
+    };
+
+    /**
+     * 展开输入路径：目录展开为其中支持的图像文件
+     * @param {Array<string>} inputs - 文件或目录路径
+     * @returns {Promise<Array<string>>} 文件路径列表 (已去重)
+     */
+    const collectInputFiles = async (inputs) => {
+        const files = [];
+        for (const input of inputs) {
+            const stat = await fs.stat(input);
+            if (stat.isDirectory()) {
+                const entries = (await fs.readdir(input)).sort();
+                for (const entry of entries) {
+                    if (SUPPORTED_EXTENSIONS.includes(path.extname(entry).toLowerCase())) {
+                        files.push(path.join(input, entry));
+                    }
+                }
+            } else {
+                files.push(input);
+            }
+        }
+        const seen = new Set();
+        return files.filter(file => {
+            const resolved = path.resolve(file);
+            if (seen.has(resolved)) return false;
+            seen.add(resolved);
+            return true;
+        });
+    };
+
+    return {
+        SUPPORTED_EXTENSIONS,
+        decodeImage,
+        readImage,
+        loadMaterialLibrary,
+        processImageBuffer,
+        processFile,
+        createOutputNames,
+        collectInputFiles,
+        ImageProcessor,
+        ImageAlgorithms,
+        Materials,
+        ImageResampler,
+        ImageEncoders,
+        ImageBuffer,
+        MaterialLibrary,
+        DotGain,
+        ToneCurve,
+        ImageGeometry,
+        BackgroundRemoval
+    };
+})();
+
+export default Headless;
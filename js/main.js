@@ -7,12 +7,28 @@ import ImageProcessor from './modules/imageProcessor.js';
 import UI from './modules/ui.js';
 import Materials from './modules/materials.js';
 import ImageAlgorithms from './modules/algorithms.js';
+import ImageResampler from './modules/resampler.js';
+import ImageEncoders from './modules/encoders.js';
+import GcodeGenerator from './modules/gcode.js';
+import SvgExporter from './modules/svgExporter.js';
+import ProcessingClient from './modules/processingClient.js';
+import BatchProcessor from './modules/batch.js';
+import MaterialLibrary from './modules/materialLibrary.js';
+import PresetStore from './modules/presets.js';
+import DotGain from './modules/dotGain.js';
+import BurnSimulator from './modules/burnSimulator.js';
+import ToneCurve from './modules/toneCurve.js';
+import ParamHistory from './modules/history.js';
+import ImageGeometry from './modules/geometry.js';
+import BackgroundRemoval from './modules/background.js';
+import RegionMasks from './modules/regions.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // 获取页面元素
     const imageLoader = document.getElementById('imageLoader');
     const processButton = document.getElementById('processButton');
     const downloadButton = document.getElementById('downloadButton');
+    const exportFormatSelect = document.getElementById('exportFormatSelect');
     const originalImage = document.getElementById('originalImage');
     const processedCanvas = document.getElementById('processedCanvas');
     const originalHistogramCanvas = document.getElementById('originalHistogramCanvas');
@@ -30,9 +46,15 @@ document.addEventListener('DOMContentLoaded', () => {
     const anchorGrayValue = document.getElementById('anchorGray-value');
     const invertButton = document.getElementById('invertButton');
     const optimizeAnchorButton = document.getElementById('optimizeAnchorButton');
+    const paramsPanelButton = document.getElementById('paramsPanelButton');
+    const paramsModalOverlay = document.getElementById('paramsModalOverlay');
+    const paramsModalClose = document.getElementById('paramsModalClose');
     
     // 状态变量
-    let originalImageData = null;
+    let uploadedImageData = null; // 解码后的上传图像 (旋转/裁剪前)
+    let geometryImageData = null; // 旋转/裁剪后的图像
+    let backgroundMask = null; // 背景蒙版 (1 为背景，不雕刻)，基于 geometryImageData
+    let originalImageData = null; // 旋转/裁剪并去除背景后的图像，检测和处理都基于它
     let originalWidth = 0;
     let originalHeight = 0;
     let processedImageData = null;
@@ -40,19 +62,221 @@ document.addEventListener('DOMContentLoaded', () => {
     let isCurrentlyInverted = false;
     let materialSelector = null;
     let laserTypeSelector = null;
+    let outputSizeControls = null;
+    let gcodeControls = null;
     let lastProcessingResult = null;
     let currentImageFaceDetectionRan = false;
-    let currentImageDetectedType = null;
+    let currentImageDetectedType = null; // 处理使用的图像类型 (手动指定时为指定的类型)
+    let currentImageFaces = []; // 人像检测到的人脸 (坐标基于处理用的原始图像)
+    let currentImageTypeDetection = null; // 自动检测的结构化结果 (特征值、生效规则、置信度)
+    let currentImageFeatures = null; // 类型检测使用的图像特征 (补做人脸检测后重新判定)
+    let imageTypeOverride = null; // 手动指定的图像类型，null 表示使用自动检测结果
+    
+    // 后台处理 (Worker)：新任务会取消未完成的旧任务，processingRunToken 标识最新一次处理
+    const processingClient = ProcessingClient.create();
+    let processingRunToken = 0;
+    
+    // 批量处理队列 (使用独立的 Worker，不影响单张图像的处理)
+    const batchClient = ProcessingClient.create();
+    let batchItems = [];
+    let batchPanel = null;
+    let batchRunning = false;
+    let selectedDitherAlgorithm = 'none';
+    
+    // 参数预设：切换到新的 材料/颜色/激光器 组合时自动使用该组合的默认预设
+    let presetControls = null;
+    let ditherOptionsControls = null;
+    let simulationControls = null;
+    let curveEditor = null;
+    let geometryEditor = null;
+    let backgroundControls = null;
+    let imageTypeControls = null;
+    
+    // 区域蒙版：各区域的形状 (基于旋转/裁剪后的图像坐标) 和参数，正在绘制的形状
+    let regionPanel = null;
+    let regions = [];
+    let regionDraft = null;
+    
+    // 参数面板：用户覆盖的参数 (锚点灰度由滑块覆盖，不在此记录) 和最近一次自动调整的参数
+    let paramsPanel = null;
+    let paramOverrides = {};
+    let autoAdjustedParams = null;
+    
+    // 处理历史：每一步的参数快照，撤销/重做时用快照重新处理
+    const paramHistory = ParamHistory.create({ limit: 50 });
+    let historyControls = null;
+    let isRestoringHistory = false;
+    let isDeferringHistory = false; // 中间结果 (之后还要重新抖动) 不记入历史
+    let activePresetId = null;
+    let presetScopeKey = null;
+    
+    // 加载自定义材料库 (需在创建材料选择器之前)，并发送给处理 Worker
+    MaterialLibrary.load();
+    syncCustomMaterials();
     
     // 初始化材料选择器
     materialSelector = UI.createMaterialSelector('materialControls', processImage);
     
     // 初始化激光器类型选择器，并添加变更回调
-    laserTypeSelector = UI.createLaserTypeSelector('materialControls', processImage);
+    laserTypeSelector = UI.createLaserTypeSelector('materialControls', handleLaserTypeChange);
+    
+    // 初始化输出尺寸控件 (尺寸变化时，如已处理过则重新处理)
+    outputSizeControls = UI.createOutputSizeControls('outputSizeControls', () => {
+        if (lastProcessingResult && originalImageData) {
+            processImage();
+        }
+    });
+    
+    // 初始化自定义材料库面板 (材料库变化时刷新材料选择器)
+    const materialLibraryPanel = UI.createMaterialLibraryPanel('materialLibraryPanel', 'materialControls', {
+        getCurrentMaterial: () => materialSelector.getSelectedMaterial(),
+        onChange: () => {
+            syncCustomMaterials();
+            materialSelector.refreshMaterials();
+            if (lastProcessingResult && originalImageData) {
+                processImage();
+            }
+        }
+    });
+    
+    // 初始化材料校准卡面板 (校准结果写入自定义材料后同样刷新)
+    UI.createCalibrationPanel('calibrationPanel', 'materialControls', {
+        getContext: () => {
+            const materialId = materialSelector.getSelectedMaterial();
+            const variant = materialSelector.getSelectedVariant();
+            const params = Materials.getMaterialParams(materialId, variant);
+            return {
+                materialId,
+                variant,
+                params,
+                dpi: outputSizeControls.getSettings().dpi,
+                ditherType: selectedDitherAlgorithm !== 'none' ? selectedDitherAlgorithm : params.ditherType,
+                sourceImage: originalImageData
+            };
+        },
+        onMaterialsChanged: () => {
+            syncCustomMaterials();
+            materialLibraryPanel.refresh();
+            materialSelector.refreshMaterials();
+            if (lastProcessingResult && originalImageData) {
+                processImage();
+            }
+        }
+    });
+    
+    // 初始化参数预设控件
+    presetControls = UI.createPresetControls('presetControls', {
+        getScope: getPresetScope,
+        getCurrentState: getPresetState,
+        onLoad: (preset) => {
+            activePresetId = preset ? preset.id : null;
+            // 预设自带锚点设置，清除手动修改标记
+            anchorGraySlider.dataset.userModified = 'false';
+            if (originalImageData) {
+                processImage();
+            } else {
+                processingInfoDiv.textContent = preset ? `已选择预设 "${preset.name}"，上传图像后生效` : '已取消预设';
+            }
+        },
+        onMessage: (text) => {
+            processingInfoDiv.textContent = text;
+        }
+    });
+    
+    // 初始化 G代码导出控件 (默认参数跟随激光器类型)
+    gcodeControls = UI.createGcodeControls('gcodeControls', exportGcode, laserTypeSelector.getSelectedLaserType());
     
     // 初始化抖动算法按钮
     UI.createDitherAlgorithmButtons('algorithmButtons', handleAlgorithmSelect);
     
+    // 初始化抖动选项 (变化时重新应用当前抖动算法)
+    ditherOptionsControls = UI.createDitherOptionsControls('ditherOptions', () => {
+        if (lastProcessingResult && selectedDitherAlgorithm !== 'none') {
+            handleAlgorithmSelect(selectedDitherAlgorithm);
+        }
+    });
+    
+    // 初始化雕刻模拟预览 (只影响画布显示)
+    simulationControls = UI.createSimulationControls('simulationControls', drawProcessedCanvas);
+    
+    // 初始化色调曲线编辑器 (叠加在原始灰度直方图上，调整后重新处理)
+    curveEditor = UI.createCurveEditor('originalHistogramCanvas', 'curveControls', {
+        onChange: applyToneCurve,
+        onToggle: (enabled, points) => applyToneCurve(enabled ? points : null),
+        onReset: resetToneCurve
+    });
+    
+    // 初始化裁剪/旋转/镜像控件 (处理的第一步)
+    geometryEditor = UI.createGeometryEditor('originalCanvas', 'geometryControls', {
+        onChange: handleGeometryChange,
+        onPointer: handleCanvasPointer
+    });
+    
+    // 初始化区域蒙版面板
+    regionPanel = UI.createRegionPanel('regionPanel', {
+        onChange: (newRegions) => {
+            regions = newRegions;
+            updateRegionShapes();
+        },
+        onApply: () => {
+            if (lastProcessingResult) {
+                reprocessCurrentImage();
+            } else {
+                processingInfoDiv.textContent = '区域已设置，处理图像时生效';
+            }
+        },
+        onDetectFaces: createFaceRegions
+    });
+    
+    // 初始化透明区域/去背景控件
+    backgroundControls = UI.createBackgroundControls('backgroundControls', {
+        onAlphaChange: () => {
+            if (originalImageData) refreshSourceImage('透明区域处理方式已更新');
+        },
+        onAuto: removeBackgroundAutomatically,
+        onClear: () => setBackgroundMask(null)
+    });
+    
+    // 初始化参数面板 (模态弹窗)
+    paramsPanel = UI.createParamsPanel('paramsPanel', {
+        onApply: applyParamOverrides,
+        onClose: closeParamsPanel
+    });
+    paramsPanelButton.addEventListener('click', openParamsPanel);
+    
+    // 初始化图像类型控件 (自动检测/手动指定)
+    imageTypeControls = UI.createImageTypeControls('imageTypeControls', handleImageTypeOverride);
+    
+    // 初始化撤销/重做和处理历史
+    historyControls = UI.createHistoryControls('historyControls', {
+        onUndo: () => restoreHistoryEntry(paramHistory.undo()),
+        onRedo: () => restoreHistoryEntry(paramHistory.redo()),
+        onSelect: (index) => restoreHistoryEntry(paramHistory.jumpTo(index))
+    });
+    paramsModalClose.addEventListener('click', closeParamsPanel);
+    paramsModalOverlay.addEventListener('click', (event) => {
+        if (event.target === paramsModalOverlay) closeParamsPanel();
+    });
+    
+    // 初始化批量处理面板
+    batchPanel = UI.createBatchPanel('batchPanel', {
+        onProcessAll: processBatch,
+        onDownloadZip: downloadBatchZip,
+        onClear: clearBatch,
+        onAnchorChange: (id, value) => {
+            const item = batchItems.find(batchItem => batchItem.id === id);
+            if (!item) return;
+            item.anchorOverride = value;
+            // 锚点变化后需要重新处理
+            if (item.status === 'done') item.status = 'pending';
+            batchPanel.render(batchItems);
+        },
+        onRemove: (id) => {
+            batchItems = batchItems.filter(item => item.id !== id);
+            batchPanel.render(batchItems);
+        }
+    });
+    
     // 绑定事件处理函数
     imageLoader.addEventListener('change', handleImage);
     imageLoader.addEventListener('click', () => {
@@ -78,7 +302,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        loadingDiv.style.display = 'block';
+        const token = beginProcessing();
         processingInfoDiv.textContent = '正在计算最佳锚点灰度...';
         optimizeAnchorButton.disabled = true;
 
@@ -91,14 +315,13 @@ document.addEventListener('DOMContentLoaded', () => {
             let imageType = currentImageDetectedType;
             if (!currentImageFaceDetectionRan || !imageType) {
                 console.log('重新检测图像类型以优化锚点...');
-                imageType = await ImageProcessor.detectImageType(originalImageData);
-                currentImageFaceDetectionRan = true; // 标记已运行
-                currentImageDetectedType = imageType; // 保存结果
+                imageType = await detectImageTypeInBackground(token);
                 console.log('检测到类型:', imageType);
             }
             
-            // 3. 计算基础最佳锚点
-            let optimalAnchorGray = ImageProcessor.calculateOptimalAnchorGray(imageStats, imageType);
+            // 3. 计算基础最佳锚点 (人像按人脸区域的直方图计算)
+            const faceStats = ImageProcessor.calculateFaceStats(grayImage, currentImageFaces, originalImageData.width, originalImageData.height);
+            let optimalAnchorGray = ImageProcessor.calculateOptimalAnchorGray(faceStats || imageStats, imageType);
             console.log(`计算得到的原始最佳锚点: ${optimalAnchorGray}`);
 
             // 4. 应用金属和深色变体调整
@@ -125,15 +348,21 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // 6. 重新处理图像
             processingInfoDiv.textContent = `已优化锚点灰度为 ${optimalAnchorGray}，正在重新处理...`;
-            await processImage(); // 调用 processImage 使用新值
-            processingInfoDiv.textContent = `已优化锚点灰度为 ${optimalAnchorGray}，处理完成。`;
+            const completed = await processImage(); // 调用 processImage 使用新值
+            if (completed) {
+                processingInfoDiv.textContent = `已优化锚点灰度为 ${optimalAnchorGray}，处理完成。`;
+            }
             
         } catch (error) {
+            if (ProcessingClient.isCancelError(error)) {
+                console.log('锚点优化已被新的处理请求取消');
+                return;
+            }
             console.error("优化锚点灰度失败:", error);
             showError("优化锚点灰度时出错: " + error.message);
             processingInfoDiv.textContent = '优化锚点灰度失败';
         } finally {
-            loadingDiv.style.display = 'none';
+            endProcessing(token);
             optimizeAnchorButton.disabled = false;
         }
     });
@@ -158,9 +387,10 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // 应用或取消反色
         try {
-            const processedCtx = processedCanvas.getContext('2d');
             let imageDataToDraw;
-            if (isCurrentlyInverted) {
+            // 基础图像可能已经反色 (深色材料)，只在状态与基础图像不一致时反色
+            const baseInverted = !!(lastProcessingResult && lastProcessingResult.wasInverted);
+            if (isCurrentlyInverted !== baseInverted) {
                 // 应用反色
                 console.log('应用客户端反色...');
                 imageDataToDraw = ImageAlgorithms.invertColors(baseProcessedImageData);
@@ -178,13 +408,13 @@ document.addEventListener('DOMContentLoaded', () => {
             );
             
             // 重绘画布
-            processedCanvas.width = imageDataToDraw.width;
-            processedCanvas.height = imageDataToDraw.height;
-            processedCtx.putImageData(processedImageData, 0, 0);
+            drawProcessedCanvas();
             
             // 更新处理后的直方图
             const processedHistogram = ImageProcessor.calculateHistogram(processedImageData);
             ImageProcessor.drawHistogram(processedHistogramCanvas, processedHistogram, '处理后灰度直方图');
+            
+            recordHistory();
 
         } catch (error) {
             console.error("切换反色时出错:", error);
@@ -197,107 +427,374 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // 按ESC键关闭模态窗口
     document.addEventListener('keydown', (event) => {
-        if (event.key === 'Escape') {
-            const modalOverlay = document.getElementById('paramsModalOverlay');
-            if (modalOverlay && getComputedStyle(modalOverlay).display !== 'none') {
-                modalOverlay.style.display = 'none';
-            }
+        if (event.key === 'Escape' && getComputedStyle(paramsModalOverlay).display !== 'none') {
+            closeParamsPanel();
+        }
+    });
+    
+    // Ctrl+Z 撤销，Ctrl+Shift+Z / Ctrl+Y 重做 (文本输入框中保留浏览器自带的撤销)
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const target = event.target;
+        const isTextInput = target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'color'].includes(target.type));
+        if (isTextInput) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            if (paramHistory.canUndo()) restoreHistoryEntry(paramHistory.undo());
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            if (paramHistory.canRedo()) restoreHistoryEntry(paramHistory.redo());
         }
     });
     
+    // 激光器类型变更：更新 G代码默认参数并重新处理
+    function handleLaserTypeChange() {
+        gcodeControls.applyLaserDefaults(laserTypeSelector.getSelectedLaserType());
+        processImage();
+    }
+    
+    // 自定义材料只保存在主线程 (本地存储)，变化后发送给单张和批量处理的 Worker
+    function syncCustomMaterials() {
+        const materialMap = MaterialLibrary.getMaterialMap();
+        processingClient.setMaterials(materialMap);
+        batchClient.setMaterials(materialMap);
+    }
+
+    // 开始一次处理：显示加载提示并返回本次处理的令牌
+    function beginProcessing() {
+        loadingDiv.textContent = '处理中，请稍候...';
+        loadingDiv.style.display = 'block';
+        return ++processingRunToken;
+    }
+    
+    // 结束处理：只有最新一次处理结束时才隐藏加载提示
+    function endProcessing(token) {
+        if (token === processingRunToken) {
+            loadingDiv.style.display = 'none';
+        }
+    }
+    
+    // 如果已有更新的处理请求，则放弃当前流程
+    function throwIfStale(token) {
+        if (token !== processingRunToken) {
+            throw ProcessingClient.createCancelError();
+        }
+    }
+    
+    // 显示后台处理进度
+    function showProgress(stage, progress) {
+        loadingDiv.textContent = `处理中: ${stage} (${Math.round(progress * 100)}%)`;
+    }
+    
+    // 检测图像类型并记录结果 (人像同时保留人脸框和特征点)：特征分析在 Worker 中执行，人脸检测依赖 DOM，在主线程执行
+    // 手动指定了类型时仍记录自动检测结果 (用于对比)，处理使用指定的类型
+    async function detectImageTypeInBackground(token) {
+        const features = await processingClient.run('analyzeImageFeatures', [], { onProgress: showProgress });
+        throwIfStale(token);
+        currentImageFeatures = features;
+        let faces = null;
+        if (ImageProcessor.classifyImageFeatures(features) !== 'cartoon' || imageTypeOverride === 'portrait') {
+            showProgress('人脸检测', 0);
+            faces = await ImageProcessor.detectFaces(originalImageData);
+            throwIfStale(token);
+        }
+        currentImageTypeDetection = ImageProcessor.classifyImageType(features, faces);
+        currentImageFaceDetectionRan = true;
+        currentImageDetectedType = imageTypeOverride || currentImageTypeDetection.imageType;
+        currentImageFaces = faces || [];
+        imageTypeControls.setDetection(currentImageTypeDetection);
+        return currentImageDetectedType;
+    }
+    
+    // 传给处理流程的类型判定：手动指定时附带自动检测结果
+    function getTypeDetection() {
+        if (!currentImageTypeDetection) return null;
+        return imageTypeOverride
+            ? ImageProcessor.createManualImageType(imageTypeOverride, currentImageTypeDetection)
+            : currentImageTypeDetection;
+    }
+    
+    // 手动指定图像类型 (null 恢复自动检测)：按该类型重新调整参数并处理
+    async function handleImageTypeOverride(imageType) {
+        imageTypeOverride = imageType;
+        if (!originalImageData || !currentImageFaceDetectionRan) return;
+        // 卡通图自动检测时没有做人脸检测，指定为人像时补做，并把人脸得分记入判定结果 (之后切换不再重复检测)
+        if (imageTypeOverride === 'portrait' && currentImageTypeDetection.features.faceScores === null) {
+            const token = beginProcessing();
+            processingInfoDiv.textContent = '正在检测人脸...';
+            try {
+                showProgress('人脸检测', 0);
+                const faces = await ImageProcessor.detectFaces(originalImageData);
+                throwIfStale(token);
+                currentImageTypeDetection = ImageProcessor.classifyImageType(currentImageFeatures, faces);
+                currentImageFaces = faces;
+                imageTypeControls.setDetection(currentImageTypeDetection);
+            } catch (error) {
+                if (ProcessingClient.isCancelError(error)) {
+                    console.log('人脸检测已被新的处理请求取消');
+                    return;
+                }
+                console.error("人脸检测失败:", error);
+                showError("人脸检测时出错: " + error.message);
+                processingInfoDiv.textContent = '人脸检测失败';
+                return;
+            } finally {
+                endProcessing(token);
+            }
+        }
+        currentImageDetectedType = imageTypeOverride || currentImageTypeDetection.imageType;
+        if (lastProcessingResult) processImage();
+    }
+    
     // 处理算法选择
-    function handleAlgorithmSelect(algorithmId) {
+    async function handleAlgorithmSelect(algorithmId, overrideParams = {}) {
+        // 记录选择 (批量处理也使用该算法)
+        selectedDitherAlgorithm = algorithmId;
+        UI.updateDitherButtonSelection(algorithmId);
         if (!lastProcessingResult) return;
         
-        loadingDiv.style.display = 'block';
+        const token = beginProcessing();
         processingInfoDiv.textContent = '正在应用抖动设置...';
         
-        setTimeout(() => {
-            try {
-                let result;
-                const baseParams = { ...lastProcessingResult.params }; 
-                
-                // 更新：传递当前滑块的值作为覆盖参数，因为用户可能在上次处理后调整了滑块
-                baseParams.anchorGray = parseInt(anchorGraySlider.value, 10);
-                
-                if (algorithmId === 'none') {
-                    baseParams.ditherEnabled = false;
-                } else {
-                    baseParams.ditherEnabled = true;
-                    baseParams.ditherType = algorithmId;
+        try {
+            let result;
+            const baseParams = { ...lastProcessingResult.params }; 
+            
+            // 更新：传递当前滑块的值作为覆盖参数，因为用户可能在上次处理后调整了滑块
+            baseParams.anchorGray = parseInt(anchorGraySlider.value, 10);
+            // 使用当前的输出尺寸设置
+            Object.assign(baseParams, getOutputParams(), backgroundControls.getAlphaParams());
+            // 保持当前的反色状态 (深色材料的基础图像已反色)
+            baseParams.invert = isCurrentlyInverted;
+            // 参数面板的覆盖值和调用方指定的参数 (如色调曲线)
+            Object.assign(baseParams, paramOverrides, overrideParams);
+            baseParams.regions = getActiveRegions();
+            
+            if (algorithmId === 'none') {
+                baseParams.ditherEnabled = false;
+            } else {
+                baseParams.ditherEnabled = true;
+                baseParams.ditherType = algorithmId;
+                // 抖动选项 (误差扩散、蓝噪声阈值图) 记录在最终参数中
+                Object.assign(baseParams, ditherOptionsControls.getOptions());
+            }
+            
+            result = await processingClient.run('processImageWithCustomParams', [baseParams], { onProgress: showProgress });
+            
+            const currentVariant = materialSelector.getSelectedVariant();
+            // if (currentVariant === 'dark') {
+            //     result.processedImage = ImageAlgorithms.invertColors(result.processedImage);
+            //     console.log("Applied inversion for dark variant after algorithm select.");
+            // }
+            
+            const detectedImageType = result.params?.detectedImageType || 'unknown';
+            const imageTypeText = detectedImageType === 'portrait' ? '人像照片' : 
+                                detectedImageType === 'cartoon' ? '卡通/线稿' : '普通照片';
+            
+            // 使用当前实际参数创建分析对象，确保显示最新的锚点灰度值
+            const currentAnchorGray = result.params.anchorGray; // 获取处理后的实际值
+            const analysis = {
+                imageSummary: `重新应用抖动设置 (算法: ${algorithmId === 'none' ? '无抖动' : algorithmId}, 锚点灰度: ${currentAnchorGray}, 图像类型: ${imageTypeText})`,
+                adjustmentReasons: [
+                    `[抖动调整] 算法更改为 ${algorithmId === 'none' ? '无抖动' : algorithmId}`,
+                    result.params.toneCurve
+                        ? `[色调曲线] 使用 ${result.params.toneCurve.length} 点曲线代替亮度/对比度和色阶`
+                        : `[用户设置] 锚点灰度保持为 ${currentAnchorGray}`,
+                    // 更新反色说明，反映本次处理的反色状态
+                    result.wasInverted ? '[颜色处理] 已应用反色' : '[颜色处理] 未应用反色' 
+                ],
+                technicalDetails: { 
+                    meanBrightness: result.imageStats?.mean.toFixed(2) || 'N/A',
+                    standardDeviation: result.imageStats?.stdDev.toFixed(2) || 'N/A',
+                    peaks: result.imageStats?.peaks?.map(p => p.toFixed(0)).join(', ') || 'N/A',
+                    valleys: result.imageStats?.valleys?.map(v => v.toFixed(0)).join(', ') || 'N/A',
+                    imageType: detectedImageType
+                },
+                // 类型判定没有重新执行，沿用上次处理的判定结果
+                imageTypeDetection: lastProcessingResult.analysis?.imageTypeDetection || {
+                    imageType: detectedImageType,
+                    summary: `图像类型: ${imageTypeText}`,
+                    confidence: null
                 }
-                
-                result = ImageProcessor.processImageWithCustomParams(originalImageData, baseParams);
-                
-                const currentVariant = materialSelector.getSelectedVariant();
-                // if (currentVariant === 'dark') {
-                //     result.processedImage = ImageAlgorithms.invertColors(result.processedImage);
-                //     console.log("Applied inversion for dark variant after algorithm select.");
-                // }
-                
-                const detectedImageType = result.params?.detectedImageType || 'unknown';
-                const imageTypeText = detectedImageType === 'portrait' ? '人像照片' : 
-                                    detectedImageType === 'cartoon' ? '卡通/线稿' : '普通照片';
-                
-                // 使用当前实际参数创建分析对象，确保显示最新的锚点灰度值
-                const currentAnchorGray = result.params.anchorGray; // 获取处理后的实际值
-                const analysis = {
-                    imageSummary: `重新应用抖动设置 (算法: ${algorithmId === 'none' ? '无抖动' : algorithmId}, 锚点灰度: ${currentAnchorGray}, 图像类型: ${imageTypeText})`,
-                    adjustmentReasons: [
-                        `[抖动调整] 算法更改为 ${algorithmId === 'none' ? '无抖动' : algorithmId}`,
-                        `[用户设置] 锚点灰度保持为 ${currentAnchorGray}`,
-                        // 更新反色说明，直接反映基础处理的反色状态
-                        lastProcessingResult.wasInverted ? '[颜色处理] 深色材料已应用反色' : '[颜色处理] 浅色材料未应用反色' 
-                    ],
-                    technicalDetails: { 
-                        meanBrightness: result.imageStats?.mean.toFixed(2) || 'N/A',
-                        standardDeviation: result.imageStats?.stdDev.toFixed(2) || 'N/A',
-                        peaks: result.imageStats?.peaks?.map(p => p.toFixed(0)).join(', ') || 'N/A',
-                        valleys: result.imageStats?.valleys?.map(v => v.toFixed(0)).join(', ') || 'N/A',
-                        imageType: detectedImageType
-                    },
-                    imageTypeDetection: {
-                        imageType: detectedImageType,
-                        summary: `图像类型: ${imageTypeText}`,
-                        confidence: 0.85
-                    }
-                };
-                result.analysis = analysis;
-                
-                // 记录参数传递情况，便于调试
-                console.log('抖动应用后的参数:', result.params);
-                console.log('传递给 displayAnalysisReport 的参数:', result.params);
-                
-                lastProcessingResult = result;
-                baseProcessedImageData = new ImageData(
-                    new Uint8ClampedArray(result.processedImage.data),
-                    result.processedImage.width,
-                    result.processedImage.height
-                );
-                processedImageData = baseProcessedImageData;
-                // 设置反色状态
-                isCurrentlyInverted = result.wasInverted;
-                if (isCurrentlyInverted) {
-                    invertButton.classList.add('active');
-                } else {
-                invertButton.classList.remove('active');
+            };
+            result.analysis = analysis;
+            
+            // 记录参数传递情况，便于调试
+            console.log('抖动应用后的参数:', result.params);
+            console.log('传递给 displayAnalysisReport 的参数:', result.params);
+            
+            lastProcessingResult = result;
+            baseProcessedImageData = new ImageData(
+                new Uint8ClampedArray(result.processedImage.data),
+                result.processedImage.width,
+                result.processedImage.height
+            );
+            processedImageData = baseProcessedImageData;
+            // 设置反色状态
+            isCurrentlyInverted = result.wasInverted;
+            if (isCurrentlyInverted) {
+                invertButton.classList.add('active');
+            } else {
+            invertButton.classList.remove('active');
+            }
+            
+            // 更新UI元素
+            anchorGraySlider.value = result.params.anchorGray;
+            anchorGrayValue.textContent = result.params.anchorGray;
+            
+            updateResults(result);
+            
+            processingInfoDiv.textContent = `已应用${algorithmId === 'none' ? '无抖动' : algorithmId + '抖动'}设置`;
+            
+        } catch (error) {
+            if (ProcessingClient.isCancelError(error)) {
+                console.log('抖动设置已被新的处理请求取消');
+                return;
+            }
+            console.error("处理错误:", error);
+            showError("应用抖动设置时发生错误: " + error.message);
+        } finally {
+            endProcessing(token);
+        }
+    }
+    
+    // 由材料的亮度/对比度/色阶 (含最终锚点和卡通图自适应黑场) 换算等效的色调曲线
+    function getMaterialToneCurve(result) {
+        const histogram = ImageProcessor.calculateHistogram(result.grayImage);
+        return ToneCurve.fromLUT(ImageProcessor.createAdjustmentLUT(result.params, histogram));
+    }
+    
+    // 用色调曲线重新处理 (points 为 null 时恢复亮度/对比度和色阶)；曲线作为参数覆盖值保留到之后的处理
+    function applyToneCurve(points) {
+        paramOverrides.toneCurve = points;
+        if (!lastProcessingResult) return;
+        handleAlgorithmSelect(selectedDitherAlgorithm, { toneCurve: points });
+    }
+    
+    function resetToneCurve() {
+        if (!lastProcessingResult) return;
+        const points = getMaterialToneCurve(lastProcessingResult);
+        curveEditor.setPoints(points);
+        if (curveEditor.isEnabled()) applyToneCurve(points);
+    }
+    
+    // 记录当前结果的参数 (含当前反色状态) 为新的历史步骤；恢复历史时不记录
+    function recordHistory() {
+        if (isRestoringHistory || isDeferringHistory || !lastProcessingResult) return;
+        paramHistory.record(
+            { ...lastProcessingResult.params, invert: isCurrentlyInverted },
+            { paramOverrides }
+        );
+        historyControls.render(paramHistory.getEntries(), paramHistory.getIndex());
+    }
+    
+    // 用历史快照的参数重新处理，并还原锚点、抖动选项和参数面板覆盖值
+    async function restoreHistoryEntry(entry) {
+        historyControls.render(paramHistory.getEntries(), paramHistory.getIndex());
+        if (!entry || !originalImageData) return;
+        
+        const token = beginProcessing();
+        processingInfoDiv.textContent = '正在恢复历史步骤...';
+        
+        try {
+            const result = await processingClient.run('processImageWithCustomParams', [entry.params], { onProgress: showProgress });
+            const stepNumber = paramHistory.getEntries().indexOf(entry) + 1;
+            
+            result.info = `已恢复第 ${stepNumber} 步: ${entry.description}`;
+            result.analysis = {
+                imageSummary: `已恢复历史第 ${stepNumber} 步 (${entry.description})`,
+                adjustmentReasons: [
+                    `[历史] 使用该步记录的参数重新处理`,
+                    result.wasInverted ? '[颜色处理] 已应用反色' : '[颜色处理] 未应用反色'
+                ],
+                technicalDetails: {
+                    meanBrightness: result.imageStats?.mean.toFixed(2) || 'N/A',
+                    standardDeviation: result.imageStats?.stdDev.toFixed(2) || 'N/A',
+                    peaks: result.imageStats?.peaks?.map(p => p.toFixed(0)).join(', ') || 'N/A',
+                    valleys: result.imageStats?.valleys?.map(v => v.toFixed(0)).join(', ') || 'N/A',
+                    imageType: result.params.detectedImageType || 'unknown'
                 }
-                
-                // 更新UI元素
-                anchorGraySlider.value = result.params.anchorGray;
-                anchorGrayValue.textContent = result.params.anchorGray;
-                
+            };
+            
+            paramOverrides = { ...entry.context.paramOverrides };
+            ditherOptionsControls.setOptions(entry.params);
+            regionPanel.setRegions(entry.params.regions);
+            regions = regionPanel.getRegions();
+            updateRegionShapes();
+            lastProcessingResult = result;
+            isRestoringHistory = true;
+            try {
                 updateResults(result);
-                
-                processingInfoDiv.textContent = `已应用${algorithmId === 'none' ? '无抖动' : algorithmId + '抖动'}设置`;
-                
-            } catch (error) {
-                console.error("处理错误:", error);
-                showError("应用抖动设置时发生错误: " + error.message);
             } finally {
-                loadingDiv.style.display = 'none';
+                isRestoringHistory = false;
+            }
+        } catch (error) {
+            if (ProcessingClient.isCancelError(error)) {
+                console.log('恢复历史步骤已被新的处理请求取消');
+                return;
             }
-        }, 50);
+            console.error("恢复历史步骤失败:", error);
+            showError("恢复历史步骤时发生错误: " + error.message);
+        } finally {
+            endProcessing(token);
+        }
+    }
+    
+    // 参数面板显示 材料默认值 / 自动调整值 / 当前结果；锚点滑块被手动修改时视为覆盖
+    function refreshParamsPanel() {
+        const overrides = { ...paramOverrides };
+        if (anchorGraySlider.dataset.userModified === 'true') {
+            overrides.anchorGray = parseInt(anchorGraySlider.value, 10);
+        }
+        paramsPanel.setValues({
+            material: Materials.getMaterialParams(materialSelector.getSelectedMaterial(), materialSelector.getSelectedVariant()),
+            auto: autoAdjustedParams,
+            current: lastProcessingResult ? lastProcessingResult.params : null
+        }, overrides);
+    }
+    
+    function openParamsPanel() {
+        refreshParamsPanel();
+        paramsModalOverlay.style.display = 'flex';
+    }
+    
+    function closeParamsPanel() {
+        paramsModalOverlay.style.display = 'none';
+    }
+    
+    // 应用参数面板的覆盖值：锚点灰度同步到滑块，抖动选项同步到抖动控件，然后重新处理
+    async function applyParamOverrides(overrides) {
+        const { anchorGray, ...params } = overrides;
+        paramOverrides = params;
+        if (anchorGray !== undefined) {
+            anchorGraySlider.value = anchorGray;
+            anchorGrayValue.textContent = anchorGray;
+            anchorGraySlider.dataset.userModified = 'true';
+        } else {
+            anchorGraySlider.dataset.userModified = 'false';
+        }
+        ditherOptionsControls.setOptions(paramOverrides);
+        
+        // 抖动开关/算法的覆盖值决定重新处理后使用的抖动算法
+        let algorithm = selectedDitherAlgorithm;
+        if (paramOverrides.ditherEnabled === false) {
+            algorithm = 'none';
+        } else if (paramOverrides.ditherType) {
+            algorithm = paramOverrides.ditherType;
+        } else if (paramOverrides.ditherEnabled && algorithm === 'none') {
+            algorithm = Materials.defaultParams.ditherType;
+        }
+        closeParamsPanel();
+        
+        if (!originalImageData) {
+            selectedDitherAlgorithm = algorithm;
+            UI.updateDitherButtonSelection(algorithm);
+            return;
+        }
+        await processWithDither(algorithm);
     }
     
     // 处理图片加载
@@ -311,9 +808,20 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         
-        // 重置人脸检测状态
+        // 多张图片：加入批量处理队列
+        if (e.target.files.length > 1) {
+            addBatchFiles(Array.from(e.target.files));
+            return;
+        }
+        
+        // 重置人脸检测状态 (新图像恢复自动检测类型)
         currentImageFaceDetectionRan = false;
         currentImageDetectedType = null;
+        currentImageFaces = [];
+        currentImageTypeDetection = null;
+        currentImageFeatures = null;
+        imageTypeOverride = null;
+        imageTypeControls.reset();
         console.log('新图像加载，重置人脸检测状态');
         
         const file = e.target.files[0];
@@ -324,27 +832,42 @@ document.addEventListener('DOMContentLoaded', () => {
             showWarning(`图像文件过大 (${fileSize.toFixed(2)}MB)，可能影响处理性能。`);
         }
         
+        // 读取 EXIF 方向 (浏览器不自动校正方向时使用)
+        const exifOrientationPromise = file.arrayBuffer()
+            .then(buffer => ImageGeometry.readExifOrientation(buffer))
+            .catch(() => 1);
+        
         const reader = new FileReader();
         reader.onload = function(event) {
             try {
-                originalImage.onload = () => {
-                    originalWidth = originalImage.naturalWidth;
-                    originalHeight = originalImage.naturalHeight;
+                originalImage.onload = async () => {
+                    const imageWidth = originalImage.naturalWidth;
+                    const imageHeight = originalImage.naturalHeight;
                     
                     // 检查图像尺寸
-                    if (originalWidth * originalHeight > 4000 * 3000) {
+                    if (imageWidth * imageHeight > 4000 * 3000) {
                         showWarning("图像分辨率较大，处理过程可能会较慢。");
                     }
                     
                     // 绘制原始图像到临时画布获取图像数据
                     const tempCanvas = document.createElement('canvas');
-                    tempCanvas.width = originalWidth;
-                    tempCanvas.height = originalHeight;
+                    tempCanvas.width = imageWidth;
+                    tempCanvas.height = imageHeight;
                     const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
                     tempCtx.drawImage(originalImage, 0, 0);
                     
                     try {
-                        originalImageData = tempCtx.getImageData(0, 0, originalWidth, originalHeight);
+                        uploadedImageData = tempCtx.getImageData(0, 0, imageWidth, imageHeight);
+                        // 现代浏览器绘制图像时已按 EXIF 方向校正 (image-orientation: from-image)，只有不支持时才需要自行校正
+                        const orientation = browserAppliesExifOrientation() ? 1 : await exifOrientationPromise;
+                        if (orientation !== 1) {
+                            console.log(`按 EXIF 方向 ${orientation} 校正图像`);
+                        }
+                        geometryEditor.reset(orientation);
+                        applyGeometry();
+                        // 参数快照只对同一张图像有意义
+                        paramHistory.clear();
+                        historyControls.render([], -1);
                         processButton.disabled = false;
                         downloadButton.disabled = true;
                         originalContainer.style.display = 'block';
@@ -353,25 +876,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         processedHistContainer.style.display = 'none';
                         processingInfoDiv.textContent = '';
                         
-                        // --- 恢复：计算并设置初始最佳锚点灰度 --- 
-                        console.log('计算初始最佳锚点灰度...');
-                        const grayImage = ImageProcessor.convertToGrayscale(originalImageData);
-                        const imageStats = ImageProcessor.calculateImageStats(grayImage);
-                        // 注意：这里调用 calculateOptimalAnchorGray 时不传入 imageType，
-                        // 让它使用默认的基于统计的计算方法，首次 processImage 时会根据检测结果再次优化。
-                        // 或者，如果我们想让初始值更准，可以在这里做一个快速的非人脸检测判断，
-                        // 但为了逻辑分离，先用纯统计计算。
-                        const optimalAnchorGray = ImageProcessor.calculateOptimalAnchorGray(imageStats); // 恢复调用
-                        
-                        // 设置滑块值和显示
-                        anchorGraySlider.value = optimalAnchorGray;
-                        anchorGrayValue.textContent = optimalAnchorGray;
-                        console.log(`初始最佳锚点灰度计算完成: ${optimalAnchorGray}`);
-                        // --- 恢复结束 --- 
-                        
-                        const originalHistogram = imageStats.histogram; // 复用 imageStats
-                        ImageProcessor.drawHistogram(originalHistogramCanvas, originalHistogram, '原始灰度直方图');
-                        originalHistContainer.style.display = 'block';
+                        const optimalAnchorGray = initializeSourceAnalysis();
                         processingInfoDiv.textContent = `已自动优化锚点灰度为 ${optimalAnchorGray}。请选择材料并处理。`; // 更新提示
                         
                     } catch (err) {
@@ -400,12 +905,227 @@ document.addEventListener('DOMContentLoaded', () => {
         reader.readAsDataURL(file);
     }
     
+    // 浏览器是否在绘制图像时自动按 EXIF 方向旋转
+    function browserAppliesExifOrientation() {
+        return typeof CSS !== 'undefined' && CSS.supports && CSS.supports('image-orientation', 'from-image');
+    }
+    
+    // 对上传的图像应用旋转/镜像/裁剪 (背景蒙版和区域基于裁剪后的图像，几何变化后清除)
+    function applyGeometry() {
+        const transform = geometryEditor.getTransform();
+        const oriented = ImageGeometry.orient(uploadedImageData, transform);
+        geometryEditor.setImage(oriented);
+        geometryImageData = transform.crop ? ImageGeometry.crop(oriented, transform.crop) : oriented;
+        backgroundMask = null;
+        // 区域形状的坐标基于裁剪后的图像，几何变化后失效
+        regions = [];
+        regionDraft = null;
+        regionPanel.setRegions([]);
+        geometryEditor.setShapes([]);
+        updateSourceImage();
+    }
+    
+    // 在裁剪后的图像上应用背景蒙版，结果作为之后检测和处理的原始图像
+    function updateSourceImage() {
+        originalImageData = backgroundMask
+            ? BackgroundRemoval.applyMask(geometryImageData, backgroundMask)
+            : geometryImageData;
+        originalWidth = originalImageData.width;
+        originalHeight = originalImageData.height;
+        outputSizeControls.setAspectRatio(originalWidth / originalHeight);
+        processingClient.setSource(originalImageData);
+        geometryEditor.setOverlay(backgroundMask
+            ? BackgroundRemoval.createOverlay(backgroundMask, originalWidth, originalHeight)
+            : null);
+        backgroundControls.setCoverage(BackgroundRemoval.getCoverage(backgroundMask));
+        
+        // 检测结果只对变换前的区域有效 (手动指定的类型保留)
+        currentImageFaceDetectionRan = false;
+        currentImageDetectedType = null;
+        currentImageFaces = [];
+        currentImageTypeDetection = null;
+        currentImageFeatures = null;
+        imageTypeControls.setDetection(null);
+    }
+    
+    // 计算原始图像的灰度直方图和初始最佳锚点灰度 (用户手动调整过锚点时保留滑块值)
+    function initializeSourceAnalysis() {
+        console.log('计算初始最佳锚点灰度...');
+        const grayImage = ImageProcessor.convertToGrayscale(originalImageData, backgroundControls.getAlphaParams());
+        const imageStats = ImageProcessor.calculateImageStats(grayImage);
+        // 注意：这里调用 calculateOptimalAnchorGray 时不传入 imageType，
+        // 让它使用默认的基于统计的计算方法，首次 processImage 时会根据检测结果再次优化。
+        const optimalAnchorGray = ImageProcessor.calculateOptimalAnchorGray(imageStats);
+        
+        if (anchorGraySlider.dataset.userModified !== 'true') {
+            anchorGraySlider.value = optimalAnchorGray;
+            anchorGrayValue.textContent = optimalAnchorGray;
+        }
+        console.log(`初始最佳锚点灰度计算完成: ${optimalAnchorGray}`);
+        
+        ImageProcessor.drawHistogram(originalHistogramCanvas, imageStats.histogram, '原始灰度直方图');
+        originalHistContainer.style.display = 'block';
+        return optimalAnchorGray;
+    }
+    
+    // 原始图像内容变化后：旧的参数快照不再适用，重新计算直方图和锚点，已处理过时按当前设置重新处理
+    async function refreshSourceImage(message) {
+        paramHistory.clear();
+        historyControls.render([], -1);
+        initializeSourceAnalysis();
+        processingInfoDiv.textContent = message;
+        await reprocessCurrentImage();
+    }
+    
+    // 重新处理并按指定算法抖动：processImage 的未抖动结果只是中间步骤，历史中只记录最终结果一次
+    async function processWithDither(algorithm) {
+        isDeferringHistory = algorithm !== 'none';
+        let processed;
+        try {
+            processed = await processImage();
+        } finally {
+            isDeferringHistory = false;
+        }
+        if (processed && algorithm !== 'none') {
+            await handleAlgorithmSelect(algorithm);
+        }
+    }
+    
+    // 已处理过时按当前设置重新处理 (保持当前的抖动算法)
+    async function reprocessCurrentImage() {
+        if (!lastProcessingResult) return;
+        const algorithm = selectedDitherAlgorithm;
+        await processWithDither(algorithm);
+    }
+    
+    // 旋转/镜像/裁剪变化：重新生成原始图像
+    async function handleGeometryChange(transform, physicalSize) {
+        if (!uploadedImageData) return;
+        try {
+            applyGeometry();
+        } catch (error) {
+            console.error('几何变换失败:', error);
+            showError('裁剪/旋转失败: ' + error.message);
+            return;
+        }
+        if (physicalSize) {
+            outputSizeControls.setPhysicalSize(physicalSize);
+        }
+        console.log('几何变换已更新:', transform);
+        await refreshSourceImage(`原始图像已更新为 ${originalWidth} x ${originalHeight} 像素`);
+    }
+    
+    // 背景蒙版变化 (null 为清除)：背景像素设为透明，按透明区域规则不参与雕刻
+    async function setBackgroundMask(mask) {
+        if (!geometryImageData) return;
+        backgroundMask = mask && BackgroundRemoval.getCoverage(mask) > 0 ? mask : null;
+        updateSourceImage();
+        const coverage = BackgroundRemoval.getCoverage(backgroundMask);
+        await refreshSourceImage(backgroundMask
+            ? `已去除背景 (${(coverage * 100).toFixed(1)}% 的像素不雕刻)`
+            : '已清除背景蒙版');
+    }
+    
+    // 按边缘颜色聚类自动去除背景
+    function removeBackgroundAutomatically(tolerance) {
+        if (!geometryImageData) return;
+        const { mask, colors } = BackgroundRemoval.detectBackground(geometryImageData, { tolerance });
+        if (colors.length === 0) {
+            processingInfoDiv.textContent = '图像边缘没有占主导的背景色，请使用魔棒手动选取';
+            return;
+        }
+        console.log('识别出的背景色:', colors);
+        setBackgroundMask(mask);
+    }
+    
+    // 原图画布上的鼠标操作：魔棒开启时选取背景，否则按区域工具绘制形状
+    function handleCanvasPointer(phase, x, y, event) {
+        if (!geometryImageData) return;
+        if (backgroundControls.isWandActive()) {
+            if (phase === 'down') pickBackgroundRegion(x, y, event);
+            return;
+        }
+        const tool = regionPanel.getTool();
+        if (tool === 'none') return;
+        
+        if (phase === 'down') {
+            regionDraft = tool === 'brush'
+                ? { type: 'brush', points: [[x, y]], radius: regionPanel.getBrushRadius() }
+                : { type: tool, startX: x, startY: y, x, y, width: 0, height: 0 };
+        } else if (regionDraft) {
+            if (regionDraft.type === 'brush') {
+                regionDraft.points.push([x, y]);
+            } else {
+                regionDraft.x = Math.min(x, regionDraft.startX);
+                regionDraft.y = Math.min(y, regionDraft.startY);
+                regionDraft.width = Math.abs(x - regionDraft.startX);
+                regionDraft.height = Math.abs(y - regionDraft.startY);
+            }
+            if (phase === 'up') {
+                const { startX, startY, ...shape } = regionDraft;
+                regionDraft = null;
+                // 忽略误点产生的过小矩形/椭圆
+                if (shape.type === 'brush' || (shape.width >= 2 && shape.height >= 2)) {
+                    regionPanel.addShape(shape);
+                    return;
+                }
+            }
+        }
+        updateRegionShapes();
+    }
+    
+    // 在原图上显示各区域的形状 (含正在绘制的形状)
+    function updateRegionShapes() {
+        const shapes = regions.flatMap(region => region.shapes.map(shape => ({ ...shape, color: region.color })));
+        if (regionDraft) {
+            shapes.push({ ...regionDraft, color: regionPanel.getActiveColor() || '#e67e22' });
+        }
+        geometryEditor.setShapes(shapes);
+    }
+    
+    // 有形状的区域 (传给处理流程)
+    function getActiveRegions() {
+        const activeRegions = regions.filter(region => region.shapes.length > 0);
+        return activeRegions.length > 0 ? activeRegions : null;
+    }
+    
+    // 检测人脸，每张脸生成一个区域
+    async function createFaceRegions() {
+        if (!originalImageData) {
+            showError('请先上传图片');
+            return;
+        }
+        processingInfoDiv.textContent = '正在检测人脸...';
+        const detections = await ImageProcessor.detectFaces(originalImageData);
+        if (detections.length === 0) {
+            processingInfoDiv.textContent = '未检测到人脸';
+            return;
+        }
+        const boxes = detections.map(detection => detection.box);
+        regionPanel.addRegions(RegionMasks.fromFaceBoxes(boxes, originalWidth, originalHeight));
+        processingInfoDiv.textContent = `已由 ${boxes.length} 张人脸生成区域，设置参数后点击"应用区域"`;
+    }
+    
+    // 魔棒：点击位置颜色相近的相连区域加入背景 (按住 Alt 时从背景中去除)
+    function pickBackgroundRegion(x, y, event) {
+        if (x < 0 || y < 0 || x >= geometryImageData.width || y >= geometryImageData.height) return;
+        const region = BackgroundRemoval.magicWand(geometryImageData, x, y, backgroundControls.getTolerance());
+        setBackgroundMask(BackgroundRemoval.combineMasks(backgroundMask, region, event.altKey));
+    }
+    
     // 重置UI状态
     function resetUI() {
         originalImage.src = "#";
+        uploadedImageData = null;
+        geometryImageData = null;
+        backgroundMask = null;
+        regions = [];
+        regionPanel.setRegions([]);
         originalImageData = null;
+        processingClient.cancel();
         processButton.disabled = true;
         downloadButton.disabled = true;
+        gcodeControls.setEnabled(false);
         originalContainer.style.display = 'none';
         processedContainer.style.display = 'none';
         originalHistContainer.style.display = 'none';
@@ -415,19 +1135,22 @@ document.addEventListener('DOMContentLoaded', () => {
         resetParams(); // 重置锚点滑块
     }
     
-    // 处理图像
+    // 处理图像 (返回是否处理完成；被新的处理请求取消时返回 false)
     async function processImage() {
         const errorMessageDiv = document.getElementById('errorMessage');
         errorMessageDiv.style.display = 'none';
         errorMessageDiv.textContent = '';
         
+        // 材料/颜色/激光器变化时刷新预设列表并切换到新组合的默认预设
+        const activePreset = syncActivePreset();
+        
         if (!originalImageData) {
             if (event && event.target === anchorGraySlider) return;
             showError("请先上传图片");
             return;
         }
         
-        loadingDiv.style.display = 'block';
+        const token = beginProcessing();
         processButton.disabled = true;
         downloadButton.disabled = true;
         // 根据是否已检测过，设置不同的提示信息
@@ -458,30 +1181,45 @@ document.addEventListener('DOMContentLoaded', () => {
                  console.log('用户未手动修改锚点，将由后端自动计算');
             }
             
-            // 如果之前已经运行过检测，则传递已知类型
-            if (currentImageFaceDetectionRan) {
-                processorParams.knownImageType = currentImageDetectedType;
-                console.log('传递已知图像类型:', currentImageDetectedType);
-            } else {
-                console.log('首次处理，不传递已知图像类型，将执行检测。');
+            // 输出尺寸 (物理尺寸 + DPI 换算为像素)
+            Object.assign(processorParams, getOutputParams());
+            // 透明区域的处理方式和区域蒙版
+            Object.assign(processorParams, backgroundControls.getAlphaParams());
+            processorParams.regions = getActiveRegions();
+            // 参数面板的覆盖值 (在自动调整之后生效)
+            if (Object.keys(paramOverrides).length > 0) {
+                processorParams.params = { ...paramOverrides };
             }
             
-            // 调用恢复后的 ImageProcessor.processImage
-            const result = await ImageProcessor.processImage(
-                originalImageData, 
-                materialId, 
-                variant, 
-                laserType, 
-                processorParams // 传递可能包含 knownImageType 的参数
-            );
+            // 首次处理时先检测图像类型并记录结果，之后传递已知类型
+            const isFirstDetection = !currentImageFaceDetectionRan;
+            if (isFirstDetection) {
+                console.log('首次处理，执行图像类型检测。');
+                await detectImageTypeInBackground(token);
+                console.log('首次图像类型检测完成，记录结果:', currentImageDetectedType);
+            }
+            processorParams.knownImageType = currentImageDetectedType;
+            processorParams.typeDetection = getTypeDetection();
+            processorParams.faces = currentImageFaces;
+            console.log('传递已知图像类型:', currentImageDetectedType);
+            
+            let result;
+            if (activePreset) {
+                result = await processImageWithPreset(activePreset, processorParams, token);
+            } else {
+                // 在 Worker 中执行 ImageProcessor.processImage
+                result = await processingClient.run('processImage', [
+                    materialId, 
+                    variant, 
+                    laserType, 
+                    processorParams
+                ], { onProgress: showProgress });
+            }
             console.log('图像处理完成');
+            autoAdjustedParams = result.initialParams || null;
             
-            // 如果是首次运行检测，则记录结果
-            if (!currentImageFaceDetectionRan) {
-                currentImageFaceDetectionRan = true;
-                currentImageDetectedType = result.params?.detectedImageType;
-                console.log('首次图像类型检测完成，记录结果:', currentImageDetectedType);
-                
+            if (isFirstDetection) {
+
                 // 添加人脸检测结果提示
                 if (currentImageDetectedType === 'portrait') {
                     // 短暂显示提示后恢复默认信息或处理信息
@@ -518,8 +1256,13 @@ document.addEventListener('DOMContentLoaded', () => {
             anchorGrayValue.textContent = result.params.anchorGray;
             
             updateResults(result);
+            return true;
             
         } catch (error) {
+            if (ProcessingClient.isCancelError(error)) {
+                console.log('图像处理已被新的处理请求取消');
+                return false;
+            }
             console.error("处理错误:", error);
             showError("处理图像时发生错误: " + error.message);
             
@@ -534,7 +1277,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     anchorGray: currentAnchorGray,
                     brightness: 0, contrast: 1.2, sharpness: 0.5, 
                     levelInLow: 0, levelInHigh: 255, levelOutLow: 0, levelOutHigh: 255,
-                    ditherEnabled: false
+                    ditherEnabled: false,
+                    ...getOutputParams(),
+                    ...backgroundControls.getAlphaParams()
                 };
                 
                 const fallbackResult = ImageProcessor.processImageWithCustomParams(
@@ -569,18 +1314,120 @@ document.addEventListener('DOMContentLoaded', () => {
                 
                 updateResults(fallbackResult);
                 showWarning("人脸检测功能可能存在问题，已使用基本处理模式。");
+                return true;
                 
             } catch (fallbackError) {
                 console.error("回退处理也失败:", fallbackError);
                 showError("所有处理方法均失败，请检查图像格式是否正确。");
                 resetUI();
+                return false;
             }
         } finally {
-            loadingDiv.style.display = 'none';
+            endProcessing(token);
             processButton.disabled = false;
         }
     }
     
+    // 当前的预设作用域
+    function getPresetScope() {
+        return {
+            materialId: materialSelector.getSelectedMaterial(),
+            variant: materialSelector.getSelectedVariant(),
+            laserType: laserTypeSelector.getSelectedLaserType()
+        };
+    }
+    
+    // 同步预设状态，返回当前生效的预设 (没有则返回 null)
+    function syncActivePreset() {
+        const scope = getPresetScope();
+        const scopeKey = PresetStore.getScopeKey(scope);
+        if (scopeKey !== presetScopeKey) {
+            presetScopeKey = scopeKey;
+            const defaultPreset = PresetStore.getDefault(scope);
+            activePresetId = defaultPreset ? defaultPreset.id : null;
+        }
+        const preset = activePresetId ? PresetStore.get(activePresetId) : null;
+        if (!preset) activePresetId = null;
+        presetControls.refresh(activePresetId || '');
+        return preset;
+    }
+    
+    // 当前处理状态 (用于保存预设)
+    function getPresetState() {
+        if (!lastProcessingResult) return null;
+        const anchorGray = parseInt(anchorGraySlider.value, 10);
+        const activePreset = activePresetId ? PresetStore.get(activePresetId) : null;
+        let anchorOverride = null;
+        if (anchorGraySlider.dataset.userModified === 'true') {
+            anchorOverride = anchorGray;
+        } else if (activePreset) {
+            anchorOverride = activePreset.anchorOverride;
+        }
+        return {
+            params: {
+                ...lastProcessingResult.params,
+                anchorGray,
+                ditherEnabled: selectedDitherAlgorithm !== 'none',
+                ditherType: selectedDitherAlgorithm !== 'none' ? selectedDitherAlgorithm : lastProcessingResult.params.ditherType,
+                invert: isCurrentlyInverted
+            },
+            anchorOverride
+        };
+    }
+    
+    // 使用预设参数处理图像；预设未覆盖锚点时，先按当前图像自动计算锚点
+    async function processImageWithPreset(preset, processorParams, token) {
+        let anchorGray = processorParams.anchorGray ?? preset.anchorOverride;
+        let anchorReason = `[预设] 锚点灰度使用预设值 ${anchorGray}`;
+        if (processorParams.anchorGray !== undefined) {
+            anchorReason = `[用户设置] 锚点灰度被手动设置为 ${anchorGray}`;
+        } else if (anchorGray === null || anchorGray === undefined) {
+            const autoResult = await processingClient.run('processImage', [
+                preset.materialId,
+                preset.variant,
+                preset.laserType,
+                processorParams
+            ], { onProgress: showProgress });
+            throwIfStale(token);
+            anchorGray = autoResult.params.anchorGray;
+            anchorReason = `[锚点优化] 预设未固定锚点，按当前图像自动计算为 ${anchorGray}`;
+        }
+        
+        // 预设中的抖动选项同步到界面
+        ditherOptionsControls.setOptions(preset.params);
+        const params = {
+            ...preset.params,
+            ...processorParams.params,
+            ...getOutputParams(),
+            ...backgroundControls.getAlphaParams(),
+            regions: getActiveRegions(),
+            faces: currentImageFaces.length > 0 ? currentImageFaces : null,
+            anchorGray,
+            detectedImageType: currentImageDetectedType
+        };
+        const result = await processingClient.run('processImageWithCustomParams', [params], { onProgress: showProgress });
+        
+        const ditherText = params.ditherEnabled ? params.ditherType : '无抖动';
+        result.detectedImageType = currentImageDetectedType;
+        result.info = `已应用预设 "${preset.name}"`;
+        result.analysis = {
+            imageSummary: `已应用预设 "${preset.name}" (锚点灰度: ${anchorGray}, 抖动: ${ditherText})`,
+            adjustmentReasons: [
+                `[预设] 使用 "${preset.name}" 保存的完整参数`,
+                anchorReason,
+                result.wasInverted ? '[颜色处理] 预设已应用反色' : '[颜色处理] 预设未应用反色'
+            ],
+            technicalDetails: {
+                meanBrightness: result.imageStats?.mean.toFixed(2) || 'N/A',
+                standardDeviation: result.imageStats?.stdDev.toFixed(2) || 'N/A',
+                peaks: result.imageStats?.peaks?.map(p => p.toFixed(0)).join(', ') || 'N/A',
+                valleys: result.imageStats?.valleys?.map(v => v.toFixed(0)).join(', ') || 'N/A',
+                imageType: currentImageDetectedType
+            }
+        };
+        return result;
+    }
+    
     // 显示错误信息
     function showError(message) {
         const errorMessageDiv = document.getElementById('errorMessage');
@@ -600,6 +1447,37 @@ document.addEventListener('DOMContentLoaded', () => {
         console.warn(message);
     }
     
+    // 绘制处理结果：开启材料模拟时按材料颜色和光斑扩散渲染 (画布尺寸跟随处理结果，按DPI重采样后可能与原图不同)
+    function drawProcessedCanvas() {
+        if (!processedImageData) return;
+        let imageDataToDraw = processedImageData;
+        const simulation = simulationControls.getSettings();
+        if (simulation.enabled) {
+            const appearance = Materials.getMaterialAppearance(materialSelector.getSelectedMaterial(), materialSelector.getSelectedVariant());
+            const params = (lastProcessingResult && lastProcessingResult.params) || {};
+            try {
+                imageDataToDraw = BurnSimulator.render(processedImageData, {
+                    ...appearance,
+                    texture: simulation.texture ? appearance.texture : 'none',
+                    beamDiameter: params.dotGainBeamDiameter,
+                    dpi: params.outputDpi
+                });
+            } catch (error) {
+                console.error("雕刻模拟失败:", error);
+                showError("雕刻模拟失败: " + error.message);
+            }
+        }
+        processedCanvas.width = imageDataToDraw.width;
+        processedCanvas.height = imageDataToDraw.height;
+        processedCanvas.getContext('2d').putImageData(imageDataToDraw, 0, 0);
+        // 人脸框只画在预览画布上，不影响导出
+        const faces = lastProcessingResult && lastProcessingResult.params.faces;
+        if (simulation.faces && faces && originalImageData) {
+            UI.drawFaceOverlay(processedCanvas, faces,
+                imageDataToDraw.width / originalImageData.width, imageDataToDraw.height / originalImageData.height);
+        }
+    }
+    
     // 更新处理结果显示
     function updateResults(result) {
         baseProcessedImageData = new ImageData(
@@ -615,10 +1493,7 @@ document.addEventListener('DOMContentLoaded', () => {
         invertButton.classList.remove('active');
         }
         
-        processedCanvas.width = originalWidth;
-        processedCanvas.height = originalHeight;
-        const processedCtx = processedCanvas.getContext('2d');
-        processedCtx.putImageData(result.processedImage, 0, 0);
+        drawProcessedCanvas();
         
         const grayHistogram = ImageProcessor.calculateHistogram(result.grayImage);
         const processedHistogram = ImageProcessor.calculateHistogram(baseProcessedImageData);
@@ -631,15 +1506,21 @@ document.addEventListener('DOMContentLoaded', () => {
         ImageProcessor.drawHistogram(originalHistogramCanvas, grayHistogram, '原始灰度直方图');
         ImageProcessor.drawHistogram(processedHistogramCanvas, processedHistogram, '处理后灰度直方图');
         
+        // 曲线编辑器显示当前使用的曲线；未使用曲线时显示材料参数的等效曲线
+        curveEditor.captureBackground();
+        curveEditor.setPoints(result.params.toneCurve || getMaterialToneCurve(result), !!result.params.toneCurve);
+        
         UI.showProcessingInfo('processingInfo', result.info);
         
-        const selectedAlgorithm = result.params.ditherEnabled ? result.params.ditherType : 'none';
-        UI.updateDitherButtonSelection(selectedAlgorithm);
+        selectedDitherAlgorithm = result.params.ditherEnabled ? result.params.ditherType : 'none';
+        UI.updateDitherButtonSelection(selectedDitherAlgorithm);
         
         originalHistContainer.style.display = 'block';
         processedContainer.style.display = 'block';
         processedHistContainer.style.display = 'block';
         downloadButton.disabled = false;
+        gcodeControls.setEnabled(true);
+        updateExportFormatOptions();
         
         if (result.analysis) {
             displayAnalysisReport(result.analysis, result.imageStats, result.params);
@@ -649,6 +1530,8 @@ document.addEventListener('DOMContentLoaded', () => {
             anchorGraySlider.value = result.params.anchorGray;
             anchorGrayValue.textContent = result.params.anchorGray;
         }
+        
+        recordHistory();
     }
     
     // 显示分析报告
@@ -762,7 +1645,16 @@ document.addEventListener('DOMContentLoaded', () => {
                                 return; 
                             }
                             
-                            if (!params.ditherEnabled && (key === 'ditherThreshold' || key === 'ditherType')) {
+                            if (!params.ditherEnabled && (key.startsWith('dither') || key.startsWith('dotGain')) && key !== 'ditherEnabled') {
+                                return;
+                            }
+                            
+                            // 色调曲线代替了亮度/对比度和色阶
+                            if (params.toneCurve && (key === 'brightness' || key === 'contrast' || key.startsWith('level'))) {
+                                return;
+                            }
+                            
+                            if (value === null || value === undefined) {
                                 return;
                             }
 
@@ -771,11 +1663,16 @@ document.addEventListener('DOMContentLoaded', () => {
                             
                             if (key === 'contrast') {
                                 displayValue = (value * 100).toFixed(0) + '%';
-                            } else if (key === 'ditherEnabled') {
+                            } else if (typeof value === 'boolean') {
                                 displayValue = value ? '是' : '否';
                             } else if (key === 'ditherType' && value) {
-                                const typeNames = { 'floydSteinberg': 'Floyd-Steinberg', 'atkinson': 'Atkinson', 'jarvis': 'Jarvis', 'ordered': 'Ordered', 'bayer': 'Bayer' };
-                                displayValue = typeNames[value] || value;
+                                const algorithm = ImageAlgorithms.getDitherAlgorithms().find(algo => algo.id === value);
+                                displayValue = algorithm ? algorithm.name : value;
+                            } else if (key === 'dotGainMode') {
+                                const mode = DotGain.getModes().find(item => item.id === value);
+                                displayValue = mode ? mode.name : value;
+                            } else if (key === 'dotGainCurve' || key === 'toneCurve') {
+                                displayValue = value.map(point => point.join(':')).join(', ');
                             } else if (typeof value === 'number' && !Number.isInteger(value)) {
                                 displayValue = value.toFixed(2);
                             }
@@ -825,42 +1722,206 @@ document.addEventListener('DOMContentLoaded', () => {
     
     function getParamDisplayName(paramKey) {
         const displayNames = {
-            brightness: '亮度',
-            contrast: '对比度',
-            anchorGray: '锚点灰度',
-            levelInLow: '输入黑场',
-            levelInHigh: '输入白场',
-            levelOutLow: '输出黑场',
-            levelOutHigh: '输出白场',
-            sharpness: '锐化',
-            ditherEnabled: '启用抖动',
-            ditherThreshold: '抖动阈值',
-            ditherType: '抖动类型'
+            ...Materials.PARAM_LABELS,
+            outputWidth: '输出宽度(像素)',
+            outputHeight: '输出高度(像素)',
+            outputDpi: '输出DPI',
+            resampleKernel: '重采样算法'
         };
         
         return displayNames[paramKey] || paramKey;
     }
     
-    function downloadImage() {
+    async function downloadImage() {
         if (!processedImageData) {
             alert("没有处理后的图像可供下载。");
             return;
         }
         
-        const finalCanvas = document.getElementById('processedCanvas');
-        finalCanvas.width = processedImageData.width;
-        finalCanvas.height = processedImageData.height;
-        const finalCtx = finalCanvas.getContext('2d');
-        finalCtx.putImageData(processedImageData, 0, 0);
+        const format = exportFormatSelect.value;
+        // 优先使用处理时的输出DPI，未启用物理尺寸输出时使用当前设置的DPI
+        const dpi = lastProcessingResult?.params?.outputDpi || outputSizeControls.getSettings().dpi;
         
-        const link = document.createElement('a');
-        const materialId = materialSelector.getSelectedMaterial();
-        const variant = materialSelector.getSelectedVariant();
-        const filename = `laser_processed_${materialId}_${variant}_${new Date().getTime()}.png`;
-        link.download = filename;
+        try {
+            const { bytes, mimeType, extension } = SvgExporter.formats[format]
+                ? SvgExporter.encode(processedImageData, format, { dpi })
+                : await ImageEncoders.encode(processedImageData, format, { dpi });
+            
+            const link = document.createElement('a');
+            const materialId = materialSelector.getSelectedMaterial();
+            const variant = materialSelector.getSelectedVariant();
+            const filename = `laser_processed_${materialId}_${variant}_${new Date().getTime()}.${extension}`;
+            link.download = filename;
+            
+            const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            processingInfoDiv.textContent = `已导出 ${filename} (${(bytes.length / 1024).toFixed(1)} KB, ${Math.round(dpi)} DPI)`;
+        } catch (error) {
+            console.error("导出图像失败:", error);
+            showError("导出图像失败: " + error.message);
+        }
+    }
+    
+    // 将多张图片加入批量处理队列
+    async function addBatchFiles(files) {
+        processingInfoDiv.textContent = `正在读取 ${files.length} 张图片...`;
+        for (const file of files) {
+            try {
+                batchItems.push(await BatchProcessor.loadImageFile(file));
+            } catch (error) {
+                console.error("读取批量图片失败:", error);
+                showWarning(`${file.name} 读取失败，已跳过。`);
+            }
+        }
+        batchPanel.render(batchItems);
+        processingInfoDiv.textContent = `批量队列共 ${batchItems.length} 张图片，将使用当前的材料、颜色、激光器和抖动设置处理。`;
+    }
+    
+    // 依次处理队列中未完成的图片
+    async function processBatch() {
+        if (batchRunning) return;
+        
+        // 只传物理宽度和 DPI：每张图片按自身的宽高比计算像素尺寸
+        const sizeSettings = outputSizeControls.getSettings();
+        const outputSize = sizeSettings.enabled && sizeSettings.width > 0 && sizeSettings.dpi > 0 ? {
+            width: sizeSettings.width,
+            unit: sizeSettings.unit,
+            dpi: Math.round(sizeSettings.dpi * 100) / 100,
+            kernel: sizeSettings.kernel
+        } : null;
+        const settings = {
+            material: materialSelector.getSelectedMaterial(),
+            variant: materialSelector.getSelectedVariant(),
+            laser: laserTypeSelector.getSelectedLaserType(),
+            dither: selectedDitherAlgorithm,
+            ditherOptions: ditherOptionsControls.getOptions(),
+            outputSize,
+            dpi: sizeSettings.dpi
+        };
+        
+        batchRunning = true;
+        batchPanel.setBusy(true);
+        const queue = batchItems.filter(item => item.status !== 'done');
+        let index = 0;
+        for (const item of queue) {
+            index++;
+            item.status = 'processing';
+            item.error = null;
+            batchPanel.render(batchItems);
+            processingInfoDiv.textContent = `批量处理 ${index}/${queue.length}: ${item.name}`;
+            
+            try {
+                item.processed = await BatchProcessor.processItem(batchClient, item, settings, (stage, progress) => {
+                    item.progressText = `${stage} (${Math.round(progress * 100)}%)`;
+                    batchPanel.render(batchItems);
+                });
+                item.status = 'done';
+            } catch (error) {
+                console.error(`批量处理 ${item.name} 失败:`, error);
+                item.status = 'error';
+                item.error = error.message;
+            }
+            item.progressText = null;
+            batchPanel.render(batchItems);
+        }
+        batchRunning = false;
+        batchPanel.setBusy(false);
+        
+        const doneCount = batchItems.filter(item => item.status === 'done').length;
+        processingInfoDiv.textContent = `批量处理完成: ${doneCount}/${batchItems.length} 张成功`;
+    }
+    
+    // 下载批量处理结果 (PNG + JSON 报告打包为 ZIP)
+    async function downloadBatchZip() {
+        try {
+            processingInfoDiv.textContent = '正在打包 ZIP...';
+            const blob = await BatchProcessor.createZip(batchItems);
+            const link = document.createElement('a');
+            link.download = `laser_batch_${new Date().getTime()}.zip`;
+            const url = URL.createObjectURL(blob);
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            processingInfoDiv.textContent = `已导出 ${link.download} (${(blob.size / 1024).toFixed(1)} KB)`;
+        } catch (error) {
+            console.error("打包 ZIP 失败:", error);
+            showError("打包 ZIP 失败: " + error.message);
+        }
+    }
+    
+    // 清空批量处理队列
+    function clearBatch() {
+        if (batchRunning) return;
+        batchItems = [];
+        batchPanel.render(batchItems);
+        processingInfoDiv.textContent = '';
+    }
+    
+    // 导出 G代码
+    function exportGcode() {
+        if (!processedImageData) {
+            showError("没有处理后的图像可供导出。");
+            return;
+        }
         
-        link.href = finalCanvas.toDataURL('image/png');
-        link.click();
+        try {
+            const dpi = lastProcessingResult?.params?.outputDpi || outputSizeControls.getSettings().dpi;
+            const options = {
+                ...gcodeControls.getOptions(),
+                laserType: laserTypeSelector.getSelectedLaserType(),
+                dpi
+            };
+            const { gcode, lineCount, estimatedSeconds, binary } = GcodeGenerator.generate(processedImageData, options);
+            
+            const materialId = materialSelector.getSelectedMaterial();
+            const variant = materialSelector.getSelectedVariant();
+            const filename = `laser_processed_${materialId}_${variant}_${new Date().getTime()}.gcode`;
+            
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(new Blob([gcode], { type: 'text/plain' }));
+            link.download = filename;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            const minutes = Math.floor(estimatedSeconds / 60);
+            const seconds = Math.round(estimatedSeconds % 60);
+            processingInfoDiv.textContent = `已导出 ${filename} (${lineCount} 行, ${binary ? '开关模式' : '灰度功率模式'}, 预计加工约 ${minutes} 分 ${seconds} 秒)`;
+        } catch (error) {
+            console.error("生成G代码失败:", error);
+            showError("生成G代码失败: " + error.message);
+        }
+    }
+    
+    // 根据处理结果是否为纯黑白、图像类型，启用/禁用对应的导出格式
+    function updateExportFormatOptions() {
+        const bilevel = processedImageData ? ImageEncoders.isBilevel(processedImageData) : false;
+        const isCartoon = lastProcessingResult?.params?.detectedImageType === 'cartoon';
+        Array.from(exportFormatSelect.options).forEach(option => {
+            const formatInfo = ImageEncoders.formats[option.value] || SvgExporter.formats[option.value];
+            option.disabled = (formatInfo.bilevelOnly && !bilevel) || (formatInfo.cartoonOnly && !isCartoon);
+        });
+        if (exportFormatSelect.selectedOptions[0]?.disabled) {
+            exportFormatSelect.value = 'png';
+        }
+    }
+
+    // 获取输出尺寸参数 (未启用时返回 null 值，用于清除之前的设置)
+    function getOutputParams() {
+        const settings = outputSizeControls.getSettings();
+        if (!settings.enabled || settings.width <= 0 || settings.height <= 0 || settings.dpi <= 0) {
+            return { outputWidth: null, outputHeight: null, outputDpi: null, resampleKernel: null };
+        }
+        const size = ImageResampler.calculateTargetSize(settings.width, settings.height, settings.unit, settings.dpi);
+        return {
+            outputWidth: size.width,
+            outputHeight: size.height,
+            outputDpi: Math.round(settings.dpi * 100) / 100,
+            resampleKernel: settings.kernel
+        };
     }
 
     function resetParams() {
@@ -3,6 +3,9 @@
  * 包含锐化和抖动算法的实现
  */
 
+import ImageBuffer from './imageBuffer.js';
+import BlueNoise from './blueNoise.js';
+
 const ImageAlgorithms = (() => {
     /**
      * 对图像应用锐化效果
@@ -65,63 +68,240 @@ const ImageAlgorithms = (() => {
             }
         }
         
-        return new ImageData(temp, width, height);
+        return ImageBuffer.create(temp, width, height);
     };
     
+    const MAX_LEVELS = 256;
+    
     /**
-     * 应用Floyd-Steinberg抖动算法
-     * @param {ImageData} imageData - 原始图像数据
-     * @param {number} threshold - 阈值 (0-255)
+     * 规范化输出级别表
+     * @param {Array|string|null} table - 每个级别的输出灰度值 (数组或逗号分隔的文本)，空值表示线性
+     * @param {number} levels - 级别数
+     * @returns {Array|null} 规范化后的级别表 (升序整数 0-255)，线性时返回 null
+     * @throws {Error} 级别表无效时抛出
+     */
+    const normalizeLevelTable = (table, levels) => {
+        if (table === null || table === undefined || table === '') {
+            return null;
+        }
+        const values = typeof table === 'string'
+            ? table.split(/[,，\s]+/).filter(text => text !== '').map(Number)
+            : Array.from(table);
+        if (values.length !== levels) {
+            throw new Error(`级别表需要 ${levels} 个值，实际为 ${values.length} 个`);
+        }
+        for (let i = 0; i < values.length; i++) {
+            if (!Number.isInteger(values[i]) || values[i] < 0 || values[i] > 255) {
+                throw new Error(`级别表第 ${i + 1} 个值必须是 0-255 的整数`);
+            }
+            if (i > 0 && values[i] <= values[i - 1]) {
+                throw new Error('级别表必须从深到浅严格递增');
+            }
+        }
+        return values;
+    };
+    
+    /**
+     * 创建多级量化器
+     * 抖动在色调空间中按 levels 个等间距级别量化，再通过级别表映射为输出灰度值，
+     * 级别表可以是非线性的，用来对应激光器实际的功率档位 (G代码按灰度线性换算功率)
+     * @param {Object} options - { levels: 级别数 (2-256), levelTable: 级别表, threshold: 二值时的阈值 }
+     * @returns {Object} { levels, tones, outputs, nearest(value), ordered(value, t) }
+     */
+    const createLevelQuantizer = (options = {}) => {
+        const levels = Math.max(2, Math.min(MAX_LEVELS, Math.round(options.levels || 2)));
+        const step = 255 / (levels - 1);
+        const tones = Array.from({ length: levels }, (_, i) => i * step);
+        const outputs = normalizeLevelTable(options.levelTable, levels) || tones.map(Math.round);
+        const threshold = options.threshold ?? 128;
+        
+        // 误差扩散：二值时沿用阈值，多级时取最近的级别
+        const nearest = levels === 2
+            ? (value) => (value < threshold ? 0 : 1)
+            : (value) => Math.max(0, Math.min(levels - 1, Math.round(value / step)));
+        
+        // 阈值图抖动：在相邻两个级别之间按阈值图的值 t (0-255) 选择
+        const ordered = (value, t) => {
+            const scaled = Math.max(0, Math.min(255, value)) / step;
+            if (scaled >= levels - 1) return levels - 1;
+            const base = Math.floor(scaled);
+            return (scaled - base) * 255 > t ? base + 1 : base;
+        };
+        
+        return { levels, tones, outputs, nearest, ordered };
+    };
+    
+    // 将级别序号按级别表写入 RGBA 结果
+    const writeLevel = (result, pixels, idx, outputs, level) => {
+        const value = outputs[level];
+        result[idx] = value;     // R
+        result[idx + 1] = value; // G
+        result[idx + 2] = value; // B
+        result[idx + 3] = pixels[idx + 3]; // Alpha不变
+    };
+    
+    /**
+     * 误差扩散核定义
+     * offsets 中每项为 [dx, dy, 权重]，误差按 权重 / divisor 分配给当前像素右侧和下方的像素
+     */
+    const ERROR_DIFFUSION_KERNELS = {
+        floydSteinberg: {
+            name: 'Floyd-Steinberg',
+            divisor: 16,
+            offsets: [
+                [1, 0, 7],
+                [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+            ]
+        },
+        // Jarvis, Judice, and Ninke - 使用12点误差扩散
+        jarvis: {
+            name: 'Jarvis',
+            divisor: 48,
+            offsets: [
+                [1, 0, 7], [2, 0, 5],
+                [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+                [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+            ]
+        },
+        // Atkinson 只扩散 6/8 的误差，比 Floyd-Steinberg 更锐利，暗部和亮部细节损失较多
+        // 经典实现按整数运算：每份误差向下取整 (floorError)，输出整体略偏暗
+        atkinson: {
+            name: 'Atkinson',
+            divisor: 8,
+            floorError: true,
+            offsets: [
+                [1, 0, 1], [2, 0, 1],
+                [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+                [0, 2, 1]
+            ]
+        },
+        // Stucki - 与 Jarvis 范围相同，权重更集中，结果更清晰
+        stucki: {
+            name: 'Stucki',
+            divisor: 42,
+            offsets: [
+                [1, 0, 8], [2, 0, 4],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+                [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+            ]
+        },
+        // Burkes - Stucki 去掉第三行，速度更快
+        burkes: {
+            name: 'Burkes',
+            divisor: 32,
+            offsets: [
+                [1, 0, 8], [2, 0, 4],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+            ]
+        },
+        sierra3: {
+            name: 'Sierra-3',
+            divisor: 32,
+            offsets: [
+                [1, 0, 5], [2, 0, 3],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+                [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+            ]
+        },
+        twoRowSierra: {
+            name: 'Two-Row Sierra',
+            divisor: 16,
+            offsets: [
+                [1, 0, 4], [2, 0, 3],
+                [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+            ]
+        },
+        // Sierra Lite - 只扩散到3个像素，接近 Floyd-Steinberg 的速度
+        sierraLite: {
+            name: 'Sierra Lite',
+            divisor: 4,
+            offsets: [
+                [1, 0, 2],
+                [-1, 1, 1], [0, 1, 1]
+            ]
+        }
+    };
+    
+    /**
+     * 通用误差扩散抖动
+     * @param {ImageData} imageData - 原始图像数据 (灰度，R=G=B)
+     * @param {string|Object} kernel - 误差扩散核ID 或 { divisor, offsets, floorError } 定义 (floorError 时每份误差向下取整)
+     * @param {Object} options - 扩散选项
+     * @param {number} [options.threshold=128] - 阈值 (0-255)
+     * @param {boolean} [options.serpentine=false] - 蛇形扫描：奇数行从右向左扫描并镜像扩散核，消除单向扫描在平滑渐变上的斜向"虫纹"
+     * @param {number} [options.attenuation=1] - 误差衰减系数：只扩散 attenuation 倍的误差，降低大面积平坦区域的噪点
+     * @param {number} [options.errorClamp=0] - 单个像素扩散误差的绝对值上限，防止误差在平坦高光区累积失控；0 表示不限制
+     * @param {number} [options.levels=2] - 输出级别数
+     * @param {Array} [options.levelTable] - 输出级别表 (见 createLevelQuantizer)
      * @returns {ImageData} 处理后的图像数据
      */
-    const applyFloydSteinbergDithering = (imageData, threshold = 128) => {
+    const applyErrorDiffusion = (imageData, kernel, options = {}) => {
+        const definition = typeof kernel === 'string' ? ERROR_DIFFUSION_KERNELS[kernel] : kernel;
+        if (!definition) {
+            throw new Error(`未知的误差扩散核: ${kernel}`);
+        }
+        const serpentine = !!options.serpentine;
+        const attenuation = options.attenuation ?? 1;
+        const errorClamp = options.errorClamp > 0 ? options.errorClamp : Infinity;
+        const quantizer = createLevelQuantizer(options);
+        const levelIndex = new Uint8Array(imageData.width * imageData.height);
         const width = imageData.width;
         const height = imageData.height;
-        const pixels = new Uint8ClampedArray(imageData.data);
+        const pixels = imageData.data;
         const result = new Uint8ClampedArray(pixels.length);
         
         // 创建一个灰度图像用于抖动处理
-        const grayArray = new Array(width * height);
+        const grayArray = new Float64Array(width * height);
         for (let i = 0; i < width * height; i++) {
             grayArray[i] = pixels[i * 4]; // 假设这已经是灰度图像（R=G=B）
         }
         
-        // 应用Floyd-Steinberg抖动
+        const weights = definition.offsets.map(([dx, dy, weight]) => [dx, dy, weight * attenuation / definition.divisor]);
+        const floorWeights = definition.offsets.map(([dx, dy, weight]) => [dx, dy, weight]);
+        
         for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
+            // 蛇形扫描时奇数行反向，扩散方向随之镜像
+            const reverse = serpentine && y % 2 === 1;
+            const direction = reverse ? -1 : 1;
+            for (let i = 0; i < width; i++) {
+                const x = reverse ? width - 1 - i : i;
                 const idx = y * width + x;
                 const oldPixel = grayArray[idx];
-                const newPixel = oldPixel < threshold ? 0 : 255;
-                grayArray[idx] = newPixel;
+                const level = quantizer.nearest(oldPixel);
+                const newPixel = quantizer.tones[level];
+                levelIndex[idx] = level;
                 
-                const quantError = oldPixel - newPixel;
+                const quantError = Math.max(-errorClamp, Math.min(errorClamp, oldPixel - newPixel));
+                if (quantError === 0) continue;
                 
-                // 将误差扩散到相邻像素
-                if (x + 1 < width) {
-                    grayArray[idx + 1] += quantError * 7 / 16;
-                }
-                if (y + 1 < height) {
-                    if (x - 1 >= 0) {
-                        grayArray[(y + 1) * width + (x - 1)] += quantError * 3 / 16;
-                    }
-                    grayArray[(y + 1) * width + x] += quantError * 5 / 16;
-                    if (x + 1 < width) {
-                        grayArray[(y + 1) * width + (x + 1)] += quantError * 1 / 16;
+                // 将误差扩散到相邻像素 (超出边界的部分丢弃)
+                const error = definition.floorError ? Math.floor(quantError * attenuation / definition.divisor) : quantError;
+                for (const [dx, dy, weight] of definition.floorError ? floorWeights : weights) {
+                    const nx = x + dx * direction;
+                    const ny = y + dy;
+                    if (nx >= 0 && nx < width && ny < height) {
+                        grayArray[ny * width + nx] += error * weight;
                     }
                 }
             }
         }
         
-        // 将抖动后的灰度值转回RGBA格式
+        // 按级别表转回RGBA格式
         for (let i = 0; i < width * height; i++) {
-            const val = Math.max(0, Math.min(255, Math.round(grayArray[i])));
-            result[i * 4] = val;     // R
-            result[i * 4 + 1] = val; // G
-            result[i * 4 + 2] = val; // B
-            result[i * 4 + 3] = pixels[i * 4 + 3]; // Alpha不变
+            writeLevel(result, pixels, i * 4, quantizer.outputs, levelIndex[i]);
         }
         
-        return new ImageData(result, width, height);
+        return ImageBuffer.create(result, width, height);
+    };
+    
+    /**
+     * 应用Floyd-Steinberg抖动算法
+     * @param {ImageData} imageData - 原始图像数据
+     * @param {number} threshold - 阈值 (0-255)
+     * @returns {ImageData} 处理后的图像数据
+     */
+    const applyFloydSteinbergDithering = (imageData, threshold = 128) => {
+        return applyErrorDiffusion(imageData, 'floydSteinberg', { threshold });
     };
     
     /**
@@ -131,187 +311,195 @@ const ImageAlgorithms = (() => {
      * @returns {ImageData} 处理后的图像数据
      */
     const applyJarvisDithering = (imageData, threshold = 128) => {
+        return applyErrorDiffusion(imageData, 'jarvis', { threshold });
+    };
+    
+    /**
+     * 应用Atkinson抖动算法 (比Floyd-Steinberg更锐利，更少的噪点)
+     * @param {ImageData} imageData - 原始图像数据
+     * @param {number} threshold - 阈值 (0-255)
+     * @returns {ImageData} 处理后的图像数据
+     */
+    const applyAtkinsonDithering = (imageData, threshold = 128) => {
+        return applyErrorDiffusion(imageData, 'atkinson', { threshold });
+    };
+    
+    /**
+     * 应用Ordered抖动算法 (使用有序抖动矩阵，产生均匀的网点图案)
+     * @param {ImageData} imageData - 原始图像数据
+     * @param {Object} options - { levels: 输出级别数 (默认 2), levelTable: 输出级别表 }
+     * @returns {ImageData} 处理后的图像数据
+     */
+    const applyOrderedDithering = (imageData, options = {}) => {
         const width = imageData.width;
         const height = imageData.height;
         const pixels = new Uint8ClampedArray(imageData.data);
         const result = new Uint8ClampedArray(pixels.length);
+        const quantizer = createLevelQuantizer(options);
         
-        // 创建一个灰度图像用于抖动处理
-        const grayArray = new Array(width * height);
-        for (let i = 0; i < width * height; i++) {
-            grayArray[i] = pixels[i * 4]; // 假设这已经是灰度图像（R=G=B）
-        }
+        // 8x8 Bayer矩阵
+        const bayerMatrix = [
+            [ 0, 32,  8, 40,  2, 34, 10, 42],
+            [48, 16, 56, 24, 50, 18, 58, 26],
+            [12, 44,  4, 36, 14, 46,  6, 38],
+            [60, 28, 52, 20, 62, 30, 54, 22],
+            [ 3, 35, 11, 43,  1, 33,  9, 41],
+            [51, 19, 59, 27, 49, 17, 57, 25],
+            [15, 47,  7, 39, 13, 45,  5, 37],
+            [63, 31, 55, 23, 61, 29, 53, 21]
+        ];
         
-        // Jarvis, Judice, and Ninke抖动 - 使用12点误差扩散
+        // 应用有序抖动
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-                const idx = y * width + x;
-                const oldPixel = grayArray[idx];
-                const newPixel = oldPixel < threshold ? 0 : 255;
-                grayArray[idx] = newPixel;
-                
-                const quantError = oldPixel - newPixel;
-                
-                // 第一行（当前行）的误差扩散
-                if (x + 1 < width)
-                    grayArray[idx + 1] += quantError * 7 / 48;
-                if (x + 2 < width)
-                    grayArray[idx + 2] += quantError * 5 / 48;
+                const idx = (y * width + x) * 4;
+                const grayValue = pixels[idx]; // 假设这已经是灰度图像（R=G=B）
                 
-                // 第二行的误差扩散
-                if (y + 1 < height) {
-                    if (x - 2 >= 0)
-                        grayArray[(y + 1) * width + (x - 2)] += quantError * 3 / 48;
-                    if (x - 1 >= 0)
-                        grayArray[(y + 1) * width + (x - 1)] += quantError * 5 / 48;
-                    grayArray[(y + 1) * width + x] += quantError * 7 / 48;
-                    if (x + 1 < width)
-                        grayArray[(y + 1) * width + (x + 1)] += quantError * 5 / 48;
-                    if (x + 2 < width)
-                        grayArray[(y + 1) * width + (x + 2)] += quantError * 3 / 48;
-                }
+                // 确定阈值 (根据Bayer矩阵)
+                const threshold = (bayerMatrix[y % 8][x % 8] / 64) * 255;
                 
-                // 第三行的误差扩散
-                if (y + 2 < height) {
-                    if (x - 2 >= 0)
-                        grayArray[(y + 2) * width + (x - 2)] += quantError * 1 / 48;
-                    if (x - 1 >= 0)
-                        grayArray[(y + 2) * width + (x - 1)] += quantError * 3 / 48;
-                    grayArray[(y + 2) * width + x] += quantError * 5 / 48;
-                    if (x + 1 < width)
-                        grayArray[(y + 2) * width + (x + 1)] += quantError * 3 / 48;
-                    if (x + 2 < width)
-                        grayArray[(y + 2) * width + (x + 2)] += quantError * 1 / 48;
-                }
+                // 在相邻级别之间决策 (二值时即 grayValue > threshold)
+                writeLevel(result, pixels, idx, quantizer.outputs, quantizer.ordered(grayValue, threshold));
             }
         }
         
-        // 将抖动后的灰度值转回RGBA格式
-        for (let i = 0; i < width * height; i++) {
-            const val = Math.max(0, Math.min(255, Math.round(grayArray[i])));
-            result[i * 4] = val;     // R
-            result[i * 4 + 1] = val; // G
-            result[i * 4 + 2] = val; // B
-            result[i * 4 + 3] = pixels[i * 4 + 3]; // Alpha不变
-        }
-        
-        return new ImageData(result, width, height);
+        return ImageBuffer.create(result, width, height);
     };
     
     /**
-     * 应用Atkinson抖动算法 (比Floyd-Steinberg更锐利，更少的噪点)
+     * 应用蓝噪声阈值图抖动 (void-and-cluster 阈值图平铺，无 Bayer 的十字网纹，速度与有序抖动相同)
      * @param {ImageData} imageData - 原始图像数据
-     * @param {number} threshold - 阈值 (0-255)
+     * @param {Object} options - { size: 阈值图边长 (默认 64), seed: 随机种子, levels: 输出级别数, levelTable: 输出级别表 }
      * @returns {ImageData} 处理后的图像数据
      */
-    const applyAtkinsonDithering = (imageData, threshold = 128) => {
+    const applyBlueNoiseDithering = (imageData, options = {}) => {
         const width = imageData.width;
         const height = imageData.height;
-        const pixels = new Uint8ClampedArray(imageData.data);
+        const pixels = imageData.data;
         const result = new Uint8ClampedArray(pixels.length);
+        const quantizer = createLevelQuantizer(options);
         
-        // 创建一个灰度图像用于抖动处理
-        const grayArray = new Array(width * height);
-        for (let i = 0; i < width * height; i++) {
-            grayArray[i] = pixels[i * 4]; // 假设这已经是灰度图像（R=G=B）
-        }
+        const mask = BlueNoise.getMask(options.size || BlueNoise.DEFAULT_SIZE, options.seed ?? BlueNoise.DEFAULT_SEED);
+        const size = mask.size;
         
-        // 应用Atkinson抖动
         for (let y = 0; y < height; y++) {
+            const maskRow = (y % size) * size;
             for (let x = 0; x < width; x++) {
-                const idx = y * width + x;
-                const oldPixel = grayArray[idx];
-                const newPixel = oldPixel < threshold ? 0 : 255;
-                grayArray[idx] = newPixel;
-                
-                const quantError = Math.floor((oldPixel - newPixel) / 8);
-                
-                // Atkinson算法的误差扩散模式
-                if (x + 1 < width) {
-                    grayArray[idx + 1] += quantError;
-                }
-                if (x + 2 < width) {
-                    grayArray[idx + 2] += quantError;
-                }
-                if (y + 1 < height) {
-                    if (x - 1 >= 0) {
-                        grayArray[(y + 1) * width + (x - 1)] += quantError;
-                    }
-                    grayArray[(y + 1) * width + x] += quantError;
-                    if (x + 1 < width) {
-                        grayArray[(y + 1) * width + (x + 1)] += quantError;
-                    }
-                }
-                if (y + 2 < height) {
-                    grayArray[(y + 2) * width + x] += quantError;
-                }
+                const idx = (y * width + x) * 4;
+                const level = quantizer.ordered(pixels[idx], mask.thresholds[maskRow + (x % size)]);
+                writeLevel(result, pixels, idx, quantizer.outputs, level);
             }
         }
         
-        // 将抖动后的灰度值转回RGBA格式
-        for (let i = 0; i < width * height; i++) {
-            const val = Math.max(0, Math.min(255, Math.round(grayArray[i])));
-            result[i * 4] = val;     // R
-            result[i * 4 + 1] = val; // G
-            result[i * 4 + 2] = val; // B
-            result[i * 4 + 3] = pixels[i * 4 + 3]; // Alpha不变
+        return ImageBuffer.create(result, width, height);
+    };
+    
+    /**
+     * 调幅网点的点形函数
+     * 输入为网格单元内的坐标 (x, y ∈ [-1, 1]，单元中心为 0)，返回值越小越先被雕刻，网点从中心向外生长
+     */
+    const HALFTONE_SPOT_FUNCTIONS = {
+        round: { name: '圆形', spot: (x, y) => (x * x + y * y) / 2 },
+        ellipse: { name: '椭圆', spot: (x, y) => (0.6 * x * x + 1.4 * y * y) / 2 },
+        line: { name: '线条', spot: (x, y) => Math.abs(y) }
+    };
+    
+    const DEFAULT_HALFTONE_DPI = 254;
+    
+    // 点形函数值 -> 覆盖率 的查找表 (按点形缓存)，使网点面积与灰度成线性关系
+    const spotCoverageCache = new Map();
+    
+    const getSpotCoverage = (shape) => {
+        if (spotCoverageCache.has(shape)) {
+            return spotCoverageCache.get(shape);
         }
-        
-        return new ImageData(result, width, height);
+        const spot = HALFTONE_SPOT_FUNCTIONS[shape].spot;
+        const bins = 4096;
+        const samples = 256;
+        const histogram = new Float64Array(bins);
+        for (let j = 0; j < samples; j++) {
+            for (let i = 0; i < samples; i++) {
+                const value = spot((i + 0.5) / samples * 2 - 1, (j + 0.5) / samples * 2 - 1);
+                histogram[Math.min(bins - 1, Math.floor(value * bins))]++;
+            }
+        }
+        // 累积分布：coverage[k] 为点形函数值小于第 k 个区间中点的比例
+        const coverage = new Float64Array(bins);
+        let cumulative = 0;
+        for (let k = 0; k < bins; k++) {
+            coverage[k] = (cumulative + histogram[k] / 2) / (samples * samples);
+            cumulative += histogram[k];
+        }
+        spotCoverageCache.set(shape, coverage);
+        return coverage;
     };
     
     /**
-     * 应用Ordered抖动算法 (使用有序抖动矩阵，产生均匀的网点图案)
+     * 应用调幅 (AM) 网点抖动：按网线数生成聚集的网点，激光可以稳定地打出每个网点 (适合皮革、涂层金属名片)
      * @param {ImageData} imageData - 原始图像数据
+     * @param {Object} options - 网点参数
+     * @param {string} [options.shape='round'] - 点形: round | ellipse | line
+     * @param {number} [options.angle=45] - 网线角度 (度)
+     * @param {number} [options.lpi=50] - 网线数 (每英寸网点行数)
+     * @param {number} [options.dpi=254] - 输出分辨率，网格单元边长为 dpi / lpi 像素
+     * @param {number} [options.levels=2] - 输出级别数，多级时网点边缘使用中间功率档位
+     * @param {Array} [options.levelTable] - 输出级别表
      * @returns {ImageData} 处理后的图像数据
      */
-    const applyOrderedDithering = (imageData) => {
+    const applyHalftoneDithering = (imageData, options = {}) => {
         const width = imageData.width;
         const height = imageData.height;
-        const pixels = new Uint8ClampedArray(imageData.data);
+        const pixels = imageData.data;
         const result = new Uint8ClampedArray(pixels.length);
+        const quantizer = createLevelQuantizer(options);
         
-        // 8x8 Bayer矩阵
-        const bayerMatrix = [
-            [ 0, 32,  8, 40,  2, 34, 10, 42],
-            [48, 16, 56, 24, 50, 18, 58, 26],
-            [12, 44,  4, 36, 14, 46,  6, 38],
-            [60, 28, 52, 20, 62, 30, 54, 22],
-            [ 3, 35, 11, 43,  1, 33,  9, 41],
-            [51, 19, 59, 27, 49, 17, 57, 25],
-            [15, 47,  7, 39, 13, 45,  5, 37],
-            [63, 31, 55, 23, 61, 29, 53, 21]
-        ];
+        const shape = HALFTONE_SPOT_FUNCTIONS[options.shape] ? options.shape : 'round';
+        const spot = HALFTONE_SPOT_FUNCTIONS[shape].spot;
+        const coverage = getSpotCoverage(shape);
+        const bins = coverage.length;
+        
+        const dpi = options.dpi > 0 ? options.dpi : DEFAULT_HALFTONE_DPI;
+        const lpi = options.lpi > 0 ? options.lpi : 50;
+        // 网格单元至少 2 像素，否则无法形成网点
+        const cellSize = Math.max(2, dpi / lpi);
+        const angle = (options.angle ?? 45) * Math.PI / 180;
+        const cos = Math.cos(angle) / cellSize;
+        const sin = Math.sin(angle) / cellSize;
         
-        // 应用有序抖动
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
-                const grayValue = pixels[idx]; // 假设这已经是灰度图像（R=G=B）
-                
-                // 确定阈值 (根据Bayer矩阵)
-                const threshold = (bayerMatrix[y % 8][x % 8] / 64) * 255;
+                // 旋转到网格坐标系，取像素中心在所属单元内的位置
+                const u = (x + 0.5) * cos + (y + 0.5) * sin;
+                const v = -(x + 0.5) * sin + (y + 0.5) * cos;
+                const cellX = (u - Math.floor(u)) * 2 - 1;
+                const cellY = (v - Math.floor(v)) * 2 - 1;
+                const value = spot(cellX, cellY);
+                const threshold = coverage[Math.min(bins - 1, Math.floor(value * bins))] * 255;
                 
-                // 二值化决策
-                const newValue = grayValue > threshold ? 255 : 0;
-                
-                result[idx] = newValue;     // R
-                result[idx + 1] = newValue; // G
-                result[idx + 2] = newValue; // B
-                result[idx + 3] = pixels[idx + 3]; // Alpha不变
+                // 越暗的像素网点覆盖率越高 (0 为雕刻)，在暗度上量化后再换回亮度级别
+                const darkLevel = quantizer.ordered(255 - pixels[idx], threshold);
+                writeLevel(result, pixels, idx, quantizer.outputs, quantizer.levels - 1 - darkLevel);
             }
         }
         
-        return new ImageData(result, width, height);
+        return ImageBuffer.create(result, width, height);
     };
     
+    /**
+     * 获取可选的调幅网点点形
+     * @returns {Array} [{ id, name }]
+     */
+    const getHalftoneShapes = () => Object.entries(HALFTONE_SPOT_FUNCTIONS).map(([id, { name }]) => ({ id, name }));
+    
     /**
      * 应用Bayer抖动算法 (与Ordered抖动类似，但使用不同的矩阵和实现)
      * @param {ImageData} imageData - 原始图像数据
-     * @param {number} levels - 颜色级别 (2-6, 默认为2表示二值化)
+     * @param {number} levels - 颜色级别 (2-256, 默认为2表示二值化)
+     * @param {Array} [levelTable] - 输出级别表，为空时级别均匀分布
      * @returns {ImageData} 处理后的图像数据
      */
-    const applyBayerDithering = (imageData, levels = 2) => {
+    const applyBayerDithering = (imageData, levels = 2, levelTable = null) => {
         const width = imageData.width;
         const height = imageData.height;
         const pixels = new Uint8ClampedArray(imageData.data);
@@ -330,10 +518,8 @@ const ImageAlgorithms = (() => {
         ];
         
         // 确保级别在有效范围内
-        levels = Math.max(2, Math.min(6, levels));
-        
-        // 计算量化步长
-        const step = 255 / (levels - 1);
+        const quantizer = createLevelQuantizer({ levels, levelTable });
+        levels = quantizer.levels;
         
         // 应用Bayer抖动
         for (let y = 0; y < height; y++) {
@@ -348,18 +534,13 @@ const ImageAlgorithms = (() => {
                 let quantizedValue = grayValue + (threshold - 0.5) / levels;
                 quantizedValue = Math.max(0, Math.min(0.999, quantizedValue));
                 
-                // 量化为指定级别
+                // 量化为指定级别，按级别表输出
                 const level = Math.floor(quantizedValue * levels);
-                const newValue = Math.round(level * step);
-                
-                result[idx] = newValue;     // R
-                result[idx + 1] = newValue; // G
-                result[idx + 2] = newValue; // B
-                result[idx + 3] = pixels[idx + 3]; // Alpha不变
+                writeLevel(result, pixels, idx, quantizer.outputs, level);
             }
         }
         
-        return new ImageData(result, width, height);
+        return ImageBuffer.create(result, width, height);
     };
     
     /**
@@ -440,6 +621,28 @@ const ImageAlgorithms = (() => {
         return result;
     };
     
+    // 可选的抖动算法 (界面按钮、自定义材料校验共用)
+    const ditherAlgorithms = [
+        { id: 'floydSteinberg', name: 'Floyd-Steinberg' },
+        { id: 'atkinson', name: 'Atkinson' },
+        { id: 'jarvis', name: 'Jarvis' },
+        { id: 'stucki', name: 'Stucki' },
+        { id: 'burkes', name: 'Burkes' },
+        { id: 'sierra3', name: 'Sierra-3' },
+        { id: 'twoRowSierra', name: 'Two-Row Sierra' },
+        { id: 'sierraLite', name: 'Sierra Lite' },
+        { id: 'blueNoise', name: '蓝噪声 (Blue Noise)' },
+        { id: 'ordered', name: 'Ordered' },
+        { id: 'halftone', name: '调幅网点 (AM)' },
+        { id: 'bayer', name: 'Bayer' }
+    ];
+    
+    /**
+     * 获取可选的抖动算法列表
+     * @returns {Array} [{ id, name }]
+     */
+    const getDitherAlgorithms = () => ditherAlgorithms.map(algo => ({ ...algo }));
+    
     /**
      * 根据类型应用抖动算法
      * @param {ImageData} imageData - 原始图像数据
@@ -451,19 +654,37 @@ const ImageAlgorithms = (() => {
             return imageData;
         }
         
+        // 输出级别：默认二值化，多级时按级别表映射到功率档位
+        const levelOptions = { levels: params.ditherLevels || 2, levelTable: params.ditherLevelTable };
+        
+        // 误差扩散类算法统一由误差扩散核驱动
+        if (ERROR_DIFFUSION_KERNELS[params.ditherType]) {
+            return applyErrorDiffusion(imageData, params.ditherType, {
+                ...levelOptions,
+                threshold: params.ditherThreshold,
+                serpentine: params.ditherSerpentine,
+                attenuation: params.ditherErrorAttenuation,
+                errorClamp: params.ditherErrorClamp
+            });
+        }
+        
         switch(params.ditherType) {
-            case 'floydSteinberg':
-                return applyFloydSteinbergDithering(imageData, params.ditherThreshold);
-            case 'atkinson':
-                return applyAtkinsonDithering(imageData, params.ditherThreshold);
-            case 'jarvis':
-                return applyJarvisDithering(imageData, params.ditherThreshold);
+            case 'blueNoise':
+                return applyBlueNoiseDithering(imageData, { ...levelOptions, size: params.ditherBlueNoiseSize, seed: params.ditherBlueNoiseSeed });
             case 'ordered':
-                return applyOrderedDithering(imageData);
+                return applyOrderedDithering(imageData, levelOptions);
+            case 'halftone':
+                return applyHalftoneDithering(imageData, {
+                    ...levelOptions,
+                    shape: params.ditherHalftoneShape,
+                    angle: params.ditherHalftoneAngle,
+                    lpi: params.ditherHalftoneLpi,
+                    dpi: params.outputDpi
+                });
             case 'bayer':
-                return applyBayerDithering(imageData, 2); // 默认使用二值化
+                return applyBayerDithering(imageData, levelOptions.levels, levelOptions.levelTable);
             default:
-                return applyFloydSteinbergDithering(imageData, params.ditherThreshold);
+                return applyErrorDiffusion(imageData, 'floydSteinberg', { ...levelOptions, threshold: params.ditherThreshold });
         }
     };
     
@@ -488,18 +709,25 @@ const ImageAlgorithms = (() => {
             // Alpha 保持不变
         }
         
-        return new ImageData(data, width, height);
+        return ImageBuffer.create(data, width, height);
     };
     
     return {
         applySharpening,
         applyDithering,
+        getDitherAlgorithms,
         analyzeHistogram,
         smoothHistogram,
+        normalizeLevelTable,
+        createLevelQuantizer,
+        applyErrorDiffusion,
         applyFloydSteinbergDithering,
         applyAtkinsonDithering,
         applyJarvisDithering,
         applyOrderedDithering,
+        applyBlueNoiseDithering,
+        applyHalftoneDithering,
+        getHalftoneShapes,
         applyBayerDithering,
         invertColors
     };
@@ -0,0 +1,277 @@
+/**
+ * 透明区域与背景去除模块
+ * 定义透明像素的处理方式 (不雕刻，或合成到指定底色上按图像内容处理)，
+ * 并提供魔棒 (按容差从种子点填充) 和按边缘颜色聚类的自动背景检测，生成排除背景的蒙版
+ */
+
+import ImageBuffer from './imageBuffer.js';
+import Color from './color.js';
+
+const BackgroundRemoval = (() => {
+    // 不透明度低于该值的像素视为透明
+    const ALPHA_THRESHOLD = 128;
+    const DEFAULT_TOLERANCE = 32;
+    // 自动检测时，占边缘像素比例不低于该值的颜色簇才算背景色
+    const MIN_BORDER_SHARE = 0.1;
+
+    const ALPHA_MODES = {
+        unburned: '不雕刻 (视为白色)',
+        composite: '合成到底色'
+    };
+
+    /**
+     * 透明像素在灰度转换时合成到的底色灰度
+     * @param {Object} params - { alphaMode, alphaColor }
+     * @returns {number} 底色灰度 (不雕刻模式为白色 255)
+     */
+    const getBackgroundGray = (params = {}) => {
+        if (params.alphaMode !== 'composite') return 255;
+        const [r, g, b] = Color.parseColor(params.alphaColor || '#ffffff');
+        return Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    };
+
+    /**
+     * 输出前处理透明区域：不雕刻模式下透明像素 (按处理前的灰度图判断) 一律输出白色，结果全部不透明
+     * 反色在此之前完成，因此深色材料上透明区域同样不雕刻
+     * @param {ImageData} imageData - 处理结果
+     * @param {ImageData} alphaSource - 提供透明度的灰度图像 (与处理结果尺寸相同)
+     * @param {Object} params - { alphaMode }
+     * @returns {ImageData} 不透明的处理结果
+     */
+    const flattenAlpha = (imageData, alphaSource, params = {}) => {
+        const data = new Uint8ClampedArray(imageData.data);
+        const alpha = alphaSource.data;
+        const unburned = params.alphaMode !== 'composite';
+        for (let i = 0; i < data.length; i += 4) {
+            if (unburned && alpha[i + 3] < ALPHA_THRESHOLD) {
+                data[i] = 255;
+                data[i + 1] = 255;
+                data[i + 2] = 255;
+            }
+            data[i + 3] = 255;
+        }
+        return ImageBuffer.create(data, imageData.width, imageData.height);
+    };
+
+    /**
+     * 判断图像是否含有透明像素
+     * @param {ImageData} imageData - 图像数据
+     * @returns {boolean}
+     */
+    const hasTransparency = (imageData) => {
+        const data = imageData.data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < ALPHA_THRESHOLD) return true;
+        }
+        return false;
+    };
+
+    const colorDistance = (data, index, color) => {
+        const dr = data[index] - color[0];
+        const dg = data[index + 1] - color[1];
+        const db = data[index + 2] - color[2];
+        return Math.sqrt(dr * dr + dg * dg + db * db);
+    };
+
+    /**
+     * 从种子像素出发做四连通填充
+     * @param {ImageData} imageData - 图像数据
+     * @param {Array<number>} seeds - 种子像素索引
+     * @param {Function} accept - (像素索引) => 是否属于填充区域
+     * @returns {Uint8Array} 填充区域 (1 为区域内)
+     */
+    const floodFill = (imageData, seeds, accept) => {
+        const { width, height } = imageData;
+        const region = new Uint8Array(width * height);
+        const stack = [];
+        seeds.forEach(seed => {
+            if (!region[seed] && accept(seed)) {
+                region[seed] = 1;
+                stack.push(seed);
+            }
+        });
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const neighbors = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index >= width ? index - width : -1,
+                index < width * (height - 1) ? index + width : -1
+            ];
+            for (const next of neighbors) {
+                if (next >= 0 && !region[next] && accept(next)) {
+                    region[next] = 1;
+                    stack.push(next);
+                }
+            }
+        }
+        return region;
+    };
+
+    /**
+     * 魔棒：选取与种子点颜色相近 (RGB 距离不超过容差) 且相连的区域，透明像素总是可以通过
+     * @param {ImageData} imageData - 图像数据
+     * @param {number} x - 种子点横坐标
+     * @param {number} y - 种子点纵坐标
+     * @param {number} [tolerance=32] - 颜色容差 (0-255)
+     * @returns {Uint8Array} 选区 (1 为选中)
+     */
+    const magicWand = (imageData, x, y, tolerance = DEFAULT_TOLERANCE) => {
+        const { width, height, data } = imageData;
+        const seedX = Math.max(0, Math.min(width - 1, Math.floor(x)));
+        const seedY = Math.max(0, Math.min(height - 1, Math.floor(y)));
+        const seed = seedY * width + seedX;
+        const color = [data[seed * 4], data[seed * 4 + 1], data[seed * 4 + 2]];
+        return floodFill(imageData, [seed], index =>
+            data[index * 4 + 3] < ALPHA_THRESHOLD || colorDistance(data, index * 4, color) <= tolerance);
+    };
+
+    /**
+     * 对图像边缘像素的颜色聚类，找出背景色 (占边缘比例不低于 10% 的颜色簇)
+     * @param {ImageData} imageData - 图像数据
+     * @param {number} tolerance - 颜色容差，同一簇内的颜色与簇中心的距离不超过该值
+     * @returns {Array} [{ color: [r, g, b], share }] 按占比从高到低排列
+     */
+    const findBorderColors = (imageData, tolerance = DEFAULT_TOLERANCE) => {
+        const { width, height, data } = imageData;
+        const clusters = [];
+        let total = 0;
+        const addPixel = (index) => {
+            if (data[index * 4 + 3] < ALPHA_THRESHOLD) return;
+            total++;
+            // 贪心聚类：归入第一个足够接近的簇并更新簇中心，否则新建一个簇
+            const cluster = clusters.find(item => colorDistance(data, index * 4, item.color) <= tolerance);
+            if (cluster) {
+                cluster.count++;
+                for (let c = 0; c < 3; c++) {
+                    cluster.sum[c] += data[index * 4 + c];
+                    cluster.color[c] = cluster.sum[c] / cluster.count;
+                }
+            } else {
+                const color = [data[index * 4], data[index * 4 + 1], data[index * 4 + 2]];
+                clusters.push({ color, sum: [...color], count: 1 });
+            }
+        };
+        for (let x = 0; x < width; x++) {
+            addPixel(x);
+            if (height > 1) addPixel((height - 1) * width + x);
+        }
+        for (let y = 1; y < height - 1; y++) {
+            addPixel(y * width);
+            if (width > 1) addPixel(y * width + width - 1);
+        }
+        if (total === 0) return [];
+        return clusters
+            .map(cluster => ({ color: cluster.color.map(Math.round), share: cluster.count / total }))
+            .filter(cluster => cluster.share >= MIN_BORDER_SHARE)
+            .sort((a, b) => b.share - a.share);
+    };
+
+    /**
+     * 自动检测背景：从图像边缘出发，填充与边缘背景色相近的相连区域 (主体内部的同色区域不受影响)
+     * @param {ImageData} imageData - 图像数据
+     * @param {Object} [options] - { tolerance }
+     * @returns {Object} { mask, colors } mask 为背景蒙版 (1 为背景)，colors 为识别出的背景色
+     */
+    const detectBackground = (imageData, options = {}) => {
+        const { width, height, data } = imageData;
+        const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+        const colors = findBorderColors(imageData, tolerance);
+        const seeds = [];
+        for (let x = 0; x < width; x++) {
+            seeds.push(x, (height - 1) * width + x);
+        }
+        for (let y = 0; y < height; y++) {
+            seeds.push(y * width, y * width + width - 1);
+        }
+        const mask = floodFill(imageData, seeds, index =>
+            data[index * 4 + 3] < ALPHA_THRESHOLD ||
+            colors.some(item => colorDistance(data, index * 4, item.color) <= tolerance));
+        return { mask, colors };
+    };
+
+    /**
+     * 合并蒙版
+     * @param {Uint8Array|null} mask - 现有蒙版
+     * @param {Uint8Array} region - 选区
+     * @param {boolean} [subtract=false] - true 时从蒙版中去除选区
+     * @returns {Uint8Array} 新蒙版
+     */
+    const combineMasks = (mask, region, subtract = false) => {
+        const result = mask ? new Uint8Array(mask) : new Uint8Array(region.length);
+        for (let i = 0; i < region.length; i++) {
+            if (region[i]) result[i] = subtract ? 0 : 1;
+        }
+        return result;
+    };
+
+    /**
+     * 计算蒙版覆盖的像素比例
+     * @param {Uint8Array|null} mask - 蒙版
+     * @returns {number} 0-1
+     */
+    const getCoverage = (mask) => {
+        if (!mask || mask.length === 0) return 0;
+        let count = 0;
+        for (let i = 0; i < mask.length; i++) count += mask[i];
+        return count / mask.length;
+    };
+
+    /**
+     * 应用背景蒙版：背景像素设为完全透明，之后按透明区域规则处理 (默认不雕刻)
+     * @param {ImageData} imageData - 图像数据
+     * @param {Uint8Array} mask - 背景蒙版 (1 为背景)
+     * @returns {ImageData} 新的图像数据
+     */
+    const applyMask = (imageData, mask) => {
+        const data = new Uint8ClampedArray(imageData.data);
+        for (let i = 0; i < mask.length; i++) {
+            if (mask[i]) data[i * 4 + 3] = 0;
+        }
+        return ImageBuffer.create(data, imageData.width, imageData.height);
+    };
+
+    /**
+     * 生成蒙版的预览叠加层 (背景为半透明红色)
+     * @param {Uint8Array} mask - 蒙版
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {ImageData} RGBA 叠加层
+     */
+    const createOverlay = (mask, width, height) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i]) continue;
+            data[i * 4] = 230;
+            data[i * 4 + 1] = 60;
+            data[i * 4 + 2] = 60;
+            data[i * 4 + 3] = 120;
+        }
+        return ImageBuffer.create(data, width, height);
+    };
+
+    /**
+     * 获取可选的透明区域处理方式
+     * @returns {Array} [{ id, name }]
+     */
+    const getAlphaModes = () => Object.entries(ALPHA_MODES).map(([id, name]) => ({ id, name }));
+
+    return {
+        ALPHA_THRESHOLD,
+        DEFAULT_TOLERANCE,
+        getBackgroundGray,
+        flattenAlpha,
+        hasTransparency,
+        magicWand,
+        findBorderColors,
+        detectBackground,
+        combineMasks,
+        getCoverage,
+        applyMask,
+        createOverlay,
+        getAlphaModes
+    };
+})();
+
+export default BackgroundRemoval;
@@ -0,0 +1,207 @@
+/**
+ * 批量处理模块
+ * 管理多图像队列：按相同的材料/变体/激光器/抖动设置依次检测和处理，并打包下载结果
+ */
+
+import ImageProcessor from './imageProcessor.js';
+import ImageResampler from './resampler.js';
+import ImageEncoders from './encoders.js';
+import ProcessingReport from './report.js';
+import ZipWriter from './zip.js';
+
+const BatchProcessor = (() => {
+    const THUMBNAIL_SIZE = 120;
+    let nextItemId = 1;
+
+    /**
+     * 读取图像文件，生成原始图像数据和缩略图
+     * @param {File} file - 图像文件
+     * @returns {Promise<Object>} 队列项 { id, name, imageData, thumbnailUrl, status, anchorOverride, ... }
+     */
+    const loadImageFile = (file) => {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = image.naturalWidth;
+                    canvas.height = image.naturalHeight;
+                    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+                    ctx.drawImage(image, 0, 0);
+                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+                    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(canvas.width, canvas.height));
+                    const thumbCanvas = document.createElement('canvas');
+                    thumbCanvas.width = Math.max(1, Math.round(canvas.width * scale));
+                    thumbCanvas.height = Math.max(1, Math.round(canvas.height * scale));
+                    thumbCanvas.getContext('2d').drawImage(image, 0, 0, thumbCanvas.width, thumbCanvas.height);
+
+                    resolve({
+                        id: nextItemId++,
+                        name: file.name,
+                        imageData,
+                        thumbnailUrl: thumbCanvas.toDataURL('image/png'),
+                        status: 'pending',
+                        anchorOverride: null,
+                        detectedImageType: null,
+                        typeDetection: null,
+                        faces: [],
+                        processed: null,
+                        error: null
+                    });
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`无法加载图像: ${file.name}`));
+            };
+            image.src = url;
+        });
+    };
+
+    /**
+     * 检测图像类型：特征分析在 Worker 中执行，人脸检测在主线程执行
+     * @param {Object} client - ProcessingClient 实例 (已设置源图像)
+     * @param {ImageData} imageData - 原始图像数据
+     * @param {Function} onProgress - 进度回调
+     * @returns {Promise<Object>} 类型判定结果 (同 ImageProcessor.classifyImageType)，人像同时返回人脸数据
+     */
+    const detectImageType = async (client, imageData, onProgress) => {
+        const features = await client.run('analyzeImageFeatures', [], { onProgress });
+        if (ImageProcessor.classifyImageFeatures(features) === 'cartoon') {
+            return ImageProcessor.classifyImageType(features);
+        }
+        const faces = await ImageProcessor.detectFaces(imageData);
+        return ImageProcessor.classifyImageType(features, faces);
+    };
+
+    /**
+     * 按物理宽度、DPI 和图像自身的宽高比计算输出尺寸 (高度按比例，队列中的图像不会被拉伸)
+     * @param {Object|null} outputSize - { width, unit, dpi, kernel }，null 表示不重采样
+     * @param {ImageData} imageData - 原始图像数据
+     * @returns {Object} 输出参数 { outputWidth, outputHeight, outputDpi, resampleKernel }
+     */
+    const getOutputParams = (outputSize, imageData) => {
+        if (!outputSize) {
+            return { outputWidth: null, outputHeight: null, outputDpi: null, resampleKernel: null };
+        }
+        const height = outputSize.width * imageData.height / imageData.width;
+        const size = ImageResampler.calculateTargetSize(outputSize.width, height, outputSize.unit, outputSize.dpi);
+        return {
+            outputWidth: size.width,
+            outputHeight: size.height,
+            outputDpi: outputSize.dpi,
+            resampleKernel: outputSize.kernel
+        };
+    };
+
+    /**
+     * 处理单个队列项
+     * @param {Object} client - ProcessingClient 实例
+     * @param {Object} item - 队列项
+     * @param {Object} settings - { material, variant, laser, dither, ditherOptions (误差扩散/蓝噪声选项), outputSize (物理宽度/单位/DPI/插值，null 为不重采样), dpi }
+     * @param {Function} onProgress - 进度回调 (stage, progress)
+     * @returns {Promise<Object>} { processedImage, result, params, settings }
+     */
+    const processItem = async (client, item, settings, onProgress) => {
+        client.setSource(item.imageData);
+
+        if (!item.detectedImageType) {
+            const detection = await detectImageType(client, item.imageData, onProgress);
+            item.detectedImageType = detection.imageType;
+            item.typeDetection = detection;
+            item.faces = detection.faces;
+        }
+
+        const overrideParams = {
+            ...getOutputParams(settings.outputSize, item.imageData),
+            knownImageType: item.detectedImageType,
+            typeDetection: item.typeDetection,
+            faces: item.faces
+        };
+        if (item.anchorOverride !== null) {
+            overrideParams.anchorGray = item.anchorOverride;
+        }
+        const result = await client.run('processImage', [
+            settings.material,
+            settings.variant,
+            settings.laser,
+            overrideParams
+        ], { onProgress });
+
+        // processImage 不执行抖动：按选定算法在最终参数上重新处理，深色材料保持反色
+        if (!settings.dither || settings.dither === 'none') {
+            return { processedImage: result.processedImage, result, params: result.params, settings };
+        }
+        const params = { ...result.params, ...settings.ditherOptions, ditherEnabled: true, ditherType: settings.dither, invert: result.wasInverted };
+        const ditherResult = await client.run('processImageWithCustomParams', [params], { onProgress });
+        return { processedImage: ditherResult.processedImage, result, params, settings };
+    };
+
+    /**
+     * 生成不重复的输出文件名 (去掉扩展名)
+     * @param {Array} items - 队列项
+     * @returns {Map} item.id -> 文件名
+     */
+    const createOutputNames = (items) => {
+        const used = new Set();
+        const names = new Map();
+        for (const item of items) {
+            const base = item.name.replace(/\.[^.]+$/, '') || `image_${item.id}`;
+            let name = base;
+            for (let n = 2; used.has(name); n++) {
+                name = `${base}_${n}`;
+            }
+            used.add(name);
+            names.set(item.id, name);
+        }
+        return names;
+    };
+
+    /**
+     * 将处理完成的队列项打包为 ZIP (每张图像输出 PNG 和 JSON 报告)
+     * @param {Array} items - 队列项
+     * @returns {Promise<Blob>} ZIP 文件
+     */
+    const createZip = async (items) => {
+        const doneItems = items.filter(item => item.status === 'done' && item.processed);
+        const names = createOutputNames(doneItems);
+        const entries = [];
+
+        for (const item of doneItems) {
+            const name = names.get(item.id);
+            const settings = item.processed.settings;
+            const dpi = item.processed.params.outputDpi || settings.dpi;
+            entries.push({
+                name: `${name}.png`,
+                data: await ImageEncoders.encodePNG(item.processed.processedImage, { dpi })
+            });
+            entries.push({
+                name: `${name}.json`,
+                data: ProcessingReport.toJSON(item.processed, {
+                    input: item.name,
+                    output: `${name}.png`,
+                    material: settings.material,
+                    variant: settings.variant,
+                    laser: settings.laser,
+                    anchorOverride: item.anchorOverride
+                })
+            });
+        }
+
+        return new Blob([ZipWriter.create(entries)], { type: 'application/zip' });
+    };
+
+    return {
+        loadImageFile,
+        processItem,
+        createZip
+    };
+})();
+
+export default BatchProcessor;
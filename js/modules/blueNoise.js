@@ -0,0 +1,206 @@
+/**
+ * 蓝噪声阈值图模块
+ * 使用 void-and-cluster 算法 (Ulichney 1993) 生成可平铺的蓝噪声阈值图：
+ * 作为有序抖动的阈值矩阵时速度与 Bayer 相同，但没有固定的十字网纹
+ */
+
+const BlueNoise = (() => {
+    const DEFAULT_SIZE = 64;
+    const DEFAULT_SEED = 1;
+    const SIGMA = 1.5; // 能量函数的高斯标准差 (Ulichney 推荐值)
+
+    // 已生成的阈值图 (按 尺寸:种子 缓存，同一页面/进程内只生成一次)
+    const cache = new Map();
+
+    /**
+     * 可复现的伪随机数生成器 (mulberry32)
+     * @param {number} seed - 种子
+     * @returns {Function} 返回 [0, 1) 随机数的函数
+     */
+    const createRandom = (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    /**
+     * 在环面 (平铺) 上维护每个像素的高斯能量，用于查找最密集的簇和最大的空洞
+     * 每行缓存极值所在的位置，更新只影响高斯核覆盖的几行，查找时只重新扫描这些行，
+     * 每个秩的开销从 O(n) 降为 O(边长)
+     * @param {number} size - 阈值图边长
+     * @param {Uint8Array} pattern - 与能量场对应的二值图案 (修改某个像素后必须对同一位置调用 update)
+     * @returns {Object} { energy, update(index, sign), findExtreme(value, findMax) }
+     */
+    const createEnergyField = (size, pattern) => {
+        const radius = Math.min(Math.floor(size / 2), Math.ceil(SIGMA * 4));
+        const offsets = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                offsets.push([dx, dy, Math.exp(-(dx * dx + dy * dy) / (2 * SIGMA * SIGMA))]);
+            }
+        }
+        const energy = new Float64Array(size * size);
+        // 按查找条件 (value:findMax) 缓存每行的极值位置，dirty 标记需要重新扫描的行
+        const rowCaches = new Map();
+
+        const update = (index, sign) => {
+            const x = index % size;
+            const y = (index - x) / size;
+            for (const [dx, dy, weight] of offsets) {
+                const nx = (x + dx + size) % size;
+                const ny = (y + dy + size) % size;
+                energy[ny * size + nx] += sign * weight;
+            }
+            for (const rowCache of rowCaches.values()) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    rowCache.dirty[(y + dy + size) % size] = 1;
+                }
+            }
+        };
+
+        // 在一行中查找 (取值相同的像素中取第一个极值，与逐像素扫描整幅图的结果一致)
+        const scanRow = (row, value, findMax) => {
+            let best = -1;
+            let bestEnergy = findMax ? -Infinity : Infinity;
+            for (let i = row * size; i < (row + 1) * size; i++) {
+                if (pattern[i] !== value) continue;
+                const e = energy[i];
+                if (findMax ? e > bestEnergy : e < bestEnergy) {
+                    bestEnergy = e;
+                    best = i;
+                }
+            }
+            return best;
+        };
+
+        // 在取值为 value 的像素中查找能量最大 (最密集的簇) 或最小 (最大的空洞) 的位置
+        const findExtreme = (value, findMax) => {
+            const key = `${value}:${findMax}`;
+            if (!rowCaches.has(key)) {
+                rowCaches.set(key, { best: new Int32Array(size), dirty: new Uint8Array(size).fill(1) });
+            }
+            const rowCache = rowCaches.get(key);
+            let best = -1;
+            let bestEnergy = findMax ? -Infinity : Infinity;
+            for (let row = 0; row < size; row++) {
+                if (rowCache.dirty[row]) {
+                    rowCache.best[row] = scanRow(row, value, findMax);
+                    rowCache.dirty[row] = 0;
+                }
+                const index = rowCache.best[row];
+                if (index < 0) continue;
+                const e = energy[index];
+                if (findMax ? e > bestEnergy : e < bestEnergy) {
+                    bestEnergy = e;
+                    best = index;
+                }
+            }
+            return best;
+        };
+
+        return { energy, update, findExtreme };
+    };
+
+    /**
+     * 使用 void-and-cluster 算法生成阈值图
+     * @param {number} size - 边长 (如 64 或 128)
+     * @param {number} seed - 随机种子，相同的尺寸和种子总是得到相同的阈值图
+     * @returns {Object} { size, seed, thresholds: Uint8Array (0-255，按行存储) }
+     */
+    const createMask = (size = DEFAULT_SIZE, seed = DEFAULT_SEED) => {
+        size = Math.max(4, Math.round(size));
+        const total = size * size;
+        const random = createRandom(seed);
+
+        // 1. 初始图案：随机放置约 10% 的少数像素，然后反复把最密集簇中的点移到最大空洞，直到稳定
+        const initialCount = Math.max(1, Math.round(total * 0.1));
+        const prototype = new Uint8Array(total);
+        const field = createEnergyField(size, prototype);
+        for (let placed = 0; placed < initialCount;) {
+            const index = Math.floor(random() * total);
+            if (prototype[index]) continue;
+            prototype[index] = 1;
+            field.update(index, 1);
+            placed++;
+        }
+        for (let iteration = 0; iteration < total; iteration++) {
+            const cluster = field.findExtreme(1, true);
+            prototype[cluster] = 0;
+            field.update(cluster, -1);
+            const voidIndex = field.findExtreme(0, false);
+            if (voidIndex === cluster) {
+                prototype[cluster] = 1;
+                field.update(cluster, 1);
+                break;
+            }
+            prototype[voidIndex] = 1;
+            field.update(voidIndex, 1);
+        }
+
+        const ranks = new Uint32Array(total);
+
+        // 2. 阶段一：从初始图案中依次移除最密集簇中的点，秩从 initialCount - 1 递减
+        const pattern = prototype.slice();
+        const phaseOneField = createEnergyField(size, pattern);
+        for (let i = 0; i < total; i++) {
+            if (pattern[i]) phaseOneField.update(i, 1);
+        }
+        for (let rank = initialCount - 1; rank >= 0; rank--) {
+            const cluster = phaseOneField.findExtreme(1, true);
+            pattern[cluster] = 0;
+            phaseOneField.update(cluster, -1);
+            ranks[cluster] = rank;
+        }
+
+        // 3. 阶段二/三：从初始图案开始依次填充最大的空洞，直到填满
+        //    (后半段少数像素变为 0，"0 中最密集的簇"即"1 的能量最小处"，因此可以沿用同一判据)
+        for (let rank = initialCount; rank < total; rank++) {
+            const voidIndex = field.findExtreme(0, false);
+            prototype[voidIndex] = 1;
+            field.update(voidIndex, 1);
+            ranks[voidIndex] = rank;
+        }
+
+        const thresholds = new Uint8Array(total);
+        for (let i = 0; i < total; i++) {
+            thresholds[i] = Math.floor(ranks[i] * 255 / total);
+        }
+        return { size, seed, thresholds };
+    };
+
+    /**
+     * 获取阈值图 (优先使用缓存)
+     * @param {number} size - 边长
+     * @param {number} seed - 随机种子
+     * @returns {Object} { size, seed, thresholds }
+     */
+    const getMask = (size = DEFAULT_SIZE, seed = DEFAULT_SEED) => {
+        const key = `${Math.round(size)}:${seed}`;
+        if (!cache.has(key)) {
+            cache.set(key, createMask(size, seed));
+        }
+        return cache.get(key);
+    };
+
+    /**
+     * 清除缓存的阈值图
+     */
+    const clearCache = () => {
+        cache.clear();
+    };
+
+    return {
+        DEFAULT_SIZE,
+        DEFAULT_SEED,
+        createMask,
+        getMask,
+        clearCache
+    };
+})();
+
+export default BlueNoise;
@@ -0,0 +1,175 @@
+/**
+ * 雕刻效果模拟模块
+ * 用材料的底色和烧蚀颜色渲染处理结果：每个雕刻点按高斯光斑扩散，并可叠加木纹/皮革/拉丝等材质纹理，
+ * 在浪费材料之前预估实际雕刻效果
+ */
+
+import ImageBuffer from './imageBuffer.js';
+import Color from './color.js';
+
+const BurnSimulator = (() => {
+    const MM_PER_INCH = 25.4;
+    const DEFAULT_DPI = 254;
+    const FWHM_TO_SIGMA = 1 / 2.3548; // 光斑直径按高斯分布的半高全宽计算
+
+    // 整数网格点的伪随机值 (0-1)
+    const hash = (ix, iy) => {
+        let h = Math.imul(ix, 374761393) + Math.imul(iy, 668265263);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    };
+
+    /**
+     * 二维值噪声 (同一坐标总是得到相同的值)
+     * @param {number} x - 横坐标
+     * @param {number} y - 纵坐标
+     * @returns {number} 0-1 的噪声值
+     */
+    const valueNoise = (x, y) => {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const fx = x - ix;
+        const fy = y - iy;
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        const top = hash(ix, iy) + (hash(ix + 1, iy) - hash(ix, iy)) * sx;
+        const bottom = hash(ix, iy + 1) + (hash(ix + 1, iy + 1) - hash(ix, iy + 1)) * sx;
+        return top + (bottom - top) * sy;
+    };
+
+    /**
+     * 材质纹理：输入为物理坐标 (mm)，返回 -1 到 1 的明暗变化
+     */
+    const TEXTURES = {
+        none: { name: '无', sample: () => 0 },
+        wood: {
+            name: '木纹',
+            // 沿 X 方向的年轮 (被低频噪声扭曲) 叠加细密的纤维
+            sample: (x, y) => {
+                const rings = Math.sin(2 * Math.PI * (y / 1.8 + 1.5 * valueNoise(x / 25, y / 6)));
+                const fibers = valueNoise(x / 4, y / 0.15) * 2 - 1;
+                return 0.7 * rings + 0.3 * fibers;
+            }
+        },
+        leather: {
+            name: '皮革',
+            // 颗粒状的粒面
+            sample: (x, y) => 0.6 * (valueNoise(x / 0.6, y / 0.6) * 2 - 1) + 0.4 * (valueNoise(x / 0.15, y / 0.15) * 2 - 1)
+        },
+        brushed: {
+            name: '拉丝金属',
+            // 沿 X 方向的细长拉丝
+            sample: (x, y) => valueNoise(x / 20, y / 0.03) * 2 - 1
+        }
+    };
+
+    /**
+     * 计算每个像素周围光斑范围内的平均雕刻强度 (雕刻强度图与归一化的高斯光斑做可分离卷积)
+     * @param {Float32Array} burn - 雕刻强度 (0-1)
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {number} sigma - 高斯标准差 (像素)
+     * @returns {Float32Array} 平均雕刻强度
+     */
+    const spreadBurn = (burn, width, height, sigma) => {
+        const radius = Math.ceil(sigma * 3);
+        const kernel = new Float32Array(radius * 2 + 1);
+        let kernelSum = 0;
+        for (let i = -radius; i <= radius; i++) {
+            kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+            kernelSum += kernel[i + radius];
+        }
+        for (let i = 0; i < kernel.length; i++) {
+            kernel[i] /= kernelSum;
+        }
+
+        const temp = new Float32Array(burn.length);
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = Math.max(-radius, -x); k <= Math.min(radius, width - 1 - x); k++) {
+                    sum += burn[row + x + k] * kernel[k + radius];
+                }
+                temp[row + x] = sum;
+            }
+        }
+
+        const average = new Float32Array(burn.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = Math.max(-radius, -y); k <= Math.min(radius, height - 1 - y); k++) {
+                    sum += temp[(y + k) * width + x] * kernel[k + radius];
+                }
+                average[y * width + x] = sum;
+            }
+        }
+        return average;
+    };
+
+    /**
+     * 渲染雕刻效果
+     * 处理结果中 0 (黑) 为满功率雕刻、255 (白) 为不雕刻；像素颜色在底色和烧蚀颜色之间按光斑覆盖率插值。
+     * 每个雕刻点烧蚀的面积是像素的 k = πD²/4p² 倍，周围平均雕刻强度为 c 时覆盖率约为 1 - (1 - c)^k (与网点扩大补偿的光斑模型一致)
+     * @param {ImageData} imageData - 处理后的图像数据 (灰度)
+     * @param {Object} options - 模拟选项
+     * @param {string} options.baseColor - 材料底色 (#rrggbb)
+     * @param {string} options.burnedColor - 完全烧蚀后的颜色 (#rrggbb)
+     * @param {number} [options.beamDiameter=0.1] - 光斑直径 (mm)
+     * @param {number} [options.dpi=254] - 输出分辨率，用于换算光斑和纹理的像素尺寸
+     * @param {string} [options.texture='none'] - 材质纹理: none | wood | leather | brushed
+     * @param {number} [options.textureStrength=1] - 纹理强度 (0 为不叠加纹理)
+     * @returns {ImageData} RGBA 模拟图像
+     */
+    const render = (imageData, options = {}) => {
+        const { width, height, data } = imageData;
+        const base = Color.parseColor(options.baseColor);
+        const burned = Color.parseColor(options.burnedColor);
+        const pitch = MM_PER_INCH / (options.dpi > 0 ? options.dpi : DEFAULT_DPI);
+        const spotPixels = (options.beamDiameter > 0 ? options.beamDiameter : 0.1) / pitch;
+        const sigma = spotPixels * FWHM_TO_SIGMA;
+        const gain = Math.max(1, Math.PI * spotPixels * spotPixels / 4);
+        const texture = (TEXTURES[options.texture] || TEXTURES.none).sample;
+        const strength = options.textureStrength ?? 1;
+
+        // 透明像素不雕刻
+        const burn = new Float32Array(width * height);
+        for (let i = 0; i < burn.length; i++) {
+            burn[i] = (1 - data[i * 4] / 255) * (data[i * 4 + 3] / 255);
+        }
+        // 光斑小于约一个像素时不会影响相邻像素
+        const average = sigma < 0.3 ? burn : spreadBurn(burn, width, height, sigma);
+
+        const result = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const grain = strength > 0 ? texture(x * pitch, y * pitch) * strength : 0;
+                // 纹理同时改变底色深浅和材料对激光的吸收 (深色纹理处烧得更深)
+                const shade = 1 + 0.12 * grain;
+                const spread = 1 - Math.pow(Math.max(0, 1 - average[i]), gain);
+                const coverage = Math.max(0, Math.min(1, spread * (1 - 0.15 * grain)));
+                for (let c = 0; c < 3; c++) {
+                    const baseValue = base[c] * shade;
+                    result[i * 4 + c] = baseValue + (burned[c] - baseValue) * coverage;
+                }
+                result[i * 4 + 3] = 255;
+            }
+        }
+        return ImageBuffer.create(result, width, height);
+    };
+
+    /**
+     * 获取可选的材质纹理
+     * @returns {Array} [{ id, name }]
+     */
+    const getTextures = () => Object.entries(TEXTURES).map(([id, { name }]) => ({ id, name }));
+
+    return {
+        render,
+        getTextures
+    };
+})();
+
+export default BurnSimulator;
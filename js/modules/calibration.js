@@ -0,0 +1,300 @@
+/**
+ * 材料校准卡模块
+ * 生成校准网格图像 (每种抖动算法一行灰阶色块 + 不同锚点灰度的照片小样)，
+ * 并将雕刻后记录的最佳结果写回自定义材料的参数
+ */
+
+import ImageAlgorithms from './algorithms.js';
+import ImageProcessor from './imageProcessor.js';
+import ImageResampler from './resampler.js';
+import ImageBuffer from './imageBuffer.js';
+
+const CalibrationCard = (() => {
+    const DEFAULT_OPTIONS = {
+        widthMm: 100,
+        dpi: 254,
+        steps: 11,
+        anchorValues: [96, 112, 128, 144, 160, 176],
+        photoDitherType: 'floydSteinberg',
+        invert: false
+    };
+
+    // 3x5 点阵字体 (用于在图像中直接绘制行列编号，雕刻时保持清晰)
+    const GLYPHS = {
+        '0': '111101101101111', '1': '010110010010111', '2': '111001111100111',
+        '3': '111001111001111', '4': '101101111001001', '5': '111100111001111',
+        '6': '111100111101111', '7': '111001001010010', '8': '111101111101111',
+        '9': '111101111001111', 'A': '010101111101101', 'B': '110101110101110',
+        'C': '011100100100011', 'D': '110101101101110', 'E': '111100110100111',
+        'F': '111100110100100', 'G': '011100101101011', 'H': '101101111101101',
+        'I': '111010010010111', 'J': '001001001101010', 'K': '101101110101101',
+        'L': '100100100100111', 'M': '101111111101101', 'N': '110101101101101',
+        'O': '010101101101010', 'P': '110101110100100', 'Q': '010101101110011',
+        'R': '110101110101101', 'S': '011100010001110', 'T': '111010010010010',
+        'U': '101101101101111', 'V': '101101101101010', 'W': '101101111111101',
+        'X': '101101010101101', 'Y': '101101010010010', 'Z': '111001010100111'
+    };
+
+    /**
+     * 生成行标签 (A, B, ... Z, AA, AB ...)
+     * @param {number} index - 行序号
+     * @returns {string} 标签
+     */
+    const rowLabel = (index) => {
+        let label = '';
+        let n = index;
+        do {
+            label = String.fromCharCode(65 + (n % 26)) + label;
+            n = Math.floor(n / 26) - 1;
+        } while (n >= 0);
+        return label;
+    };
+
+    /**
+     * 生成等间距的灰阶值 (含 0 和 255)
+     * @param {number} steps - 色阶数
+     * @returns {Array} 灰度值列表
+     */
+    const createGrayRamp = (steps) => {
+        const count = Math.max(2, Math.round(steps));
+        return Array.from({ length: count }, (_, i) => Math.round(i * 255 / (count - 1)));
+    };
+
+    const fillRect = (card, x, y, width, height, value) => {
+        for (let row = y; row < y + height; row++) {
+            for (let col = x; col < x + width; col++) {
+                const idx = (row * card.width + col) * 4;
+                card.data[idx] = card.data[idx + 1] = card.data[idx + 2] = value;
+            }
+        }
+    };
+
+    const drawText = (card, text, x, y, scale) => {
+        let offsetX = x;
+        for (const char of text) {
+            const glyph = GLYPHS[char];
+            if (glyph) {
+                for (let i = 0; i < 15; i++) {
+                    if (glyph[i] === '1') {
+                        fillRect(card, offsetX + (i % 3) * scale, y + Math.floor(i / 3) * scale, scale, scale, 0);
+                    }
+                }
+            }
+            offsetX += 4 * scale;
+        }
+    };
+
+    const textWidth = (text, scale) => text.length * 4 * scale - scale;
+
+    // 将色块 (灰度 RGBA) 复制到校准卡上
+    const blit = (card, patch, x, y, invert) => {
+        for (let row = 0; row < patch.height; row++) {
+            for (let col = 0; col < patch.width; col++) {
+                const src = (row * patch.width + col) * 4;
+                const dst = ((y + row) * card.width + x + col) * 4;
+                const value = invert ? 255 - patch.data[src] : patch.data[src];
+                card.data[dst] = card.data[dst + 1] = card.data[dst + 2] = value;
+            }
+        }
+    };
+
+    /**
+     * 生成照片小样的源图像：有原图时取中心区域，否则生成包含渐变和圆形的测试图
+     * @param {ImageData|null} sourceImage - 原图
+     * @param {number} width - 目标宽度
+     * @param {number} height - 目标高度
+     * @returns {ImageData} 源图像
+     */
+    const createPhotoSource = (sourceImage, width, height) => {
+        if (sourceImage) {
+            const targetRatio = width / height;
+            let cropWidth = sourceImage.width;
+            let cropHeight = Math.round(cropWidth / targetRatio);
+            if (cropHeight > sourceImage.height) {
+                cropHeight = sourceImage.height;
+                cropWidth = Math.round(cropHeight * targetRatio);
+            }
+            const startX = Math.floor((sourceImage.width - cropWidth) / 2);
+            const startY = Math.floor((sourceImage.height - cropHeight) / 2);
+            const data = new Uint8ClampedArray(cropWidth * cropHeight * 4);
+            for (let row = 0; row < cropHeight; row++) {
+                const src = ((startY + row) * sourceImage.width + startX) * 4;
+                data.set(sourceImage.data.subarray(src, src + cropWidth * 4), row * cropWidth * 4);
+            }
+            return ImageResampler.resample(ImageBuffer.create(data, cropWidth, cropHeight), width, height, 'bicubic');
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        const radius = Math.min(width, height) * 0.3;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let value = 255 * (x / Math.max(1, width - 1)) * 0.7 + 255 * (y / Math.max(1, height - 1)) * 0.3;
+                const dx = x - width / 2;
+                const dy = y - height / 2;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance < radius) {
+                    value = 60 + 150 * (distance / radius);
+                }
+                const idx = (y * width + x) * 4;
+                data[idx] = data[idx + 1] = data[idx + 2] = Math.round(value);
+                data[idx + 3] = 255;
+            }
+        }
+        return ImageBuffer.create(data, width, height);
+    };
+
+    /**
+     * 生成校准卡
+     * @param {Object} options - { widthMm, dpi, steps, anchorValues, params (材料参数), photoDitherType, sourceImage, invert (深色材料) }
+     * @returns {Object} { imageData, dpi, widthMm, heightMm, rows, columns, anchorRow, anchorPatches }
+     */
+    const generate = (options = {}) => {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const params = settings.params || {};
+        const pxPerMm = settings.dpi / 25.4;
+        const width = Math.max(50, Math.round(settings.widthMm * pxPerMm));
+
+        const grays = createGrayRamp(settings.steps);
+        const algorithms = [{ id: 'none', name: '无抖动 (灰度)' }, ...ImageAlgorithms.getDitherAlgorithms()];
+        const anchorValues = settings.anchorValues.filter(value => value >= 0 && value <= 255);
+
+        // 布局：字体缩放按约 2mm 字高计算，左侧为行标签，顶部为列编号
+        const scale = Math.max(1, Math.round(2 * pxPerMm / 5));
+        const gap = Math.max(1, Math.round(0.5 * pxPerMm));
+        const labelWidth = textWidth('AA', scale) + 2 * gap;
+        const headerHeight = 5 * scale + 2 * gap;
+        const cellWidth = Math.floor((width - labelWidth - gap) / grays.length) - gap;
+        if (cellWidth < 2) {
+            throw new Error('校准卡宽度不足，请增大宽度或 DPI，或减少色阶数');
+        }
+        const cellHeight = cellWidth;
+        const patchCount = Math.max(1, anchorValues.length);
+        const patchWidth = Math.floor((width - labelWidth - gap) / patchCount) - gap;
+        const patchHeight = Math.max(cellHeight * 2, Math.round(patchWidth * 0.75));
+
+        const rampTop = headerHeight;
+        const anchorHeaderTop = rampTop + algorithms.length * (cellHeight + gap) + gap;
+        const anchorTop = anchorHeaderTop + headerHeight;
+        const height = anchorValues.length > 0 ? anchorTop + patchHeight + gap : anchorHeaderTop;
+
+        const card = { width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) };
+        const textY = gap;
+        const ditherThreshold = params.ditherThreshold ?? 128;
+
+        // 1. 灰阶行：每个色块单独抖动，避免误差扩散跨越色块边界
+        const columns = grays.map((gray, index) => {
+            const x = labelWidth + index * (cellWidth + gap);
+            const label = String(index + 1);
+            drawText(card, label, x + Math.floor((cellWidth - textWidth(label, scale)) / 2), textY, scale);
+            return { label, gray, x };
+        });
+
+        const rows = algorithms.map((algorithm, rowIndex) => {
+            const label = rowLabel(rowIndex);
+            const y = rampTop + rowIndex * (cellHeight + gap);
+            drawText(card, label, gap, y + Math.floor((cellHeight - 5 * scale) / 2), scale);
+
+            columns.forEach(column => {
+                const patchData = new Uint8ClampedArray(cellWidth * cellHeight * 4);
+                for (let i = 0; i < patchData.length; i += 4) {
+                    patchData[i] = patchData[i + 1] = patchData[i + 2] = column.gray;
+                    patchData[i + 3] = 255;
+                }
+                let patch = ImageBuffer.create(patchData, cellWidth, cellHeight);
+                if (algorithm.id !== 'none') {
+                    // 使用材料的抖动选项；调幅网点按校准卡的 DPI 计算网格
+                    patch = ImageAlgorithms.applyDithering(patch, {
+                        ...params,
+                        ditherEnabled: true,
+                        ditherType: algorithm.id,
+                        ditherThreshold,
+                        outputDpi: settings.dpi
+                    });
+                }
+                blit(card, patch, column.x, y, settings.invert);
+            });
+            return { label, ditherType: algorithm.id, name: algorithm.name };
+        });
+
+        // 2. 照片小样：使用材料参数，在不同锚点灰度下处理同一块图像
+        const anchorRow = rowLabel(algorithms.length);
+        const anchorPatches = [];
+        if (anchorValues.length > 0) {
+            const source = createPhotoSource(settings.sourceImage || null, patchWidth, patchHeight);
+            drawText(card, anchorRow, gap, anchorTop + Math.floor((patchHeight - 5 * scale) / 2), scale);
+            anchorValues.forEach((anchorGray, index) => {
+                const x = labelWidth + index * (patchWidth + gap);
+                const label = String(index + 1);
+                drawText(card, label, x + Math.floor((patchWidth - textWidth(label, scale)) / 2), anchorHeaderTop + gap, scale);
+
+                const processed = ImageProcessor.processImageWithCustomParams(source, {
+                    ...params,
+                    anchorGray,
+                    ditherEnabled: settings.photoDitherType !== 'none',
+                    ditherType: settings.photoDitherType,
+                    invert: false,
+                    outputWidth: null,
+                    outputHeight: null,
+                    outputDpi: settings.dpi
+                });
+                blit(card, processed.processedImage, x, anchorTop, settings.invert);
+                anchorPatches.push({ label: `${anchorRow}${label}`, anchorGray });
+            });
+        }
+
+        for (let i = 3; i < card.data.length; i += 4) {
+            card.data[i] = 255;
+        }
+
+        return {
+            imageData: ImageBuffer.create(card.data, width, height),
+            dpi: settings.dpi,
+            widthMm: width / pxPerMm,
+            heightMm: height / pxPerMm,
+            rows,
+            columns: columns.map(({ label, gray }) => ({ label, gray })),
+            anchorRow,
+            anchorPatches,
+            photoDitherType: settings.photoDitherType
+        };
+    };
+
+    /**
+     * 将校准结果写入材料定义的指定变体 (返回新的材料定义，需调用 MaterialLibrary.save 保存)
+     * 灰阶结果映射为输出色阶：比"最深可分辨色阶"更深的色块雕刻效果相同，比"最浅可见色阶"更浅的色块几乎无痕迹
+     * @param {Object} material - 材料定义
+     * @param {string} variant - 颜色变体
+     * 最佳锚点写入变体的 anchorOverride (processImage 按覆盖值使用，不再自动计算)；anchorGray 为 null 时保持原设置
+     * @param {Object} record - { ditherType, darkestGray, lightestGray, anchorGray }
+     * @returns {Object} 更新后的材料定义
+     */
+    const applyResults = (material, variant, record) => {
+        if (!material.variants || !material.variants[variant]) {
+            throw new Error(`材料缺少 ${variant} 变体`);
+        }
+        if (record.lightestGray <= record.darkestGray) {
+            throw new Error('最浅可见色阶必须比最深可分辨色阶更浅');
+        }
+        const updated = JSON.parse(JSON.stringify(material));
+        const params = updated.variants[variant].params;
+        params.levelOutLow = record.darkestGray;
+        params.levelOutHigh = record.lightestGray;
+        if (record.anchorGray !== null && record.anchorGray !== undefined) {
+            updated.variants[variant].anchorOverride = record.anchorGray;
+            params.anchorGray = record.anchorGray;
+        }
+        params.ditherEnabled = record.ditherType !== 'none';
+        if (record.ditherType !== 'none') {
+            params.ditherType = record.ditherType;
+        }
+        return updated;
+    };
+
+    return {
+        createGrayRamp,
+        generate,
+        applyResults
+    };
+})();
+
+export default CalibrationCard;
@@ -0,0 +1,26 @@
+/**
+ * 颜色工具模块
+ * 解析界面和命令行中使用的 #rrggbb 颜色文本
+ */
+
+const Color = (() => {
+    /**
+     * 解析 #rrggbb 颜色
+     * @param {string} color - 颜色文本
+     * @returns {Array} [r, g, b]
+     */
+    const parseColor = (color) => {
+        const match = /^#([0-9a-f]{6})$/i.exec(color || '');
+        if (!match) {
+            throw new Error(`无效的颜色: ${color}`);
+        }
+        const value = parseInt(match[1], 16);
+        return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+    };
+
+    return {
+        parseColor
+    };
+})();
+
+export default Color;
@@ -0,0 +1,165 @@
+/**
+ * 网点扩大 (烧蚀扩散) 补偿模块
+ * 木材、皮革等材料上激光点的烧蚀范围大于一个像素，抖动后的中间调会比预览暗很多。
+ * 在抖动之前按色调再现曲线提亮图像：可以使用测试卡实测的曲线，也可以按光斑直径与像素间距估算
+ */
+
+import ImageBuffer from './imageBuffer.js';
+
+const DotGain = (() => {
+    const MODES = {
+        none: '不补偿',
+        curve: '实测曲线',
+        model: '光斑模型'
+    };
+
+    const MM_PER_INCH = 25.4;
+    const DEFAULT_DPI = 254; // 未设置输出分辨率时按 0.1mm 像素间距估算
+
+    /**
+     * 规范化实测曲线
+     * 每个点为 [标称灰度, 实测灰度]：标称灰度是测试卡色块送给激光器的灰度，实测灰度是雕刻后扫描/测得的灰度 (0 为最深)
+     * @param {Array|string|null} curve - 点列表，或 "标称:实测" 逗号分隔的文本 (如 "0:0, 128:80, 255:255")
+     * @returns {Array|null} 按标称灰度排序的点列表，空值返回 null
+     * @throws {Error} 曲线无效时抛出
+     */
+    const normalizeCurve = (curve) => {
+        if (curve === null || curve === undefined || curve === '') {
+            return null;
+        }
+        const points = typeof curve === 'string'
+            ? curve.split(/[,，\s]+/).filter(text => text !== '').map(text => text.split(':').map(Number))
+            : Array.from(curve, point => Array.isArray(point) ? [...point] : [NaN]);
+
+        for (const point of points) {
+            if (point.length !== 2 || !point.every(value => Number.isFinite(value) && value >= 0 && value <= 255)) {
+                throw new Error('补偿曲线的每个点必须是 0-255 之间的 [标称灰度, 实测灰度]');
+            }
+        }
+        if (points.length < 2) {
+            throw new Error('补偿曲线至少需要 2 个点');
+        }
+
+        points.sort((a, b) => a[0] - b[0]);
+        for (let i = 1; i < points.length; i++) {
+            if (points[i][0] === points[i - 1][0]) {
+                throw new Error(`补偿曲线中标称灰度 ${points[i][0]} 重复`);
+            }
+            if (points[i][1] < points[i - 1][1]) {
+                throw new Error('补偿曲线的实测灰度必须随标称灰度单调递增');
+            }
+        }
+        if (points[points.length - 1][1] <= points[0][1]) {
+            throw new Error('补偿曲线的实测灰度范围为空');
+        }
+        return points;
+    };
+
+    /**
+     * 由实测曲线生成补偿查找表
+     * 目标色调按实测的最深/最浅灰度线性分布，反查达到该实测灰度所需的标称灰度
+     * @param {Array} points - 规范化后的曲线点
+     * @returns {Uint8Array} 查找表 (最终输出色调空间，0 为雕刻)
+     */
+    const createCurveLUT = (points) => {
+        const lut = new Uint8Array(256);
+        const darkest = points[0][1];
+        const lightest = points[points.length - 1][1];
+        for (let tone = 0; tone < 256; tone++) {
+            const target = darkest + (tone / 255) * (lightest - darkest);
+            if (target <= darkest) {
+                lut[tone] = 0;
+                continue;
+            }
+            if (target >= lightest) {
+                lut[tone] = 255;
+                continue;
+            }
+            let nominal = 255;
+            for (let i = 1; i < points.length; i++) {
+                const [n0, m0] = points[i - 1];
+                const [n1, m1] = points[i];
+                if (target <= m1) {
+                    nominal = m1 === m0 ? n0 : n0 + (target - m0) / (m1 - m0) * (n1 - n0);
+                    break;
+                }
+            }
+            lut[tone] = Math.round(nominal);
+        }
+        return lut;
+    };
+
+    /**
+     * 由光斑模型生成补偿查找表
+     * 每个雕刻点烧蚀一个直径为 beamDiameter 的圆，面积是像素的 k = πD²/4p² 倍；
+     * 分散的网点相互重叠时实际覆盖率约为 1 - (1 - c)^k，反解得 输出色调 = 255 · (色调/255)^(1/k)
+     * @param {number} beamDiameter - 烧蚀光斑直径 (mm)
+     * @param {number} dpi - 输出分辨率
+     * @returns {Uint8Array|null} 查找表，光斑不大于像素时返回 null (无需补偿)
+     */
+    const createModelLUT = (beamDiameter, dpi) => {
+        const pitch = MM_PER_INCH / (dpi > 0 ? dpi : DEFAULT_DPI);
+        const gain = Math.PI * beamDiameter * beamDiameter / (4 * pitch * pitch);
+        if (!(gain > 1)) {
+            return null;
+        }
+        const lut = new Uint8Array(256);
+        for (let tone = 0; tone < 256; tone++) {
+            lut[tone] = Math.round(255 * Math.pow(tone / 255, 1 / gain));
+        }
+        return lut;
+    };
+
+    /**
+     * 根据参数生成补偿查找表
+     * @param {Object} params - { dotGainMode, dotGainCurve, dotGainBeamDiameter, outputDpi }
+     * @returns {Uint8Array|null} 查找表 (最终输出色调空间)，不需要补偿时返回 null
+     */
+    const createLUT = (params) => {
+        if (params.dotGainMode === 'curve') {
+            const points = normalizeCurve(params.dotGainCurve);
+            return points ? createCurveLUT(points) : null;
+        }
+        if (params.dotGainMode === 'model') {
+            return createModelLUT(params.dotGainBeamDiameter, params.outputDpi);
+        }
+        return null;
+    };
+
+    /**
+     * 对抖动前的灰度图像应用补偿
+     * 曲线定义在最终输出色调空间 (0 为雕刻)，反色输出时在反色后的色调上补偿
+     * @param {ImageData} imageData - 灰度图像数据
+     * @param {Object} params - 处理参数 (含 dotGain* 参数、outputDpi 和 invert)
+     * @returns {ImageData} 补偿后的图像数据 (不需要补偿时原样返回)
+     */
+    const apply = (imageData, params) => {
+        const lut = createLUT(params);
+        if (!lut) {
+            return imageData;
+        }
+        const data = new Uint8ClampedArray(imageData.data);
+        for (let i = 0; i < data.length; i += 4) {
+            const value = params.invert ? 255 - lut[255 - data[i]] : lut[data[i]];
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+        return ImageBuffer.create(data, imageData.width, imageData.height);
+    };
+
+    /**
+     * 获取可选的补偿方式
+     * @returns {Array} [{ id, name }]
+     */
+    const getModes = () => Object.entries(MODES).map(([id, name]) => ({ id, name }));
+
+    return {
+        normalizeCurve,
+        createLUT,
+        apply,
+        getModes
+    };
+})();
+
+export default DotGain;
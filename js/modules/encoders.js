@@ -0,0 +1,537 @@
+/**
+ * 图像编码模块
+ * 将处理后的图像编码为带分辨率(DPI)信息的 PNG / BMP / TIFF 文件
+ */
+
+const ImageEncoders = (() => {
+    const INCH_PER_METER = 39.3700787;
+
+    // CRC32 查找表 (PNG 和 ZIP 共用)
+    const crcTable = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * 计算 CRC32 校验值
+     * @param {Uint8Array} bytes - 数据
+     * @param {number} crc - 初始值 (用于分段计算)
+     * @returns {number} CRC32 值
+     */
+    const crc32 = (bytes, crc = 0) => {
+        crc = crc ^ 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    /**
+     * 计算 Adler32 校验值 (zlib 数据流使用)
+     * @param {Uint8Array} bytes - 数据
+     * @returns {number} Adler32 值
+     */
+    const adler32 = (bytes) => {
+        let a = 1;
+        let b = 0;
+        const MOD = 65521;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % MOD;
+            b = (b + a) % MOD;
+        }
+        return ((b << 16) | a) >>> 0;
+    };
+
+    /**
+     * DPI 转换为 每米像素数
+     * @param {number} dpi - 分辨率
+     * @returns {number} 每米像素数
+     */
+    const dpiToPixelsPerMeter = (dpi) => {
+        return Math.round(dpi * INCH_PER_METER);
+    };
+
+    /**
+     * 判断图像是否为纯黑白 (抖动结果)
+     * @param {ImageData} imageData - 图像数据 (假设为灰度)
+     * @returns {boolean} 是否只包含 0 和 255
+     */
+    const isBilevel = (imageData) => {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] !== 0 && data[i] !== 255) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * 判断图像是否为灰度 (R=G=B)
+     * @param {ImageData} imageData - 图像数据
+     * @returns {boolean} 是否为灰度
+     */
+    const isGrayscale = (imageData) => {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] !== data[i + 1] || data[i] !== data[i + 2]) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * 判断图像是否完全不透明
+     * @param {ImageData} imageData - 图像数据
+     * @returns {boolean} 是否不透明
+     */
+    const isOpaque = (imageData) => {
+        const data = imageData.data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] !== 255) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * 将一行灰度值打包为 1-bit 数据 (高位在前)
+     * @param {ImageData} imageData - 图像数据
+     * @param {number} y - 行号
+     * @param {boolean} whiteIsOne - 白色是否为 1
+     * @returns {Uint8Array} 打包后的行数据 (未填充)
+     */
+    const packRow1Bit = (imageData, y, whiteIsOne = true) => {
+        const { width, data } = imageData;
+        const row = new Uint8Array(Math.ceil(width / 8));
+        for (let x = 0; x < width; x++) {
+            const isWhite = data[(y * width + x) * 4] >= 128;
+            if (isWhite === whiteIsOne) {
+                row[x >> 3] |= 0x80 >> (x & 7);
+            }
+        }
+        return row;
+    };
+
+    /**
+     * 获取能无损表示灰度图像的最小 PNG 灰度位深
+     * 2/4-bit 灰度的级别均匀分布 (0,85,170,255 / 17 的倍数)，均匀的多级抖动结果可以直接按低位深保存
+     * @param {ImageData} imageData - 图像数据 (假设为灰度)
+     * @returns {number} 位深 (1, 2, 4 或 8)
+     */
+    const getGrayBitDepth = (imageData) => {
+        const data = imageData.data;
+        let depth = 1;
+        for (let i = 0; i < data.length && depth < 8; i += 4) {
+            const value = data[i];
+            while (depth < 8 && value % (255 / ((1 << depth) - 1)) !== 0) {
+                depth *= 2;
+            }
+        }
+        return depth;
+    };
+
+    /**
+     * 将一行灰度值按 2/4-bit 打包 (高位在前)
+     * @param {ImageData} imageData - 图像数据
+     * @param {number} y - 行号
+     * @param {number} bitDepth - 位深 (2 或 4)
+     * @returns {Uint8Array} 打包后的行数据
+     */
+    const packRowGray = (imageData, y, bitDepth) => {
+        const { width, data } = imageData;
+        const perByte = 8 / bitDepth;
+        const scale = 255 / ((1 << bitDepth) - 1);
+        const row = new Uint8Array(Math.ceil(width / perByte));
+        for (let x = 0; x < width; x++) {
+            const level = data[(y * width + x) * 4] / scale;
+            row[Math.floor(x / perByte)] |= level << (8 - bitDepth * (x % perByte + 1));
+        }
+        return row;
+    };
+
+    /**
+     * 使用 zlib 格式压缩数据
+     * 优先使用浏览器/Node 内置的 CompressionStream，不可用时退化为不压缩的存储块
+     * @param {Uint8Array} bytes - 原始数据
+     * @returns {Promise<Uint8Array>} zlib 数据流
+     */
+    const zlibCompress = async (bytes) => {
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        // 存储块 (BTYPE=00)，每块最多 65535 字节
+        const blockCount = Math.max(1, Math.ceil(bytes.length / 65535));
+        const out = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+        let pos = 0;
+        out[pos++] = 0x78;
+        out[pos++] = 0x01;
+        for (let i = 0; i < blockCount; i++) {
+            const start = i * 65535;
+            const len = Math.min(65535, bytes.length - start);
+            out[pos++] = i === blockCount - 1 ? 1 : 0;
+            out[pos++] = len & 0xFF;
+            out[pos++] = (len >>> 8) & 0xFF;
+            out[pos++] = ~len & 0xFF;
+            out[pos++] = (~len >>> 8) & 0xFF;
+            out.set(bytes.subarray(start, start + len), pos);
+            pos += len;
+        }
+        const adler = adler32(bytes);
+        out[pos++] = (adler >>> 24) & 0xFF;
+        out[pos++] = (adler >>> 16) & 0xFF;
+        out[pos++] = (adler >>> 8) & 0xFF;
+        out[pos++] = adler & 0xFF;
+        return out;
+    };
+
+    /**
+     * 创建 PNG 数据块
+     * @param {string} type - 块类型 (4个字符)
+     * @param {Uint8Array} payload - 块数据
+     * @returns {Uint8Array} 完整的数据块 (长度 + 类型 + 数据 + CRC)
+     */
+    const createPngChunk = (type, payload) => {
+        const chunk = new Uint8Array(12 + payload.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, payload.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(payload, 8);
+        view.setUint32(8 + payload.length, crc32(chunk.subarray(4, 8 + payload.length)));
+        return chunk;
+    };
+
+    /**
+     * 编码为 PNG，并写入 pHYs 分辨率块
+     * 纯黑白图像使用 1-bit 灰度，均匀的 4/16 级灰度使用 2/4-bit 灰度，其余灰度图像使用 8-bit 灰度 (有透明度时带 Alpha)，
+     * 彩色图像为 RGBA；灰度值均原样保存，多级抖动的功率档位不会被改变
+     * @param {ImageData} imageData - 图像数据
+     * @param {Object} options - 选项 { dpi }
+     * @returns {Promise<Uint8Array>} PNG 文件数据
+     */
+    const encodePNG = async (imageData, options = {}) => {
+        const { width, height, data } = imageData;
+        const opaque = isOpaque(imageData);
+        const gray = isGrayscale(imageData);
+
+        let bitDepth = 8;
+        let colorType;
+        let channels;
+        if (gray && opaque) {
+            bitDepth = getGrayBitDepth(imageData);
+            colorType = 0;
+            channels = 1;
+        } else if (gray) {
+            colorType = opaque ? 0 : 4;
+            channels = opaque ? 1 : 2;
+        } else {
+            colorType = 6;
+            channels = 4;
+        }
+
+        // 生成扫描行 (每行前加过滤类型字节 0)
+        const rowBytes = Math.ceil(width * channels * bitDepth / 8);
+        const raw = new Uint8Array((rowBytes + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (rowBytes + 1);
+            raw[rowStart] = 0;
+            if (bitDepth === 1) {
+                raw.set(packRow1Bit(imageData, y, true), rowStart + 1);
+                continue;
+            }
+            if (bitDepth < 8) {
+                raw.set(packRowGray(imageData, y, bitDepth), rowStart + 1);
+                continue;
+            }
+            for (let x = 0; x < width; x++) {
+                const src = (y * width + x) * 4;
+                const dst = rowStart + 1 + x * channels;
+                if (channels === 4) {
+                    raw[dst] = data[src];
+                    raw[dst + 1] = data[src + 1];
+                    raw[dst + 2] = data[src + 2];
+                    raw[dst + 3] = data[src + 3];
+                } else {
+                    raw[dst] = data[src];
+                    if (channels === 2) raw[dst + 1] = data[src + 3];
+                }
+            }
+        }
+
+        const ihdr = new Uint8Array(13);
+        const ihdrView = new DataView(ihdr.buffer);
+        ihdrView.setUint32(0, width);
+        ihdrView.setUint32(4, height);
+        ihdr[8] = bitDepth;
+        ihdr[9] = colorType;
+        ihdr[10] = 0; // 压缩方法
+        ihdr[11] = 0; // 过滤方法
+        ihdr[12] = 0; // 无隔行扫描
+
+        const chunks = [createPngChunk('IHDR', ihdr)];
+
+        if (options.dpi > 0) {
+            const phys = new Uint8Array(9);
+            const physView = new DataView(phys.buffer);
+            const ppm = dpiToPixelsPerMeter(options.dpi);
+            physView.setUint32(0, ppm);
+            physView.setUint32(4, ppm);
+            phys[8] = 1; // 单位: 米
+            chunks.push(createPngChunk('pHYs', phys));
+        }
+
+        chunks.push(createPngChunk('IDAT', await zlibCompress(raw)));
+        chunks.push(createPngChunk('IEND', new Uint8Array(0)));
+
+        const signature = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+        const total = signature.length + chunks.reduce((sum, c) => sum + c.length, 0);
+        const png = new Uint8Array(total);
+        let offset = 0;
+        png.set(signature, offset);
+        offset += signature.length;
+        for (const chunk of chunks) {
+            png.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return png;
+    };
+
+    /**
+     * 编码为 1-bit BMP (仅适用于纯黑白图像)
+     * @param {ImageData} imageData - 图像数据
+     * @param {Object} options - 选项 { dpi }
+     * @returns {Uint8Array} BMP 文件数据
+     */
+    const encodeBMP = (imageData, options = {}) => {
+        const { width, height } = imageData;
+        const rowBytes = Math.ceil(width / 8);
+        const paddedRowBytes = Math.ceil(rowBytes / 4) * 4; // 每行按4字节对齐
+        const headerSize = 14 + 40 + 8; // 文件头 + 信息头 + 2色调色板
+        const imageSize = paddedRowBytes * height;
+        const bmp = new Uint8Array(headerSize + imageSize);
+        const view = new DataView(bmp.buffer);
+        const ppm = options.dpi > 0 ? dpiToPixelsPerMeter(options.dpi) : 0;
+
+        // BITMAPFILEHEADER
+        bmp[0] = 0x42; // 'B'
+        bmp[1] = 0x4D; // 'M'
+        view.setUint32(2, bmp.length, true);
+        view.setUint32(10, headerSize, true);
+
+        // BITMAPINFOHEADER
+        view.setUint32(14, 40, true);
+        view.setInt32(18, width, true);
+        view.setInt32(22, height, true); // 正值表示自下而上存储
+        view.setUint16(26, 1, true); // 平面数
+        view.setUint16(28, 1, true); // 每像素位数
+        view.setUint32(30, 0, true); // BI_RGB 不压缩
+        view.setUint32(34, imageSize, true);
+        view.setInt32(38, ppm, true);
+        view.setInt32(42, ppm, true);
+        view.setUint32(46, 2, true); // 调色板颜色数
+        view.setUint32(50, 2, true);
+
+        // 调色板: 0 = 黑, 1 = 白 (BGRA)
+        bmp.set([0, 0, 0, 0, 255, 255, 255, 0], 54);
+
+        for (let y = 0; y < height; y++) {
+            const row = packRow1Bit(imageData, y, true);
+            bmp.set(row, headerSize + (height - 1 - y) * paddedRowBytes);
+        }
+
+        return bmp;
+    };
+
+    /**
+     * PackBits 压缩 (TIFF 压缩方式 32773)
+     * @param {Uint8Array} bytes - 单行数据
+     * @returns {Array} 压缩后的字节
+     */
+    const packBits = (bytes) => {
+        const out = [];
+        let i = 0;
+        while (i < bytes.length) {
+            // 统计重复长度
+            let run = 1;
+            while (i + run < bytes.length && run < 128 && bytes[i + run] === bytes[i]) {
+                run++;
+            }
+            if (run >= 2) {
+                out.push(257 - run, bytes[i]); // -(run-1) 的补码
+                i += run;
+                continue;
+            }
+            // 收集不重复的字面量序列
+            let literalEnd = i + 1;
+            while (literalEnd < bytes.length && literalEnd - i < 128 &&
+                   !(literalEnd + 1 < bytes.length && bytes[literalEnd] === bytes[literalEnd + 1])) {
+                literalEnd++;
+            }
+            out.push(literalEnd - i - 1);
+            for (let k = i; k < literalEnd; k++) {
+                out.push(bytes[k]);
+            }
+            i = literalEnd;
+        }
+        return out;
+    };
+
+    /**
+     * 编码为 1-bit TIFF (仅适用于纯黑白图像)，包含分辨率标签
+     * @param {ImageData} imageData - 图像数据
+     * @param {Object} options - 选项 { dpi, compression: 'none' | 'packbits' }
+     * @returns {Uint8Array} TIFF 文件数据
+     */
+    const encodeTIFF = (imageData, options = {}) => {
+        const { width, height } = imageData;
+        const usePackBits = options.compression === 'packbits';
+        const dpi = options.dpi > 0 ? options.dpi : 72;
+
+        // 生成图像数据 (BlackIsZero: 0 = 黑, 1 = 白)
+        const rows = [];
+        let stripLength = 0;
+        for (let y = 0; y < height; y++) {
+            const row = packRow1Bit(imageData, y, true);
+            const encoded = usePackBits ? packBits(row) : row;
+            rows.push(encoded);
+            stripLength += encoded.length;
+        }
+
+        const entries = [
+            [256, 4, 1, width],                    // ImageWidth (LONG)
+            [257, 4, 1, height],                   // ImageLength
+            [258, 3, 1, 1],                        // BitsPerSample
+            [259, 3, 1, usePackBits ? 32773 : 1],  // Compression
+            [262, 3, 1, 1],                        // PhotometricInterpretation: BlackIsZero
+            [273, 4, 1, 0],                        // StripOffsets (稍后填充)
+            [277, 3, 1, 1],                        // SamplesPerPixel
+            [278, 4, 1, height],                   // RowsPerStrip
+            [279, 4, 1, stripLength],              // StripByteCounts
+            [282, 5, 1, 0],                        // XResolution (RATIONAL，稍后填充)
+            [283, 5, 1, 0],                        // YResolution
+            [296, 3, 1, 2]                         // ResolutionUnit: 英寸
+        ];
+
+        const ifdOffset = 8;
+        const ifdSize = 2 + entries.length * 12 + 4;
+        const resolutionOffset = ifdOffset + ifdSize;
+        const stripOffset = resolutionOffset + 16;
+
+        const tiff = new Uint8Array(stripOffset + stripLength);
+        const view = new DataView(tiff.buffer);
+
+        // 文件头 (小端序)
+        tiff[0] = 0x49; // 'I'
+        tiff[1] = 0x49;
+        view.setUint16(2, 42, true);
+        view.setUint32(4, ifdOffset, true);
+
+        view.setUint16(ifdOffset, entries.length, true);
+        entries.forEach(([tag, type, count, value], index) => {
+            const pos = ifdOffset + 2 + index * 12;
+            view.setUint16(pos, tag, true);
+            view.setUint16(pos + 2, type, true);
+            view.setUint32(pos + 4, count, true);
+            if (tag === 273) {
+                view.setUint32(pos + 8, stripOffset, true);
+            } else if (tag === 282) {
+                view.setUint32(pos + 8, resolutionOffset, true);
+            } else if (tag === 283) {
+                view.setUint32(pos + 8, resolutionOffset + 8, true);
+            } else if (type === 3) {
+                view.setUint16(pos + 8, value, true);
+            } else {
+                view.setUint32(pos + 8, value, true);
+            }
+        });
+        view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true); // 无下一个IFD
+
+        // 分辨率 (分数形式，保留两位小数)
+        const resNumerator = Math.round(dpi * 100);
+        view.setUint32(resolutionOffset, resNumerator, true);
+        view.setUint32(resolutionOffset + 4, 100, true);
+        view.setUint32(resolutionOffset + 8, resNumerator, true);
+        view.setUint32(resolutionOffset + 12, 100, true);
+
+        let offset = stripOffset;
+        for (const row of rows) {
+            tiff.set(row, offset);
+            offset += row.length;
+        }
+
+        return tiff;
+    };
+
+    /**
+     * 支持的导出格式
+     * bilevelOnly: 仅适用于纯黑白(抖动)图像
+     */
+    const formats = {
+        png: { name: 'PNG (含DPI)', extension: 'png', mimeType: 'image/png', bilevelOnly: false },
+        bmp: { name: 'BMP 1-bit', extension: 'bmp', mimeType: 'image/bmp', bilevelOnly: true },
+        tiff: { name: 'TIFF 1-bit', extension: 'tif', mimeType: 'image/tiff', bilevelOnly: true },
+        'tiff-packbits': { name: 'TIFF 1-bit (PackBits)', extension: 'tif', mimeType: 'image/tiff', bilevelOnly: true }
+    };
+
+    /**
+     * 按格式编码图像
+     * @param {ImageData} imageData - 图像数据
+     * @param {string} format - 格式 ('png', 'bmp', 'tiff', 'tiff-packbits')
+     * @param {Object} options - 选项 { dpi }
+     * @returns {Promise<Object>} { bytes, mimeType, extension }
+     */
+    const encode = async (imageData, format = 'png', options = {}) => {
+        const formatInfo = formats[format];
+        if (!formatInfo) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+        if (formatInfo.bilevelOnly && !isBilevel(imageData)) {
+            throw new Error(`${formatInfo.name} 仅支持纯黑白图像，请先选择抖动算法`);
+        }
+
+        let bytes;
+        switch (format) {
+            case 'bmp':
+                bytes = encodeBMP(imageData, options);
+                break;
+            case 'tiff':
+                bytes = encodeTIFF(imageData, { ...options, compression: 'none' });
+                break;
+            case 'tiff-packbits':
+                bytes = encodeTIFF(imageData, { ...options, compression: 'packbits' });
+                break;
+            case 'png':
+            default:
+                bytes = await encodePNG(imageData, options);
+                break;
+        }
+
+        return { bytes, mimeType: formatInfo.mimeType, extension: formatInfo.extension };
+    };
+
+    return {
+        crc32,
+        dpiToPixelsPerMeter,
+        isBilevel,
+        encodePNG,
+        encodeBMP,
+        encodeTIFF,
+        encode,
+        formats
+    };
+})();
+
+export default ImageEncoders;
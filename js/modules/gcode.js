@@ -0,0 +1,177 @@
+/**
+ * G代码生成模块
+ * 将处理后的图像转换为激光光栅雕刻程序 (GRBL 兼容)
+ */
+
+import ImageEncoders from './encoders.js';
+
+const GcodeGenerator = (() => {
+    const MM_PER_INCH = 25.4;
+
+    // 不同激光器类型的默认参数
+    // feedRate: 雕刻速度 (mm/min)，sMin/sMax: 功率范围，sMaxValue: 控制器最大S值 (GRBL $30)
+    const laserDefaults = {
+        CO2: { feedRate: 18000, sMin: 80, sMax: 700, sMaxValue: 1000, overscan: 5, laserMode: 'M4' },
+        Diode: { feedRate: 3000, sMin: 0, sMax: 1000, sMaxValue: 1000, overscan: 2, laserMode: 'M4' },
+        Fiber: { feedRate: 6000, sMin: 0, sMax: 800, sMaxValue: 1000, overscan: 1, laserMode: 'M4' },
+        Infrared: { feedRate: 2400, sMin: 0, sMax: 800, sMaxValue: 1000, overscan: 2, laserMode: 'M4' }
+    };
+
+    /**
+     * 获取激光器类型的默认 G代码参数
+     * @param {string} laserType - 激光器类型 ('CO2', 'Diode', 'Fiber', 'Infrared')
+     * @returns {Object} 默认参数
+     */
+    const getDefaultsForLaser = (laserType = 'CO2') => {
+        return { ...(laserDefaults[laserType] || laserDefaults.CO2), bidirectional: true, powerMode: 'auto' };
+    };
+
+    const formatNumber = (value) => {
+        return Number(value.toFixed(3)).toString();
+    };
+
+    /**
+     * 生成光栅雕刻 G代码
+     * 黑色 = 最大功率，白色 = 不出光；灰度模式下按灰度线性映射到 sMin~sMax
+     * @param {ImageData} imageData - 处理后的图像数据 (灰度或抖动结果)
+     * @param {Object} options - 生成参数
+     * @param {number} options.dpi - 图像分辨率 (决定像素间距)
+     * @param {number} [options.lineInterval] - 扫描线间距 (mm)，默认等于像素间距
+     * @param {number} options.feedRate - 雕刻速度 (mm/min)
+     * @param {number} options.sMin - 最小功率 S 值 (灰度模式下最浅灰度对应的功率)
+     * @param {number} options.sMax - 最大功率 S 值
+     * @param {number} options.sMaxValue - 控制器最大 S 值 (GRBL $30)，sMax 不会超过该值
+     * @param {number} options.overscan - 过扫描距离 (mm)
+     * @param {string} options.laserMode - 'M4' (GRBL动态功率) 或 'M3' (恒定功率)
+     * @param {boolean} options.bidirectional - 是否双向扫描
+     * @param {string} options.powerMode - 'auto' | 'grayscale' | 'binary'
+     * @returns {Object} { gcode, lineCount, estimatedSeconds, binary }
+     */
+    const generate = (imageData, options = {}) => {
+        const opts = { ...getDefaultsForLaser(options.laserType), ...options };
+        const { width, height, data } = imageData;
+        const dpi = opts.dpi > 0 ? opts.dpi : 254;
+        const pixelPitch = MM_PER_INCH / dpi;
+        const lineInterval = opts.lineInterval > 0 ? opts.lineInterval : pixelPitch;
+        const overscan = Math.max(0, opts.overscan || 0);
+        const sMin = Math.max(0, Math.round(opts.sMin));
+        const sMax = Math.max(sMin, Math.min(opts.sMaxValue || Infinity, Math.round(opts.sMax)));
+        const laserMode = opts.laserMode === 'M3' ? 'M3' : 'M4';
+
+        const binary = opts.powerMode === 'binary' ||
+            (opts.powerMode !== 'grayscale' && ImageEncoders.isBilevel(imageData));
+
+        // 灰度值 -> 功率 S 值
+        const powerForGray = (gray) => {
+            if (binary) {
+                return gray < 128 ? sMax : 0;
+            }
+            if (gray >= 255) return 0;
+            return Math.round(sMin + (sMax - sMin) * (1 - gray / 255));
+        };
+
+        const widthMm = width * pixelPitch;
+        const heightMm = height * pixelPitch;
+        const lines = [];
+        lines.push('; img4laser 光栅雕刻程序');
+        lines.push(`; 尺寸: ${widthMm.toFixed(2)} x ${heightMm.toFixed(2)} mm, ${dpi.toFixed(1)} DPI, 线间距 ${lineInterval.toFixed(4)} mm`);
+        lines.push(`; 模式: ${binary ? '开关 (抖动)' : '灰度功率'}, ${laserMode}${laserMode === 'M4' ? ' (动态功率)' : ''}, S ${sMin}-${sMax}, F${opts.feedRate}, 过扫描 ${overscan} mm`);
+        lines.push('G21 ; 单位: 毫米');
+        lines.push('G90 ; 绝对坐标');
+        lines.push(`${laserMode} S0`);
+
+        let currentS = 0;
+        let currentFeedSet = false;
+        let travelDistance = 0;
+        let scanDistance = 0;
+        let lastX = 0;
+        let lastY = 0;
+        let forward = true;
+
+        // 扫描线按 lineInterval 从图像顶部向下排列；机器坐标 Y 轴向上，图像底边为 Y=0
+        const rowCount = Math.max(1, Math.floor(heightMm / lineInterval));
+        for (let line = 0; line < rowCount; line++) {
+            const yMm = heightMm - (line + 0.5) * lineInterval;
+            const row = Math.min(height - 1, Math.max(0, Math.floor((heightMm - yMm) / pixelPitch)));
+
+            // 计算每个像素的功率，并找到需要出光的范围
+            const powers = new Array(width);
+            let first = -1;
+            let last = -1;
+            for (let x = 0; x < width; x++) {
+                powers[x] = powerForGray(data[(row * width + x) * 4]);
+                if (powers[x] > 0) {
+                    if (first === -1) first = x;
+                    last = x;
+                }
+            }
+            if (first === -1) continue; // 空行跳过
+
+            // 将连续相同功率的像素合并为一段
+            const segments = [];
+            let segStart = first;
+            for (let x = first + 1; x <= last + 1; x++) {
+                if (x > last || powers[x] !== powers[segStart]) {
+                    segments.push({ start: segStart, end: x, power: powers[segStart] });
+                    segStart = x;
+                }
+            }
+            if (!forward) segments.reverse();
+
+            const lineStartX = forward ? first * pixelPitch - overscan : (last + 1) * pixelPitch + overscan;
+            const lineEndX = forward ? (last + 1) * pixelPitch + overscan : first * pixelPitch - overscan;
+
+            // 空移到过扫描起点
+            lines.push(`G0 X${formatNumber(lineStartX)} Y${formatNumber(yMm)}`);
+            travelDistance += Math.hypot(lineStartX - lastX, yMm - lastY);
+
+            // 过扫描段 (不出光)，保证进入图像时已达到匀速
+            const entryX = forward ? first * pixelPitch : (last + 1) * pixelPitch;
+            let feedPart = currentFeedSet ? '' : ` F${opts.feedRate}`;
+            currentFeedSet = true;
+            if (overscan > 0) {
+                lines.push(`G1 X${formatNumber(entryX)} S0${feedPart}`);
+                feedPart = '';
+                currentS = 0;
+            }
+
+            for (const seg of segments) {
+                const endX = forward ? seg.end * pixelPitch : seg.start * pixelPitch;
+                const sPart = seg.power !== currentS ? ` S${seg.power}` : '';
+                lines.push(`G1 X${formatNumber(endX)}${sPart}${feedPart}`);
+                feedPart = '';
+                currentS = seg.power;
+            }
+
+            if (overscan > 0) {
+                lines.push(`G1 X${formatNumber(lineEndX)} S0`);
+                currentS = 0;
+            }
+
+            scanDistance += Math.abs(lineEndX - lineStartX);
+            lastX = lineEndX;
+            lastY = yMm;
+            if (opts.bidirectional) forward = !forward;
+        }
+
+        lines.push('M5 ; 关闭激光');
+        lines.push('G0 X0 Y0');
+
+        // 粗略估算加工时间：扫描段按进给速度，空移按 3 倍进给速度估算
+        const estimatedSeconds = (scanDistance / opts.feedRate + travelDistance / (opts.feedRate * 3)) * 60;
+
+        return {
+            gcode: lines.join('\n') + '\n',
+            lineCount: lines.length,
+            estimatedSeconds,
+            binary
+        };
+    };
+
+    return {
+        getDefaultsForLaser,
+        generate
+    };
+})();
+
+export default GcodeGenerator;
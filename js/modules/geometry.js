@@ -0,0 +1,316 @@
+/**
+ * 几何变换模块
+ * 处理流程的第一步：EXIF 方向校正、旋转 (90° 或任意角度)、水平镜像 (玻璃/亚克力背面反雕)、垂直翻转和裁剪；
+ * 之后的图像类型检测和统计只看到变换后的区域
+ */
+
+import ImageBuffer from './imageBuffer.js';
+
+const ImageGeometry = (() => {
+    // 任意角度旋转后空出的角落填充为白色 (不雕刻)
+    const BACKGROUND = 255;
+
+    /**
+     * 创建不做任何变换的几何设置
+     * @returns {Object} { orientation, rotation, mirror, flipVertical, crop }
+     */
+    const createTransform = () => ({
+        orientation: 1,     // EXIF 方向 (1-8)
+        rotation: 0,        // 顺时针旋转角度
+        mirror: false,      // 水平镜像
+        flipVertical: false,
+        crop: null          // { x, y, width, height }，坐标基于旋转/翻转之后的图像
+    });
+
+    /**
+     * 判断几何设置是否不改变图像
+     * @param {Object} transform - 几何设置
+     * @returns {boolean}
+     */
+    const isIdentity = (transform) => !transform || (
+        (transform.orientation || 1) === 1 &&
+        normalizeAngle(transform.rotation || 0) === 0 &&
+        !transform.mirror &&
+        !transform.flipVertical &&
+        !transform.crop
+    );
+
+    // 角度规范到 [0, 360)
+    const normalizeAngle = (degrees) => ((degrees % 360) + 360) % 360;
+
+    /**
+     * 从 JPEG 文件的 APP1 (Exif) 段读取方向标记
+     * @param {ArrayBuffer|Uint8Array} buffer - 文件内容
+     * @returns {number} 方向 (1-8)，不是 JPEG 或没有方向信息时返回 1
+     */
+    const readExifOrientation = (buffer) => {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (bytes.length < 4 || view.getUint16(0) !== 0xFFD8) {
+            return 1;
+        }
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            // 到达图像数据 (SOS) 后不会再有 Exif 段
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+                return 1;
+            }
+            const isExif = marker === 0xFFE1 && offset + 10 <= bytes.length &&
+                String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+            if (isExif) {
+                const tiff = offset + 10;
+                const little = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, little);
+                if (ifd + 2 > bytes.length) return 1;
+                const count = view.getUint16(ifd, little);
+                for (let i = 0; i < count; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (entry + 10 > bytes.length) break;
+                    if (view.getUint16(entry, little) === 0x0112) {
+                        const orientation = view.getUint16(entry + 8, little);
+                        return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                    }
+                }
+                return 1;
+            }
+            offset += 2 + length;
+        }
+        return 1;
+    };
+
+    /**
+     * 按坐标映射重排像素 (无插值)
+     * @param {ImageData} imageData - 图像数据
+     * @param {boolean} swap - 输出是否交换宽高
+     * @param {Function} map - (x, y, width, height) => [源 x, 源 y]
+     * @returns {ImageData} 变换后的图像数据
+     */
+    const remap = (imageData, swap, map) => {
+        const { width, height, data } = imageData;
+        const outWidth = swap ? height : width;
+        const outHeight = swap ? width : height;
+        const output = new Uint8ClampedArray(outWidth * outHeight * 4);
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                const [sx, sy] = map(x, y, width, height);
+                const src = (sy * width + sx) * 4;
+                const dst = (y * outWidth + x) * 4;
+                output[dst] = data[src];
+                output[dst + 1] = data[src + 1];
+                output[dst + 2] = data[src + 2];
+                output[dst + 3] = data[src + 3];
+            }
+        }
+        return ImageBuffer.create(output, outWidth, outHeight);
+    };
+
+    // EXIF 方向对应的坐标映射：输出 (x, y) 取源图像的哪个像素
+    const ORIENTATION_MAPS = {
+        2: [false, (x, y, w) => [w - 1 - x, y]],             // 水平镜像
+        3: [false, (x, y, w, h) => [w - 1 - x, h - 1 - y]],  // 旋转 180°
+        4: [false, (x, y, w, h) => [x, h - 1 - y]],          // 垂直翻转
+        5: [true, (x, y) => [y, x]],                         // 沿主对角线转置
+        6: [true, (x, y, w, h) => [y, h - 1 - x]],           // 顺时针 90°
+        7: [true, (x, y, w, h) => [w - 1 - y, h - 1 - x]],   // 沿副对角线转置
+        8: [true, (x, y, w) => [w - 1 - y, x]]               // 逆时针 90°
+    };
+
+    /**
+     * 按 EXIF 方向校正图像
+     * @param {ImageData} imageData - 解码后的原始图像数据
+     * @param {number} orientation - EXIF 方向 (1-8)
+     * @returns {ImageData} 校正后的图像数据
+     */
+    const applyOrientation = (imageData, orientation) => {
+        const mapping = ORIENTATION_MAPS[orientation];
+        return mapping ? remap(imageData, mapping[0], mapping[1]) : imageData;
+    };
+
+    const mirror = (imageData) => applyOrientation(imageData, 2);
+    const flipVertical = (imageData) => applyOrientation(imageData, 4);
+
+    /**
+     * 顺时针旋转任意角度：90° 的倍数直接重排像素，其他角度用双线性插值，画布扩大到能容纳整幅图像，空出的角落填白
+     * @param {ImageData} imageData - 图像数据
+     * @param {number} degrees - 顺时针旋转角度
+     * @returns {ImageData} 旋转后的图像数据
+     */
+    const rotate = (imageData, degrees) => {
+        const angle = normalizeAngle(degrees);
+        if (angle === 0) return imageData;
+        if (angle === 90) return applyOrientation(imageData, 6);
+        if (angle === 180) return applyOrientation(imageData, 3);
+        if (angle === 270) return applyOrientation(imageData, 8);
+
+        const { width, height, data } = imageData;
+        const radians = angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const outWidth = Math.ceil(Math.abs(width * cos) + Math.abs(height * sin) - 1e-6);
+        const outHeight = Math.ceil(Math.abs(width * sin) + Math.abs(height * cos) - 1e-6);
+        const output = new Uint8ClampedArray(outWidth * outHeight * 4);
+        const cx = width / 2;
+        const cy = height / 2;
+        const ocx = outWidth / 2;
+        const ocy = outHeight / 2;
+
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                // 反向旋转到源图像坐标 (像素中心)
+                const dx = x + 0.5 - ocx;
+                const dy = y + 0.5 - ocy;
+                const sx = dx * cos + dy * sin + cx - 0.5;
+                const sy = -dx * sin + dy * cos + cy - 0.5;
+                const dst = (y * outWidth + x) * 4;
+                if (sx < -0.5 || sy < -0.5 || sx > width - 0.5 || sy > height - 0.5) {
+                    output[dst] = output[dst + 1] = output[dst + 2] = BACKGROUND;
+                    output[dst + 3] = 255;
+                    continue;
+                }
+                const x0 = Math.max(0, Math.min(width - 1, Math.floor(sx)));
+                const y0 = Math.max(0, Math.min(height - 1, Math.floor(sy)));
+                const x1 = Math.min(width - 1, x0 + 1);
+                const y1 = Math.min(height - 1, y0 + 1);
+                const fx = Math.max(0, Math.min(1, sx - x0));
+                const fy = Math.max(0, Math.min(1, sy - y0));
+                for (let c = 0; c < 4; c++) {
+                    const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+                    const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+                    output[dst + c] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+        return ImageBuffer.create(output, outWidth, outHeight);
+    };
+
+    /**
+     * 将裁剪区域限制在图像范围内并取整
+     * @param {Object} rect - { x, y, width, height }
+     * @param {number} width - 图像宽度
+     * @param {number} height - 图像高度
+     * @returns {Object|null} 有效的裁剪区域，面积为 0 时返回 null
+     */
+    const clampRect = (rect, width, height) => {
+        const x = Math.max(0, Math.min(width - 1, Math.round(rect.x)));
+        const y = Math.max(0, Math.min(height - 1, Math.round(rect.y)));
+        const w = Math.min(width - x, Math.round(rect.width));
+        const h = Math.min(height - y, Math.round(rect.height));
+        return w > 0 && h > 0 ? { x, y, width: w, height: h } : null;
+    };
+
+    /**
+     * 裁剪图像
+     * @param {ImageData} imageData - 图像数据
+     * @param {Object} rect - { x, y, width, height }
+     * @returns {ImageData} 裁剪后的图像数据
+     */
+    const crop = (imageData, rect) => {
+        const area = clampRect(rect, imageData.width, imageData.height);
+        if (!area) {
+            throw new Error('裁剪区域无效');
+        }
+        if (area.x === 0 && area.y === 0 && area.width === imageData.width && area.height === imageData.height) {
+            return imageData;
+        }
+        const output = new Uint8ClampedArray(area.width * area.height * 4);
+        for (let y = 0; y < area.height; y++) {
+            const start = ((area.y + y) * imageData.width + area.x) * 4;
+            output.set(imageData.data.subarray(start, start + area.width * 4), y * area.width * 4);
+        }
+        return ImageBuffer.create(output, area.width, area.height);
+    };
+
+    /**
+     * 计算图像中居中的、给定宽高比的最大裁剪区域
+     * @param {number} width - 图像宽度
+     * @param {number} height - 图像高度
+     * @param {number} aspectRatio - 宽/高
+     * @returns {Object} { x, y, width, height }
+     */
+    const fitAspectRect = (width, height, aspectRatio) => {
+        let w = width;
+        let h = Math.round(width / aspectRatio);
+        if (h > height) {
+            h = height;
+            w = Math.round(height * aspectRatio);
+        }
+        return { x: Math.floor((width - w) / 2), y: Math.floor((height - h) / 2), width: w, height: h };
+    };
+
+    /**
+     * 应用几何设置中除裁剪以外的变换 (顺序: EXIF 方向 → 旋转 → 镜像 → 翻转)，结果即裁剪框所在的坐标系
+     * @param {ImageData} imageData - 解码后的原始图像数据
+     * @param {Object} transform - 几何设置
+     * @returns {ImageData} 变换后的图像数据
+     */
+    const orient = (imageData, transform = {}) => {
+        let result = applyOrientation(imageData, transform.orientation || 1);
+        result = rotate(result, transform.rotation || 0);
+        if (transform.mirror) result = mirror(result);
+        if (transform.flipVertical) result = flipVertical(result);
+        return result;
+    };
+
+    /**
+     * 应用完整的几何设置
+     * @param {ImageData} imageData - 解码后的原始图像数据
+     * @param {Object} transform - 几何设置
+     * @returns {ImageData} 变换并裁剪后的图像数据
+     */
+    const apply = (imageData, transform = {}) => {
+        const oriented = orient(imageData, transform);
+        return transform.crop ? crop(oriented, transform.crop) : oriented;
+    };
+
+    /**
+     * 解析 "x,y,宽,高" 格式的裁剪区域
+     * @param {string|Object} value - 裁剪区域
+     * @returns {Object} { x, y, width, height }
+     * @throws {Error} 格式无效时抛出
+     */
+    const parseCrop = (value) => {
+        const parts = typeof value === 'string'
+            ? value.split(/[,，\s]+/).filter(text => text !== '').map(Number)
+            : [value.x, value.y, value.width, value.height];
+        if (parts.length !== 4 || !parts.every(Number.isFinite) || parts[0] < 0 || parts[1] < 0 || parts[2] <= 0 || parts[3] <= 0) {
+            throw new Error(`裁剪区域必须是 "x,y,宽,高" (像素): ${value}`);
+        }
+        return { x: parts[0], y: parts[1], width: parts[2], height: parts[3] };
+    };
+
+    /**
+     * 解析宽高比文本
+     * @param {string|number} value - "4:3"、"16/9" 或数字
+     * @returns {number} 宽/高
+     * @throws {Error} 格式无效时抛出
+     */
+    const parseAspectRatio = (value) => {
+        const parts = String(value).split(/[:：/x×]/).map(text => Number(text.trim()));
+        const ratio = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+        if (parts.length > 2 || !Number.isFinite(ratio) || ratio <= 0) {
+            throw new Error(`无效的宽高比: ${value}`);
+        }
+        return ratio;
+    };
+
+    return {
+        createTransform,
+        isIdentity,
+        readExifOrientation,
+        applyOrientation,
+        rotate,
+        mirror,
+        flipVertical,
+        crop,
+        clampRect,
+        fitAspectRect,
+        orient,
+        apply,
+        parseCrop,
+        parseAspectRatio
+    };
+})();
+
+export default ImageGeometry;
@@ -0,0 +1,138 @@
+/**
+ * 参数历史模块
+ * 记录每一步处理使用的参数快照 (不保存图像数据)，支持撤销/重做和跳转到任意一步；
+ * 恢复时用快照参数重新处理即可得到同样的结果
+ */
+
+import Materials from './materials.js';
+
+const ParamHistory = (() => {
+    const DEFAULT_LIMIT = 50;
+
+    // 额外记录的非材料参数的显示名称
+    const EXTRA_LABELS = {
+        invert: '反色',
+        outputWidth: '输出宽度(像素)',
+        outputHeight: '输出高度(像素)',
+        outputDpi: '输出DPI',
+        resampleKernel: '重采样算法',
+        alphaMode: '透明区域',
+        alphaColor: '透明区域底色',
+        regions: '区域蒙版'
+    };
+
+    const formatValue = (value) => {
+        if (value === null || value === undefined) return '-';
+        if (typeof value === 'boolean') return value ? '是' : '否';
+        if (Array.isArray(value)) {
+            if (Array.isArray(value[0])) return `${value.length} 点曲线`;
+            if (value[0] && typeof value[0] === 'object') return `${value.length} 个区域`;
+            return value.join(',');
+        }
+        if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+        return String(value);
+    };
+
+    const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    /**
+     * 比较两组参数，列出发生变化的参数
+     * 抖动关闭时忽略抖动和网点扩大补偿参数的变化 (它们不影响结果)
+     * @param {Object|null} previous - 上一步的参数
+     * @param {Object} next - 本步的参数
+     * @returns {Array} [{ key, label, from, to }]
+     */
+    const diffParams = (previous, next) => {
+        if (!previous) return [];
+        const keys = [...Object.keys(Materials.defaultParams), ...Object.keys(EXTRA_LABELS)];
+        return keys
+            .filter(key => next.ditherEnabled || previous.ditherEnabled || key === 'ditherEnabled' ||
+                !(key.startsWith('dither') || key.startsWith('dotGain')))
+            .filter(key => !isSameValue(previous[key], next[key]))
+            .map(key => ({
+                key,
+                label: Materials.PARAM_LABELS[key] || EXTRA_LABELS[key] || key,
+                from: formatValue(previous[key]),
+                to: formatValue(next[key])
+            }));
+    };
+
+    /**
+     * 生成一步的描述文本
+     * @param {Array} changes - diffParams 的结果
+     * @returns {string} 描述
+     */
+    const describeChanges = (changes) => {
+        if (changes.length === 0) return '重新处理 (参数未变)';
+        const text = changes.slice(0, 3).map(change => `${change.label} ${change.from} → ${change.to}`).join('，');
+        return changes.length > 3 ? `${text} 等 ${changes.length} 项` : text;
+    };
+
+    /**
+     * 创建历史记录
+     * @param {Object} options - { limit } 最多保留的步数 (超出时丢弃最早的记录)
+     * @returns {Object} { record, undo, redo, jumpTo, canUndo, canRedo, getEntries, getIndex, clear }
+     */
+    const create = (options = {}) => {
+        const limit = options.limit > 0 ? options.limit : DEFAULT_LIMIT;
+        let entries = [];
+        let index = -1;
+
+        /**
+         * 记录新的一步 (当前位置之后的重做记录会被丢弃)
+         * @param {Object} params - 本步的完整参数
+         * @param {Object} [context] - 恢复时需要一并还原的界面状态 (如参数面板的覆盖值)
+         * @returns {Object|null} 新记录，与当前步参数相同时不记录并返回 null
+         */
+        const record = (params, context = {}) => {
+            const current = entries[index] || null;
+            const changes = diffParams(current && current.params, params);
+            if (current && changes.length === 0) {
+                return null;
+            }
+            const entry = {
+                params: JSON.parse(JSON.stringify(params)),
+                context: JSON.parse(JSON.stringify(context)),
+                changes,
+                description: current ? describeChanges(changes) : '初始处理',
+                time: Date.now()
+            };
+            entries = entries.slice(0, index + 1);
+            entries.push(entry);
+            if (entries.length > limit) {
+                entries = entries.slice(entries.length - limit);
+            }
+            index = entries.length - 1;
+            return entry;
+        };
+
+        const jumpTo = (targetIndex) => {
+            if (targetIndex < 0 || targetIndex >= entries.length) return null;
+            index = targetIndex;
+            return entries[index];
+        };
+
+        return {
+            record,
+            undo: () => jumpTo(index - 1),
+            redo: () => jumpTo(index + 1),
+            jumpTo,
+            canUndo: () => index > 0,
+            canRedo: () => index < entries.length - 1,
+            getEntries: () => entries.slice(),
+            getIndex: () => index,
+            clear: () => {
+                entries = [];
+                index = -1;
+            }
+        };
+    };
+
+    return {
+        create,
+        diffParams,
+        describeChanges
+    };
+})();
+
+export default ParamHistory;
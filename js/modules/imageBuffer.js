@@ -0,0 +1,29 @@
+/**
+ * 图像缓冲区模块
+ * 统一创建图像数据：浏览器/Worker 中返回 ImageData，Node.js 中返回 { width, height, data } 普通对象
+ * 所有处理函数只依赖 width、height 和 RGBA 格式的 data，因此两种形式可以互换使用
+ */
+
+const ImageBuffer = (() => {
+    const hasImageData = typeof ImageData !== 'undefined';
+
+    /**
+     * 创建图像数据
+     * @param {Uint8ClampedArray} data - RGBA 像素数据 (长度为 width * height * 4)
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {ImageData|Object} 图像数据
+     */
+    const create = (data, width, height) => {
+        if (hasImageData) {
+            return new ImageData(data, width, height);
+        }
+        return { width, height, data };
+    };
+
+    return {
+        create
+    };
+})();
+
+export default ImageBuffer;
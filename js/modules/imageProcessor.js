@@ -5,31 +5,56 @@
 
 import ImageAlgorithms from './algorithms.js';
 import Materials from './materials.js';
+import ImageResampler from './resampler.js';
+import ImageBuffer from './imageBuffer.js';
+import DotGain from './dotGain.js';
+import ToneCurve from './toneCurve.js';
+import BackgroundRemoval from './background.js';
+import RegionMasks from './regions.js';
+import PortraitEnhancer from './portrait.js';
 
 const ImageProcessor = (() => {
     /**
      * 将图像转换为灰度
+     * 半透明/透明像素先合成到底色上 (默认白色，即不雕刻)；合成到指定底色时结果不再保留透明度
      * @param {ImageData} imageData - 原始图像数据
+     * @param {Object} [params] - 透明区域处理方式 { alphaMode, alphaColor }
      * @returns {ImageData} 灰度图像数据
      */
-    const convertToGrayscale = (imageData) => {
+    const convertToGrayscale = (imageData, params = {}) => {
         const data = imageData.data;
         const grayData = new Uint8ClampedArray(data.length);
+        const background = BackgroundRemoval.getBackgroundGray(params);
+        const composite = params.alphaMode === 'composite';
         
         for (let i = 0; i < data.length; i += 4) {
             // 使用Luminosity方法: 0.299*R + 0.587*G + 0.114*B
-            const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+            const alpha = data[i + 3] / 255;
+            const gray = Math.round((0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * alpha + background * (1 - alpha));
             grayData[i] = gray;     // R
             grayData[i + 1] = gray; // G
             grayData[i + 2] = gray; // B
-            grayData[i + 3] = data[i + 3]; // Alpha
+            grayData[i + 3] = composite ? 255 : data[i + 3]; // Alpha
         }
         
-        return new ImageData(grayData, imageData.width, imageData.height);
+        return ImageBuffer.create(grayData, imageData.width, imageData.height);
     };
     
     /**
-     * 计算图像直方图
+     * 按输出网格重采样 (一个像素对应一个激光点)
+     * @param {ImageData} imageData - 图像数据
+     * @param {Object} params - 参数 (outputWidth, outputHeight, resampleKernel)
+     * @returns {ImageData} 重采样后的图像数据 (未设置输出尺寸时原样返回)
+     */
+    const resampleToOutputGrid = (imageData, params) => {
+        if (!params || !params.outputWidth || !params.outputHeight) {
+            return imageData;
+        }
+        return ImageResampler.resample(imageData, params.outputWidth, params.outputHeight, params.resampleKernel);
+    };
+    
+    /**
+     * 计算图像直方图 (透明像素不雕刻，不参与统计)
      * @param {ImageData} imageData - 图像数据
      * @returns {Array} 直方图数据
      */
@@ -38,6 +63,7 @@ const ImageProcessor = (() => {
         const histogram = new Array(256).fill(0);
         
         for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < BackgroundRemoval.ALPHA_THRESHOLD) continue;
             // 假设已经是灰度图像，所以R=G=B，只读取R通道
             histogram[data[i]]++;
         }
@@ -85,100 +111,330 @@ const ImageProcessor = (() => {
     };
     
     /**
-     * 检测图像类型：使用 face-api.js 检测人像， fallback 到卡通/照片
+     * 提取图像类型检测所需的特征 (纯计算，可在 Worker 中执行)
      * @param {ImageData} imageData - 原始图像数据
-     * @returns {Promise<string>} 图像类型 ('photo', 'cartoon', 'portrait')
+     * @param {Object} options - 选项 { onProgress(stage, progress) }
+     * @returns {Object} { stdDev, texture, hist, edge }
      */
-    const detectImageType = async (imageData) => {
+    const analyzeImageFeatures = (imageData, options = {}) => {
+        const reportProgress = options.onProgress || (() => {});
+        
         // 提前转为灰度并获取统计信息
+        reportProgress('灰度转换', 0.1);
         const grayImage = convertToGrayscale(imageData);
         const stats = calculateImageStats(grayImage);
         
-        // --- 先进行卡通图检测 ---
-        console.log('开始判断是否为卡通图...');
-        
         // 提取关键特征
-        const textureFeatures = analyzeTextureFeatures(grayImage);
-        const histFeatures = analyzeHistogramFeatures(stats.histogram);
-        const edgeFeatures = analyzeEdgeFeatures(grayImage);
+        reportProgress('纹理分析', 0.3);
+        const texture = analyzeTextureFeatures(grayImage);
+        reportProgress('直方图分析', 0.6);
+        const hist = analyzeHistogramFeatures(stats.histogram);
+        reportProgress('边缘分析', 0.7);
+        const edge = analyzeEdgeFeatures(grayImage);
+        reportProgress('特征分析完成', 1);
+        
+        return { stdDev: stats.stdDev, texture, hist, edge };
+    };
+    
+    // 卡通/线稿判定规则 (按顺序检查，第一条满足的规则生效)
+    // 每个条件的 scale 为该特征的典型变化幅度，用于把 "超过阈值多少" 换算为置信度
+    const CARTOON_RULES = [
+        {
+            id: 'bw-few-peaks',
+            description: '直方图峰值少且黑白像素占绝大多数',
+            conditions: [
+                { feature: 'peakCount', op: '<=', threshold: 3, scale: 2 },
+                { feature: 'bwRatio', op: '>', threshold: 0.8, scale: 0.1 }
+            ]
+        },
+        {
+            id: 'very-smooth',
+            description: '极高的平滑区域占比',
+            conditions: [
+                { feature: 'lowVarianceAreaRatio', op: '>', threshold: 0.95, scale: 0.03 }
+            ]
+        },
+        {
+            id: 'smooth-with-bw',
+            description: '高平滑区域占比且含少量纯黑/纯白',
+            conditions: [
+                { feature: 'lowVarianceAreaRatio', op: '>', threshold: 0.92, scale: 0.03 },
+                { feature: 'bwRatio', op: '>', threshold: 0.001, scale: 0.01 }
+            ]
+        },
+        {
+            id: 'high-bw',
+            description: '极高的黑白占比',
+            conditions: [
+                { feature: 'bwRatio', op: '>', threshold: 0.7, scale: 0.1 }
+            ]
+        },
+        {
+            id: 'bw-smooth',
+            description: '中等黑白占比且较平滑',
+            conditions: [
+                { feature: 'bwRatio', op: '>', threshold: 0.5, scale: 0.1 },
+                { feature: 'lowVarianceAreaRatio', op: '>', threshold: 0.7, scale: 0.1 }
+            ]
+        },
+        {
+            id: 'geometric',
+            description: '明显的几何形状 (长直边多、色块少、颜色简单)',
+            conditions: [
+                { feature: 'longEdgeRatio', op: '>', threshold: 0.15, scale: 0.05 },
+                { feature: 'colorBlockCount', op: '<', threshold: 10, scale: 3 },
+                { feature: 'colorSimplicity', op: '>', threshold: 0.7, scale: 0.1 },
+                { feature: 'lowVarianceAreaRatio', op: '>', threshold: 0.8, scale: 0.1 }
+            ]
+        },
+        {
+            id: 'color-consistency',
+            description: '高度的色彩一致性',
+            conditions: [
+                { feature: 'colorSimplicity', op: '>', threshold: 0.85, scale: 0.1 },
+                { feature: 'lowVarianceAreaRatio', op: '>', threshold: 0.75, scale: 0.1 },
+                { feature: 'peakCount', op: '<=', threshold: 4, scale: 2 }
+            ]
+        },
+        {
+            id: 'smooth-sharp-edges',
+            description: '平滑且边缘锐利，峰值和肤色都不多',
+            conditions: [
+                { feature: 'lowVarianceAreaRatio', op: '>', threshold: 0.85, scale: 0.05 },
+                { feature: 'bwRatio', op: '>', threshold: 0.01, scale: 0.05 },
+                { feature: 'distinctEdgeRatio', op: '>', threshold: 0.04, scale: 0.02 },
+                { feature: 'edgeContrast', op: '>', threshold: 50, scale: 25 },
+                { feature: 'peakCount', op: '<=', threshold: 5, scale: 2 },
+                { feature: 'skinToneRatio', op: '<=', threshold: 0.3, scale: 0.1 },
+                // 单峰且标准差低的直方图更像照片
+                { feature: 'stdDev', op: '>=', threshold: 50, scale: 15, when: values => values.peakCount === 1 }
+            ]
+        }
+    ];
+    
+    // 特征的显示名称
+    const FEATURE_LABELS = {
+        stdDev: '标准差',
+        lowVarianceAreaRatio: '低方差面积占比',
+        colorSimplicity: '颜色单一性',
+        colorBlockCount: '色块数量',
+        skinToneRatio: '肤色比例',
+        bwRatio: '黑白占比',
+        peakCount: '直方图峰值数',
+        distinctEdgeRatio: '明显边缘比例',
+        edgeContrast: '边缘对比度',
+        longEdgeRatio: '长直边比例',
+        faceScores: '人脸置信度'
+    };
+    
+    const IMAGE_TYPE_NAMES = {
+        photo: '普通照片',
+        cartoon: '卡通/线稿',
+        portrait: '人像照片'
+    };
+    
+    /**
+     * 把 analyzeImageFeatures 的结果整理为扁平的特征值 (用于规则判断和报告)
+     * @param {Object} features - analyzeImageFeatures 的结果
+     * @returns {Object} 特征值
+     */
+    const flattenImageFeatures = (features) => ({
+        stdDev: features.stdDev,
+        lowVarianceAreaRatio: features.texture.lowVarianceAreaRatio,
+        colorSimplicity: features.texture.colorSimplicity,
+        colorBlockCount: features.texture.colorBlockCount,
+        skinToneRatio: features.texture.skinToneRatio,
+        bwRatio: features.hist.bwRatio,
+        peakCount: features.hist.peakCount,
+        distinctEdgeRatio: features.edge.distinctEdgeRatio,
+        edgeContrast: features.edge.edgeContrast,
+        longEdgeRatio: features.edge.longEdgeRatio
+    });
+    
+    /**
+     * 按规则表判断是否为卡通/线稿，并计算各条件相对阈值的余量
+     * 条件余量 = 特征值超过阈值的幅度 / 特征的典型变化幅度；规则的余量取其条件中最小的余量
+     * @param {Object} values - flattenImageFeatures 的结果
+     * @returns {Object} { rule, conditions, margin } rule 为生效的规则 (没有规则满足时为 null)，
+     *   conditions 为生效规则 (或最接近满足的规则) 的条件明细，margin 为该规则的余量 (不满足时为负)
+     */
+    const evaluateCartoonRules = (values) => {
+        let closest = null;
+        for (const rule of CARTOON_RULES) {
+            const conditions = rule.conditions
+                .filter(condition => !condition.when || condition.when(values))
+                .map(({ feature, op, threshold, scale }) => {
+                    const value = values[feature];
+                    const passed = op === '>' ? value > threshold
+                        : op === '>=' ? value >= threshold
+                        : op === '<' ? value < threshold
+                        : value <= threshold;
+                    const difference = op.startsWith('>') ? value - threshold : threshold - value;
+                    return { feature, label: FEATURE_LABELS[feature] || feature, value, op, threshold, passed, margin: difference / scale };
+                });
+            const margin = Math.min(...conditions.map(condition => condition.margin));
+            if (conditions.every(condition => condition.passed)) {
+                return { rule, conditions, margin };
+            }
+            if (!closest || margin > closest.margin) {
+                closest = { rule, conditions, margin };
+            }
+        }
+        return { rule: null, conditions: closest.conditions, closestRule: closest.rule, margin: closest.margin };
+    };
+    
+    // 余量换算为置信度：刚好在阈值上为 0.5，超出一个典型变化幅度及以上为 1
+    const marginToConfidence = margin => Math.round((0.5 + 0.5 * Math.min(1, Math.abs(margin))) * 100) / 100;
+    
+    /**
+     * 根据特征判断是否为卡通/线稿
+     * @param {Object} features - analyzeImageFeatures 的结果
+     * @returns {string|null} 'cartoon' 或 null (需要继续进行人脸检测)
+     */
+    const classifyImageFeatures = (features) => {
+        const values = flattenImageFeatures(features);
         
         console.log(`图像类型检测(卡通/照片) - 特征：`);
-        console.log(`  颜色单一性: ${textureFeatures.colorSimplicity.toFixed(2)}`);
-        console.log(`  明显边缘比例: ${edgeFeatures.distinctEdgeRatio.toFixed(3)}`);
-        console.log(`  边缘对比度: ${edgeFeatures.edgeContrast.toFixed(1)}`);
-        console.log(`  直方图峰值数: ${histFeatures.peakCount}`);
-        console.log(`  低方差面积占比: ${textureFeatures.lowVarianceAreaRatio.toFixed(3)}`);
-        console.log(`  标准差: ${stats.stdDev.toFixed(1)}`);
-        console.log(`  黑白占比 (0-10, 245-255): ${histFeatures.bwRatio.toFixed(3)}`);
-        
-        // 1. 强卡通/图形判断 (基于黑白占比和峰值数量)
-        if ((histFeatures.peakCount <= 3 || histFeatures.peakCount === 0) && histFeatures.bwRatio > 0.8) {
-            console.log('判定为 卡通 (峰值<=3或0 且 黑白占比 > 0.8)');
+        Object.entries(values).forEach(([key, value]) => {
+            console.log(`  ${FEATURE_LABELS[key]}: ${Number.isInteger(value) ? value : value.toFixed(3)}`);
+        });
+        
+        const { rule } = evaluateCartoonRules(values);
+        if (rule) {
+            console.log(`判定为 卡通 (${rule.description})`);
             return 'cartoon';
         }
-
-        // 2. 强卡通判断 (基于极高平滑度)
-        // 对于极高的平滑度（>0.95），不要求黑白占比
-        // 对于高平滑度（>0.92），只需要很少的黑白占比（>0.001）
-        if (textureFeatures.lowVarianceAreaRatio > 0.95 || 
-            (textureFeatures.lowVarianceAreaRatio > 0.92 && histFeatures.bwRatio > 0.001)) {
-             console.log(`判定为 卡通 (低方差占比 ${textureFeatures.lowVarianceAreaRatio.toFixed(3)})`);
-             return 'cartoon';
-        }
-
-        // 3. 高黑白对比判断
-        // 黑白占比越高，越可能是卡通图
-        if (histFeatures.bwRatio > 0.7) {
-            // 非常高的黑白占比，直接判定为卡通
-            console.log(`判定为 卡通 (极高黑白对比 ${histFeatures.bwRatio.toFixed(3)})`);
-            return 'cartoon';
-        } else if (histFeatures.bwRatio > 0.5 && textureFeatures.lowVarianceAreaRatio > 0.7) {
-            // 中等黑白占比，配合中等平滑度
-            console.log(`判定为 卡通 (黑白占比 ${histFeatures.bwRatio.toFixed(3)} 且 平滑度 ${textureFeatures.lowVarianceAreaRatio.toFixed(3)})`);
-            return 'cartoon';
+        return null;
+    };
+    
+    /**
+     * 由特征和人脸检测结果得出结构化的图像类型判定
+     * @param {Object} features - analyzeImageFeatures 的结果
+     * @param {Array|null} faces - 人脸检测结果 (卡通图不做人脸检测时为 null)
+     * @returns {Object} { imageType, rule: { id, description }, confidence, features, conditions, faces }
+     *   confidence 为 0.5-1 的置信度：卡通/照片按最关键条件超过 (或未达到) 阈值的幅度计算，人像取最高的人脸检测得分
+     */
+    const classifyImageType = (features, faces = null) => {
+        const values = flattenImageFeatures(features);
+        values.faceScores = faces ? faces.map(face => Math.round(face.score * 1000) / 1000) : null;
+        const evaluation = evaluateCartoonRules(values);
+        const conditions = evaluation.conditions.map(({ margin, ...condition }) => condition);
+        
+        if (evaluation.rule) {
+            return {
+                imageType: 'cartoon',
+                rule: { id: evaluation.rule.id, description: evaluation.rule.description },
+                confidence: marginToConfidence(evaluation.margin),
+                features: values,
+                conditions,
+                faces: faces || []
+            };
         }
-
-        // 4. 几何形状特征判断
-        const hasGeometricFeatures = edgeFeatures.longEdgeRatio > 0.15 && // 长直边较多
-                                   textureFeatures.colorBlockCount < 10 && // 色块数量较少
-                                   textureFeatures.colorSimplicity > 0.7; // 颜色简单
-
-        if (hasGeometricFeatures && textureFeatures.lowVarianceAreaRatio > 0.8) {
-            console.log('判定为 卡通 (检测到明显的几何形状特征)');
-            return 'cartoon';
+        if (faces && faces.length > 0) {
+            return {
+                imageType: 'portrait',
+                rule: { id: 'face-detected', description: `检测到 ${faces.length} 张人脸` },
+                confidence: Math.round(Math.max(...values.faceScores) * 100) / 100,
+                features: values,
+                conditions,
+                faces
+            };
         }
-
-        // 5. 高色彩一致性判断
-        const hasHighColorConsistency = textureFeatures.colorSimplicity > 0.85 && // 颜色单一性非常高
-                                      textureFeatures.lowVarianceAreaRatio > 0.75 && // 较高的平滑区域
-                                      histFeatures.peakCount <= 4; // 颜色数量有限
-
-        if (hasHighColorConsistency) {
-            console.log('判定为 卡通 (检测到高度的色彩一致性)');
-            return 'cartoon';
+        return {
+            imageType: 'photo',
+            rule: {
+                id: 'default-photo',
+                description: `不满足卡通规则 (最接近: ${evaluation.closestRule.description})，未检测到人脸`
+            },
+            confidence: marginToConfidence(evaluation.margin),
+            features: values,
+            conditions,
+            faces: []
+        };
+    };
+    
+    /**
+     * 生成手动指定的图像类型判定 (保留自动检测的特征值供对比)
+     * @param {string} imageType - 指定的图像类型
+     * @param {Object|null} detection - 自动检测结果
+     * @returns {Object} 判定结果 (rule.id 为 'manual'，置信度为 1)
+     */
+    const createManualImageType = (imageType, detection = null) => {
+        if (!IMAGE_TYPE_NAMES[imageType]) {
+            throw new Error(`未知图像类型: ${imageType}，可选: ${Object.keys(IMAGE_TYPE_NAMES).join(', ')}`);
         }
-
-        // 6. 中间情况判断 (检查平滑度、边缘、峰值数量)
-        const sharpEdges = edgeFeatures.distinctEdgeRatio > 0.04 && edgeFeatures.edgeContrast > 50; 
-        const highEnoughLowVariance = textureFeatures.lowVarianceAreaRatio > 0.85 && histFeatures.bwRatio > 0.01;
-
-        if (highEnoughLowVariance && sharpEdges) {
-             if (histFeatures.peakCount === 1 && stats.stdDev < 50) { 
-                 console.log('疑似卡通，但直方图特征更像照片，继续检测...');
-             } else if (histFeatures.peakCount > 5) { 
-                 console.log('疑似卡通，但峰值过多 (>5)，继续检测...');
-             } else if (textureFeatures.skinToneRatio > 0.3) {
-                 console.log('疑似卡通，但检测到较多肤色区域，继续检测...');
-             } else {
-                 console.log(`判定为 卡通 (中等优先级：低方差>0.85 且 边缘锐利 且 峰值<=5 且 肤色比例<=0.3)`); 
-                 return 'cartoon';
-             }
+        const detectedText = detection
+            ? `，自动检测为${IMAGE_TYPE_NAMES[detection.imageType]} (置信度 ${Math.round(detection.confidence * 100)}%)`
+            : '';
+        return {
+            imageType,
+            rule: { id: 'manual', description: `手动指定为${IMAGE_TYPE_NAMES[imageType]}${detectedText}` },
+            confidence: 1,
+            features: detection ? detection.features : null,
+            conditions: detection ? detection.conditions : [],
+            faces: detection ? detection.faces : [],
+            detectedImageType: detection ? detection.imageType : null
+        };
+    };
+    
+    /**
+     * 获取可选的图像类型
+     * @returns {Array} [{ id, name }]
+     */
+    const getImageTypes = () => Object.entries(IMAGE_TYPE_NAMES).map(([id, name]) => ({ id, name }));
+    
+    // 人脸检测模型所在路径 (检测模型加载成功时记录)，以及 68 点特征点模型的加载状态 ('unloaded' | 'loaded' | 'unavailable')
+    let faceModelPath = null;
+    let landmarkModelState = 'unloaded';
+    
+    /**
+     * 加载 68 点特征点模型 (可选：模型目录中没有该模型时只使用检测框，之后不再尝试)
+     */
+    const loadLandmarkModel = async () => {
+        if (landmarkModelState !== 'unloaded' || !faceModelPath) return;
+        try {
+            await faceapi.nets.faceLandmark68Net.loadFromUri(faceModelPath);
+            landmarkModelState = 'loaded';
+            console.log(`从 ${faceModelPath} 加载了 68 点特征点模型`);
+        } catch (e) {
+            landmarkModelState = 'unavailable';
+            console.warn('未找到 68 点特征点模型，眼睛和嘴巴位置按检测框估计:', e);
         }
-
-        // --- 如果不是卡通图，尝试人脸检测 ---
-        console.log('不是卡通图，尝试人脸检测...');
-        
+    };
+    
+    /**
+     * 将 face-api 的检测结果转换为普通对象 (可传给 Worker、保存在参数中)
+     * @param {Object} detection - 检测结果 (可能带特征点)
+     * @returns {Object} { box: { x, y, width, height }, score, landmarks: { leftEye, rightEye, mouth } | null }
+     */
+    const toFaceData = (detection) => {
+        const { box, score } = detection.detection || detection;
+        const toPoints = points => points.map(point => [point.x, point.y]);
+        return {
+            box: { x: box.x, y: box.y, width: box.width, height: box.height },
+            score,
+            landmarks: detection.landmarks ? {
+                leftEye: toPoints(detection.landmarks.getLeftEye()),
+                rightEye: toPoints(detection.landmarks.getRightEye()),
+                mouth: toPoints(detection.landmarks.getMouth())
+            } : null
+        };
+    };
+    
+    /**
+     * 使用 face-api.js 检测人脸 (需要 DOM，只能在主线程执行)
+     * 模型目录中有 68 点特征点模型时同时检测眼睛和嘴巴的特征点
+     * @param {ImageData} imageData - 原始图像数据
+     * @returns {Promise<Array>} 人脸数据 [{ box, score, landmarks }] (face-api 不可用或检测失败时返回空数组)
+     */
+    const detectFaces = async (imageData) => {
         try {
+            // 非浏览器环境 (Node.js) 无法进行人脸检测
+            if (typeof document === 'undefined') {
+                console.log('当前环境不支持人脸检测，跳过');
+                return [];
+            }
+            
             // 检查 face-api 是否已加载
             if (typeof faceapi === 'undefined') {
                 console.error('face-api.js 未加载，回退到普通照片判定');
@@ -195,6 +451,7 @@ const ImageProcessor = (() => {
                         console.log(`尝试从 ${path} 加载模型`);
                         await faceapi.nets.tinyFaceDetector.loadFromUri(path);
                         console.log(`从 ${path} 成功加载模型`);
+                        faceModelPath = path;
                         loaded = true;
                         break;
                     } catch (e) {
@@ -208,6 +465,8 @@ const ImageProcessor = (() => {
                 console.log('模型加载完成.');
             }
             
+            await loadLandmarkModel();
+            
             // 将 ImageData 绘制到临时 Canvas 以供 face-api 使用
             const canvas = document.createElement('canvas');
             canvas.width = imageData.width;
@@ -223,20 +482,63 @@ const ImageProcessor = (() => {
             
             // 执行人脸检测
             console.log('开始人脸检测...');
-            const detections = await faceapi.detectAllFaces(canvas, options);
+            const task = faceapi.detectAllFaces(canvas, options);
+            const detections = landmarkModelState === 'loaded' ? await task.withFaceLandmarks() : await task;
             console.log(`人脸检测完成，检测到 ${detections ? detections.length : 0} 张人脸。`);
 
-            if (detections && detections.length > 0) {
-                console.log('判定为 人像 (face-api 检测到人脸)');
-                return 'portrait';
-            }
+            return (detections || []).map(toFaceData);
         } catch (error) {
             console.error('人脸检测失败，回退到普通照片判定:', error);
+            return [];
         }
         
-        // 4. 默认情况：普通照片
-        console.log('判定为 普通照片 (不满足所有特殊判断条件)');
-        return 'photo';
+    };
+    
+    /**
+     * 检测图像类型：先按特征规则判断卡通/线稿，否则使用 face-api.js 检测人像，都不是时为普通照片
+     * @param {ImageData} imageData - 原始图像数据
+     * @returns {Promise<Object>} 结构化的判定结果 (见 classifyImageType)，人像同时返回人脸数据
+     */
+    const detectImageType = async (imageData) => {
+        // --- 先进行卡通图检测 ---
+        console.log('开始判断是否为卡通图...');
+        const features = analyzeImageFeatures(imageData);
+        if (classifyImageFeatures(features) === 'cartoon') {
+            return classifyImageType(features, null);
+        }
+        
+        // --- 如果不是卡通图，尝试人脸检测 ---
+        console.log('不是卡通图，尝试人脸检测...');
+        const detection = classifyImageType(features, await detectFaces(imageData));
+        console.log(`判定为 ${IMAGE_TYPE_NAMES[detection.imageType]} (${detection.rule.description})`);
+        return detection;
+    };
+    
+    /**
+     * 按人脸区域计算统计信息 (人像的锚点和对比度按面部而不是整幅图像计算)
+     * @param {ImageData} grayImage - 灰度图像 (可能已重采样)
+     * @param {Array} faces - 人脸数据 (坐标基于原始图像)
+     * @param {number} sourceWidth - 原始图像宽度
+     * @param {number} sourceHeight - 原始图像高度
+     * @returns {Object|null} 面部统计信息，没有人脸时返回 null
+     */
+    const calculateFaceStats = (grayImage, faces, sourceWidth, sourceHeight) => {
+        if (!faces || faces.length === 0) return null;
+        const scaledFaces = PortraitEnhancer.scaleFaces(faces, grayImage.width / sourceWidth, grayImage.height / sourceHeight);
+        const faceImage = PortraitEnhancer.isolateFaces(grayImage, scaledFaces);
+        return faceImage ? calculateImageStats(faceImage) : null;
+    };
+    
+    /**
+     * 人像增强 (皮肤平滑、五官锐化)，人脸坐标按处理图像的尺寸缩放
+     * @param {ImageData} image - 调整后的灰度图像
+     * @param {ImageData} sourceImage - 原始图像 (人脸坐标所基于的图像)
+     * @param {Object} params - 处理参数 { faces, portraitSmoothing, portraitDetail }
+     * @returns {ImageData} 增强后的图像
+     */
+    const enhancePortrait = (image, sourceImage, params) => {
+        const faces = PortraitEnhancer.scaleFaces(params.faces, image.width / sourceImage.width, image.height / sourceImage.height);
+        return PortraitEnhancer.enhance(image, faces, params);
     };
     
     /**
@@ -799,7 +1101,7 @@ const ImageProcessor = (() => {
             // Alpha保持不变
         }
         
-        return new ImageData(data, width, height);
+        return ImageBuffer.create(data, width, height);
     };
     
     /**
@@ -899,7 +1201,54 @@ const ImageProcessor = (() => {
             // Alpha保持不变
         }
         
-        return new ImageData(data, width, height);
+        return ImageBuffer.create(data, width, height);
+    };
+    
+    /**
+     * 计算 亮度/对比度 + 色阶 调整的等效查找表 (与 applyBrightnessContrast、applyLevels 逐级一致，含卡通图的自适应黑场)，
+     * 用于把材料参数换算为色调曲线
+     * @param {Object} params - 处理参数
+     * @param {Array} histogram - 调整前的灰度直方图
+     * @returns {Uint8Array} 256 级查找表
+     */
+    const createAdjustmentLUT = (params, histogram) => {
+        const brightnessAdjust = (params.brightness ?? 0) * 2.55;
+        const contrast = params.contrast ?? 1.2;
+        const anchorGray = params.anchorGray ?? 128;
+        const inLow = params.levelInLow ?? 0;
+        const inHigh = params.levelInHigh ?? 255;
+        const outLow = params.levelOutLow ?? 0;
+        const outHigh = params.levelOutHigh ?? 255;
+
+        const adjusted = new Uint8Array(256);
+        const adjustedHistogram = new Array(256).fill(0);
+        for (let v = 0; v < 256; v++) {
+            const gray = (v + brightnessAdjust - anchorGray) * contrast + anchorGray;
+            adjusted[v] = Math.max(0, Math.min(255, Math.round(gray)));
+            adjustedHistogram[adjusted[v]] += histogram[v];
+        }
+
+        const finalInLow = Math.max(inLow, calculateAdaptiveInLow(adjustedHistogram, params.detectedImageType));
+        const inRange = inHigh - finalInLow;
+        const outRange = outHigh - outLow;
+        if (inRange <= 0 || outRange < 0) {
+            return adjusted;
+        }
+
+        const lut = new Uint8Array(256);
+        for (let v = 0; v < 256; v++) {
+            const gray = adjusted[v];
+            let value;
+            if (gray <= finalInLow) {
+                value = outLow;
+            } else if (gray >= inHigh) {
+                value = outHigh;
+            } else {
+                value = outLow + ((gray - finalInLow) / inRange) * outRange;
+            }
+            lut[v] = Math.max(0, Math.min(255, Math.round(value)));
+        }
+        return lut;
     };
     
     /**
@@ -908,67 +1257,124 @@ const ImageProcessor = (() => {
      * @param {string} materialId - 材料ID
      * @param {string} variant - 材料变体 (dark, neutral, light)
      * @param {string} laserType - 激光器类型 (e.g., 'CO2', 'Diode', 'Fiber')
-     * @param {Object} overrideParams - 用户覆盖的参数 (例如 { anchorGray: 100, knownImageType: 'photo' })
+     * @param {Object} overrideParams - 用户覆盖的参数 (例如 { anchorGray: 100, knownImageType: 'photo', params: { contrast: 1.3 } })，params 中的参数在自动调整之后覆盖；
+     *   typeDetection 为之前的类型判定结果 (detectImageType / classifyImageType / createManualImageType)，只给出 knownImageType 时视为手动指定
+     * @param {Object} options - 选项 { onProgress(stage, progress) }，用于报告各阶段进度
      * @returns {Promise<Object>} 处理结果和相关信息
      */
-    const processImage = async (imageData, materialId, variant = 'neutral', laserType = 'CO2', overrideParams = {}) => {
+    const processImage = async (imageData, materialId, variant = 'neutral', laserType = 'CO2', overrideParams = {}, options = {}) => {
+        const reportProgress = options.onProgress || (() => {});
+        
         // 检查是否有已知的图像类型传入
         const knownImageType = overrideParams.knownImageType;
         
         console.log(`处理图像，覆盖参数:`, overrideParams);
         
-        // 1. 转换为灰度图
-        const grayImage = convertToGrayscale(imageData);
+        // 输出尺寸参数 (由物理尺寸和DPI换算得到的像素尺寸)
+        const outputParams = {
+            outputWidth: overrideParams.outputWidth || null,
+            outputHeight: overrideParams.outputHeight || null,
+            outputDpi: overrideParams.outputDpi || null,
+            resampleKernel: overrideParams.resampleKernel || null
+        };
+        
+        // 区域蒙版 (各区域使用自己的参数处理后合成)
+        const regions = RegionMasks.normalizeRegions(overrideParams.regions);
+        
+        // 透明区域的处理方式 (默认不雕刻)
+        const alphaParams = {
+            alphaMode: overrideParams.alphaMode || 'unburned',
+            alphaColor: overrideParams.alphaColor || '#ffffff'
+        };
+        
+        // 1. 转换为灰度图，并按目标尺寸/DPI重采样 (必须在抖动之前完成)
+        reportProgress('灰度转换', 0.05);
+        let grayImage = convertToGrayscale(imageData, alphaParams);
+        if (outputParams.outputWidth) {
+            reportProgress('重采样', 0.1);
+            grayImage = resampleToOutputGrid(grayImage, outputParams);
+        }
         
         // 2. 计算图像统计信息
+        reportProgress('统计分析', 0.2);
         const imageStats = calculateImageStats(grayImage);
         
         // 3. 检测图像类型 (如果知道类型则跳过检测)
-        let imageType;
+        let typeDetection = overrideParams.typeDetection || null;
         if (knownImageType) {
-            imageType = knownImageType;
-            console.log(`使用已知图像类型: ${imageType} (跳过检测)`);
-        } else {
+            if (!typeDetection || typeDetection.imageType !== knownImageType) {
+                typeDetection = createManualImageType(knownImageType, typeDetection);
+            }
+            console.log(`使用已知图像类型: ${knownImageType} (跳过检测)`);
+        } else if (!typeDetection) {
             // 只有在不知道类型时才执行检测
             console.log('首次处理或未知类型，执行图像类型检测...');
-            imageType = await detectImageType(imageData);
-            console.log(`检测到图像类型: ${imageType}`);
+            reportProgress('类型检测', 0.25);
+            typeDetection = await detectImageType(imageData);
+            console.log(`检测到图像类型: ${typeDetection.imageType}`);
         }
+        const imageType = typeDetection.imageType;
+        const isManualType = typeDetection.rule.id === 'manual';
+        let faces = overrideParams.faces || typeDetection.faces || [];
+        if (imageType !== 'portrait') faces = [];
+        
+        // 人像：锚点和对比度按人脸区域的直方图计算
+        const faceStats = calculateFaceStats(grayImage, faces, imageData.width, imageData.height);
+        const paramStats = faceStats || imageStats;
         
         // 4. 获取材料基本参数
+        reportProgress('参数计算', 0.3);
         let params = Materials.getMaterialParams(materialId, variant);
         
         // 5. 根据图像特性和激光器类型调整参数
         let { params: nonDitherParams, info: initialInfo, analysis } = 
-            Materials.adjustParamsForImageStats(params, imageStats, imageType, laserType);
+            Materials.adjustParamsForImageStats(params, paramStats, imageType, laserType);
+        if (faceStats) {
+            analysis.adjustmentReasons.push(`[人像增强] 按 ${faces.length} 张人脸区域的直方图计算锚点和对比度 (面部均值 ${faceStats.mean.toFixed(1)}，标准差 ${faceStats.stdDev.toFixed(1)}；整幅图像均值 ${imageStats.mean.toFixed(1)})`);
+        }
         
         // (!!! 新增 !!!) 保存初始基础参数，不含最终锚点计算
         const initialBaseParams = { ...nonDitherParams };
 
         // 添加图像类型检测信息到分析报告
-        let imageTypeText = imageType === 'portrait' ? '人像照片' : 
-                             imageType === 'cartoon' ? '卡通/线稿' : '普通照片';
+        const imageTypeText = IMAGE_TYPE_NAMES[imageType];
+        const typeSourceText = isManualType ? ' (手动指定)'
+            : overrideParams.typeDetection ? ' (使用之前的检测结果)' : '';
         
         // 添加图像类型到分析摘要
         if (!analysis.imageSummary) {
             analysis.imageSummary = '';
         }
-        // 根据来源更新分析信息
-        if (knownImageType) {
-            analysis.imageSummary = `检测类型: ${imageTypeText} (使用之前的检测结果). ` + analysis.imageSummary;
-        } else {
-            analysis.imageSummary = `检测类型: ${imageTypeText}. ` + analysis.imageSummary;
-        }
+        analysis.imageSummary = `检测类型: ${imageTypeText}${typeSourceText}. ` + analysis.imageSummary;
         
         // 添加图像特征说明
-        analysis.adjustmentReasons.push(`[图像分析] 检测到图像类型为${imageTypeText}`);
+        analysis.adjustmentReasons.push(isManualType
+            ? `[图像分析] ${typeDetection.rule.description}`
+            : `[图像分析] 检测到图像类型为${imageTypeText} (${typeDetection.rule.description}，置信度 ${Math.round(typeDetection.confidence * 100)}%)`);
+        
+        if (outputParams.outputWidth && outputParams.outputHeight) {
+            analysis.adjustmentReasons.push(`[输出尺寸] 已按 ${outputParams.outputDpi} DPI 重采样为 ${grayImage.width}x${grayImage.height} 像素 (${outputParams.resampleKernel || 'bicubic'})`);
+        }
+        
+        // 参数面板中的用户覆盖值在自动调整之后生效 (锚点灰度仍使用 overrideParams.anchorGray)
+        const userParams = overrideParams.params || {};
+        const userKeys = Object.keys(userParams).filter(key => key !== 'anchorGray' && key in Materials.defaultParams);
+        if (userKeys.length > 0) {
+            userKeys.forEach(key => {
+                nonDitherParams[key] = userParams[key];
+            });
+            analysis.adjustmentReasons.push(`[用户设置] 参数面板覆盖: ${userKeys.map(key => Materials.PARAM_LABELS[key] || key).join('、')}`);
+        }
         
         const materialInfo = Materials.getMaterialInfo(materialId); // 获取材料信息，包含isMetal
         
-        // 6. 自动计算最佳锚点灰度值（除非用户覆盖）
+        // 6. 自动计算最佳锚点灰度值（除非用户覆盖，或材料变体有校准卡确定的锚点）
+        const calibratedAnchorGray = Materials.getAnchorOverride(materialId, variant);
+        const anchorOverride = overrideParams.anchorGray !== undefined ? overrideParams.anchorGray
+            : calibratedAnchorGray !== null ? calibratedAnchorGray : undefined;
         let anchorGraySource = ''; // 记录锚点来源
-        if (overrideParams.anchorGray === undefined) {
-            nonDitherParams.anchorGray = calculateOptimalAnchorGray(imageStats, imageType);
+        if (anchorOverride === undefined) {
+            nonDitherParams.anchorGray = calculateOptimalAnchorGray(paramStats, imageType);
             anchorGraySource = 'auto_calculated';
             
             let strategyExplanation = '';
@@ -1020,12 +1426,17 @@ const ImageProcessor = (() => {
             
         } else {
             // 用户覆盖了锚点值
-            if (typeof overrideParams.anchorGray === 'number' && 
-                overrideParams.anchorGray >= 0 && 
-                overrideParams.anchorGray <= 255) {
-                nonDitherParams.anchorGray = overrideParams.anchorGray;
-                anchorGraySource = 'user_override';
-                analysis.adjustmentReasons.push(`[用户设置] 锚点灰度被手动设置为 ${nonDitherParams.anchorGray}`);
+            if (typeof anchorOverride === 'number' && 
+                anchorOverride >= 0 && 
+                anchorOverride <= 255) {
+                nonDitherParams.anchorGray = anchorOverride;
+                if (overrideParams.anchorGray !== undefined) {
+                    anchorGraySource = 'user_override';
+                    analysis.adjustmentReasons.push(`[用户设置] 锚点灰度被手动设置为 ${nonDitherParams.anchorGray}`);
+                } else {
+                    anchorGraySource = 'material_calibration';
+                    analysis.adjustmentReasons.push(`[材料校准] 使用校准卡确定的锚点灰度 ${nonDitherParams.anchorGray}`);
+                }
             } else {
                 // 如果覆盖值无效，则回退到默认值或基础计算？这里先用默认值
                 nonDitherParams.anchorGray = Materials.defaultParams.anchorGray || 128;
@@ -1034,24 +1445,40 @@ const ImageProcessor = (() => {
             }
         }
         
-        // 7. 应用基础调整
-        let adjustedGrayImage = applyBrightnessContrast(
-            grayImage, 
-            nonDitherParams.brightness, 
-            nonDitherParams.contrast,
-            nonDitherParams.anchorGray
-        );
-        adjustedGrayImage = applyLevels(
-            adjustedGrayImage, 
-            nonDitherParams.levelInLow, 
-            nonDitherParams.levelInHigh, 
-            nonDitherParams.levelOutLow, 
-            nonDitherParams.levelOutHigh,
-            imageType
-        );
+        // 7. 应用基础调整 (材料保存了色调曲线时由曲线代替亮度/对比度和色阶)
+        let adjustedGrayImage;
+        if (nonDitherParams.toneCurve) {
+            reportProgress('色调曲线', 0.4);
+            adjustedGrayImage = ToneCurve.apply(grayImage, nonDitherParams.toneCurve);
+            analysis.adjustmentReasons.push(`[色调曲线] 使用材料保存的 ${nonDitherParams.toneCurve.length} 点曲线代替亮度/对比度和色阶`);
+        } else {
+            reportProgress('亮度/对比度', 0.4);
+            adjustedGrayImage = applyBrightnessContrast(
+                grayImage, 
+                nonDitherParams.brightness, 
+                nonDitherParams.contrast,
+                nonDitherParams.anchorGray
+            );
+            reportProgress('色阶', 0.55);
+            adjustedGrayImage = applyLevels(
+                adjustedGrayImage, 
+                nonDitherParams.levelInLow, 
+                nonDitherParams.levelInHigh, 
+                nonDitherParams.levelOutLow, 
+                nonDitherParams.levelOutHigh,
+                imageType
+            );
+        }
         if (nonDitherParams.sharpness > 0) {
+            reportProgress('锐化', 0.7);
             adjustedGrayImage = ImageAlgorithms.applySharpening(adjustedGrayImage, nonDitherParams.sharpness);
         }
+        if (faces.length > 0 && (nonDitherParams.portraitSmoothing > 0 || nonDitherParams.portraitDetail > 0)) {
+            reportProgress('人像增强', 0.75);
+            adjustedGrayImage = enhancePortrait(adjustedGrayImage, imageData, { ...nonDitherParams, faces });
+            analysis.adjustmentReasons.push(`[人像增强] 皮肤平滑 ${nonDitherParams.portraitSmoothing}，五官细节 ${nonDitherParams.portraitDetail}` +
+                (faces.some(face => face.landmarks) ? ' (按 68 点特征点定位眼睛和嘴巴)' : ' (眼睛和嘴巴位置按检测框估计)'));
+        }
         
         // 移除自动抖动逻辑：默认不应用抖动
         let finalProcessedImage = adjustedGrayImage; // 最终处理结果（可能反色，但无抖动）
@@ -1065,6 +1492,7 @@ const ImageProcessor = (() => {
         let finalImage = finalProcessedImage;
         let wasInverted = false;
         if (variant === 'dark') {
+            reportProgress('反色', 0.9);
             finalImage = ImageAlgorithms.invertColors(finalProcessedImage);
             wasInverted = true;
             console.log('为深色变体应用了反色处理。');
@@ -1073,23 +1501,44 @@ const ImageProcessor = (() => {
             analysis.adjustmentReasons.push('[颜色处理] 浅色材料未应用反色');
         }
         
+        if (BackgroundRemoval.hasTransparency(imageData)) {
+            analysis.adjustmentReasons.push(alphaParams.alphaMode === 'composite'
+                ? `[透明区域] 透明区域合成到底色 ${alphaParams.alphaColor} 后按图像内容处理`
+                : '[透明区域] 透明区域 (含已去除的背景) 不雕刻，也不参与统计');
+        }
+        finalImage = BackgroundRemoval.flattenAlpha(finalImage, grayImage, alphaParams);
+        
         const finalInfo = initialInfo + ditherDecisionInfo + (wasInverted ? '已自动反色。' : '');
         
         const finalParams = { 
             ...nonDitherParams, 
+            ...outputParams,
+            ...alphaParams,
+            regions: regions.length > 0 ? regions : null,
+            faces: faces.length > 0 ? faces : null,
             ditherEnabled: ditherEnabled, 
             ditherType: ditherEnabled ? ditherType : null, 
             ditherThreshold: ditherEnabled ? ditherThreshold : null,
             detectedImageType: imageType 
         };
+        
+        if (regions.length > 0) {
+            reportProgress('区域处理', 0.95);
+            finalImage = applyRegions(imageData, { ...finalParams, invert: wasInverted }, finalImage);
+            analysis.adjustmentReasons.push(`[区域蒙版] ${regions.map(region => `${region.name}: ${describeRegionParams(region)}`).join('；')}`);
+        }
 
         // 恢复分析报告结构
         analysis.imageTypeDetection = {
             imageType: imageType,
-            summary: `检测到图像类型: ${imageTypeText}` + (knownImageType ? ' (使用之前的检测结果)' : ''),
-            confidence: knownImageType ? 0.99 : 0.85 // 已知类型给更高置信度
+            summary: `检测到图像类型: ${imageTypeText}${typeSourceText}`,
+            confidence: typeDetection.confidence,
+            rule: typeDetection.rule,
+            detectedImageType: isManualType ? typeDetection.detectedImageType : imageType,
+            features: typeDetection.features,
+            conditions: typeDetection.conditions
         };
-        const strategyDescription = getStrategyDescription(imageType, imageStats);
+        const strategyDescription = getStrategyDescription(imageType, paramStats);
         analysis.adjustmentStrategy = {
             strategyType: imageType,
             description: strategyDescription
@@ -1101,6 +1550,7 @@ const ImageProcessor = (() => {
         if (!analysis.adjustmentReasons.includes(anchorGrayInfo)) {
             analysis.adjustmentReasons.push(anchorGrayInfo);
         }
+        reportProgress('完成', 1);
 
         return {
             originalImage: imageData,
@@ -1108,6 +1558,8 @@ const ImageProcessor = (() => {
             processedImage: finalImage, // 使用可能已反色的 finalImage
             wasInverted: wasInverted, // 传递反色状态
             imageStats: imageStats,
+            faceStats: faceStats,
+            typeDetection: typeDetection,
             initialParams: initialBaseParams, // (!!! 新增 !!!) 返回初始基础参数
             params: finalParams,             // 最终应用参数
             info: finalInfo,
@@ -1120,15 +1572,23 @@ const ImageProcessor = (() => {
      * 自定义处理图像
      * @param {ImageData} imageData - 原始图像数据
      * @param {Object} params - 自定义参数
+     * @param {Object} options - 选项 { onProgress(stage, progress) }，用于报告各阶段进度
      * @returns {Object} 处理结果
      */
-    const processImageWithCustomParams = (imageData, params) => {
+    const processImageWithCustomParams = (imageData, params, options = {}) => {
+        const reportProgress = options.onProgress || (() => {});
         console.log('使用自定义参数处理图像:', params);
         try {
-            // 转换为灰度图
-            const grayImage = convertToGrayscale(imageData);
+            // 转换为灰度图，并按目标尺寸/DPI重采样
+            reportProgress('灰度转换', 0.05);
+            let grayImage = convertToGrayscale(imageData, params);
+            if (params.outputWidth) {
+                reportProgress('重采样', 0.1);
+                grayImage = resampleToOutputGrid(grayImage, params);
+            }
             
             // 计算图像统计信息
+            reportProgress('统计分析', 0.2);
             const imageStats = calculateImageStats(grayImage);
             
             // 提供默认值
@@ -1141,39 +1601,91 @@ const ImageProcessor = (() => {
                 levelInHigh: 255,
                 levelOutLow: 0,
                 levelOutHigh: 255,
+                toneCurve: null, // 色调曲线控制点，设置后代替亮度/对比度和色阶
                 ditherEnabled: false,
                 ditherType: 'floydSteinberg',
                 ditherThreshold: 128,
+                ditherSerpentine: false,
+                ditherErrorAttenuation: 1,
+                ditherErrorClamp: 0,
+                ditherBlueNoiseSize: 64,
+                ditherBlueNoiseSeed: 1,
+                ditherHalftoneShape: 'round',
+                ditherHalftoneAngle: 45,
+                ditherHalftoneLpi: 50,
+                ditherLevels: 2,
+                ditherLevelTable: null,
+                dotGainMode: 'none',
+                dotGainCurve: null,
+                dotGainBeamDiameter: 0.1,
+                invert: false, // 是否在最后反色 (深色材料/预设保存的反色状态)
+                alphaMode: 'unburned', // 透明区域: unburned 不雕刻 | composite 合成到 alphaColor
+                alphaColor: '#ffffff',
+                regions: null, // 区域蒙版：[{ name, shapes, params }]，各区域按自己的参数处理后合成
+                faces: null, // 人像的人脸数据 [{ box, score, landmarks }]，用于皮肤平滑和五官锐化
+                portraitSmoothing: 0,
+                portraitDetail: 0,
                 ...params // 覆盖默认值
             };
             
             console.log('最终参数:', params);
             
-            // 应用调整
-            let processedImage = applyBrightnessContrast(
-                grayImage, 
-                params.brightness, 
-                params.contrast,
-                params.anchorGray // 使用传入的锚点灰度值
-            );
-            
-            processedImage = applyLevels(
-                processedImage, 
-                params.levelInLow, 
-                params.levelInHigh, 
-                params.levelOutLow, 
-                params.levelOutHigh,
-                params.detectedImageType
-            );
+            // 应用调整 (设置了色调曲线时由曲线代替亮度/对比度和色阶)
+            let processedImage;
+            if (params.toneCurve) {
+                reportProgress('色调曲线', 0.3);
+                processedImage = ToneCurve.apply(grayImage, params.toneCurve);
+            } else {
+                reportProgress('亮度/对比度', 0.3);
+                processedImage = applyBrightnessContrast(
+                    grayImage, 
+                    params.brightness, 
+                    params.contrast,
+                    params.anchorGray // 使用传入的锚点灰度值
+                );
+                
+                reportProgress('色阶', 0.4);
+                processedImage = applyLevels(
+                    processedImage, 
+                    params.levelInLow, 
+                    params.levelInHigh, 
+                    params.levelOutLow, 
+                    params.levelOutHigh,
+                    params.detectedImageType
+                );
+            }
             
             if (params.sharpness > 0) {
+                reportProgress('锐化', 0.5);
                 processedImage = ImageAlgorithms.applySharpening(processedImage, params.sharpness);
             }
+            if (params.faces && params.faces.length > 0) {
+                reportProgress('人像增强', 0.55);
+                processedImage = enhancePortrait(processedImage, imageData, params);
+            }
             
             if (params.ditherEnabled) {
+                // 激光点的烧蚀范围大于像素时，抖动前先提亮中间调
+                reportProgress('网点扩大补偿', 0.6);
+                processedImage = DotGain.apply(processedImage, params);
+                
+                reportProgress('抖动', 0.65);
                 processedImage = ImageAlgorithms.applyDithering(processedImage, params);
             }
             
+            if (params.invert) {
+                reportProgress('反色', 0.9);
+                processedImage = ImageAlgorithms.invertColors(processedImage);
+            }
+            processedImage = BackgroundRemoval.flattenAlpha(processedImage, grayImage, params);
+            
+            if (params.regions && params.regions.length > 0) {
+                reportProgress('区域处理', 0.95);
+                params.regions = RegionMasks.normalizeRegions(params.regions);
+                processedImage = applyRegions(imageData, params, processedImage);
+            }
+            reportProgress('完成', 1);
+            
             return {
                 originalImage: imageData,
                 grayImage: grayImage,
@@ -1181,7 +1693,7 @@ const ImageProcessor = (() => {
                 imageStats: imageStats,
                 params: params,
                 info: "使用自定义参数处理",
-                wasInverted: false
+                wasInverted: !!params.invert
             };
         } catch (error) {
             console.error('自定义参数处理失败:', error);
@@ -1189,6 +1701,31 @@ const ImageProcessor = (() => {
         }
     };
     
+    /**
+     * 按区域参数分别处理整幅图像，再按各区域的蒙版合成 (后面的区域覆盖前面的区域)
+     * 区域形状的坐标基于原始图像，输出经过重采样时按比例缩放
+     * @param {ImageData} imageData - 原始图像数据
+     * @param {Object} params - 整幅图像的最终参数 (含 regions)
+     * @param {ImageData} baseImage - 整幅图像的处理结果
+     * @returns {ImageData} 合成结果
+     */
+    const applyRegions = (imageData, params, baseImage) => {
+        const scaleX = baseImage.width / imageData.width;
+        const scaleY = baseImage.height / imageData.height;
+        return params.regions.reduce((output, region) => {
+            const regionResult = processImageWithCustomParams(imageData, RegionMasks.getRegionParams(params, region));
+            const mask = RegionMasks.rasterize(region, output.width, output.height, scaleX, scaleY);
+            return RegionMasks.composite(output, regionResult.processedImage, mask);
+        }, baseImage);
+    };
+    
+    // 区域参数的说明文字
+    const describeRegionParams = (region) => {
+        const entries = Object.entries(region.params);
+        if (entries.length === 0) return '沿用整体参数';
+        return entries.map(([key, value]) => `${Materials.PARAM_LABELS[key] || key} ${value}`).join('，');
+    };
+    
     /**
      * 绘制直方图
      * @param {HTMLCanvasElement} canvas - 目标画布
@@ -1292,12 +1829,22 @@ const ImageProcessor = (() => {
         calculateHistogram,
         calculateImageStats,
         calculateOptimalAnchorGray,
+        calculateFaceStats,
         applyBrightnessContrast,
         applyLevels,
+        createAdjustmentLUT,
         processImage,
         processImageWithCustomParams,
+        resampleToOutputGrid,
         drawHistogram,
         detectImageType,
+        analyzeImageFeatures,
+        classifyImageFeatures,
+        classifyImageType,
+        createManualImageType,
+        getImageTypes,
+        FEATURE_LABELS,
+        detectFaces,
         analyzeHistogramFeatures,
         analyzeEdgeFeatures,
         analyzeTextureFeatures
@@ -0,0 +1,375 @@
+/**
+ * 自定义材料库模块
+ * 管理用户自定义材料：校验、本地持久化，以及带版本号的 JSON 导入/导出 (便于多台设备共享同一材料库)
+ */
+
+import Materials from './materials.js';
+import ImageAlgorithms from './algorithms.js';
+import DotGain from './dotGain.js';
+import ToneCurve from './toneCurve.js';
+import BurnSimulator from './burnSimulator.js';
+import LocalStore from './storage.js';
+
+const MaterialLibrary = (() => {
+    const STORAGE_KEY = 'img4laser.customMaterials';
+    const FILE_FORMAT = 'img4laser-materials';
+    const SCHEMA_VERSION = 1;
+
+    // 每种材料必须包含的颜色变体 (与界面的颜色选择一致)
+    const REQUIRED_VARIANTS = {
+        dark: '深色',
+        neutral: '浅色'
+    };
+
+    const ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    /**
+     * 校验单个变体的参数；缺失字段使用默认值补全，类型错误或超出范围的值会被拒绝
+     * @param {Object} params - 参数
+     * @param {string} path - 错误信息中的位置描述
+     * @param {Array} errors - 错误列表 (追加)
+     * @returns {Object} 补全后的参数
+     */
+    const validateParams = (params, path, errors) => {
+        if (!params || typeof params !== 'object') {
+            errors.push(`${path}: 缺少参数`);
+            return { ...Materials.defaultParams };
+        }
+
+        const result = { ...Materials.defaultParams };
+        for (const key of Object.keys(Materials.defaultParams)) {
+            if (params[key] === undefined) continue;
+            const value = params[key];
+            const range = Materials.PARAM_RANGES[key];
+
+            if (range) {
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(`${path}.${key}: 必须是数字`);
+                } else if (value < range.min || value > range.max) {
+                    errors.push(`${path}.${key}: ${value} 超出范围 ${range.min} ~ ${range.max}`);
+                }
+            } else if (typeof Materials.defaultParams[key] === 'boolean') {
+                if (typeof value !== 'boolean') errors.push(`${path}.${key}: 必须是 true/false`);
+            } else if (key === 'ditherType') {
+                const validTypes = ImageAlgorithms.getDitherAlgorithms().map(algo => algo.id);
+                if (!validTypes.includes(value)) {
+                    errors.push(`${path}.${key}: 未知抖动算法 ${value}`);
+                }
+            } else if (key === 'ditherHalftoneShape') {
+                const validShapes = ImageAlgorithms.getHalftoneShapes().map(shape => shape.id);
+                if (!validShapes.includes(value)) {
+                    errors.push(`${path}.${key}: 未知网点点形 ${value}`);
+                }
+            } else if (key === 'dotGainMode') {
+                if (!DotGain.getModes().some(mode => mode.id === value)) {
+                    errors.push(`${path}.${key}: 未知补偿方式 ${value}`);
+                }
+            } else if (key === 'toneCurve') {
+                try {
+                    result[key] = ToneCurve.normalizePoints(value);
+                } catch (error) {
+                    errors.push(`${path}.${key}: ${error.message}`);
+                }
+                continue;
+            } else if (key === 'dotGainCurve') {
+                try {
+                    result[key] = DotGain.normalizeCurve(value);
+                } catch (error) {
+                    errors.push(`${path}.${key}: ${error.message}`);
+                }
+                continue;
+            }
+            result[key] = value;
+        }
+
+        // 级别表的长度取决于级别数
+        if (!Number.isInteger(result.ditherLevels)) {
+            errors.push(`${path}.ditherLevels: 必须是整数`);
+        } else {
+            try {
+                result.ditherLevelTable = ImageAlgorithms.normalizeLevelTable(result.ditherLevelTable, result.ditherLevels);
+            } catch (error) {
+                errors.push(`${path}.ditherLevelTable: ${error.message}`);
+            }
+        }
+        if (result.dotGainMode === 'curve' && !result.dotGainCurve) {
+            errors.push(`${path}.dotGainCurve: 实测曲线补偿需要填写补偿曲线`);
+        }
+        if (result.levelInHigh <= result.levelInLow) {
+            errors.push(`${path}: 输入白场 (levelInHigh) 必须大于输入黑场 (levelInLow)`);
+        }
+        if (result.levelOutHigh <= result.levelOutLow) {
+            errors.push(`${path}: 输出白场 (levelOutHigh) 必须大于输出黑场 (levelOutLow)`);
+        }
+        return result;
+    };
+
+    /**
+     * 校验并规范化材料定义
+     * @param {Object} material - { id, name, description, isMetal, texture, variants: { dark: { name, baseColor, burnedColor, anchorOverride, params }, neutral: {...} } }
+     *   anchorOverride 为校准卡确定的固定锚点灰度 (可选，设置后不再按图像自动计算锚点)
+     * @returns {Object} { valid, errors, material } (material 为规范化后的结果)
+     */
+    const validateMaterial = (material) => {
+        const errors = [];
+        if (!material || typeof material !== 'object') {
+            return { valid: false, errors: ['材料定义必须是对象'], material: null };
+        }
+
+        const id = material.id;
+        const label = typeof id === 'string' && id ? id : '(未命名)';
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            errors.push(`${label}: ID 只能包含小写字母、数字、下划线和连字符 (1-40 个字符)`);
+        } else if (Materials.isBuiltInMaterial(id)) {
+            errors.push(`${label}: ID 与内置材料重复`);
+        }
+        if (typeof material.name !== 'string' || !material.name.trim()) {
+            errors.push(`${label}: 缺少材料名称`);
+        }
+        if (material.isMetal !== undefined && typeof material.isMetal !== 'boolean') {
+            errors.push(`${label}.isMetal: 必须是 true/false`);
+        }
+        if (material.texture !== undefined && !BurnSimulator.getTextures().some(texture => texture.id === material.texture)) {
+            errors.push(`${label}.texture: 未知材质纹理 ${material.texture}`);
+        }
+
+        const variants = {};
+        const sourceVariants = material.variants && typeof material.variants === 'object' ? material.variants : {};
+        for (const [variantId, defaultName] of Object.entries(REQUIRED_VARIANTS)) {
+            const variant = sourceVariants[variantId];
+            if (!variant) {
+                errors.push(`${label}: 缺少 ${variantId} 变体`);
+                continue;
+            }
+            // 外观颜色可选，缺省时模拟预览使用通用颜色
+            const appearance = {};
+            for (const key of ['baseColor', 'burnedColor']) {
+                if (variant[key] === undefined) continue;
+                if (typeof variant[key] !== 'string' || !COLOR_PATTERN.test(variant[key])) {
+                    errors.push(`${label}.${variantId}.${key}: 必须是 #rrggbb 格式的颜色`);
+                } else {
+                    appearance[key] = variant[key].toLowerCase();
+                }
+            }
+            const anchor = {};
+            if (variant.anchorOverride !== undefined && variant.anchorOverride !== null) {
+                if (!Number.isInteger(variant.anchorOverride) || variant.anchorOverride < 0 || variant.anchorOverride > 255) {
+                    errors.push(`${label}.${variantId}.anchorOverride: 必须是 0-255 的整数`);
+                } else {
+                    anchor.anchorOverride = variant.anchorOverride;
+                }
+            }
+            variants[variantId] = {
+                name: typeof variant.name === 'string' && variant.name.trim() ? variant.name.trim() : defaultName,
+                ...appearance,
+                ...anchor,
+                params: validateParams(variant.params, `${label}.${variantId}`, errors)
+            };
+        }
+
+        const normalized = {
+            id,
+            name: typeof material.name === 'string' ? material.name.trim() : '',
+            description: typeof material.description === 'string' ? material.description : '',
+            isMetal: material.isMetal === true,
+            texture: material.texture || 'none',
+            variants
+        };
+        return { valid: errors.length === 0, errors, material: normalized };
+    };
+
+    // 当前自定义材料列表 (按 ID 索引)
+    let library = {};
+
+    /**
+     * 获取 Materials.setCustomMaterials 使用的材料定义 (按 ID 索引，不含 id 字段)
+     * 处理 Worker 中没有本地存储，需要把该结果发送过去
+     * @returns {Object} 材料定义
+     */
+    const getMaterialMap = () => {
+        const materialMap = {};
+        for (const [id, material] of Object.entries(library)) {
+            const { id: _, ...definition } = material;
+            materialMap[id] = definition;
+        }
+        return materialMap;
+    };
+
+    const applyToMaterials = () => {
+        Materials.setCustomMaterials(getMaterialMap());
+    };
+
+    const persist = () => {
+        LocalStore.writeJSON(STORAGE_KEY, { version: SCHEMA_VERSION, materials: Object.values(library) });
+        applyToMaterials();
+    };
+
+    /**
+     * 从本地存储加载自定义材料 (无效条目会被跳过)
+     * @returns {Array} 加载时的错误信息
+     */
+    const load = () => {
+        const stored = LocalStore.readJSON(STORAGE_KEY, null);
+        const errors = [];
+        library = {};
+        if (stored && Array.isArray(stored.materials)) {
+            for (const material of stored.materials) {
+                const result = validateMaterial(material);
+                if (result.valid) {
+                    library[result.material.id] = result.material;
+                } else {
+                    errors.push(...result.errors);
+                }
+            }
+        }
+        if (errors.length > 0) {
+            console.warn('部分自定义材料无效，已跳过:', errors);
+        }
+        applyToMaterials();
+        return errors;
+    };
+
+    /**
+     * 获取所有自定义材料
+     * @returns {Array} 材料列表
+     */
+    const list = () => Object.values(library).map(material => JSON.parse(JSON.stringify(material)));
+
+    /**
+     * 获取单个自定义材料
+     * @param {string} id - 材料ID
+     * @returns {Object|null} 材料定义
+     */
+    const get = (id) => library[id] ? JSON.parse(JSON.stringify(library[id])) : null;
+
+    /**
+     * 新建或更新自定义材料
+     * @param {Object} material - 材料定义
+     * @returns {Object} { valid, errors, material }
+     */
+    const save = (material) => {
+        const result = validateMaterial(material);
+        if (result.valid) {
+            library[result.material.id] = result.material;
+            persist();
+        }
+        return result;
+    };
+
+    /**
+     * 删除自定义材料
+     * @param {string} id - 材料ID
+     * @returns {boolean} 是否删除成功
+     */
+    const remove = (id) => {
+        if (!library[id]) return false;
+        delete library[id];
+        persist();
+        return true;
+    };
+
+    /**
+     * 导出材料库为 JSON 文本
+     * @returns {string} JSON 文本
+     */
+    const exportJSON = () => {
+        return JSON.stringify({
+            format: FILE_FORMAT,
+            version: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            materials: Object.values(library)
+        }, null, 2);
+    };
+
+    /**
+     * 从 JSON 文本导入材料库
+     * 任一材料校验失败时整个导入被拒绝，避免材料库处于部分导入的状态
+     * @param {string} text - JSON 文本
+     * @param {Object} options - { replace: 是否替换现有材料库 (默认合并，同 ID 覆盖) }
+     * @returns {Object} { imported, errors }
+     */
+    const importJSON = (text, options = {}) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { imported: 0, errors: [`JSON 解析失败: ${error.message}`] };
+        }
+
+        if (!data || data.format !== FILE_FORMAT) {
+            return { imported: 0, errors: ['不是 img4laser 材料库文件'] };
+        }
+        if (typeof data.version !== 'number' || data.version > SCHEMA_VERSION) {
+            return { imported: 0, errors: [`不支持的材料库版本: ${data.version} (当前支持 ${SCHEMA_VERSION})`] };
+        }
+        if (!Array.isArray(data.materials)) {
+            return { imported: 0, errors: ['材料库文件缺少 materials 列表'] };
+        }
+
+        const errors = [];
+        const imported = {};
+        for (const material of data.materials) {
+            const result = validateMaterial(material);
+            if (!result.valid) {
+                errors.push(...result.errors);
+            } else if (imported[result.material.id]) {
+                errors.push(`${result.material.id}: 文件中存在重复的材料 ID`);
+            } else {
+                imported[result.material.id] = result.material;
+            }
+        }
+        if (errors.length > 0) {
+            return { imported: 0, errors };
+        }
+
+        library = options.replace ? imported : { ...library, ...imported };
+        persist();
+        return { imported: Object.keys(imported).length, errors: [] };
+    };
+
+    /**
+     * 以指定材料为模板创建新的自定义材料定义 (未保存)
+     * @param {string} templateId - 模板材料ID (内置或自定义)
+     * @returns {Object} 材料定义
+     */
+    const createFromTemplate = (templateId) => {
+        const info = Materials.getMaterialInfo(templateId) || { name: '', isMetal: false };
+        const variants = {};
+        for (const [variantId, defaultName] of Object.entries(REQUIRED_VARIANTS)) {
+            const { baseColor, burnedColor } = Materials.getMaterialAppearance(templateId, variantId);
+            variants[variantId] = {
+                name: defaultName,
+                baseColor,
+                burnedColor,
+                params: Materials.getMaterialParams(templateId, variantId)
+            };
+        }
+        return {
+            id: '',
+            name: info.name ? `${info.name} (副本)` : '',
+            description: info.description || '',
+            isMetal: !!info.isMetal,
+            texture: Materials.getMaterialAppearance(templateId).texture,
+            variants
+        };
+    };
+
+    return {
+        SCHEMA_VERSION,
+        REQUIRED_VARIANTS,
+        validateParams,
+        validateMaterial,
+        load,
+        list,
+        get,
+        save,
+        remove,
+        exportJSON,
+        importJSON,
+        createFromTemplate,
+        getMaterialMap
+    };
+})();
+
+export default MaterialLibrary;
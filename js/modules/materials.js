@@ -13,23 +13,118 @@ const Materials = (() => {
         levelInHigh: 255,      // 输入色阶白场 (1 到 255)
         levelOutLow: 0,        // 输出色阶黑场 (0 到 254)
         levelOutHigh: 255,     // 输出色阶白场 (1 到 255)
+        toneCurve: null,       // 色调曲线控制点 [[输入, 输出], ...]，设置后代替亮度/对比度和色阶
         sharpness: 0,          // 锐化程度 (0 到 100)
         ditherEnabled: false,  // 是否启用抖动
         ditherThreshold: 128,  // 抖动阈值 (0 到 255)
-        ditherType: 'floydSteinberg' // 抖动算法类型
+        ditherType: 'floydSteinberg', // 抖动算法类型
+        ditherSerpentine: false,      // 误差扩散是否蛇形扫描 (奇数行从右向左)，减少渐变上的斜向"虫纹"
+        ditherErrorAttenuation: 1,    // 误差衰减系数 (0.5 到 1)，小于1时只扩散部分误差
+        ditherErrorClamp: 0,          // 单个像素扩散误差的上限 (0 到 255)，0 表示不限制
+        ditherBlueNoiseSize: 64,      // 蓝噪声阈值图边长 (16 到 256)
+        ditherBlueNoiseSeed: 1,       // 蓝噪声阈值图的随机种子
+        ditherHalftoneShape: 'round', // 调幅网点点形 (round | ellipse | line)
+        ditherHalftoneAngle: 45,      // 调幅网点网线角度 (0 到 180 度)
+        ditherHalftoneLpi: 50,        // 调幅网点网线数 (相对输出 DPI，单元边长 = DPI / LPI 像素)
+        ditherLevels: 2,              // 抖动输出级别数 (2 为黑白，4/8/16 等为多级灰度，对应激光功率档位)
+        ditherLevelTable: null,       // 各级别的输出灰度值 (从深到浅严格递增，长度等于级别数)，null 表示均匀分布
+        dotGainMode: 'none',          // 抖动前的网点扩大补偿 (none | curve 实测曲线 | model 光斑模型)
+        dotGainCurve: null,           // 测试卡实测曲线 [[标称灰度, 实测灰度], ...]
+        dotGainBeamDiameter: 0.1,     // 材料上的烧蚀光斑直径 (mm)，与像素间距 (25.4 / DPI) 比较估算网点扩大
+        portraitSmoothing: 30,        // 人像皮肤保边平滑强度 (0 到 100)，只作用于检测到的面部，材料设为 0 可关闭
+        portraitDetail: 40            // 人像眼睛/嘴巴局部锐化强度 (0 到 100)
     };
 
+    // 数值参数的取值范围 (自动调整后的限制与自定义材料校验共用)
+    const PARAM_RANGES = {
+        brightness: { min: -100, max: 100, step: 1 },
+        contrast: { min: 0.1, max: 3.0, step: 0.01 },
+        anchorGray: { min: 0, max: 255, step: 1 },
+        levelInLow: { min: 0, max: 254, step: 1 },
+        levelInHigh: { min: 1, max: 255, step: 1 },
+        levelOutLow: { min: 0, max: 254, step: 1 },
+        levelOutHigh: { min: 1, max: 255, step: 1 },
+        sharpness: { min: 0, max: 100, step: 1 },
+        ditherThreshold: { min: 0, max: 255, step: 1 },
+        ditherErrorAttenuation: { min: 0.5, max: 1, step: 0.01 },
+        ditherErrorClamp: { min: 0, max: 255, step: 1 },
+        ditherBlueNoiseSize: { min: 16, max: 256, step: 1 },
+        ditherBlueNoiseSeed: { min: 0, max: 99999, step: 1 },
+        ditherHalftoneAngle: { min: 0, max: 180, step: 1 },
+        ditherHalftoneLpi: { min: 5, max: 300, step: 1 },
+        ditherLevels: { min: 2, max: 256, step: 1 },
+        dotGainBeamDiameter: { min: 0.01, max: 1, step: 0.01 },
+        portraitSmoothing: { min: 0, max: 100, step: 1 },
+        portraitDetail: { min: 0, max: 100, step: 1 }
+    };
+
+    // 参数显示名称
+    const PARAM_LABELS = {
+        brightness: '亮度',
+        contrast: '对比度',
+        anchorGray: '锚点灰度',
+        levelInLow: '输入黑场',
+        levelInHigh: '输入白场',
+        levelOutLow: '输出黑场',
+        levelOutHigh: '输出白场',
+        toneCurve: '色调曲线',
+        sharpness: '锐化',
+        ditherEnabled: '启用抖动',
+        ditherThreshold: '抖动阈值',
+        ditherType: '抖动类型',
+        ditherSerpentine: '蛇形扫描',
+        ditherErrorAttenuation: '误差衰减',
+        ditherErrorClamp: '误差上限',
+        ditherBlueNoiseSize: '蓝噪声尺寸',
+        ditherBlueNoiseSeed: '蓝噪声种子',
+        ditherHalftoneShape: '网点点形',
+        ditherHalftoneAngle: '网线角度',
+        ditherHalftoneLpi: '网线数 (LPI)',
+        ditherLevels: '灰度级数',
+        ditherLevelTable: '级别表',
+        dotGainMode: '网点扩大补偿',
+        dotGainCurve: '补偿曲线',
+        dotGainBeamDiameter: '光斑直径 (mm)',
+        portraitSmoothing: '皮肤平滑',
+        portraitDetail: '五官细节'
+    };
+
+    // 将参数限制在有效范围内 (白场必须大于黑场)
+    const clampParams = (params) => {
+        const clamped = { ...params };
+        for (const [key, range] of Object.entries(PARAM_RANGES)) {
+            if (typeof clamped[key] === 'number') {
+                clamped[key] = Math.max(range.min, Math.min(range.max, clamped[key]));
+            }
+        }
+        if (typeof clamped.levelInLow === 'number' && typeof clamped.levelInHigh === 'number') {
+            clamped.levelInHigh = Math.max(clamped.levelInLow + 1, clamped.levelInHigh);
+        }
+        if (typeof clamped.levelOutLow === 'number' && typeof clamped.levelOutHigh === 'number') {
+            clamped.levelOutHigh = Math.max(clamped.levelOutLow + 1, clamped.levelOutHigh);
+        }
+        return clamped;
+    };
+
+    // 用户自定义材料 (由材料库模块加载，结构与内置材料相同)
+    let customMaterials = {};
+
     // 材料定义和基本参数
     // 每种材料包含深色、中性、浅色三种变体
     // 变体命名统一：深色(暗)、中性、浅色(亮)
+    // texture 为雕刻模拟的材质纹理；每个变体的 baseColor/burnedColor 为材料底色和完全烧蚀后的颜色
+    // (深色变体输出反色，雕刻痕迹比底色浅)
     const materials = {
         stainless_steel: {
             name: "无涂层金属",
             description: "光滑、反光的金属表面",
             isMetal: true,
+            texture: "brushed",
             variants: {
                 dark: {
                     name: "深色",
+                    baseColor: "#3a3d42",
+                    burnedColor: "#b9bdc3",
                     params: {
                         ...defaultParams,
                         brightness: -10,   // Increase from -20
@@ -42,6 +137,8 @@ const Materials = (() => {
                 },
                 neutral: {
                     name: "浅色",
+                    baseColor: "#c9cdd2",
+                    burnedColor: "#2e3036",
                     params: {
                         ...defaultParams,
                         brightness: -5,
@@ -58,9 +155,12 @@ const Materials = (() => {
         walnut: {
             name: "木材",
             description: "通用木材设置",
+            texture: "wood",
             variants: {
                 dark: {
                     name: "深色",
+                    baseColor: "#4a2f1d",
+                    burnedColor: "#b08a63",
                     params: {
                         ...defaultParams,
                         brightness: -15,   // Increase from -25
@@ -68,11 +168,15 @@ const Materials = (() => {
                         levelInLow: 10,    // Decrease significantly from 20
                         levelInHigh: 230,  // Increase from 220
                         sharpness: 40,     // Decrease from 50
-                        ditherEnabled: false
+                        ditherEnabled: false,
+                        dotGainMode: 'model', // 木材烧蚀扩散明显，抖动时按光斑模型补偿
+                        dotGainBeamDiameter: 0.15
                     }
                 },
                 neutral: {
                     name: "浅色",
+                    baseColor: "#d8b88f",
+                    burnedColor: "#3b2415",
                     params: {
                         ...defaultParams,
                         brightness: -5,
@@ -80,7 +184,9 @@ const Materials = (() => {
                         levelInLow: 15,
                         levelInHigh: 235,   // 扩大输入范围，保留更多细节
                         sharpness: 45,
-                        ditherEnabled: false
+                        ditherEnabled: false,
+                        dotGainMode: 'model',
+                        dotGainBeamDiameter: 0.15
                     }
                 }
             }
@@ -90,9 +196,12 @@ const Materials = (() => {
             name: "有涂层金属",
             description: "表面涂有涂层的金属卡",
             isMetal: true,
+            texture: "none",
             variants: {
                 dark: {
                     name: "深色",
+                    baseColor: "#1e1f24",
+                    burnedColor: "#d6d8dc",
                     params: {
                         ...defaultParams,
                         brightness: -15,   // Increase from -25
@@ -105,6 +214,8 @@ const Materials = (() => {
                 },
                 neutral: {
                     name: "浅色",
+                    baseColor: "#e4e4e0",
+                    burnedColor: "#35363a",
                     params: {
                         ...defaultParams,
                         brightness: -5,
@@ -121,9 +232,12 @@ const Materials = (() => {
         acrylic: {
             name: "亚克力",
             description: "透明或半透明的塑料材料",
+            texture: "none",
             variants: {
                 dark: {
                     name: "深色",
+                    baseColor: "#202024",
+                    burnedColor: "#d9dadc",
                     params: {
                         ...defaultParams,
                         brightness: -15,   // Increase from -15
@@ -136,6 +250,8 @@ const Materials = (() => {
                 },
                 neutral: {
                     name: "浅色",
+                    baseColor: "#e8ecee",
+                    burnedColor: "#7d858a",
                     params: {
                         ...defaultParams,
                         brightness: 0,
@@ -152,9 +268,12 @@ const Materials = (() => {
         leather: {
             name: "皮革",
             description: "天然或人造皮革",
+            texture: "leather",
             variants: {
                 dark: {
                     name: "深色",
+                    baseColor: "#3b2417",
+                    burnedColor: "#8a6a52",
                     params: {
                         ...defaultParams,
                         brightness: -10,   // Increase from -20
@@ -162,11 +281,15 @@ const Materials = (() => {
                         levelInLow: 10,    // Decrease from 15
                         levelInHigh: 230,  // Increase from 220
                         sharpness: 40,     // Decrease from 50
-                        ditherEnabled: false
+                        ditherEnabled: false,
+                        dotGainMode: 'model', // 皮革烧蚀扩散明显，抖动时按光斑模型补偿
+                        dotGainBeamDiameter: 0.13
                     }
                 },
                 neutral: {
                     name: "浅色",
+                    baseColor: "#b07a4f",
+                    burnedColor: "#3a2212",
                     params: {
                         ...defaultParams,
                         brightness: 0,      // 由+20改为0，保持中性
@@ -174,41 +297,96 @@ const Materials = (() => {
                         levelInLow: 20,
                         levelInHigh: 235,
                         sharpness: 40,
-                        ditherEnabled: false
+                        ditherEnabled: false,
+                        dotGainMode: 'model',
+                        dotGainBeamDiameter: 0.13
                     }
                 }
             }
         }
     };
 
-    // 获取所有材料
+    // 获取所有材料 (内置材料 + 自定义材料)
     const getAllMaterials = () => {
+        return { ...materials, ...customMaterials };
+    };
+
+    // 获取内置材料
+    const getBuiltInMaterials = () => {
         return materials;
     };
 
+    // 判断是否为内置材料ID
+    const isBuiltInMaterial = (materialId) => {
+        return Object.prototype.hasOwnProperty.call(materials, materialId);
+    };
+
+    // 设置自定义材料 (内置材料ID不可覆盖)
+    const setCustomMaterials = (materialMap) => {
+        customMaterials = {};
+        for (const [materialId, material] of Object.entries(materialMap || {})) {
+            if (isBuiltInMaterial(materialId)) {
+                console.warn(`自定义材料 ${materialId} 与内置材料重名，已忽略`);
+                continue;
+            }
+            customMaterials[materialId] = material;
+        }
+    };
+
+    const findMaterial = (materialId) => {
+        return materials[materialId] || customMaterials[materialId] || null;
+    };
+
     // 获取指定材料的参数
     const getMaterialParams = (materialId, variant = 'neutral') => {
-        if (!materials[materialId]) {
+        const material = findMaterial(materialId);
+        if (!material) {
             console.warn(`材料 ${materialId} 不存在，使用默认参数`);
             return { ...defaultParams };
         }
         
-        if (!materials[materialId].variants[variant]) {
+        if (!material.variants[variant]) {
             console.warn(`材料 ${materialId} 的变体 ${variant} 不存在，使用中性变体`);
             variant = 'neutral';
         }
         
-        return { ...materials[materialId].variants[variant].params };
+        return { ...defaultParams, ...material.variants[variant].params };
+    };
+
+    // 获取材料变体固定的锚点灰度 (校准卡写入的 anchorOverride)，没有时返回 null
+    const getAnchorOverride = (materialId, variant = 'neutral') => {
+        const material = findMaterial(materialId);
+        const variantDef = material && (material.variants[variant] || material.variants.neutral);
+        return variantDef && typeof variantDef.anchorOverride === 'number' ? variantDef.anchorOverride : null;
+    };
+
+    // 未设置外观的材料 (如旧版自定义材料) 使用的模拟外观
+    const DEFAULT_APPEARANCE = {
+        dark: { baseColor: '#3c3c3c', burnedColor: '#c8c8c8' },
+        neutral: { baseColor: '#e0d6c8', burnedColor: '#3a3430' }
+    };
+
+    // 获取雕刻模拟使用的材料外观 { baseColor, burnedColor, texture }
+    const getMaterialAppearance = (materialId, variant = 'neutral') => {
+        const material = findMaterial(materialId);
+        const fallback = DEFAULT_APPEARANCE[variant] || DEFAULT_APPEARANCE.neutral;
+        const variantDef = material && material.variants[variant];
+        return {
+            baseColor: (variantDef && variantDef.baseColor) || fallback.baseColor,
+            burnedColor: (variantDef && variantDef.burnedColor) || fallback.burnedColor,
+            texture: (material && material.texture) || 'none'
+        };
     };
 
     // 新增：获取指定材料的基础信息（名称、描述、是否金属等）
     const getMaterialInfo = (materialId) => {
-        if (!materials[materialId]) {
+        const material = findMaterial(materialId);
+        if (!material) {
             console.warn(`材料 ${materialId} 不存在`);
             return null;
         }
         // 返回材料对象，但不包括variants
-        const { variants, ...info } = materials[materialId];
+        const { variants, ...info } = material;
         return info;
     };
 
@@ -355,6 +533,16 @@ const Materials = (() => {
                 info += `检测到人像，限制锐化；`;
                 hasAdjustments = true;
             }
+            // 未设置人像增强时使用默认强度 (只在检测到人脸时生效)；材料显式设为 0 表示关闭，不再覆盖
+            if (adjustedParams.portraitSmoothing === undefined) {
+                adjustedParams.portraitSmoothing = defaultParams.portraitSmoothing;
+            }
+            if (adjustedParams.portraitDetail === undefined) {
+                adjustedParams.portraitDetail = defaultParams.portraitDetail;
+            }
+            if (!adjustedParams.portraitSmoothing && !adjustedParams.portraitDetail) {
+                analysis.adjustmentReasons.push('[图像类型调整] 检测到人像，材料关闭了人像增强');
+            }
         } else if (imageType === 'photo') {
             const originalSharpness = adjustedParams.sharpness;
             if (originalSharpness > 20) { // 普通照片限制最大锐化值为 20
@@ -403,13 +591,10 @@ const Materials = (() => {
         }
 
         // 参数范围限制
-        adjustedParams.brightness = Math.max(-100, Math.min(100, adjustedParams.brightness));
-        adjustedParams.contrast = Math.max(0.1, Math.min(3.0, adjustedParams.contrast));
-        adjustedParams.levelInLow = Math.max(0, Math.min(254, adjustedParams.levelInLow));
-        adjustedParams.levelInHigh = Math.max(adjustedParams.levelInLow + 1, Math.min(255, adjustedParams.levelInHigh));
-        adjustedParams.sharpness = Math.max(0, Math.min(100, adjustedParams.sharpness));
+        adjustedParams = clampParams(adjustedParams);
 
-        const materialName = materials[Object.keys(materials).find(k => params === materials[k]?.variants[Object.keys(materials[k].variants).find(v => params === materials[k].variants[v].params)]?.params)]?.name || '未知';
+        const allMaterials = getAllMaterials();
+        const materialName = allMaterials[Object.keys(allMaterials).find(k => params === allMaterials[k]?.variants[Object.keys(allMaterials[k].variants).find(v => params === allMaterials[k].variants[v].params)]?.params)]?.name || '未知';
         const materialAnalysis = `此参数设置针对所选材料(${materialName})和${laserType}激光器特性进行了优化 (基础调整)。`;
         const materialReasonIndex = analysis.adjustmentReasons.findIndex(reason => reason.includes("针对所选材料特性进行了优化"));
         if (materialReasonIndex !== -1) analysis.adjustmentReasons[materialReasonIndex] = materialAnalysis;
@@ -421,10 +606,18 @@ const Materials = (() => {
     // 导出公共方法
     return {
         getAllMaterials,
+        getBuiltInMaterials,
+        isBuiltInMaterial,
+        setCustomMaterials,
         getMaterialParams,
+        getAnchorOverride,
         getMaterialInfo,
+        getMaterialAppearance,
         adjustParamsForImageStats,
-        defaultParams
+        clampParams,
+        defaultParams,
+        PARAM_RANGES,
+        PARAM_LABELS
     };
 })();
 
@@ -0,0 +1,248 @@
+/**
+ * 人像增强模块
+ * 使用人脸检测框 (及 68 点特征点，可选) 定位面部、眼睛和嘴巴：
+ * 锚点和对比度按面部区域的直方图计算，抖动前对皮肤做保边平滑，对眼睛和嘴巴做局部锐化
+ * 人脸坐标基于裁剪后的原始图像，输出经过重采样时按比例缩放
+ */
+
+import ImageBuffer from './imageBuffer.js';
+
+const PortraitEnhancer = (() => {
+    // 面部椭圆相对检测框向外扩展的比例
+    const FACE_MARGIN = 0.1;
+    // 椭圆边缘的羽化宽度 (占归一化半径的比例)，避免处理区域出现硬边
+    const FEATHER = 0.25;
+    // 眼睛/嘴巴特征框向四周扩展的比例 (相对特征点外接框的长边)
+    const FEATURE_MARGIN = 0.35;
+    // 平滑时与模糊值相差超过该灰度的像素视为边缘 (睫毛、发丝、轮廓)，不平滑
+    const EDGE_THRESHOLD = 24;
+
+    // 没有特征点时，按检测框估计的眼睛和嘴巴位置 (中心和尺寸均相对检测框)
+    const ESTIMATED_FEATURES = [
+        { cx: 0.32, cy: 0.4, width: 0.26, height: 0.16 },
+        { cx: 0.68, cy: 0.4, width: 0.26, height: 0.16 },
+        { cx: 0.5, cy: 0.78, width: 0.45, height: 0.18 }
+    ];
+
+    /**
+     * 按比例缩放人脸数据 (检测框和特征点)
+     * @param {Array} faces - [{ box, score, landmarks }]
+     * @param {number} scaleX - 横向缩放
+     * @param {number} scaleY - 纵向缩放
+     * @returns {Array} 缩放后的人脸数据
+     */
+    const scaleFaces = (faces, scaleX, scaleY) => {
+        if (scaleX === 1 && scaleY === 1) return faces;
+        const scalePoints = points => points.map(([x, y]) => [x * scaleX, y * scaleY]);
+        return faces.map(face => ({
+            ...face,
+            box: {
+                x: face.box.x * scaleX,
+                y: face.box.y * scaleY,
+                width: face.box.width * scaleX,
+                height: face.box.height * scaleY
+            },
+            landmarks: face.landmarks ? {
+                leftEye: scalePoints(face.landmarks.leftEye),
+                rightEye: scalePoints(face.landmarks.rightEye),
+                mouth: scalePoints(face.landmarks.mouth)
+            } : null
+        }));
+    };
+
+    /**
+     * 计算眼睛和嘴巴的范围：有特征点时取特征点外接框并向外扩展，否则按检测框比例估计
+     * @param {Object} face - 人脸数据
+     * @returns {Array} [{ x, y, width, height }] 左眼、右眼、嘴巴
+     */
+    const getFeatureBoxes = (face) => {
+        const { box, landmarks } = face;
+        if (!landmarks) {
+            return ESTIMATED_FEATURES.map(feature => ({
+                x: box.x + (feature.cx - feature.width / 2) * box.width,
+                y: box.y + (feature.cy - feature.height / 2) * box.height,
+                width: feature.width * box.width,
+                height: feature.height * box.height
+            }));
+        }
+        return [landmarks.leftEye, landmarks.rightEye, landmarks.mouth].map(points => {
+            const xs = points.map(point => point[0]);
+            const ys = points.map(point => point[1]);
+            const minX = Math.min(...xs);
+            const minY = Math.min(...ys);
+            const width = Math.max(...xs) - minX;
+            const height = Math.max(...ys) - minY;
+            const margin = Math.max(width, height) * FEATURE_MARGIN;
+            return {
+                x: minX - margin,
+                y: minY - margin,
+                width: width + margin * 2,
+                height: height + margin * 2
+            };
+        });
+    };
+
+    /**
+     * 在权重图上叠加椭圆 (内切于给定矩形，边缘羽化)，重叠处取最大值
+     */
+    const addEllipseWeight = (weights, width, height, rect) => {
+        const rx = rect.width / 2;
+        const ry = rect.height / 2;
+        if (rx <= 0 || ry <= 0) return;
+        const cx = rect.x + rx;
+        const cy = rect.y + ry;
+        const minX = Math.max(0, Math.floor(cx - rx));
+        const maxX = Math.min(width - 1, Math.ceil(cx + rx));
+        const minY = Math.max(0, Math.floor(cy - ry));
+        const maxY = Math.min(height - 1, Math.ceil(cy + ry));
+        for (let y = minY; y <= maxY; y++) {
+            const dy = (y + 0.5 - cy) / ry;
+            for (let x = minX; x <= maxX; x++) {
+                const dx = (x + 0.5 - cx) / rx;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance >= 1) continue;
+                const weight = Math.min(1, (1 - distance) / FEATHER);
+                const index = y * width + x;
+                if (weight > weights[index]) weights[index] = weight;
+            }
+        }
+    };
+
+    /**
+     * 生成面部权重图 (每张脸一个羽化椭圆)
+     * @param {Array} faces - 人脸数据 (已按图像尺寸缩放)
+     * @param {number} width - 图像宽度
+     * @param {number} height - 图像高度
+     * @returns {Float32Array} 0-1 权重
+     */
+    const createFaceWeights = (faces, width, height) => {
+        const weights = new Float32Array(width * height);
+        faces.forEach(({ box }) => {
+            const marginX = box.width * FACE_MARGIN;
+            const marginY = box.height * FACE_MARGIN;
+            addEllipseWeight(weights, width, height, {
+                x: box.x - marginX,
+                y: box.y - marginY,
+                width: box.width + marginX * 2,
+                height: box.height + marginY * 2
+            });
+        });
+        return weights;
+    };
+
+    /**
+     * 生成眼睛/嘴巴权重图
+     * @param {Array} faces - 人脸数据 (已按图像尺寸缩放)
+     * @param {number} width - 图像宽度
+     * @param {number} height - 图像高度
+     * @returns {Float32Array} 0-1 权重
+     */
+    const createFeatureWeights = (faces, width, height) => {
+        const weights = new Float32Array(width * height);
+        faces.forEach(face => {
+            getFeatureBoxes(face).forEach(rect => addEllipseWeight(weights, width, height, rect));
+        });
+        return weights;
+    };
+
+    /**
+     * 只保留面部像素 (其余像素设为透明，统计时被跳过)，用于按面部直方图计算锚点和对比度
+     * @param {ImageData} grayImage - 灰度图像
+     * @param {Array} faces - 人脸数据 (已按图像尺寸缩放)
+     * @returns {ImageData|null} 面部图像，人脸区域为空时返回 null
+     */
+    const isolateFaces = (grayImage, faces) => {
+        const { width, height } = grayImage;
+        const weights = createFaceWeights(faces, width, height);
+        const data = new Uint8ClampedArray(grayImage.data);
+        let count = 0;
+        for (let i = 0; i < weights.length; i++) {
+            if (weights[i] < 0.5) {
+                data[i * 4 + 3] = 0;
+            } else if (data[i * 4 + 3] >= 128) {
+                count++;
+            }
+        }
+        return count > 0 ? ImageBuffer.create(data, width, height) : null;
+    };
+
+    /**
+     * 单通道盒式模糊 (横向和纵向各一次滑动窗口求和)
+     * @param {Float32Array} values - 灰度值
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {number} radius - 半径 (像素)
+     * @returns {Float32Array} 模糊结果
+     */
+    const boxBlur = (values, width, height, radius) => {
+        const blurLine = (source, target, start, stride, length) => {
+            let sum = 0;
+            for (let i = 0; i <= Math.min(radius, length - 1); i++) sum += source[start + i * stride];
+            for (let i = 0; i < length; i++) {
+                const count = Math.min(length - 1, i + radius) - Math.max(0, i - radius) + 1;
+                target[start + i * stride] = sum / count;
+                if (i + radius + 1 < length) sum += source[start + (i + radius + 1) * stride];
+                if (i - radius >= 0) sum -= source[start + (i - radius) * stride];
+            }
+        };
+        const horizontal = new Float32Array(values.length);
+        const result = new Float32Array(values.length);
+        for (let y = 0; y < height; y++) blurLine(values, horizontal, y * width, 1, width);
+        for (let x = 0; x < width; x++) blurLine(horizontal, result, x, width, height);
+        return result;
+    };
+
+    /**
+     * 人像增强：皮肤保边平滑 + 眼睛/嘴巴局部锐化 (在抖动之前执行)
+     * 平滑和锐化的半径按平均脸宽计算，与输出分辨率无关
+     * @param {ImageData} grayImage - 调整后的灰度图像
+     * @param {Array} faces - 人脸数据 (已按图像尺寸缩放)
+     * @param {Object} params - { portraitSmoothing (0-100), portraitDetail (0-100) }
+     * @returns {ImageData} 增强后的图像
+     */
+    const enhance = (grayImage, faces, params) => {
+        const smoothing = (params.portraitSmoothing || 0) / 100;
+        const detail = (params.portraitDetail || 0) / 100;
+        if (!faces || faces.length === 0 || (smoothing <= 0 && detail <= 0)) return grayImage;
+
+        const { width, height } = grayImage;
+        const data = new Uint8ClampedArray(grayImage.data);
+        const values = new Float32Array(width * height);
+        for (let i = 0; i < values.length; i++) values[i] = data[i * 4];
+
+        const faceWidth = faces.reduce((sum, face) => sum + face.box.width, 0) / faces.length;
+        const faceWeights = createFaceWeights(faces, width, height);
+        const featureWeights = createFeatureWeights(faces, width, height);
+        const smoothBlur = smoothing > 0 ? boxBlur(values, width, height, Math.max(1, Math.round(faceWidth * 0.02))) : null;
+        const detailBlur = detail > 0 ? boxBlur(values, width, height, Math.max(1, Math.round(faceWidth * 0.01))) : null;
+
+        for (let i = 0; i < values.length; i++) {
+            if (faceWeights[i] === 0 && featureWeights[i] === 0) continue;
+            let value = values[i];
+            if (smoothBlur) {
+                const difference = smoothBlur[i] - values[i];
+                const edge = Math.max(0, 1 - Math.abs(difference) / EDGE_THRESHOLD);
+                value += difference * smoothing * faceWeights[i] * (1 - featureWeights[i]) * edge;
+            }
+            if (detailBlur) {
+                value += (values[i] - detailBlur[i]) * detail * 2 * featureWeights[i];
+            }
+            const gray = Math.max(0, Math.min(255, Math.round(value)));
+            data[i * 4] = gray;
+            data[i * 4 + 1] = gray;
+            data[i * 4 + 2] = gray;
+        }
+        return ImageBuffer.create(data, width, height);
+    };
+
+    return {
+        scaleFaces,
+        getFeatureBoxes,
+        createFaceWeights,
+        createFeatureWeights,
+        isolateFaces,
+        enhance
+    };
+})();
+
+export default PortraitEnhancer;
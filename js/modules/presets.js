@@ -0,0 +1,180 @@
+/**
+ * 参数预设模块
+ * 按 材料 + 颜色变体 + 激光器类型 保存命名的完整处理参数 (含锚点覆盖、抖动设置和反色状态)
+ */
+
+import LocalStore from './storage.js';
+
+const PresetStore = (() => {
+    const STORAGE_KEY = 'img4laser.presets';
+    const SCHEMA_VERSION = 1;
+
+    // 不属于材料调校的参数 (输出尺寸随任务变化，区域和人脸坐标随图像变化)，不保存到预设中
+    const EXCLUDED_PARAMS = ['outputWidth', 'outputHeight', 'outputDpi', 'resampleKernel', 'regions', 'faces'];
+
+    /**
+     * 生成作用域键
+     * @param {Object} scope - { materialId, variant, laserType }
+     * @returns {string} 作用域键
+     */
+    const getScopeKey = (scope) => `${scope.materialId}|${scope.variant}|${scope.laserType}`;
+
+    const readState = () => {
+        const state = LocalStore.readJSON(STORAGE_KEY, null);
+        if (!state || !Array.isArray(state.presets)) {
+            return { version: SCHEMA_VERSION, presets: [], defaults: {} };
+        }
+        return { version: SCHEMA_VERSION, presets: state.presets, defaults: state.defaults || {} };
+    };
+
+    const writeState = (state) => {
+        LocalStore.writeJSON(STORAGE_KEY, state);
+    };
+
+    const createId = () => `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+    /**
+     * 获取作用域内的所有预设
+     * @param {Object} scope - { materialId, variant, laserType }
+     * @returns {Array} 预设列表 (按名称排序)，默认预设带 isDefault 标记
+     */
+    const list = (scope) => {
+        const state = readState();
+        const key = getScopeKey(scope);
+        const defaultId = state.defaults[key];
+        return state.presets
+            .filter(preset => preset.scopeKey === key)
+            .map(preset => ({ ...preset, isDefault: preset.id === defaultId }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    };
+
+    /**
+     * 获取预设
+     * @param {string} id - 预设ID
+     * @returns {Object|null} 预设
+     */
+    const get = (id) => {
+        return readState().presets.find(preset => preset.id === id) || null;
+    };
+
+    /**
+     * 保存预设 (同一作用域内同名预设会被覆盖)
+     * @param {string} name - 预设名称
+     * @param {Object} scope - { materialId, variant, laserType }
+     * @param {Object} data - { params, anchorOverride }，params 中的 invert 表示反色状态
+     * @returns {Object} 保存后的预设
+     */
+    const save = (name, scope, data) => {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('预设名称不能为空');
+        }
+
+        const params = { ...data.params };
+        EXCLUDED_PARAMS.forEach(key => delete params[key]);
+
+        const state = readState();
+        const scopeKey = getScopeKey(scope);
+        const now = new Date().toISOString();
+        const existing = state.presets.find(preset => preset.scopeKey === scopeKey && preset.name === trimmedName);
+        const preset = {
+            id: existing ? existing.id : createId(),
+            name: trimmedName,
+            scopeKey,
+            materialId: scope.materialId,
+            variant: scope.variant,
+            laserType: scope.laserType,
+            params,
+            anchorOverride: data.anchorOverride ?? null,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        state.presets = state.presets.filter(item => item.id !== preset.id);
+        state.presets.push(preset);
+        writeState(state);
+        return preset;
+    };
+
+    /**
+     * 重命名预设
+     * @param {string} id - 预设ID
+     * @param {string} name - 新名称
+     * @returns {Object} 更新后的预设
+     */
+    const rename = (id, name) => {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('预设名称不能为空');
+        }
+        const state = readState();
+        const preset = state.presets.find(item => item.id === id);
+        if (!preset) {
+            throw new Error('预设不存在');
+        }
+        if (state.presets.some(item => item.id !== id && item.scopeKey === preset.scopeKey && item.name === trimmedName)) {
+            throw new Error(`已存在名为 "${trimmedName}" 的预设`);
+        }
+        preset.name = trimmedName;
+        preset.updatedAt = new Date().toISOString();
+        writeState(state);
+        return preset;
+    };
+
+    /**
+     * 删除预设 (同时清除其默认标记)
+     * @param {string} id - 预设ID
+     * @returns {boolean} 是否删除成功
+     */
+    const remove = (id) => {
+        const state = readState();
+        const preset = state.presets.find(item => item.id === id);
+        if (!preset) return false;
+        state.presets = state.presets.filter(item => item.id !== id);
+        if (state.defaults[preset.scopeKey] === id) {
+            delete state.defaults[preset.scopeKey];
+        }
+        writeState(state);
+        return true;
+    };
+
+    /**
+     * 设置作用域的默认预设 (处理该材料/变体/激光器时自动应用)
+     * @param {Object} scope - { materialId, variant, laserType }
+     * @param {string|null} id - 预设ID，null 表示取消默认
+     */
+    const setDefault = (scope, id) => {
+        const state = readState();
+        const key = getScopeKey(scope);
+        if (id) {
+            state.defaults[key] = id;
+        } else {
+            delete state.defaults[key];
+        }
+        writeState(state);
+    };
+
+    /**
+     * 获取作用域的默认预设
+     * @param {Object} scope - { materialId, variant, laserType }
+     * @returns {Object|null} 默认预设
+     */
+    const getDefault = (scope) => {
+        const state = readState();
+        const id = state.defaults[getScopeKey(scope)];
+        return id ? state.presets.find(preset => preset.id === id) || null : null;
+    };
+
+    return {
+        getScopeKey,
+        list,
+        get,
+        save,
+        rename,
+        remove,
+        setDefault,
+        getDefault
+    };
+})();
+
+export default PresetStore;
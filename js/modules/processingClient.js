@@ -0,0 +1,244 @@
+/**
+ * 后台处理客户端
+ * 封装与 processingWorker 的通信：发送任务、接收进度、取消过期任务
+ * 浏览器不支持模块 Worker 时自动回退到主线程执行
+ */
+
+import ImageProcessor from './imageProcessor.js';
+
+const ProcessingClient = (() => {
+    const WORKER_URL = new URL('../processingWorker.js', import.meta.url);
+    // 已取消的任务超过该时间仍未结束时视为卡死，终止并重建 Worker
+    const STUCK_JOB_TIMEOUT = 15000;
+
+    /**
+     * 创建取消错误 (与 fetch/AbortController 的约定一致，name 为 AbortError)
+     * @returns {Error} 取消错误
+     */
+    const createCancelError = () => {
+        const error = new Error('任务已被新的处理请求取消');
+        error.name = 'AbortError';
+        return error;
+    };
+
+    /**
+     * 判断错误是否为任务取消
+     * @param {Error} error - 错误对象
+     * @returns {boolean} 是否为取消
+     */
+    const isCancelError = (error) => !!error && error.name === 'AbortError';
+
+    /**
+     * 在主线程直接执行 (Worker 不可用时的回退方案)
+     */
+    const runInline = (sourceImage, method, args, options) => {
+        switch (method) {
+            case 'processImage':
+                return ImageProcessor.processImage(sourceImage, ...args, options);
+            case 'processImageWithCustomParams':
+                return ImageProcessor.processImageWithCustomParams(sourceImage, ...args, options);
+            case 'analyzeImageFeatures':
+                return ImageProcessor.analyzeImageFeatures(sourceImage, options);
+            default:
+                throw new Error(`不支持的方法: ${method}`);
+        }
+    };
+
+    /**
+     * 创建处理客户端
+     * 同一时间只保留一个任务：提交新任务会取消尚未完成的旧任务 (通知 Worker 放弃，Worker 保持运行，
+     * 源图像和阈值图缓存不丢失)；只有已取消的任务长时间不结束时才终止并重建 Worker
+     * @returns {Object} { setSource, setMaterials, run, cancel, terminate }
+     */
+    const create = () => {
+        let worker = null;
+        let workerFailed = typeof Worker === 'undefined';
+        let sourceImage = null;
+        let customMaterials = null;
+        let nextJobId = 1;
+        let pendingJob = null; // { jobId, method, args, resolve, reject, onProgress }
+        const activeJobIds = new Set(); // 已发送给 Worker、尚未收到结束回复的任务 (含已取消的任务)
+        let stuckTimer = null;
+
+        const rejectPending = (error) => {
+            if (!pendingJob) return;
+            const job = pendingJob;
+            pendingJob = null;
+            job.reject(error);
+        };
+
+        const handleMessage = (event) => {
+            const message = event.data;
+            if (message.type !== 'progress') {
+                activeJobIds.delete(message.jobId);
+            }
+            if (!pendingJob || message.jobId !== pendingJob.jobId) return;
+
+            if (message.type === 'progress') {
+                if (pendingJob.onProgress) pendingJob.onProgress(message.stage, message.progress);
+                return;
+            }
+
+            const job = pendingJob;
+            pendingJob = null;
+            if (message.type === 'result') {
+                job.resolve(message.result);
+            } else if (message.type === 'cancelled') {
+                job.reject(createCancelError());
+            } else {
+                job.reject(new Error(message.message));
+            }
+        };
+
+        const spawnWorker = () => {
+            if (workerFailed) return null;
+            try {
+                worker = new Worker(WORKER_URL, { type: 'module' });
+            } catch (error) {
+                console.warn('无法创建处理 Worker，回退到主线程处理:', error);
+                workerFailed = true;
+                worker = null;
+                return null;
+            }
+            worker.onmessage = handleMessage;
+            worker.onerror = (event) => {
+                // 模块加载失败等错误：放弃 Worker，后续任务在主线程执行
+                console.warn('处理 Worker 出错，回退到主线程处理:', event.message || event);
+                event.preventDefault();
+                workerFailed = true;
+                terminateWorker();
+                if (pendingJob) {
+                    const job = pendingJob;
+                    pendingJob = null;
+                    Promise.resolve()
+                        .then(() => runInline(sourceImage, job.method, job.args, { onProgress: job.onProgress }))
+                        .then(job.resolve, job.reject);
+                }
+            };
+            if (sourceImage) {
+                worker.postMessage({ type: 'setSource', imageData: sourceImage });
+            }
+            if (customMaterials) {
+                worker.postMessage({ type: 'setMaterials', materials: customMaterials });
+            }
+            return worker;
+        };
+
+        const terminateWorker = () => {
+            clearTimeout(stuckTimer);
+            stuckTimer = null;
+            activeJobIds.clear();
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+        };
+
+        const postJob = (job) => {
+            activeJobIds.add(job.jobId);
+            worker.postMessage({ type: 'run', jobId: job.jobId, method: job.method, args: job.args });
+        };
+
+        /**
+         * 新任务排在已取消的旧任务之后：旧任务超时仍未结束时终止 Worker，在新 Worker 上重新提交当前任务
+         */
+        const watchStuckJobs = () => {
+            clearTimeout(stuckTimer);
+            stuckTimer = setTimeout(() => {
+                stuckTimer = null;
+                const hasStaleJob = [...activeJobIds].some(jobId => !pendingJob || jobId !== pendingJob.jobId);
+                if (!hasStaleJob) return;
+                console.warn('已取消的处理任务长时间未结束，重建 Worker');
+                terminateWorker();
+                if (pendingJob && spawnWorker()) {
+                    postJob(pendingJob);
+                }
+            }, STUCK_JOB_TIMEOUT);
+        };
+
+        /**
+         * 取消当前任务 (通知 Worker 放弃该任务，Worker 保持运行)
+         */
+        const cancel = () => {
+            if (!pendingJob) return;
+            if (worker) {
+                worker.postMessage({ type: 'cancel', jobId: pendingJob.jobId });
+            }
+            rejectPending(createCancelError());
+        };
+
+        /**
+         * 设置源图像 (新图像加载后调用)
+         * @param {ImageData} imageData - 原始图像数据
+         */
+        const setSource = (imageData) => {
+            cancel();
+            sourceImage = imageData;
+            if (worker) {
+                worker.postMessage({ type: 'setSource', imageData });
+            }
+        };
+
+        /**
+         * 设置自定义材料 (材料库加载或变化后调用；主线程回退执行时直接使用主线程的 Materials)
+         * @param {Object} materialMap - MaterialLibrary.getMaterialMap() 的结果
+         */
+        const setMaterials = (materialMap) => {
+            customMaterials = materialMap;
+            if (worker) {
+                worker.postMessage({ type: 'setMaterials', materials: materialMap });
+            }
+        };
+
+        /**
+         * 执行处理任务
+         * @param {string} method - 'processImage' | 'processImageWithCustomParams' | 'analyzeImageFeatures'
+         * @param {Array} args - 除图像数据外的参数
+         * @param {Object} options - { onProgress(stage, progress) }
+         * @returns {Promise<Object>} 处理结果 (被取消时以 AbortError 拒绝)
+         */
+        const run = (method, args = [], options = {}) => {
+            cancel();
+            if (!sourceImage) {
+                return Promise.reject(new Error('尚未设置源图像'));
+            }
+
+            if (!worker && !spawnWorker()) {
+                return Promise.resolve().then(() => runInline(sourceImage, method, args, options));
+            }
+
+            const jobId = nextJobId++;
+            return new Promise((resolve, reject) => {
+                pendingJob = { jobId, method, args, resolve, reject, onProgress: options.onProgress };
+                if (activeJobIds.size > 0) {
+                    watchStuckJobs();
+                }
+                postJob(pendingJob);
+            });
+        };
+
+        /**
+         * 释放 Worker
+         */
+        const terminate = () => {
+            cancel();
+            terminateWorker();
+        };
+
+        return {
+            setSource,
+            setMaterials,
+            run,
+            cancel,
+            terminate
+        };
+    };
+
+    return {
+        create,
+        createCancelError,
+        isCancelError
+    };
+})();
+
+export default ProcessingClient;
@@ -0,0 +1,256 @@
+/**
+ * 区域蒙版模块
+ * 区域由矩形、椭圆和画笔形状组成 (坐标基于裁剪后的原始图像，按输出尺寸缩放后栅格化)，
+ * 每个区域可单独设置锚点、亮度、对比度、锐化和抖动算法，各区域的处理结果按蒙版合成到整幅图像上
+ */
+
+import Materials from './materials.js';
+import ImageAlgorithms from './algorithms.js';
+import ImageBuffer from './imageBuffer.js';
+
+const RegionMasks = (() => {
+    // 区域可以单独设置的参数
+    const REGION_PARAM_KEYS = ['anchorGray', 'brightness', 'contrast', 'sharpness', 'ditherType'];
+    // 这些参数属于亮度/对比度调整，区域设置了它们时不使用色调曲线
+    const TONE_KEYS = ['anchorGray', 'brightness', 'contrast'];
+    const SHAPE_TYPES = {
+        rect: '矩形',
+        ellipse: '椭圆',
+        brush: '画笔'
+    };
+    // 预览颜色 (按区域顺序循环使用)
+    const COLORS = ['#3498db', '#2ecc71', '#9b59b6', '#f1c40f', '#1abc9c', '#e67e22'];
+    // 人脸框向外扩展的比例 (检测框通常只覆盖五官，不含额头和下巴)
+    const FACE_MARGIN = 0.25;
+
+    let nextId = 1;
+
+    /**
+     * 创建区域
+     * @param {string} name - 区域名称
+     * @param {Array} [shapes] - 形状列表
+     * @param {Object} [params] - 区域参数 (未设置的参数沿用整幅图像的参数)
+     * @returns {Object} { id, name, shapes, params, color }
+     */
+    const createRegion = (name, shapes = [], params = {}) => {
+        const number = nextId++;
+        return {
+            id: `region-${Date.now().toString(36)}-${number}`,
+            name,
+            shapes,
+            params,
+            color: COLORS[(number - 1) % COLORS.length]
+        };
+    };
+
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    /**
+     * 校验形状
+     * @param {Object} shape - { type: 'rect'|'ellipse', x, y, width, height } 或 { type: 'brush', points, radius }
+     * @param {string} path - 错误信息中的位置
+     */
+    const validateShape = (shape, path) => {
+        if (!shape || !SHAPE_TYPES[shape.type]) {
+            throw new Error(`${path}: 未知形状 ${shape && shape.type}`);
+        }
+        if (shape.type === 'brush') {
+            if (!Array.isArray(shape.points) || shape.points.length === 0 ||
+                !shape.points.every(point => Array.isArray(point) && point.length === 2 && point.every(isNumber))) {
+                throw new Error(`${path}: 画笔需要 [x, y] 点列表`);
+            }
+            if (!isNumber(shape.radius) || shape.radius <= 0) {
+                throw new Error(`${path}: 画笔半径必须大于 0`);
+            }
+            return;
+        }
+        if (![shape.x, shape.y, shape.width, shape.height].every(isNumber) || shape.width <= 0 || shape.height <= 0) {
+            throw new Error(`${path}: ${SHAPE_TYPES[shape.type]}需要 x, y 和正的宽高`);
+        }
+    };
+
+    /**
+     * 校验区域列表，去掉没有形状的区域
+     * @param {Array|null} regions - 区域列表
+     * @returns {Array} 有效的区域
+     * @throws {Error} 形状或参数无效时抛出
+     */
+    const normalizeRegions = (regions) => {
+        if (!regions) return [];
+        if (!Array.isArray(regions)) {
+            throw new Error('区域列表必须是数组');
+        }
+        const validTypes = ImageAlgorithms.getDitherAlgorithms().map(algo => algo.id);
+        return regions.filter(region => region && Array.isArray(region.shapes) && region.shapes.length > 0).map((region, index) => {
+            const name = region.name || `区域 ${index + 1}`;
+            region.shapes.forEach((shape, shapeIndex) => validateShape(shape, `${name} 形状 ${shapeIndex + 1}`));
+            const params = {};
+            Object.entries(region.params || {}).forEach(([key, value]) => {
+                if (!REGION_PARAM_KEYS.includes(key) || value === undefined || value === null || value === '') return;
+                if (key === 'ditherType') {
+                    if (value !== 'none' && !validTypes.includes(value)) {
+                        throw new Error(`${name}: 未知抖动算法 ${value}`);
+                    }
+                } else {
+                    const range = Materials.PARAM_RANGES[key];
+                    if (!isNumber(value) || (range && (value < range.min || value > range.max))) {
+                        throw new Error(`${name}: ${Materials.PARAM_LABELS[key] || key} ${value} 超出范围`);
+                    }
+                }
+                params[key] = value;
+            });
+            return { ...region, name, params };
+        });
+    };
+
+    /**
+     * 计算区域的处理参数：在整幅图像的参数上覆盖区域参数
+     * @param {Object} baseParams - 整幅图像的参数
+     * @param {Object} region - 区域
+     * @returns {Object} 区域的处理参数 (不含区域列表)
+     */
+    const getRegionParams = (baseParams, region) => {
+        const { ditherType, ...params } = region.params;
+        const result = { ...baseParams, ...params, regions: null };
+        if (TONE_KEYS.some(key => key in params)) {
+            result.toneCurve = null;
+        }
+        if (ditherType === 'none') {
+            result.ditherEnabled = false;
+        } else if (ditherType) {
+            result.ditherEnabled = true;
+            result.ditherType = ditherType;
+        }
+        return result;
+    };
+
+    /**
+     * 在蒙版上填充圆形
+     */
+    const fillCircle = (mask, width, height, cx, cy, radius) => {
+        const minY = Math.max(0, Math.floor(cy - radius));
+        const maxY = Math.min(height - 1, Math.ceil(cy + radius));
+        for (let y = minY; y <= maxY; y++) {
+            const dy = y + 0.5 - cy;
+            const half = Math.sqrt(Math.max(0, radius * radius - dy * dy));
+            const minX = Math.max(0, Math.ceil(cx - half - 0.5));
+            const maxX = Math.min(width - 1, Math.floor(cx + half - 0.5));
+            mask.fill(1, y * width + minX, y * width + maxX + 1);
+        }
+    };
+
+    /**
+     * 将区域栅格化为蒙版
+     * @param {Object} region - 区域
+     * @param {number} width - 蒙版宽度
+     * @param {number} height - 蒙版高度
+     * @param {number} [scaleX=1] - 区域坐标到蒙版坐标的横向缩放 (输出经过重采样时)
+     * @param {number} [scaleY=1] - 纵向缩放
+     * @returns {Uint8Array} 蒙版 (1 为区域内)
+     */
+    const rasterize = (region, width, height, scaleX = 1, scaleY = 1) => {
+        const mask = new Uint8Array(width * height);
+        region.shapes.forEach(shape => {
+            if (shape.type === 'brush') {
+                const radius = shape.radius * (scaleX + scaleY) / 2;
+                const step = Math.max(0.5, radius / 2);
+                shape.points.forEach((point, index) => {
+                    const [x1, y1] = [point[0] * scaleX, point[1] * scaleY];
+                    const previous = index > 0 ? shape.points[index - 1] : point;
+                    const [x0, y0] = [previous[0] * scaleX, previous[1] * scaleY];
+                    // 沿线段按半径的一半间隔盖章，得到连续的笔画
+                    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) / step));
+                    for (let i = 0; i <= steps; i++) {
+                        fillCircle(mask, width, height, x0 + (x1 - x0) * i / steps, y0 + (y1 - y0) * i / steps, radius);
+                    }
+                });
+                return;
+            }
+            const left = shape.x * scaleX;
+            const top = shape.y * scaleY;
+            const right = (shape.x + shape.width) * scaleX;
+            const bottom = (shape.y + shape.height) * scaleY;
+            const minY = Math.max(0, Math.floor(top));
+            const maxY = Math.min(height, Math.ceil(bottom));
+            for (let y = minY; y < maxY; y++) {
+                let minX = left;
+                let maxX = right;
+                if (shape.type === 'ellipse') {
+                    const rx = (right - left) / 2;
+                    const ry = (bottom - top) / 2;
+                    const dy = (y + 0.5 - (top + ry)) / ry;
+                    if (Math.abs(dy) > 1) continue;
+                    const half = rx * Math.sqrt(1 - dy * dy);
+                    minX = left + rx - half;
+                    maxX = left + rx + half;
+                }
+                const startX = Math.max(0, Math.ceil(minX - 0.5));
+                const endX = Math.min(width, Math.floor(maxX + 0.5));
+                if (endX > startX) mask.fill(1, y * width + startX, y * width + endX);
+            }
+        });
+        return mask;
+    };
+
+    /**
+     * 按蒙版把区域的处理结果合成到整幅图像上
+     * @param {ImageData} baseImage - 整幅图像的处理结果
+     * @param {ImageData} regionImage - 区域参数的处理结果 (尺寸相同)
+     * @param {Uint8Array} mask - 区域蒙版
+     * @returns {ImageData} 合成结果
+     */
+    const composite = (baseImage, regionImage, mask) => {
+        const data = new Uint8ClampedArray(baseImage.data);
+        const source = regionImage.data;
+        for (let i = 0; i < mask.length; i++) {
+            if (!mask[i]) continue;
+            const index = i * 4;
+            data[index] = source[index];
+            data[index + 1] = source[index + 1];
+            data[index + 2] = source[index + 2];
+            data[index + 3] = source[index + 3];
+        }
+        return ImageBuffer.create(data, baseImage.width, baseImage.height);
+    };
+
+    /**
+     * 由人脸检测框生成区域 (每张脸一个椭圆，框向四周扩展以包含额头和下巴)
+     * @param {Array} boxes - [{ x, y, width, height }]
+     * @param {number} width - 图像宽度
+     * @param {number} height - 图像高度
+     * @returns {Array} 区域列表
+     */
+    const fromFaceBoxes = (boxes, width, height) => boxes.map((box, index) => {
+        const marginX = box.width * FACE_MARGIN;
+        const marginY = box.height * FACE_MARGIN;
+        const x = Math.max(0, box.x - marginX);
+        const y = Math.max(0, box.y - marginY * 1.5);
+        const shape = {
+            type: 'ellipse',
+            x: Math.round(x),
+            y: Math.round(y),
+            width: Math.round(Math.min(width, box.x + box.width + marginX) - x),
+            height: Math.round(Math.min(height, box.y + box.height + marginY) - y)
+        };
+        return createRegion(`面部 ${index + 1}`, [shape]);
+    });
+
+    /**
+     * 获取可用的形状类型
+     * @returns {Array} [{ id, name }]
+     */
+    const getShapeTypes = () => Object.entries(SHAPE_TYPES).map(([id, name]) => ({ id, name }));
+
+    return {
+        REGION_PARAM_KEYS,
+        createRegion,
+        normalizeRegions,
+        getRegionParams,
+        rasterize,
+        composite,
+        fromFaceBoxes,
+        getShapeTypes
+    };
+})();
+
+export default RegionMasks;
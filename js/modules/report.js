@@ -0,0 +1,61 @@
+/**
+ * 处理报告模块
+ * 生成可保存为 JSON 的处理报告 (网页批量下载与命令行共用)
+ */
+
+const ProcessingReport = (() => {
+    /**
+     * 生成处理报告
+     * @param {Object} processed - { processedImage, result, params, geometry }，result 为 ImageProcessor.processImage 的返回值，geometry 为处理前的旋转/裁剪设置
+     * @param {Object} info - { input, output, material, variant, laser, anchorOverride }
+     * @returns {Object} 报告对象
+     */
+    const build = (processed, info) => {
+        const { result, params, processedImage } = processed;
+        const stats = result.imageStats || {};
+        return {
+            input: info.input,
+            output: info.output,
+            material: info.material,
+            variant: info.variant,
+            laserType: info.laser,
+            anchorOverride: info.anchorOverride ?? null,
+            detectedImageType: result.detectedImageType,
+            // 类型判定依据：生效的规则、置信度和各项特征值 (手动指定时记录自动检测的类型)
+            imageTypeDetection: result.analysis ? result.analysis.imageTypeDetection || null : null,
+            inverted: result.wasInverted,
+            geometry: processed.geometry || null,
+            outputSize: { width: processedImage.width, height: processedImage.height, dpi: params.outputDpi || null },
+            imageStats: {
+                mean: stats.mean,
+                stdDev: stats.stdDev,
+                peaks: stats.peaks,
+                valleys: stats.valleys
+            },
+            // 人像按面部区域计算锚点和对比度时的面部统计
+            faceStats: result.faceStats ? { mean: result.faceStats.mean, stdDev: result.faceStats.stdDev } : null,
+            initialParams: result.initialParams,
+            params,
+            summary: result.analysis ? result.analysis.imageSummary : '',
+            adjustmentReasons: result.analysis ? result.analysis.adjustmentReasons : [],
+            info: result.info
+        };
+    };
+
+    /**
+     * 生成格式化的 JSON 文本
+     * @param {Object} processed - 同 build
+     * @param {Object} info - 同 build
+     * @returns {string} JSON 文本
+     */
+    const toJSON = (processed, info) => {
+        return JSON.stringify(build(processed, info), null, 2);
+    };
+
+    return {
+        build,
+        toJSON
+    };
+})();
+
+export default ProcessingReport;
@@ -0,0 +1,242 @@
+/**
+ * 图像重采样模块
+ * 按目标物理尺寸和分辨率(DPI)重采样图像，保证一个像素对应一个激光点
+ */
+
+import ImageBuffer from './imageBuffer.js';
+
+const ImageResampler = (() => {
+    const MM_PER_INCH = 25.4;
+
+    // 常用激光雕刻分辨率 (DPI)
+    const COMMON_DPI = [254, 318, 508];
+
+    /**
+     * 插值核定义
+     * support: 核半径 (以源像素为单位，缩小时会按比例放大)
+     * weight: 权重函数
+     */
+    const kernels = {
+        nearest: {
+            name: '最近邻 (Nearest)',
+            support: 0.5,
+            weight: (x) => (x >= -0.5 && x < 0.5 ? 1 : 0)
+        },
+        bilinear: {
+            name: '双线性 (Bilinear)',
+            support: 1,
+            weight: (x) => {
+                x = Math.abs(x);
+                return x < 1 ? 1 - x : 0;
+            }
+        },
+        bicubic: {
+            name: '双三次 (Bicubic)',
+            support: 2,
+            weight: (x) => {
+                // Keys 三次卷积核，a = -0.5 (Catmull-Rom)
+                const a = -0.5;
+                x = Math.abs(x);
+                if (x < 1) {
+                    return (a + 2) * x * x * x - (a + 3) * x * x + 1;
+                }
+                if (x < 2) {
+                    return a * x * x * x - 5 * a * x * x + 8 * a * x - 4 * a;
+                }
+                return 0;
+            }
+        },
+        lanczos: {
+            name: 'Lanczos (a=3)',
+            support: 3,
+            weight: (x) => {
+                const a = 3;
+                if (x === 0) return 1;
+                if (x <= -a || x >= a) return 0;
+                const px = Math.PI * x;
+                return (a * Math.sin(px) * Math.sin(px / a)) / (px * px);
+            }
+        }
+    };
+
+    /**
+     * 将物理长度转换为英寸
+     * @param {number} value - 长度值
+     * @param {string} unit - 单位 ('mm' 或 'inch')
+     * @returns {number} 英寸值
+     */
+    const toInches = (value, unit = 'mm') => {
+        return unit === 'inch' ? value : value / MM_PER_INCH;
+    };
+
+    /**
+     * 线间距 (mm) 转换为 DPI
+     * @param {number} interval - 线间距 (mm)
+     * @returns {number} DPI
+     */
+    const lineIntervalToDpi = (interval) => {
+        return interval > 0 ? MM_PER_INCH / interval : 0;
+    };
+
+    /**
+     * DPI 转换为线间距 (mm)
+     * @param {number} dpi - 分辨率
+     * @returns {number} 线间距 (mm)
+     */
+    const dpiToLineInterval = (dpi) => {
+        return dpi > 0 ? MM_PER_INCH / dpi : 0;
+    };
+
+    /**
+     * 根据物理尺寸和DPI计算目标像素尺寸
+     * @param {number} width - 目标宽度
+     * @param {number} height - 目标高度
+     * @param {string} unit - 单位 ('mm' 或 'inch')
+     * @param {number} dpi - 分辨率
+     * @returns {Object} { width, height } 像素尺寸
+     */
+    const calculateTargetSize = (width, height, unit, dpi) => {
+        return {
+            width: Math.max(1, Math.round(toInches(width, unit) * dpi)),
+            height: Math.max(1, Math.round(toInches(height, unit) * dpi))
+        };
+    };
+
+    /**
+     * 计算一维重采样的权重表
+     * @param {number} srcSize - 源尺寸
+     * @param {number} dstSize - 目标尺寸
+     * @param {Object} kernel - 插值核
+     * @returns {Array} 每个目标像素的 { start, weights }
+     */
+    const buildWeightTable = (srcSize, dstSize, kernel) => {
+        const scale = srcSize / dstSize;
+        // 缩小时扩大核半径，起到抗锯齿(区域平均)的作用
+        const filterScale = Math.max(1, scale);
+        const support = kernel.support * filterScale;
+        const table = new Array(dstSize);
+
+        for (let i = 0; i < dstSize; i++) {
+            const center = (i + 0.5) * scale - 0.5;
+            let start = Math.ceil(center - support);
+            let end = Math.floor(center + support);
+            start = Math.max(0, start);
+            end = Math.min(srcSize - 1, end);
+
+            const weights = [];
+            let total = 0;
+            for (let j = start; j <= end; j++) {
+                const w = kernel.weight((j - center) / filterScale);
+                weights.push(w);
+                total += w;
+            }
+
+            // 最近邻在缩小时可能没有命中任何像素，退化为取最近的源像素
+            if (total === 0) {
+                const nearestIdx = Math.min(srcSize - 1, Math.max(0, Math.round(center)));
+                table[i] = { start: nearestIdx, weights: [1] };
+                continue;
+            }
+
+            for (let k = 0; k < weights.length; k++) {
+                weights[k] /= total;
+            }
+            table[i] = { start, weights };
+        }
+
+        return table;
+    };
+
+    /**
+     * 将图像重采样到指定像素尺寸 (可分离卷积，先水平后垂直)
+     * @param {ImageData} imageData - 原始图像数据
+     * @param {number} targetWidth - 目标宽度 (像素)
+     * @param {number} targetHeight - 目标高度 (像素)
+     * @param {string} kernelName - 插值核 ('nearest', 'bilinear', 'bicubic', 'lanczos')
+     * @returns {ImageData} 重采样后的图像数据
+     */
+    const resample = (imageData, targetWidth, targetHeight, kernelName = 'bicubic') => {
+        const srcWidth = imageData.width;
+        const srcHeight = imageData.height;
+        targetWidth = Math.max(1, Math.round(targetWidth));
+        targetHeight = Math.max(1, Math.round(targetHeight));
+
+        if (srcWidth === targetWidth && srcHeight === targetHeight) {
+            return imageData;
+        }
+
+        const kernel = kernels[kernelName] || kernels.bicubic;
+        const src = imageData.data;
+
+        // 1. 水平方向：srcWidth x srcHeight -> targetWidth x srcHeight
+        const xTable = buildWeightTable(srcWidth, targetWidth, kernel);
+        const temp = new Float32Array(targetWidth * srcHeight * 4);
+        for (let y = 0; y < srcHeight; y++) {
+            const rowOffset = y * srcWidth;
+            for (let x = 0; x < targetWidth; x++) {
+                const { start, weights } = xTable[x];
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const idx = (rowOffset + start + k) * 4;
+                    const w = weights[k];
+                    r += src[idx] * w;
+                    g += src[idx + 1] * w;
+                    b += src[idx + 2] * w;
+                    a += src[idx + 3] * w;
+                }
+                const tIdx = (y * targetWidth + x) * 4;
+                temp[tIdx] = r;
+                temp[tIdx + 1] = g;
+                temp[tIdx + 2] = b;
+                temp[tIdx + 3] = a;
+            }
+        }
+
+        // 2. 垂直方向：targetWidth x srcHeight -> targetWidth x targetHeight
+        const yTable = buildWeightTable(srcHeight, targetHeight, kernel);
+        const result = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+        for (let y = 0; y < targetHeight; y++) {
+            const { start, weights } = yTable[y];
+            for (let x = 0; x < targetWidth; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const idx = ((start + k) * targetWidth + x) * 4;
+                    const w = weights[k];
+                    r += temp[idx] * w;
+                    g += temp[idx + 1] * w;
+                    b += temp[idx + 2] * w;
+                    a += temp[idx + 3] * w;
+                }
+                const rIdx = (y * targetWidth + x) * 4;
+                // Uint8ClampedArray 会自动四舍五入并限制在 0-255 (Bicubic/Lanczos 可能产生过冲)
+                result[rIdx] = r;
+                result[rIdx + 1] = g;
+                result[rIdx + 2] = b;
+                result[rIdx + 3] = a;
+            }
+        }
+
+        return ImageBuffer.create(result, targetWidth, targetHeight);
+    };
+
+    /**
+     * 获取可用插值核列表 (供UI使用)
+     * @returns {Array} [{ id, name }]
+     */
+    const getKernelList = () => {
+        return Object.entries(kernels).map(([id, kernel]) => ({ id, name: kernel.name }));
+    };
+
+    return {
+        MM_PER_INCH,
+        COMMON_DPI,
+        toInches,
+        lineIntervalToDpi,
+        dpiToLineInterval,
+        calculateTargetSize,
+        resample,
+        getKernelList
+    };
+})();
+
+export default ImageResampler;
@@ -0,0 +1,61 @@
+/**
+ * 本地存储模块
+ * 对 localStorage 的 JSON 读写封装；不可用时 (Node.js、隐私模式) 退化为内存存储
+ */
+
+const LocalStore = (() => {
+    const memoryStore = new Map();
+
+    const getStorage = () => {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                return localStorage;
+            }
+        } catch (error) {
+            // 部分浏览器在禁用存储时访问 localStorage 会抛出异常
+        }
+        return null;
+    };
+
+    /**
+     * 读取 JSON 数据
+     * @param {string} key - 存储键
+     * @param {*} fallback - 不存在或解析失败时的默认值
+     * @returns {*} 读取到的数据
+     */
+    const readJSON = (key, fallback = null) => {
+        const storage = getStorage();
+        const text = storage ? storage.getItem(key) : memoryStore.get(key);
+        if (text === null || text === undefined) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.warn(`本地存储 ${key} 数据损坏，已忽略:`, error);
+            return fallback;
+        }
+    };
+
+    /**
+     * 写入 JSON 数据
+     * @param {string} key - 存储键
+     * @param {*} value - 数据
+     */
+    const writeJSON = (key, value) => {
+        const text = JSON.stringify(value);
+        const storage = getStorage();
+        if (storage) {
+            storage.setItem(key, text);
+        } else {
+            memoryStore.set(key, text);
+        }
+    };
+
+    return {
+        readJSON,
+        writeJSON
+    };
+})();
+
+export default LocalStore;
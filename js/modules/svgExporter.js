@@ -0,0 +1,210 @@
+/**
+ * SVG导出模块
+ * 将处理后的位图转换为矢量 SVG：行程矩形 (适用于抖动结果) 或轮廓描边 (适用于卡通/线稿)
+ */
+
+const SvgExporter = (() => {
+    const MM_PER_INCH = 25.4;
+
+    /**
+     * 支持的 SVG 导出方式
+     * bilevelOnly: 仅适用于纯黑白(抖动)图像
+     * cartoonOnly: 仅适用于卡通/线稿类型
+     */
+    const formats = {
+        'svg-runs': { name: 'SVG 行程矩形', extension: 'svg', mimeType: 'image/svg+xml', bilevelOnly: true },
+        'svg-trace': { name: 'SVG 轮廓描边', extension: 'svg', mimeType: 'image/svg+xml', bilevelOnly: false, cartoonOnly: true }
+    };
+
+    const formatNumber = (value) => {
+        return Number(value.toFixed(4)).toString();
+    };
+
+    /**
+     * 创建阈值化后的黑色像素判断函数 (越界视为白色)
+     * @param {ImageData} imageData - 图像数据 (假设为灰度)
+     * @param {number} threshold - 阈值，小于该值视为黑色
+     * @returns {Function} (x, y) => boolean
+     */
+    const createBlackTester = (imageData, threshold) => {
+        const { width, height, data } = imageData;
+        return (x, y) => {
+            if (x < 0 || y < 0 || x >= width || y >= height) return false;
+            return data[(y * width + x) * 4] < threshold;
+        };
+    };
+
+    /**
+     * 生成 SVG 文档外壳，viewBox 使用毫米为单位
+     * @param {number} widthMm - 宽度 (mm)
+     * @param {number} heightMm - 高度 (mm)
+     * @param {string} body - SVG 内容
+     * @returns {string} SVG 文本
+     */
+    const wrapSvg = (widthMm, heightMm, body) => {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(widthMm)}mm" height="${formatNumber(heightMm)}mm" viewBox="0 0 ${formatNumber(widthMm)} ${formatNumber(heightMm)}">`,
+            body,
+            '</svg>',
+            ''
+        ].join('\n');
+    };
+
+    /**
+     * 将每行连续的黑色像素合并为水平矩形
+     * @param {ImageData} imageData - 图像数据 (抖动后的黑白图像)
+     * @param {Object} options - { dpi, threshold }
+     * @returns {string} SVG 文本
+     */
+    const exportRunLengthSvg = (imageData, options = {}) => {
+        const { width, height } = imageData;
+        const pitch = MM_PER_INCH / (options.dpi > 0 ? options.dpi : 254);
+        const isBlack = createBlackTester(imageData, options.threshold || 128);
+        const rects = [];
+
+        for (let y = 0; y < height; y++) {
+            let x = 0;
+            while (x < width) {
+                if (!isBlack(x, y)) {
+                    x++;
+                    continue;
+                }
+                const start = x;
+                while (x < width && isBlack(x, y)) x++;
+                rects.push(`<rect x="${formatNumber(start * pitch)}" y="${formatNumber(y * pitch)}" width="${formatNumber((x - start) * pitch)}" height="${formatNumber(pitch)}"/>`);
+            }
+        }
+
+        const body = `<g fill="#000000" shape-rendering="crispEdges">\n${rects.join('\n')}\n</g>`;
+        return wrapSvg(width * pitch, height * pitch, body);
+    };
+
+    /**
+     * 将阈值化后的图像描边为闭合轮廓
+     * 沿像素边界追踪黑白分界线 (黑色始终在前进方向右侧)，配合 evenodd 填充规则正确处理孔洞
+     * @param {ImageData} imageData - 图像数据 (灰度)
+     * @param {number} threshold - 阈值
+     * @returns {Array} 轮廓列表，每个轮廓为顶点数组 [[x, y], ...] (像素坐标)
+     */
+    const traceOutlines = (imageData, threshold = 128) => {
+        const { width, height } = imageData;
+        const isBlack = createBlackTester(imageData, threshold);
+        const vertexWidth = width + 1;
+        const used = new Uint8Array(vertexWidth * (height + 1));
+
+        // 方向: 0 右, 1 下, 2 左, 3 上 (屏幕坐标，y 向下)
+        const dx = [1, 0, -1, 0];
+        const dy = [0, 1, 0, -1];
+
+        // 判断从顶点 (vx, vy) 沿方向 dir 是否存在边界边
+        const hasEdge = (vx, vy, dir) => {
+            switch (dir) {
+                case 0: return isBlack(vx, vy) && !isBlack(vx, vy - 1);             // 像素上边
+                case 1: return isBlack(vx - 1, vy) && !isBlack(vx, vy);             // 像素右边
+                case 2: return isBlack(vx - 1, vy - 1) && !isBlack(vx - 1, vy);     // 像素下边
+                case 3: return isBlack(vx, vy - 1) && !isBlack(vx - 1, vy - 1);     // 像素左边
+                default: return false;
+            }
+        };
+
+        const isUsed = (vx, vy, dir) => (used[vy * vertexWidth + vx] >> dir) & 1;
+        const markUsed = (vx, vy, dir) => {
+            used[vy * vertexWidth + vx] |= 1 << dir;
+        };
+
+        const outlines = [];
+        for (let vy = 0; vy <= height; vy++) {
+            for (let vx = 0; vx <= width; vx++) {
+                for (let startDir = 0; startDir < 4; startDir++) {
+                    if (isUsed(vx, vy, startDir) || !hasEdge(vx, vy, startDir)) continue;
+
+                    const points = [[vx, vy]];
+                    let cx = vx;
+                    let cy = vy;
+                    let dir = startDir;
+
+                    while (true) {
+                        markUsed(cx, cy, dir);
+                        cx += dx[dir];
+                        cy += dy[dir];
+                        if (cx === vx && cy === vy && isUsed(cx, cy, startDir)) break;
+
+                        // 优先右转 (保持4连通区域分离)，其次直行，最后左转
+                        let nextDir = -1;
+                        for (const turn of [1, 0, 3]) {
+                            const candidate = (dir + turn) % 4;
+                            if (!isUsed(cx, cy, candidate) && hasEdge(cx, cy, candidate)) {
+                                nextDir = candidate;
+                                break;
+                            }
+                        }
+                        if (nextDir === -1) break;
+
+                        // 只在拐角处记录顶点
+                        if (nextDir !== dir) points.push([cx, cy]);
+                        dir = nextDir;
+                    }
+
+                    if (points.length >= 3) outlines.push(points);
+                }
+            }
+        }
+
+        return outlines;
+    };
+
+    /**
+     * 导出轮廓描边 SVG
+     * @param {ImageData} imageData - 图像数据 (灰度或黑白)
+     * @param {Object} options - { dpi, threshold }
+     * @returns {string} SVG 文本
+     */
+    const exportTracedSvg = (imageData, options = {}) => {
+        const { width, height } = imageData;
+        const pitch = MM_PER_INCH / (options.dpi > 0 ? options.dpi : 254);
+        const outlines = traceOutlines(imageData, options.threshold || 128);
+
+        const pathData = outlines.map(points => {
+            const [first, ...rest] = points;
+            return `M${formatNumber(first[0] * pitch)} ${formatNumber(first[1] * pitch)}` +
+                rest.map(([x, y]) => `L${formatNumber(x * pitch)} ${formatNumber(y * pitch)}`).join('') +
+                'Z';
+        }).join('\n');
+
+        const body = `<path fill="#000000" fill-rule="evenodd" d="${pathData}"/>`;
+        return wrapSvg(width * pitch, height * pitch, body);
+    };
+
+    /**
+     * 按方式导出 SVG
+     * @param {ImageData} imageData - 图像数据
+     * @param {string} format - 'svg-runs' | 'svg-trace'
+     * @param {Object} options - { dpi, threshold }
+     * @returns {Object} { bytes, mimeType, extension }
+     */
+    const encode = (imageData, format, options = {}) => {
+        const formatInfo = formats[format];
+        if (!formatInfo) {
+            throw new Error(`不支持的SVG导出方式: ${format}`);
+        }
+        const text = format === 'svg-trace'
+            ? exportTracedSvg(imageData, options)
+            : exportRunLengthSvg(imageData, options);
+        return {
+            bytes: new TextEncoder().encode(text),
+            mimeType: formatInfo.mimeType,
+            extension: formatInfo.extension
+        };
+    };
+
+    return {
+        formats,
+        exportRunLengthSvg,
+        exportTracedSvg,
+        traceOutlines,
+        encode
+    };
+})();
+
+export default SvgExporter;
@@ -0,0 +1,197 @@
+/**
+ * 色调曲线模块
+ * 用单调三次样条 (Fritsch-Carlson) 通过控制点生成 256 级查找表，替代固定的亮度/对比度/色阶调整；
+ * 材料的亮度/对比度/色阶可以换算为等效的初始曲线
+ */
+
+import ImageBuffer from './imageBuffer.js';
+
+const ToneCurve = (() => {
+    const MAX_POINTS = 16;
+    const MIN_SPACING = 4;
+
+    /**
+     * 规范化控制点
+     * @param {Array|string|null} points - [[输入, 输出], ...]，或 "输入:输出" 逗号分隔的文本
+     * @returns {Array|null} 按输入排序的控制点，空值返回 null
+     * @throws {Error} 控制点无效时抛出
+     */
+    const normalizePoints = (points) => {
+        if (points === null || points === undefined || points === '') {
+            return null;
+        }
+        const list = typeof points === 'string'
+            ? points.split(/[,，\s]+/).filter(text => text !== '').map(text => text.split(':').map(Number))
+            : Array.from(points, point => Array.isArray(point) ? [...point] : [NaN]);
+
+        for (const point of list) {
+            if (point.length !== 2 || !point.every(value => Number.isFinite(value) && value >= 0 && value <= 255)) {
+                throw new Error('曲线的每个控制点必须是 0-255 之间的 [输入, 输出]');
+            }
+        }
+        if (list.length < 2 || list.length > MAX_POINTS) {
+            throw new Error(`曲线需要 2-${MAX_POINTS} 个控制点`);
+        }
+        list.sort((a, b) => a[0] - b[0]);
+        for (let i = 1; i < list.length; i++) {
+            if (list[i][0] === list[i - 1][0]) {
+                throw new Error(`曲线中输入 ${list[i][0]} 重复`);
+            }
+        }
+        return list;
+    };
+
+    /**
+     * 计算单调三次样条在各控制点处的切线 (Fritsch-Carlson)，保证单调区间内曲线不会过冲
+     * @param {Array} points - 规范化后的控制点
+     * @returns {Array} 切线斜率
+     */
+    const computeTangents = (points) => {
+        const n = points.length;
+        const secants = [];
+        for (let i = 0; i < n - 1; i++) {
+            secants.push((points[i + 1][1] - points[i][1]) / (points[i + 1][0] - points[i][0]));
+        }
+        const tangents = new Array(n);
+        tangents[0] = secants[0];
+        tangents[n - 1] = secants[n - 2];
+        for (let i = 1; i < n - 1; i++) {
+            tangents[i] = secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2;
+        }
+        for (let i = 0; i < n - 1; i++) {
+            if (secants[i] === 0) {
+                tangents[i] = 0;
+                tangents[i + 1] = 0;
+                continue;
+            }
+            const alpha = tangents[i] / secants[i];
+            const beta = tangents[i + 1] / secants[i];
+            const sum = alpha * alpha + beta * beta;
+            if (sum > 9) {
+                const scale = 3 / Math.sqrt(sum);
+                tangents[i] = scale * alpha * secants[i];
+                tangents[i + 1] = scale * beta * secants[i];
+            }
+        }
+        return tangents;
+    };
+
+    /**
+     * 由控制点生成查找表 (第一个点之前和最后一个点之后保持端点输出)
+     * @param {Array} points - 控制点
+     * @returns {Uint8Array} 256 级查找表
+     */
+    const createLUT = (points) => {
+        const list = normalizePoints(points);
+        const lut = new Uint8Array(256);
+        const tangents = computeTangents(list);
+        let segment = 0;
+        for (let x = 0; x < 256; x++) {
+            if (x <= list[0][0]) {
+                lut[x] = Math.round(list[0][1]);
+                continue;
+            }
+            if (x >= list[list.length - 1][0]) {
+                lut[x] = Math.round(list[list.length - 1][1]);
+                continue;
+            }
+            while (x > list[segment + 1][0]) segment++;
+            const [x0, y0] = list[segment];
+            const [x1, y1] = list[segment + 1];
+            const h = x1 - x0;
+            const t = (x - x0) / h;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            const value = (2 * t3 - 3 * t2 + 1) * y0 +
+                (t3 - 2 * t2 + t) * h * tangents[segment] +
+                (-2 * t3 + 3 * t2) * y1 +
+                (t3 - t2) * h * tangents[segment + 1];
+            lut[x] = Math.max(0, Math.min(255, Math.round(value)));
+        }
+        return lut;
+    };
+
+    /**
+     * 从查找表提取控制点：先用 Ramer-Douglas-Peucker 折线简化保留黑场/白场等转折点，
+     * 再在样条曲线偏差最大处补点，直到偏差不超过容差或达到控制点上限
+     * @param {ArrayLike} lut - 256 级查找表
+     * @param {number} tolerance - 允许的最大偏差 (灰度级)
+     * @returns {Array} 控制点
+     */
+    const fromLUT = (lut, tolerance = 1) => {
+        const keep = new Set([0, 255]);
+        const simplify = (start, end) => {
+            let maxDistance = 0;
+            let index = -1;
+            const slope = (lut[end] - lut[start]) / (end - start);
+            for (let x = start + 1; x < end; x++) {
+                const distance = Math.abs(lut[x] - (lut[start] + slope * (x - start)));
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = x;
+                }
+            }
+            // 查找表经过多次取整，偏离折线 1-2 级的台阶不算转折
+            if (maxDistance > Math.max(tolerance, 2) && keep.size < MAX_POINTS) {
+                keep.add(index);
+                simplify(start, index);
+                simplify(index, end);
+            }
+        };
+        simplify(0, 255);
+
+        // 样条在转折点处切线为 0，转折点两侧加点使曲线贴近折线；相邻控制点至少间隔 MIN_SPACING，
+        // 避免查找表的取整台阶产生平坦的切线
+        const isFree = x => x > 0 && x < 255 && [...keep].every(k => Math.abs(k - x) >= MIN_SPACING);
+        [...keep].filter(x => x > 0 && x < 255).forEach(corner => {
+            [corner - MIN_SPACING, corner + MIN_SPACING].forEach(x => {
+                if (keep.size < MAX_POINTS && isFree(x)) keep.add(x);
+            });
+        });
+
+        const toPoints = () => [...keep].sort((a, b) => a - b).map(x => [x, lut[x]]);
+        while (keep.size < MAX_POINTS) {
+            const curve = createLUT(toPoints());
+            let maxError = 0;
+            let index = -1;
+            for (let x = 0; x < 256; x++) {
+                const error = Math.abs(curve[x] - lut[x]);
+                if (error > maxError && isFree(x)) {
+                    maxError = error;
+                    index = x;
+                }
+            }
+            if (maxError <= tolerance) break;
+            keep.add(index);
+        }
+        return toPoints();
+    };
+
+    /**
+     * 对灰度图像应用曲线
+     * @param {ImageData} imageData - 灰度图像数据
+     * @param {Array} points - 控制点
+     * @returns {ImageData} 调整后的图像数据
+     */
+    const apply = (imageData, points) => {
+        const lut = createLUT(points);
+        const data = new Uint8ClampedArray(imageData.data);
+        for (let i = 0; i < data.length; i += 4) {
+            const value = lut[data[i]];
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+        return ImageBuffer.create(data, imageData.width, imageData.height);
+    };
+
+    return {
+        MAX_POINTS,
+        normalizePoints,
+        createLUT,
+        fromLUT,
+        apply
+    };
+})();
+
+export default ToneCurve;
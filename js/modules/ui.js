@@ -4,28 +4,61 @@
  */
 
 import Materials from './materials.js';
+import ImageResampler from './resampler.js';
+import GcodeGenerator from './gcode.js';
+import ImageAlgorithms from './algorithms.js';
+import MaterialLibrary from './materialLibrary.js';
+import PresetStore from './presets.js';
+import CalibrationCard from './calibration.js';
+import ImageEncoders from './encoders.js';
+import DotGain from './dotGain.js';
+import BurnSimulator from './burnSimulator.js';
+import ToneCurve from './toneCurve.js';
+import ImageGeometry from './geometry.js';
+import BackgroundRemoval from './background.js';
+import RegionMasks from './regions.js';
+import PortraitEnhancer from './portrait.js';
+import ImageProcessor from './imageProcessor.js';
 
 const UI = (() => {
+    // 创建数字输入框：min/max/step 可直接传入 Materials.PARAM_RANGES 中的参数范围，未给出的属性不设置
+    const createNumberInput = ({ min, max, step, value, title, id, width } = {}) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'number-input';
+        if (id) input.id = id;
+        if (min !== undefined) input.min = min;
+        if (max !== undefined) input.max = max;
+        if (step !== undefined) input.step = step;
+        if (value !== undefined) input.value = value;
+        if (title) input.title = title;
+        if (width) input.style.width = width;
+        return input;
+    };
+
     // 创建材料选择器
     const createMaterialSelector = (containerId, onChangeCallback) => {
         const container = document.getElementById(containerId);
         if (!container) return;
         
-        const materials = Materials.getAllMaterials();
-        
         // 创建材料下拉菜单
         const materialSelect = document.createElement('select');
         materialSelect.id = 'materialSelect';
         materialSelect.className = 'material-select';
         
-        // 添加材料选项
-        for (const [materialId, material] of Object.entries(materials)) {
-            const option = document.createElement('option');
-            option.value = materialId;
-            option.textContent = material.name;
-            option.title = material.description || '';
-            materialSelect.appendChild(option);
-        }
+        // 添加材料选项 (自定义材料标注"自定义")
+        const populateMaterials = (selectedId) => {
+            materialSelect.innerHTML = '';
+            for (const [materialId, material] of Object.entries(Materials.getAllMaterials())) {
+                const option = document.createElement('option');
+                option.value = materialId;
+                option.textContent = Materials.isBuiltInMaterial(materialId) ? material.name : `${material.name} (自定义)`;
+                option.title = material.description || '';
+                option.selected = materialId === selectedId;
+                materialSelect.appendChild(option);
+            }
+        };
+        populateMaterials();
         
         // 创建材料颜色选择下拉菜单
         const colorSelect = document.createElement('select');
@@ -75,6 +108,8 @@ const UI = (() => {
         return {
             getSelectedMaterial: () => materialSelect.value,
             getSelectedVariant: () => colorSelect.value,
+            // 材料库变化后重建选项，尽量保持当前选择
+            refreshMaterials: () => populateMaterials(materialSelect.value),
         };
     };
     
@@ -135,6 +170,38 @@ const UI = (() => {
         }
     };
     
+    /**
+     * 在预览画布上绘制人脸叠加层：检测框 (含置信度) 和眼睛/嘴巴的增强范围
+     * @param {HTMLCanvasElement} canvas - 预览画布 (已绘制处理结果)
+     * @param {Array} faces - 人脸数据 (坐标基于原始图像)
+     * @param {number} scaleX - 原始图像到画布的横向缩放
+     * @param {number} scaleY - 纵向缩放
+     */
+    const drawFaceOverlay = (canvas, faces, scaleX, scaleY) => {
+        if (!faces || faces.length === 0) return;
+        const ctx = canvas.getContext('2d');
+        const lineWidth = Math.max(1, Math.round(Math.min(canvas.width, canvas.height) / 300));
+        ctx.save();
+        ctx.lineWidth = lineWidth;
+        ctx.font = `${lineWidth * 12}px sans-serif`;
+        PortraitEnhancer.scaleFaces(faces, scaleX, scaleY).forEach(face => {
+            const { x, y, width, height } = face.box;
+            ctx.strokeStyle = '#2ecc71';
+            ctx.strokeRect(x, y, width, height);
+            if (typeof face.score === 'number') {
+                ctx.fillStyle = '#2ecc71';
+                ctx.fillText(`${Math.round(face.score * 100)}%`, x, Math.max(lineWidth * 12, y - lineWidth * 2));
+            }
+            ctx.strokeStyle = '#f1c40f';
+            PortraitEnhancer.getFeatureBoxes(face).forEach(rect => {
+                ctx.beginPath();
+                ctx.ellipse(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width / 2, rect.height / 2, 0, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+        });
+        ctx.restore();
+    };
+    
     // 创建抖动算法按钮
     const createDitherAlgorithmButtons = (containerId, onSelectCallback) => {
         const container = document.getElementById(containerId);
@@ -144,11 +211,7 @@ const UI = (() => {
         
         const algorithms = [
             { id: 'none', name: '不抖动' },
-            { id: 'floydSteinberg', name: 'Floyd-Steinberg' },
-            { id: 'atkinson', name: 'Atkinson' },
-            { id: 'jarvis', name: 'Jarvis' },
-            { id: 'ordered', name: 'Ordered' },
-            { id: 'bayer', name: 'Bayer' }
+            ...ImageAlgorithms.getDitherAlgorithms()
         ];
         
         algorithms.forEach(algo => {
@@ -176,12 +239,2730 @@ const UI = (() => {
         });
     };
     
+    // 创建抖动选项控件：误差扩散选项 (蛇形扫描、误差衰减、误差上限) 对所有误差扩散类算法生效，蓝噪声和调幅网点选项只对对应算法生效，输出级数和级别表对所有算法生效
+    const createDitherOptionsControls = (containerId, onChangeCallback) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const serpentineCheckbox = document.createElement('input');
+        serpentineCheckbox.type = 'checkbox';
+        const serpentineLabel = document.createElement('label');
+        serpentineLabel.className = 'checkbox-label';
+        serpentineLabel.title = '奇数行从右向左扫描，减少皮肤、天空等平滑渐变上的斜向"虫纹"';
+        serpentineLabel.appendChild(serpentineCheckbox);
+        serpentineLabel.appendChild(document.createTextNode('蛇形扫描'));
+        
+        const createOptionInput = (key, title) => createNumberInput({
+            ...Materials.PARAM_RANGES[key],
+            value: Materials.defaultParams[key],
+            title
+        });
+        
+        const attenuationInput = createOptionInput('ditherErrorAttenuation', '只扩散该比例的误差 (1 为完整扩散)，降低平坦区域的噪点');
+        const clampInput = createOptionInput('ditherErrorClamp', '单个像素扩散误差的上限，防止平坦高光区误差累积失控 (0 为不限制)');
+        
+        const addField = (labelText, element) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            wrapper.appendChild(document.createTextNode(labelText));
+            wrapper.appendChild(element);
+            container.appendChild(wrapper);
+        };
+        
+        const blueNoiseSizeSelect = document.createElement('select');
+        blueNoiseSizeSelect.title = '蓝噪声阈值图边长 (首次使用某个尺寸/种子时需要生成，128 约需 0.5 秒)';
+        [32, 64, 128].forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = `${size}x${size}`;
+            option.selected = size === Materials.defaultParams.ditherBlueNoiseSize;
+            blueNoiseSizeSelect.appendChild(option);
+        });
+        const blueNoiseSeedInput = createOptionInput('ditherBlueNoiseSeed', '蓝噪声阈值图的随机种子 (相同种子总是得到相同的图案)');
+        
+        const halftoneShapeSelect = document.createElement('select');
+        halftoneShapeSelect.title = '调幅网点的点形';
+        ImageAlgorithms.getHalftoneShapes().forEach(shape => {
+            const option = document.createElement('option');
+            option.value = shape.id;
+            option.textContent = shape.name;
+            option.selected = shape.id === Materials.defaultParams.ditherHalftoneShape;
+            halftoneShapeSelect.appendChild(option);
+        });
+        const halftoneAngleInput = createOptionInput('ditherHalftoneAngle', '网线角度 (度)，45° 最不易察觉');
+        const halftoneLpiInput = createOptionInput('ditherHalftoneLpi', '每英寸网点行数；网点单元边长 = 输出 DPI / LPI 像素，LPI 越低网点越大越容易稳定雕刻');
+        
+        const levelsInput = createOptionInput('ditherLevels', '输出灰度级数：2 为黑白，4/8/16 等为多级灰度 (每一级对应一个激光功率档位)');
+        const levelTableInput = document.createElement('input');
+        levelTableInput.type = 'text';
+        levelTableInput.placeholder = '均匀分布';
+        const levelTableTitle = '各级别的输出灰度值 (逗号分隔，从深到浅递增，个数等于级数)，按 G代码 功率线性换算为实际功率档位，如 0,60,150,255';
+        levelTableInput.title = levelTableTitle;
+        
+        container.appendChild(serpentineLabel);
+        addField('误差衰减:', attenuationInput);
+        addField('误差上限:', clampInput);
+        addField('蓝噪声:', blueNoiseSizeSelect);
+        addField('种子:', blueNoiseSeedInput);
+        addField('网点:', halftoneShapeSelect);
+        addField('角度:', halftoneAngleInput);
+        addField('LPI:', halftoneLpiInput);
+        addField('级数:', levelsInput);
+        addField('级别表:', levelTableInput);
+        
+        const readNumber = (input, key) => {
+            const range = Materials.PARAM_RANGES[key];
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value)) return Materials.defaultParams[key];
+            return Math.max(range.min, Math.min(range.max, value));
+        };
+        
+        // 级别表无效时标红并按均匀分布处理
+        const readLevelTable = (levels) => {
+            try {
+                const table = ImageAlgorithms.normalizeLevelTable(levelTableInput.value.trim(), levels);
+                levelTableInput.style.borderColor = '';
+                levelTableInput.title = levelTableTitle;
+                return table;
+            } catch (error) {
+                levelTableInput.style.borderColor = 'red';
+                levelTableInput.title = `${error.message} (当前按均匀分布处理)`;
+                return null;
+            }
+        };
+        
+        const getOptions = () => {
+            const levels = Math.round(readNumber(levelsInput, 'ditherLevels'));
+            return {
+                ditherSerpentine: serpentineCheckbox.checked,
+                ditherErrorAttenuation: readNumber(attenuationInput, 'ditherErrorAttenuation'),
+                ditherErrorClamp: Math.round(readNumber(clampInput, 'ditherErrorClamp')),
+                ditherBlueNoiseSize: parseInt(blueNoiseSizeSelect.value, 10),
+                ditherBlueNoiseSeed: Math.round(readNumber(blueNoiseSeedInput, 'ditherBlueNoiseSeed')),
+                ditherHalftoneShape: halftoneShapeSelect.value,
+                ditherHalftoneAngle: readNumber(halftoneAngleInput, 'ditherHalftoneAngle'),
+                ditherHalftoneLpi: readNumber(halftoneLpiInput, 'ditherHalftoneLpi'),
+                ditherLevels: levels,
+                ditherLevelTable: readLevelTable(levels)
+            };
+        };
+        
+        const setOptions = (params) => {
+            if (params.ditherSerpentine !== undefined) serpentineCheckbox.checked = !!params.ditherSerpentine;
+            if (params.ditherErrorAttenuation !== undefined) attenuationInput.value = params.ditherErrorAttenuation;
+            if (params.ditherErrorClamp !== undefined) clampInput.value = params.ditherErrorClamp;
+            if (params.ditherBlueNoiseSize !== undefined) {
+                // 预设/材料中可能是下拉框之外的尺寸
+                if (![...blueNoiseSizeSelect.options].some(option => Number(option.value) === params.ditherBlueNoiseSize)) {
+                    const option = document.createElement('option');
+                    option.value = params.ditherBlueNoiseSize;
+                    option.textContent = `${params.ditherBlueNoiseSize}x${params.ditherBlueNoiseSize}`;
+                    blueNoiseSizeSelect.appendChild(option);
+                }
+                blueNoiseSizeSelect.value = params.ditherBlueNoiseSize;
+            }
+            if (params.ditherBlueNoiseSeed !== undefined) blueNoiseSeedInput.value = params.ditherBlueNoiseSeed;
+            if (params.ditherHalftoneShape !== undefined) halftoneShapeSelect.value = params.ditherHalftoneShape;
+            if (params.ditherHalftoneAngle !== undefined) halftoneAngleInput.value = params.ditherHalftoneAngle;
+            if (params.ditherHalftoneLpi !== undefined) halftoneLpiInput.value = params.ditherHalftoneLpi;
+            if (params.ditherLevels !== undefined) levelsInput.value = params.ditherLevels;
+            if (params.ditherLevelTable !== undefined) {
+                levelTableInput.value = Array.isArray(params.ditherLevelTable) ? params.ditherLevelTable.join(',') : '';
+                readLevelTable(params.ditherLevels ?? Math.round(readNumber(levelsInput, 'ditherLevels')));
+            }
+        };
+        
+        [
+            serpentineCheckbox, attenuationInput, clampInput,
+            blueNoiseSizeSelect, blueNoiseSeedInput,
+            halftoneShapeSelect, halftoneAngleInput, halftoneLpiInput,
+            levelsInput, levelTableInput
+        ].forEach(input => {
+            input.addEventListener('change', () => {
+                if (onChangeCallback) onChangeCallback(getOptions());
+            });
+        });
+        
+        return {
+            getOptions,
+            setOptions
+        };
+    };
+    
+    // 创建雕刻模拟预览控件：开启后处理结果按所选材料的底色/烧蚀颜色和光斑扩散显示
+    const createSimulationControls = (containerId, onChangeCallback) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const createCheckbox = (text, title, checked) => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = checked;
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            label.title = title;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            container.appendChild(label);
+            return checkbox;
+        };
+        
+        const enabledCheckbox = createCheckbox('材料模拟', '按所选材料的颜色、光斑直径和 DPI 模拟雕刻效果 (不影响导出)', false);
+        const textureCheckbox = createCheckbox('材质纹理', '叠加木纹/皮革/拉丝等材质纹理', true);
+        textureCheckbox.disabled = true;
+        const facesCheckbox = createCheckbox('人脸框', '在预览上标出检测到的人脸和眼睛/嘴巴范围 (不影响导出)', true);
+        
+        const getSettings = () => ({
+            enabled: enabledCheckbox.checked,
+            texture: textureCheckbox.checked,
+            faces: facesCheckbox.checked
+        });
+        
+        [enabledCheckbox, textureCheckbox, facesCheckbox].forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                textureCheckbox.disabled = !enabledCheckbox.checked;
+                if (onChangeCallback) onChangeCallback(getSettings());
+            });
+        });
+        
+        return {
+            getSettings
+        };
+    };
+    
+    // 创建色调曲线编辑器：在直方图画布上叠加曲线，拖动控制点调整 (点击空白处添加、双击删除)，松开鼠标后触发 onChange
+    const createCurveEditor = (canvasId, containerId, callbacks = {}) => {
+        const canvas = document.getElementById(canvasId);
+        const container = document.getElementById(containerId);
+        if (!canvas || !container) return null;
+        
+        container.innerHTML = '';
+        const ctx = canvas.getContext('2d');
+        const HIT_RADIUS = 8; // 画布像素
+        let points = [[0, 0], [255, 255]];
+        let enabled = false;
+        let background = null;
+        let dragIndex = -1;
+        let changed = false;
+        
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'checkbox-label';
+        enabledLabel.title = '启用后由曲线代替材料的亮度/对比度和色阶；在左侧直方图上拖动控制点调整，点击空白处添加控制点，双击删除';
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode('色调曲线'));
+        
+        const resetButton = document.createElement('button');
+        resetButton.textContent = '按材料参数重置';
+        resetButton.title = '重新由材料的亮度/对比度/色阶换算曲线';
+        
+        container.appendChild(enabledLabel);
+        container.appendChild(resetButton);
+        
+        const toCanvas = ([x, y]) => [x / 255 * canvas.width, (1 - y / 255) * canvas.height];
+        
+        const fromEvent = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (event.clientX - rect.left) / rect.width * 255;
+            const y = (1 - (event.clientY - rect.top) / rect.height) * 255;
+            return [Math.round(Math.max(0, Math.min(255, x))), Math.round(Math.max(0, Math.min(255, y)))];
+        };
+        
+        // 查找鼠标附近的控制点
+        const findPoint = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            const mouseX = (event.clientX - rect.left) / rect.width * canvas.width;
+            const mouseY = (event.clientY - rect.top) / rect.height * canvas.height;
+            return points.findIndex(point => {
+                const [px, py] = toCanvas(point);
+                return Math.hypot(px - mouseX, py - mouseY) <= HIT_RADIUS;
+            });
+        };
+        
+        const draw = () => {
+            if (background) {
+                ctx.putImageData(background, 0, 0);
+            } else {
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+            }
+            
+            // 对角参考线 (不调整)
+            ctx.save();
+            ctx.setLineDash([3, 3]);
+            ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(...toCanvas([0, 0]));
+            ctx.lineTo(...toCanvas([255, 255]));
+            ctx.stroke();
+            ctx.restore();
+            
+            // 未启用时以虚线显示材料参数的等效曲线
+            const lut = ToneCurve.createLUT(points);
+            ctx.save();
+            if (!enabled) ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = enabled ? '#e67e22' : 'rgba(230, 126, 34, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            for (let x = 0; x < 256; x++) {
+                const [cx, cy] = toCanvas([x, lut[x]]);
+                if (x === 0) ctx.moveTo(cx, cy);
+                else ctx.lineTo(cx, cy);
+            }
+            ctx.stroke();
+            ctx.restore();
+            
+            if (enabled) {
+                ctx.fillStyle = '#e67e22';
+                points.forEach((point, index) => {
+                    const [cx, cy] = toCanvas(point);
+                    ctx.beginPath();
+                    ctx.arc(cx, cy, index === dragIndex ? 5 : 4, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            }
+        };
+        
+        const getPoints = () => points.map(point => [...point]);
+        
+        const notifyChange = () => {
+            if (callbacks.onChange) callbacks.onChange(getPoints());
+        };
+        
+        canvas.addEventListener('mousedown', (event) => {
+            if (!enabled) return;
+            dragIndex = findPoint(event);
+            changed = false;
+            if (dragIndex < 0) {
+                const [x, y] = fromEvent(event);
+                if (points.length >= ToneCurve.MAX_POINTS || points.some(point => point[0] === x)) return;
+                points.push([x, y]);
+                points.sort((a, b) => a[0] - b[0]);
+                dragIndex = points.findIndex(point => point[0] === x);
+                changed = true;
+            }
+            event.preventDefault();
+            draw();
+        });
+        
+        canvas.addEventListener('mousemove', (event) => {
+            if (dragIndex < 0) return;
+            const [x, y] = fromEvent(event);
+            const point = points[dragIndex];
+            // 首尾控制点只能上下移动，中间的控制点不能越过相邻点
+            if (dragIndex > 0 && dragIndex < points.length - 1) {
+                point[0] = Math.max(points[dragIndex - 1][0] + 1, Math.min(points[dragIndex + 1][0] - 1, x));
+            }
+            point[1] = y;
+            changed = true;
+            draw();
+        });
+        
+        window.addEventListener('mouseup', () => {
+            if (dragIndex < 0) return;
+            dragIndex = -1;
+            draw();
+            if (changed) notifyChange();
+        });
+        
+        canvas.addEventListener('dblclick', (event) => {
+            if (!enabled) return;
+            const index = findPoint(event);
+            if (index <= 0 || index >= points.length - 1) return;
+            points.splice(index, 1);
+            draw();
+            notifyChange();
+        });
+        
+        enabledCheckbox.addEventListener('change', () => {
+            enabled = enabledCheckbox.checked;
+            draw();
+            if (callbacks.onToggle) callbacks.onToggle(enabled, getPoints());
+        });
+        
+        resetButton.addEventListener('click', () => {
+            if (callbacks.onReset) callbacks.onReset();
+        });
+        
+        // 记录画布当前内容 (直方图) 作为曲线的背景
+        const captureBackground = () => {
+            background = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            draw();
+        };
+        
+        const setPoints = (newPoints, isEnabled = enabled) => {
+            points = ToneCurve.normalizePoints(newPoints).map(point => point.map(Math.round));
+            enabled = isEnabled;
+            enabledCheckbox.checked = isEnabled;
+            draw();
+        };
+        
+        return {
+            captureBackground,
+            setPoints,
+            getPoints,
+            isEnabled: () => enabled
+        };
+    };
+
+    // 创建图像类型控件：可手动指定普通照片/卡通/人像 (覆盖自动检测)，并列出自动检测的特征值、生效规则和置信度
+    const createImageTypeControls = (containerId, onChangeCallback) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        container.innerHTML = '';
+        const types = ImageProcessor.getImageTypes();
+        const typeNames = Object.fromEntries(types.map(type => [type.id, type.name]));
+
+        const label = document.createElement('label');
+        label.textContent = '图像类型:';
+        const select = document.createElement('select');
+        select.title = '手动指定图像类型后按该类型重新计算锚点、对比度等参数';
+        const autoOption = document.createElement('option');
+        autoOption.value = '';
+        autoOption.textContent = '自动检测';
+        select.appendChild(autoOption);
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.name;
+            select.appendChild(option);
+        });
+        label.appendChild(select);
+
+        const summary = document.createElement('span');
+        summary.className = 'output-size-info';
+
+        const toggleButton = document.createElement('button');
+        toggleButton.className = 'secondary small';
+        toggleButton.textContent = '判定依据';
+        toggleButton.disabled = true;
+
+        const details = document.createElement('div');
+        details.className = 'type-detection-details';
+        details.style.display = 'none';
+        toggleButton.addEventListener('click', () => {
+            details.style.display = details.style.display === 'none' ? 'block' : 'none';
+        });
+
+        container.appendChild(label);
+        container.appendChild(summary);
+        container.appendChild(toggleButton);
+        container.appendChild(details);
+
+        const formatNumber = (value) => {
+            if (value === null || value === undefined) return '-';
+            if (Array.isArray(value)) return value.length > 0 ? value.map(formatNumber).join(', ') : '无';
+            return Number.isInteger(value) ? String(value) : value.toFixed(3);
+        };
+
+        const addTable = (title, headers, rows) => {
+            const heading = document.createElement('h5');
+            heading.textContent = title;
+            details.appendChild(heading);
+            const table = document.createElement('table');
+            const headRow = table.insertRow();
+            headers.forEach(text => {
+                const cell = document.createElement('th');
+                cell.textContent = text;
+                headRow.appendChild(cell);
+            });
+            rows.forEach(({ cells, className }) => {
+                const row = table.insertRow();
+                if (className) row.className = className;
+                cells.forEach(text => {
+                    row.insertCell().textContent = text;
+                });
+            });
+            details.appendChild(table);
+        };
+
+        /**
+         * 显示自动检测结果
+         * @param {Object|null} detection - ImageProcessor.classifyImageType 的结果，null 表示尚未检测
+         */
+        const setDetection = (detection) => {
+            details.innerHTML = '';
+            toggleButton.disabled = !detection;
+            if (!detection) {
+                autoOption.textContent = '自动检测';
+                summary.textContent = '';
+                details.style.display = 'none';
+                return;
+            }
+            const confidenceText = `${Math.round(detection.confidence * 100)}%`;
+            autoOption.textContent = `自动检测 (${typeNames[detection.imageType]})`;
+            summary.textContent = `自动检测: ${typeNames[detection.imageType]}，置信度 ${confidenceText} — ${detection.rule.description}`;
+
+            addTable('特征值', ['特征', '值'], Object.entries(detection.features).map(([key, value]) => ({
+                cells: [ImageProcessor.FEATURE_LABELS[key] || key, value === null ? '未检测' : formatNumber(value)]
+            })));
+            const ruleTitle = detection.imageType === 'cartoon' ? '生效规则的条件' : '最接近满足的卡通规则的条件';
+            addTable(ruleTitle, ['条件', '阈值', '实际值', '结果'], detection.conditions.map(condition => ({
+                cells: [condition.label, `${condition.op} ${condition.threshold}`, formatNumber(condition.value), condition.passed ? '满足' : '不满足'],
+                className: condition.passed ? 'passed' : 'failed'
+            })));
+        };
+
+        select.addEventListener('change', () => {
+            if (onChangeCallback) onChangeCallback(select.value || null);
+        });
+
+        return {
+            setDetection,
+            getOverride: () => select.value || null,
+            reset: () => {
+                select.value = '';
+                setDetection(null);
+            }
+        };
+    };
+
+    // 创建区域蒙版面板：选择绘制工具后在原图上画矩形/椭圆/画笔形状加入当前区域，每个区域单独设置参数 (留空沿用整体参数)
+    const createRegionPanel = (containerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        container.innerHTML = '';
+        let regions = [];
+        let activeId = null;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'control-row';
+
+        const toolSelect = document.createElement('select');
+        toolSelect.title = '选择工具后在原图上拖动绘制，形状加入当前选中的区域';
+        [{ id: 'none', name: '不绘制' }, ...RegionMasks.getShapeTypes()].forEach(tool => {
+            const option = document.createElement('option');
+            option.value = tool.id;
+            option.textContent = tool.name;
+            toolSelect.appendChild(option);
+        });
+
+        const brushInput = createNumberInput({ min: 1, step: 1, value: 20, width: '60px', title: '画笔半径 (原图像素)' });
+
+        const createButton = (text, title) => {
+            const button = document.createElement('button');
+            button.className = 'secondary small';
+            button.textContent = text;
+            button.title = title;
+            return button;
+        };
+        const addButton = createButton('新建区域', '新建一个空区域，之后绘制的形状加入该区域');
+        const faceButton = createButton('由人脸生成', '检测人脸，每张脸生成一个椭圆区域');
+        const applyButton = createButton('应用区域', '按各区域参数重新处理并合成');
+
+        const addWrapper = (parent, labelText, ...elements) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            if (labelText) wrapper.appendChild(document.createTextNode(labelText));
+            elements.forEach(el => wrapper.appendChild(el));
+            parent.appendChild(wrapper);
+        };
+        addWrapper(toolbar, '区域工具:', toolSelect);
+        addWrapper(toolbar, '画笔半径:', brushInput);
+        addWrapper(toolbar, '', addButton, faceButton, applyButton);
+        container.appendChild(toolbar);
+
+        const list = document.createElement('div');
+        list.className = 'region-list';
+        container.appendChild(list);
+
+        const notifyChange = () => {
+            if (callbacks.onChange) callbacks.onChange(getRegions());
+        };
+
+        // 区域参数输入框 (留空表示沿用整体参数)
+        const createParamField = (region, key) => {
+            const range = Materials.PARAM_RANGES[key];
+            const input = createNumberInput({ ...range, value: region.params[key] ?? '', width: '60px' });
+            input.placeholder = '沿用';
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (input.value === '' || !Number.isFinite(value)) {
+                    delete region.params[key];
+                    input.value = '';
+                } else {
+                    region.params[key] = Math.max(range.min, Math.min(range.max, value));
+                    input.value = region.params[key];
+                }
+                notifyChange();
+            });
+            const label = document.createElement('label');
+            label.className = 'region-param';
+            label.appendChild(document.createTextNode(`${Materials.PARAM_LABELS[key] || key} `));
+            label.appendChild(input);
+            return label;
+        };
+
+        const createDitherField = (region) => {
+            const select = document.createElement('select');
+            [
+                { id: '', name: '沿用' },
+                { id: 'none', name: '不抖动' },
+                ...ImageAlgorithms.getDitherAlgorithms()
+            ].forEach(algo => {
+                const option = document.createElement('option');
+                option.value = algo.id;
+                option.textContent = algo.name;
+                option.selected = (region.params.ditherType || '') === algo.id;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+                if (select.value) region.params.ditherType = select.value;
+                else delete region.params.ditherType;
+                notifyChange();
+            });
+            const label = document.createElement('label');
+            label.className = 'region-param';
+            label.appendChild(document.createTextNode('抖动 '));
+            label.appendChild(select);
+            return label;
+        };
+
+        const render = () => {
+            list.innerHTML = '';
+            if (regions.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'output-size-info';
+                empty.textContent = '没有区域：整幅图像使用同一组参数';
+                list.appendChild(empty);
+                return;
+            }
+            regions.forEach(region => {
+                const row = document.createElement('div');
+                row.className = 'region-row' + (region.id === activeId ? ' active' : '');
+                row.style.borderLeftColor = region.color;
+
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `${containerId}-active`;
+                radio.checked = region.id === activeId;
+                radio.title = '绘制的形状加入该区域';
+                radio.addEventListener('change', () => {
+                    activeId = region.id;
+                    render();
+                });
+
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.value = region.name;
+                nameInput.style.width = '80px';
+                nameInput.addEventListener('change', () => {
+                    region.name = nameInput.value.trim() || region.name;
+                    nameInput.value = region.name;
+                    notifyChange();
+                });
+
+                const shapeInfo = document.createElement('span');
+                shapeInfo.className = 'output-size-info';
+                shapeInfo.textContent = `${region.shapes.length} 个形状`;
+
+                const clearButton = createButton('清除形状', '删除该区域的全部形状');
+                clearButton.disabled = region.shapes.length === 0;
+                clearButton.addEventListener('click', () => {
+                    region.shapes = [];
+                    render();
+                    notifyChange();
+                });
+
+                const deleteButton = createButton('删除', '删除该区域');
+                deleteButton.addEventListener('click', () => {
+                    regions = regions.filter(item => item !== region);
+                    if (activeId === region.id) activeId = regions.length > 0 ? regions[0].id : null;
+                    render();
+                    notifyChange();
+                });
+
+                row.appendChild(radio);
+                row.appendChild(nameInput);
+                ['anchorGray', 'brightness', 'contrast', 'sharpness'].forEach(key => row.appendChild(createParamField(region, key)));
+                row.appendChild(createDitherField(region));
+                row.appendChild(shapeInfo);
+                row.appendChild(clearButton);
+                row.appendChild(deleteButton);
+                list.appendChild(row);
+            });
+        };
+
+        const addRegion = () => {
+            const region = RegionMasks.createRegion(`区域 ${regions.length + 1}`);
+            regions.push(region);
+            activeId = region.id;
+            render();
+            return region;
+        };
+
+        addButton.addEventListener('click', () => {
+            addRegion();
+            notifyChange();
+        });
+        faceButton.addEventListener('click', () => {
+            if (callbacks.onDetectFaces) callbacks.onDetectFaces();
+        });
+        applyButton.addEventListener('click', () => {
+            if (callbacks.onApply) callbacks.onApply(getRegions());
+        });
+
+        const getRegions = () => regions.map(region => ({
+            ...region,
+            shapes: region.shapes.map(shape => ({ ...shape })),
+            params: { ...region.params }
+        }));
+
+        /**
+         * 替换全部区域 (新图像、撤销/重做时)
+         * @param {Array|null} newRegions - 区域列表
+         */
+        const setRegions = (newRegions) => {
+            regions = (newRegions || []).map(region => ({
+                ...RegionMasks.createRegion(region.name),
+                ...region,
+                shapes: region.shapes.map(shape => ({ ...shape })),
+                params: { ...region.params }
+            }));
+            if (!regions.some(region => region.id === activeId)) {
+                activeId = regions.length > 0 ? regions[0].id : null;
+            }
+            render();
+        };
+
+        // 把绘制完成的形状加入当前区域 (没有区域时先新建一个)
+        const addShape = (shape) => {
+            const region = regions.find(item => item.id === activeId) || addRegion();
+            region.shapes.push(shape);
+            render();
+            notifyChange();
+        };
+
+        render();
+
+        return {
+            getRegions,
+            setRegions,
+            addRegions: (newRegions) => {
+                setRegions([...getRegions(), ...newRegions]);
+                notifyChange();
+            },
+            addShape,
+            getTool: () => toolSelect.value,
+            getBrushRadius: () => Math.max(1, parseFloat(brushInput.value) || 1),
+            getActiveColor: () => {
+                const region = regions.find(item => item.id === activeId);
+                return region ? region.color : null;
+            }
+        };
+    };
+
+    // 创建透明区域/去背景控件：透明区域处理方式、自动去背景、魔棒 (开启后点击原图选取背景，按住 Alt 点击恢复) 和清除蒙版
+    const createBackgroundControls = (containerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        container.innerHTML = '';
+
+        const addWrapper = (labelText, ...elements) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            if (labelText) wrapper.appendChild(document.createTextNode(labelText));
+            elements.forEach(el => wrapper.appendChild(el));
+            container.appendChild(wrapper);
+        };
+
+        const alphaModeSelect = document.createElement('select');
+        alphaModeSelect.title = '透明像素 (PNG 透明背景或已去除的背景) 的处理方式';
+        BackgroundRemoval.getAlphaModes().forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            alphaModeSelect.appendChild(option);
+        });
+
+        const alphaColorInput = document.createElement('input');
+        alphaColorInput.type = 'color';
+        alphaColorInput.value = '#ffffff';
+        alphaColorInput.title = '透明区域合成的底色';
+        alphaColorInput.style.display = 'none';
+
+        const autoButton = document.createElement('button');
+        autoButton.className = 'secondary small';
+        autoButton.textContent = '自动去背景';
+        autoButton.title = '按图像边缘的颜色聚类识别背景色，去除与边缘相连的背景';
+
+        const wandOption = document.createElement('label');
+        wandOption.className = 'checkbox-label';
+        wandOption.title = '开启后点击原图选取颜色相近的相连区域作为背景，按住 Alt 点击恢复该区域';
+        const wandCheckbox = document.createElement('input');
+        wandCheckbox.type = 'checkbox';
+        wandOption.appendChild(wandCheckbox);
+        wandOption.appendChild(document.createTextNode('魔棒'));
+
+        const toleranceInput = createNumberInput({
+            min: 0,
+            max: 255,
+            step: 1,
+            value: BackgroundRemoval.DEFAULT_TOLERANCE,
+            width: '60px',
+            title: '颜色容差 (0-255)'
+        });
+
+        const clearButton = document.createElement('button');
+        clearButton.className = 'secondary small';
+        clearButton.textContent = '清除蒙版';
+        clearButton.disabled = true;
+
+        const coverageInfo = document.createElement('span');
+        coverageInfo.className = 'output-size-info';
+
+        addWrapper('透明区域:', alphaModeSelect, alphaColorInput);
+        addWrapper('去背景:', autoButton, wandOption);
+        addWrapper('容差:', toleranceInput, clearButton);
+        container.appendChild(coverageInfo);
+
+        const getTolerance = () => Math.max(0, Math.min(255, parseFloat(toleranceInput.value) || 0));
+
+        const getAlphaParams = () => ({
+            alphaMode: alphaModeSelect.value,
+            alphaColor: alphaColorInput.value
+        });
+
+        alphaModeSelect.addEventListener('change', () => {
+            alphaColorInput.style.display = alphaModeSelect.value === 'composite' ? '' : 'none';
+            if (callbacks.onAlphaChange) callbacks.onAlphaChange(getAlphaParams());
+        });
+        alphaColorInput.addEventListener('change', () => {
+            if (callbacks.onAlphaChange) callbacks.onAlphaChange(getAlphaParams());
+        });
+        autoButton.addEventListener('click', () => {
+            if (callbacks.onAuto) callbacks.onAuto(getTolerance());
+        });
+        clearButton.addEventListener('click', () => {
+            if (callbacks.onClear) callbacks.onClear();
+        });
+
+        return {
+            getAlphaParams,
+            getTolerance,
+            isWandActive: () => wandCheckbox.checked,
+            // 显示蒙版覆盖的比例 (0 表示没有蒙版)
+            setCoverage: (ratio) => {
+                clearButton.disabled = ratio <= 0;
+                coverageInfo.textContent = ratio > 0 ? `已去除背景 ${(ratio * 100).toFixed(1)}%` : '';
+            }
+        };
+    };
+
+    // 创建裁剪/旋转/镜像控件：画布显示旋转翻转后的整幅图像和裁剪框，在画布上拖动框选裁剪区域 (框内拖动为移动)；
+    // 不裁剪时画布上的鼠标操作通过 onPointer 交给调用方 (魔棒、绘制区域蒙版)
+    const createGeometryEditor = (canvasId, containerId, callbacks = {}) => {
+        const canvas = document.getElementById(canvasId);
+        const container = document.getElementById(containerId);
+        if (!canvas || !container) return null;
+
+        container.innerHTML = '';
+        const ctx = canvas.getContext('2d');
+        const MAX_DISPLAY_SIZE = 1000; // 画布最长边 (像素)，大图缩小显示
+        const MIN_CROP_SIZE = 4;       // 图像像素
+        let transform = ImageGeometry.createTransform();
+        let imageCanvas = null;        // 旋转翻转后的整幅图像 (离屏画布)
+        let imageWidth = 0;
+        let imageHeight = 0;
+        let selection = null;          // 正在编辑的裁剪框 (图像坐标)
+        let drag = null;
+        let overlayCanvas = null;      // 叠加在裁剪区域上的预览 (如背景蒙版)
+        let shapes = [];               // 叠加显示的区域形状 (裁剪后图像的坐标)
+        let pointerActive = false;
+
+        const createButton = (text, title) => {
+            const button = document.createElement('button');
+            button.className = 'secondary small';
+            button.textContent = text;
+            button.title = title;
+            return button;
+        };
+
+        const addWrapper = (labelText, ...elements) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            if (labelText) wrapper.appendChild(document.createTextNode(labelText));
+            elements.forEach(el => wrapper.appendChild(el));
+            container.appendChild(wrapper);
+            return wrapper;
+        };
+
+        const createCheckbox = (text, title) => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            label.title = title;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(text));
+            return { label, checkbox };
+        };
+
+        // 旋转
+        const rotateLeftButton = createButton('↺ 90°', '逆时针旋转 90°');
+        const rotateRightButton = createButton('↻ 90°', '顺时针旋转 90°');
+        const angleInput = createNumberInput({ value: 0, step: 0.5, width: '60px' });
+        angleInput.title = '顺时针旋转角度，非 90° 倍数时空出的角落填白 (不雕刻)';
+
+        // 镜像/翻转
+        const mirrorOption = createCheckbox('水平镜像', '玻璃、亚克力等透明材料从背面反向雕刻时使用');
+        const flipOption = createCheckbox('垂直翻转', '上下翻转图像');
+
+        // 裁剪方式
+        const cropModeSelect = document.createElement('select');
+        [
+            { id: 'none', name: '不裁剪' },
+            { id: 'free', name: '自由' },
+            { id: 'ratio', name: '固定比例' },
+            { id: 'size', name: '固定尺寸' }
+        ].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            cropModeSelect.appendChild(option);
+        });
+
+        const ratioInput = document.createElement('input');
+        ratioInput.type = 'text';
+        ratioInput.className = 'number-input';
+        ratioInput.value = '1:1';
+        ratioInput.style.width = '60px';
+        ratioInput.title = '宽:高，如 4:3';
+
+        const cropWidthInput = createNumberInput({ value: 100, step: 0.1, width: '60px' });
+        const cropHeightInput = createNumberInput({ value: 100, step: 0.1, width: '60px' });
+        const cropUnitSelect = document.createElement('select');
+        ['mm', 'inch'].forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = unit;
+            cropUnitSelect.appendChild(option);
+        });
+
+        const applyCropButton = createButton('应用裁剪', '按画布上的裁剪框裁剪，之后的检测和处理只使用框内区域');
+        const resetButton = createButton('重置', '取消旋转、镜像和裁剪 (保留 EXIF 方向校正)');
+        const cropInfo = document.createElement('span');
+        cropInfo.className = 'output-size-info';
+
+        addWrapper('旋转:', rotateLeftButton, rotateRightButton, angleInput, document.createTextNode('°'));
+        addWrapper('', mirrorOption.label, flipOption.label);
+        addWrapper('裁剪:', cropModeSelect);
+        const ratioWrapper = addWrapper('比例:', ratioInput);
+        const sizeWrapper = addWrapper('尺寸:', cropWidthInput, document.createTextNode('x'), cropHeightInput, cropUnitSelect);
+        addWrapper('', applyCropButton, resetButton);
+        container.appendChild(cropInfo);
+
+        // 当前裁剪方式要求的宽高比 (自由裁剪为 null)
+        const getCropAspect = () => {
+            try {
+                if (cropModeSelect.value === 'ratio') return ImageGeometry.parseAspectRatio(ratioInput.value);
+                if (cropModeSelect.value === 'size') {
+                    return ImageGeometry.parseAspectRatio(`${cropWidthInput.value}:${cropHeightInput.value}`);
+                }
+            } catch (error) {
+                cropInfo.textContent = error.message;
+            }
+            return null;
+        };
+
+        const getScale = () => (imageWidth > 0 ? canvas.width / imageWidth : 1);
+
+        const draw = () => {
+            if (!imageCanvas) return;
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(imageCanvas, 0, 0, canvas.width, canvas.height);
+
+            // 已应用的裁剪区域以外变暗，编辑中的裁剪框用虚线表示
+            const scale = getScale();
+            const area = transform.crop;
+            if (area) {
+                ctx.save();
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+                ctx.beginPath();
+                ctx.rect(0, 0, canvas.width, canvas.height);
+                ctx.rect(area.x * scale, area.y * scale, area.width * scale, area.height * scale);
+                ctx.fill('evenodd');
+                ctx.restore();
+            }
+            const offsetX = area ? area.x : 0;
+            const offsetY = area ? area.y : 0;
+            if (overlayCanvas) {
+                ctx.drawImage(overlayCanvas, offsetX * scale, offsetY * scale, overlayCanvas.width * scale, overlayCanvas.height * scale);
+            }
+            shapes.forEach(shape => {
+                ctx.save();
+                ctx.translate(offsetX * scale, offsetY * scale);
+                ctx.scale(scale, scale);
+                ctx.strokeStyle = shape.color || '#3498db';
+                ctx.fillStyle = shape.color || '#3498db';
+                ctx.globalAlpha = 0.3;
+                ctx.beginPath();
+                if (shape.type === 'brush') {
+                    ctx.lineCap = 'round';
+                    ctx.lineJoin = 'round';
+                    ctx.lineWidth = shape.radius * 2;
+                    shape.points.forEach(([x, y], index) => (index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+                    if (shape.points.length === 1) ctx.lineTo(shape.points[0][0] + 0.01, shape.points[0][1]);
+                    ctx.stroke();
+                } else {
+                    if (shape.type === 'ellipse') {
+                        ctx.ellipse(shape.x + shape.width / 2, shape.y + shape.height / 2, shape.width / 2, shape.height / 2, 0, 0, Math.PI * 2);
+                    } else {
+                        ctx.rect(shape.x, shape.y, shape.width, shape.height);
+                    }
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                    ctx.lineWidth = 2 / scale;
+                    ctx.stroke();
+                }
+                ctx.restore();
+            });
+            if (selection) {
+                ctx.save();
+                ctx.setLineDash([6, 4]);
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = '#e67e22';
+                ctx.strokeRect(selection.x * scale, selection.y * scale, selection.width * scale, selection.height * scale);
+                ctx.restore();
+            }
+        };
+
+        const updateModeControls = () => {
+            const mode = cropModeSelect.value;
+            ratioWrapper.style.display = mode === 'ratio' ? '' : 'none';
+            sizeWrapper.style.display = mode === 'size' ? '' : 'none';
+            canvas.style.cursor = mode === 'none' ? '' : 'crosshair';
+            applyCropButton.textContent = mode === 'none' ? '取消裁剪' : '应用裁剪';
+            applyCropButton.disabled = mode === 'none' && !transform.crop;
+        };
+
+        const updateInfo = () => {
+            const area = selection || transform.crop;
+            cropInfo.textContent = area
+                ? `裁剪区域: ${area.width} x ${area.height} 像素 (原图 ${imageWidth} x ${imageHeight})`
+                : '';
+        };
+
+        // 按当前裁剪方式重新生成居中的裁剪框
+        const resetSelection = () => {
+            if (cropModeSelect.value === 'none' || imageWidth === 0) {
+                selection = null;
+            } else {
+                const aspect = getCropAspect();
+                selection = aspect
+                    ? ImageGeometry.fitAspectRect(imageWidth, imageHeight, aspect)
+                    : (transform.crop ? { ...transform.crop } : { x: 0, y: 0, width: imageWidth, height: imageHeight });
+            }
+            updateInfo();
+            draw();
+        };
+
+        const notifyChange = (physicalSize = null) => {
+            if (callbacks.onChange) callbacks.onChange(getTransform(), physicalSize);
+        };
+
+        // 旋转和翻转改变了裁剪框的坐标系，需要重新裁剪
+        const changeOrientation = (update) => {
+            update();
+            transform.crop = null;
+            selection = null;
+            updateModeControls();
+            notifyChange();
+        };
+
+        rotateLeftButton.addEventListener('click', () => changeOrientation(() => {
+            transform.rotation = ((transform.rotation - 90) % 360 + 360) % 360;
+            angleInput.value = transform.rotation;
+        }));
+        rotateRightButton.addEventListener('click', () => changeOrientation(() => {
+            transform.rotation = (transform.rotation + 90) % 360;
+            angleInput.value = transform.rotation;
+        }));
+        angleInput.addEventListener('change', () => changeOrientation(() => {
+            transform.rotation = parseFloat(angleInput.value) || 0;
+        }));
+        mirrorOption.checkbox.addEventListener('change', () => changeOrientation(() => {
+            transform.mirror = mirrorOption.checkbox.checked;
+        }));
+        flipOption.checkbox.addEventListener('change', () => changeOrientation(() => {
+            transform.flipVertical = flipOption.checkbox.checked;
+        }));
+
+        cropModeSelect.addEventListener('change', () => {
+            updateModeControls();
+            resetSelection();
+        });
+        [ratioInput, cropWidthInput, cropHeightInput].forEach(input => {
+            input.addEventListener('change', resetSelection);
+        });
+
+        applyCropButton.addEventListener('click', () => {
+            if (cropModeSelect.value === 'none') {
+                transform.crop = null;
+            } else {
+                if (!selection) return;
+                transform.crop = ImageGeometry.clampRect(selection, imageWidth, imageHeight);
+            }
+            updateModeControls();
+            // 固定尺寸裁剪时一并给出该物理尺寸，作为输出尺寸
+            notifyChange(cropModeSelect.value === 'size' ? {
+                width: parseFloat(cropWidthInput.value) || 0,
+                height: parseFloat(cropHeightInput.value) || 0,
+                unit: cropUnitSelect.value
+            } : null);
+        });
+
+        resetButton.addEventListener('click', () => {
+            reset(transform.orientation);
+            notifyChange();
+        });
+
+        const fromEvent = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return [
+                Math.max(0, Math.min(imageWidth, (event.clientX - rect.left) / rect.width * imageWidth)),
+                Math.max(0, Math.min(imageHeight, (event.clientY - rect.top) / rect.height * imageHeight))
+            ];
+        };
+
+        // 把鼠标事件换算为裁剪后图像的坐标，通知调用方
+        const notifyPointer = (phase, event) => {
+            if (!callbacks.onPointer) return;
+            const [x, y] = fromEvent(event);
+            const offsetX = transform.crop ? transform.crop.x : 0;
+            const offsetY = transform.crop ? transform.crop.y : 0;
+            callbacks.onPointer(phase, Math.floor(x - offsetX), Math.floor(y - offsetY), event);
+        };
+
+        canvas.addEventListener('mousedown', (event) => {
+            if (!imageCanvas) return;
+            const [x, y] = fromEvent(event);
+            // 不编辑裁剪框时，鼠标操作 (换算为裁剪后图像的坐标) 交给调用方处理 (魔棒、绘制区域)
+            if (cropModeSelect.value === 'none') {
+                pointerActive = true;
+                notifyPointer('down', event);
+                event.preventDefault();
+                return;
+            }
+            const inside = selection && x >= selection.x && x <= selection.x + selection.width &&
+                y >= selection.y && y <= selection.y + selection.height;
+            drag = inside
+                ? { mode: 'move', startX: x, startY: y, origin: { ...selection } }
+                : { mode: 'draw', startX: x, startY: y, aspect: getCropAspect() };
+            event.preventDefault();
+        });
+
+        canvas.addEventListener('mousemove', (event) => {
+            if (pointerActive) {
+                notifyPointer('move', event);
+                return;
+            }
+            if (!drag) return;
+            const [x, y] = fromEvent(event);
+            if (drag.mode === 'move') {
+                const origin = drag.origin;
+                selection = {
+                    ...origin,
+                    x: Math.round(Math.max(0, Math.min(imageWidth - origin.width, origin.x + x - drag.startX))),
+                    y: Math.round(Math.max(0, Math.min(imageHeight - origin.height, origin.y + y - drag.startY)))
+                };
+            } else {
+                let width = Math.abs(x - drag.startX);
+                let height = Math.abs(y - drag.startY);
+                // 固定比例时以较短的一边为准，并保证框不超出图像
+                if (drag.aspect) {
+                    const maxWidth = x < drag.startX ? drag.startX : imageWidth - drag.startX;
+                    const maxHeight = y < drag.startY ? drag.startY : imageHeight - drag.startY;
+                    width = Math.min(width, height * drag.aspect, maxWidth, maxHeight * drag.aspect);
+                    height = width / drag.aspect;
+                }
+                if (width < MIN_CROP_SIZE || height < MIN_CROP_SIZE) return;
+                selection = {
+                    x: Math.round(x < drag.startX ? drag.startX - width : drag.startX),
+                    y: Math.round(y < drag.startY ? drag.startY - height : drag.startY),
+                    width: Math.round(width),
+                    height: Math.round(height)
+                };
+            }
+            updateInfo();
+            draw();
+        });
+
+        window.addEventListener('mouseup', (event) => {
+            drag = null;
+            if (pointerActive) {
+                pointerActive = false;
+                notifyPointer('up', event);
+            }
+        });
+
+        /**
+         * 设置旋转翻转后 (未裁剪) 的图像
+         * @param {ImageData} imageData - ImageGeometry.orient 的结果
+         */
+        const setImage = (imageData) => {
+            imageWidth = imageData.width;
+            imageHeight = imageData.height;
+            imageCanvas = document.createElement('canvas');
+            imageCanvas.width = imageWidth;
+            imageCanvas.height = imageHeight;
+            imageCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+            const scale = Math.min(1, MAX_DISPLAY_SIZE / Math.max(imageWidth, imageHeight));
+            canvas.width = Math.max(1, Math.round(imageWidth * scale));
+            canvas.height = Math.max(1, Math.round(imageHeight * scale));
+            if (!selection && cropModeSelect.value !== 'none') {
+                resetSelection();
+            }
+            updateInfo();
+            draw();
+        };
+
+        const getTransform = () => ({ ...transform, crop: transform.crop ? { ...transform.crop } : null });
+
+        /**
+         * 设置叠加在裁剪区域上的预览图层
+         * @param {ImageData|null} imageData - 与裁剪后图像尺寸相同的 RGBA 图层，null 为清除
+         */
+        const setOverlay = (imageData) => {
+            if (imageData) {
+                overlayCanvas = document.createElement('canvas');
+                overlayCanvas.width = imageData.width;
+                overlayCanvas.height = imageData.height;
+                overlayCanvas.getContext('2d').putImageData(imageData, 0, 0);
+            } else {
+                overlayCanvas = null;
+            }
+            draw();
+        };
+
+        // 新图像加载时重置全部设置，orientation 为需要校正的 EXIF 方向
+        const reset = (orientation = 1) => {
+            transform = { ...ImageGeometry.createTransform(), orientation };
+            selection = null;
+            angleInput.value = 0;
+            mirrorOption.checkbox.checked = false;
+            flipOption.checkbox.checked = false;
+            cropModeSelect.value = 'none';
+            updateModeControls();
+            updateInfo();
+        };
+
+        reset();
+
+        return {
+            setImage,
+            setOverlay,
+            // 设置叠加显示的区域形状 [{ type, x, y, width, height | points, radius, color }]
+            setShapes: (newShapes) => {
+                shapes = newShapes || [];
+                draw();
+            },
+            getTransform,
+            reset
+        };
+    };
+
+    // 创建处理历史控件：撤销/重做按钮和步骤列表 (点击列表项跳转到该步)
+    const createHistoryControls = (containerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const undoButton = document.createElement('button');
+        undoButton.className = 'secondary small';
+        undoButton.textContent = '撤销';
+        undoButton.title = '撤销 (Ctrl+Z)';
+        undoButton.disabled = true;
+        undoButton.addEventListener('click', () => {
+            if (callbacks.onUndo) callbacks.onUndo();
+        });
+        
+        const redoButton = document.createElement('button');
+        redoButton.className = 'secondary small';
+        redoButton.textContent = '重做';
+        redoButton.title = '重做 (Ctrl+Shift+Z)';
+        redoButton.disabled = true;
+        redoButton.addEventListener('click', () => {
+            if (callbacks.onRedo) callbacks.onRedo();
+        });
+        
+        const toggleButton = document.createElement('button');
+        toggleButton.className = 'secondary small';
+        toggleButton.textContent = '历史记录';
+        
+        const list = document.createElement('ol');
+        list.className = 'history-list';
+        list.style.display = 'none';
+        toggleButton.addEventListener('click', () => {
+            list.style.display = list.style.display === 'none' ? 'block' : 'none';
+        });
+        
+        container.appendChild(undoButton);
+        container.appendChild(redoButton);
+        container.appendChild(toggleButton);
+        container.appendChild(list);
+        
+        /**
+         * 显示历史步骤
+         * @param {Array} entries - 历史记录 [{ description, changes, time }]
+         * @param {number} index - 当前所在的步骤
+         */
+        const render = (entries, index) => {
+            undoButton.disabled = index <= 0;
+            redoButton.disabled = index >= entries.length - 1;
+            toggleButton.textContent = `历史记录 (${entries.length})`;
+            
+            list.innerHTML = '';
+            entries.forEach((entry, entryIndex) => {
+                const item = document.createElement('li');
+                const time = new Date(entry.time).toLocaleTimeString();
+                item.textContent = `${time} ${entry.description}`;
+                item.title = entry.changes.map(change => `${change.label}: ${change.from} → ${change.to}`).join('\n');
+                if (entryIndex === index) item.classList.add('current');
+                if (entryIndex > index) item.classList.add('undone');
+                item.addEventListener('click', () => {
+                    if (entryIndex !== index && callbacks.onSelect) callbacks.onSelect(entryIndex);
+                });
+                list.appendChild(item);
+            });
+        };
+        
+        return {
+            render
+        };
+    };
+    
+    // 创建输出尺寸/分辨率控件
+    const createOutputSizeControls = (containerId, onChangeCallback) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        let aspectRatio = 1; // 宽/高
+        
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.id = 'outputSizeEnabled';
+        
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'checkbox-label';
+        enabledLabel.appendChild(enabledCheckbox);
+        enabledLabel.appendChild(document.createTextNode('按物理尺寸输出'));
+        
+        const widthInput = createNumberInput({ id: 'outputWidthInput', min: 0, step: 0.1, value: 100 });
+        const heightInput = createNumberInput({ id: 'outputHeightInput', min: 0, step: 0.1, value: 100 });
+        
+        const unitSelect = document.createElement('select');
+        unitSelect.id = 'outputUnitSelect';
+        [{ id: 'mm', name: 'mm' }, { id: 'inch', name: 'inch' }].forEach(unit => {
+            const option = document.createElement('option');
+            option.value = unit.id;
+            option.textContent = unit.name;
+            unitSelect.appendChild(option);
+        });
+        
+        const lockCheckbox = document.createElement('input');
+        lockCheckbox.type = 'checkbox';
+        lockCheckbox.id = 'outputAspectLock';
+        lockCheckbox.checked = true;
+        
+        const lockLabel = document.createElement('label');
+        lockLabel.className = 'checkbox-label';
+        lockLabel.appendChild(lockCheckbox);
+        lockLabel.appendChild(document.createTextNode('锁定比例'));
+        
+        // 分辨率：DPI 或 线间距(mm)
+        const resolutionModeSelect = document.createElement('select');
+        resolutionModeSelect.id = 'resolutionModeSelect';
+        [{ id: 'dpi', name: 'DPI' }, { id: 'interval', name: '线间距 (mm)' }].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            resolutionModeSelect.appendChild(option);
+        });
+        
+        const dpiList = document.createElement('datalist');
+        dpiList.id = 'commonDpiList';
+        ImageResampler.COMMON_DPI.forEach(dpi => {
+            const option = document.createElement('option');
+            option.value = dpi;
+            dpiList.appendChild(option);
+        });
+        
+        const resolutionInput = createNumberInput({ id: 'resolutionInput', min: 0, step: 1, value: 254 });
+        resolutionInput.setAttribute('list', dpiList.id);
+        
+        const kernelSelect = document.createElement('select');
+        kernelSelect.id = 'resampleKernelSelect';
+        ImageResampler.getKernelList().forEach(kernel => {
+            const option = document.createElement('option');
+            option.value = kernel.id;
+            option.textContent = kernel.name;
+            option.selected = kernel.id === 'bicubic';
+            kernelSelect.appendChild(option);
+        });
+        
+        const pixelInfo = document.createElement('span');
+        pixelInfo.className = 'output-size-info';
+        
+        const getDpi = () => {
+            const value = parseFloat(resolutionInput.value) || 0;
+            return resolutionModeSelect.value === 'interval'
+                ? ImageResampler.lineIntervalToDpi(value)
+                : value;
+        };
+        
+        const getSettings = () => ({
+            enabled: enabledCheckbox.checked,
+            width: parseFloat(widthInput.value) || 0,
+            height: parseFloat(heightInput.value) || 0,
+            unit: unitSelect.value,
+            dpi: getDpi(),
+            kernel: kernelSelect.value
+        });
+        
+        const updatePixelInfo = () => {
+            const settings = getSettings();
+            if (!settings.enabled || settings.width <= 0 || settings.height <= 0 || settings.dpi <= 0) {
+                pixelInfo.textContent = '';
+                return;
+            }
+            const size = ImageResampler.calculateTargetSize(settings.width, settings.height, settings.unit, settings.dpi);
+            pixelInfo.textContent = `≈ ${size.width} x ${size.height} 像素 @ ${settings.dpi.toFixed(1)} DPI`;
+        };
+        
+        const notifyChange = () => {
+            updatePixelInfo();
+            if (onChangeCallback) onChangeCallback(getSettings());
+        };
+        
+        widthInput.addEventListener('change', () => {
+            if (lockCheckbox.checked && aspectRatio > 0) {
+                heightInput.value = ((parseFloat(widthInput.value) || 0) / aspectRatio).toFixed(2);
+            }
+            notifyChange();
+        });
+        
+        heightInput.addEventListener('change', () => {
+            if (lockCheckbox.checked && aspectRatio > 0) {
+                widthInput.value = ((parseFloat(heightInput.value) || 0) * aspectRatio).toFixed(2);
+            }
+            notifyChange();
+        });
+        
+        unitSelect.addEventListener('change', () => {
+            // 切换单位时换算当前数值，保持物理尺寸不变
+            const factor = unitSelect.value === 'inch' ? 1 / ImageResampler.MM_PER_INCH : ImageResampler.MM_PER_INCH;
+            widthInput.value = ((parseFloat(widthInput.value) || 0) * factor).toFixed(3);
+            heightInput.value = ((parseFloat(heightInput.value) || 0) * factor).toFixed(3);
+            notifyChange();
+        });
+        
+        resolutionModeSelect.addEventListener('change', () => {
+            // 在 DPI 和线间距之间换算
+            const value = parseFloat(resolutionInput.value) || 0;
+            if (resolutionModeSelect.value === 'interval') {
+                resolutionInput.value = ImageResampler.dpiToLineInterval(value).toFixed(4);
+                resolutionInput.step = '0.001';
+                resolutionInput.removeAttribute('list');
+            } else {
+                resolutionInput.value = Math.round(ImageResampler.lineIntervalToDpi(value));
+                resolutionInput.step = '1';
+                resolutionInput.setAttribute('list', dpiList.id);
+            }
+            updatePixelInfo();
+        });
+        
+        enabledCheckbox.addEventListener('change', notifyChange);
+        resolutionInput.addEventListener('change', notifyChange);
+        kernelSelect.addEventListener('change', notifyChange);
+        
+        const addWrapper = (labelText, ...elements) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            if (labelText) wrapper.appendChild(document.createTextNode(labelText));
+            elements.forEach(el => wrapper.appendChild(el));
+            container.appendChild(wrapper);
+        };
+        
+        addWrapper('', enabledLabel);
+        addWrapper('宽:', widthInput);
+        addWrapper('高:', heightInput, unitSelect, lockLabel);
+        addWrapper('分辨率:', resolutionModeSelect, resolutionInput, dpiList);
+        addWrapper('重采样:', kernelSelect);
+        container.appendChild(pixelInfo);
+        
+        return {
+            getSettings,
+            // 新图像加载时更新宽高比，并按当前宽度重新计算高度
+            setAspectRatio: (ratio) => {
+                aspectRatio = ratio;
+                if (lockCheckbox.checked && ratio > 0) {
+                    heightInput.value = ((parseFloat(widthInput.value) || 0) / ratio).toFixed(2);
+                }
+                updatePixelInfo();
+            },
+            // 按物理尺寸裁剪后使用该尺寸输出 (不触发变更回调，由调用方重新处理)
+            setPhysicalSize: ({ width, height, unit }) => {
+                enabledCheckbox.checked = true;
+                unitSelect.value = unit;
+                widthInput.value = width;
+                heightInput.value = height;
+                if (height > 0) aspectRatio = width / height;
+                updatePixelInfo();
+            }
+        };
+    };
+    
+    // 创建 G代码导出控件
+    const createGcodeControls = (containerId, onExportCallback, initialLaserType = 'CO2') => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        const fields = {};
+        
+        const addField = (key, labelText, element) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            wrapper.appendChild(document.createTextNode(labelText));
+            wrapper.appendChild(element);
+            container.appendChild(wrapper);
+            fields[key] = element;
+        };
+        
+        const createSelect = (options) => {
+            const select = document.createElement('select');
+            options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.id;
+                option.textContent = opt.name;
+                select.appendChild(option);
+            });
+            return select;
+        };
+        
+        addField('laserMode', '模式:', createSelect([
+            { id: 'M4', name: 'M4 动态功率' },
+            { id: 'M3', name: 'M3 恒定功率' }
+        ]));
+        addField('powerMode', '功率:', createSelect([
+            { id: 'auto', name: '自动' },
+            { id: 'grayscale', name: '灰度映射' },
+            { id: 'binary', name: '开/关' }
+        ]));
+        addField('feedRate', '速度 F:', createNumberInput({ min: 0, step: 100 }));
+        addField('sMin', 'S最小:', createNumberInput({ min: 0, step: 1 }));
+        addField('sMax', 'S最大:', createNumberInput({ min: 0, step: 1 }));
+        addField('overscan', '过扫描(mm):', createNumberInput({ min: 0, step: 0.5 }));
+        addField('lineInterval', '线间距(mm):', createNumberInput({ min: 0, step: 0.001 }));
+        fields.lineInterval.placeholder = '同DPI';
+        
+        const bidirectionalCheckbox = document.createElement('input');
+        bidirectionalCheckbox.type = 'checkbox';
+        const bidirectionalLabel = document.createElement('label');
+        bidirectionalLabel.className = 'checkbox-label';
+        bidirectionalLabel.appendChild(bidirectionalCheckbox);
+        bidirectionalLabel.appendChild(document.createTextNode('双向扫描'));
+        container.appendChild(bidirectionalLabel);
+        
+        const exportButton = document.createElement('button');
+        exportButton.id = 'exportGcodeButton';
+        exportButton.className = 'secondary small';
+        exportButton.textContent = '导出G代码';
+        exportButton.disabled = true;
+        exportButton.addEventListener('click', () => {
+            if (onExportCallback) onExportCallback();
+        });
+        container.appendChild(exportButton);
+        
+        let sMaxValue = 1000;
+        
+        // 根据激光器类型填入默认值
+        const applyLaserDefaults = (laserType) => {
+            const defaults = GcodeGenerator.getDefaultsForLaser(laserType);
+            fields.laserMode.value = defaults.laserMode;
+            fields.powerMode.value = defaults.powerMode;
+            fields.feedRate.value = defaults.feedRate;
+            fields.sMin.value = defaults.sMin;
+            fields.sMax.value = defaults.sMax;
+            fields.overscan.value = defaults.overscan;
+            bidirectionalCheckbox.checked = defaults.bidirectional;
+            sMaxValue = defaults.sMaxValue;
+        };
+        
+        applyLaserDefaults(initialLaserType);
+        
+        return {
+            getOptions: () => ({
+                laserMode: fields.laserMode.value,
+                powerMode: fields.powerMode.value,
+                feedRate: parseFloat(fields.feedRate.value) || 1000,
+                sMin: parseFloat(fields.sMin.value) || 0,
+                sMax: parseFloat(fields.sMax.value) || 0,
+                sMaxValue,
+                overscan: parseFloat(fields.overscan.value) || 0,
+                lineInterval: parseFloat(fields.lineInterval.value) || null,
+                bidirectional: bidirectionalCheckbox.checked
+            }),
+            applyLaserDefaults,
+            setEnabled: (enabled) => {
+                exportButton.disabled = !enabled;
+            }
+        };
+    };
+    
+    // 创建批量处理面板 (缩略图队列 + 每张图像的锚点覆盖)
+    const createBatchPanel = (containerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const title = document.createElement('h3');
+        title.textContent = '批量处理队列';
+        
+        const actions = document.createElement('div');
+        actions.className = 'control-row';
+        
+        const processAllButton = document.createElement('button');
+        processAllButton.id = 'batchProcessButton';
+        processAllButton.textContent = '处理全部';
+        processAllButton.addEventListener('click', () => {
+            if (callbacks.onProcessAll) callbacks.onProcessAll();
+        });
+        
+        const downloadZipButton = document.createElement('button');
+        downloadZipButton.id = 'batchDownloadButton';
+        downloadZipButton.textContent = '下载 ZIP';
+        downloadZipButton.disabled = true;
+        downloadZipButton.addEventListener('click', () => {
+            if (callbacks.onDownloadZip) callbacks.onDownloadZip();
+        });
+        
+        const clearButton = document.createElement('button');
+        clearButton.className = 'secondary';
+        clearButton.textContent = '清空队列';
+        clearButton.addEventListener('click', () => {
+            if (callbacks.onClear) callbacks.onClear();
+        });
+        
+        const summary = document.createElement('span');
+        summary.className = 'output-size-info';
+        
+        actions.appendChild(processAllButton);
+        actions.appendChild(downloadZipButton);
+        actions.appendChild(clearButton);
+        actions.appendChild(summary);
+        
+        const grid = document.createElement('div');
+        grid.className = 'batch-grid';
+        
+        container.appendChild(title);
+        container.appendChild(actions);
+        container.appendChild(grid);
+        
+        const statusText = {
+            pending: '等待处理',
+            processing: '处理中',
+            done: '已完成',
+            error: '失败'
+        };
+        const imageTypeText = {
+            portrait: '人像照片',
+            cartoon: '卡通/线稿',
+            photo: '普通照片'
+        };
+        let busy = false;
+        
+        const createItemCard = (item) => {
+            const card = document.createElement('div');
+            card.className = `batch-item ${item.status}`;
+            
+            const thumbnail = document.createElement('img');
+            thumbnail.src = item.thumbnailUrl;
+            thumbnail.alt = item.name;
+            
+            const name = document.createElement('div');
+            name.className = 'batch-item-name';
+            name.textContent = item.name;
+            name.title = item.name;
+            
+            const status = document.createElement('div');
+            status.className = 'batch-item-status';
+            let text = item.progressText || statusText[item.status] || item.status;
+            if (item.detectedImageType) {
+                text += ` · ${imageTypeText[item.detectedImageType] || item.detectedImageType}`;
+            }
+            if (item.status === 'done' && item.processed) {
+                text += ` · 锚点 ${item.processed.params.anchorGray}`;
+            }
+            if (item.error) {
+                text += `: ${item.error}`;
+            }
+            status.textContent = text;
+            
+            // 锚点覆盖：留空表示自动计算
+            const anchorInput = createNumberInput({ min: 0, max: 255, title: '锚点灰度覆盖 (留空为自动)' });
+            anchorInput.placeholder = '自动';
+            anchorInput.value = item.anchorOverride !== null ? item.anchorOverride : '';
+            anchorInput.disabled = busy;
+            anchorInput.addEventListener('change', () => {
+                const value = anchorInput.value.trim() === '' ? null : Math.max(0, Math.min(255, parseInt(anchorInput.value, 10) || 0));
+                if (callbacks.onAnchorChange) callbacks.onAnchorChange(item.id, value);
+            });
+            
+            const anchorLabel = document.createElement('label');
+            anchorLabel.className = 'checkbox-label';
+            anchorLabel.appendChild(document.createTextNode('锚点:'));
+            anchorLabel.appendChild(anchorInput);
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'secondary small';
+            removeButton.textContent = '移除';
+            removeButton.disabled = busy;
+            removeButton.addEventListener('click', () => {
+                if (callbacks.onRemove) callbacks.onRemove(item.id);
+            });
+            
+            card.appendChild(thumbnail);
+            card.appendChild(name);
+            card.appendChild(status);
+            card.appendChild(anchorLabel);
+            card.appendChild(removeButton);
+            return card;
+        };
+        
+        let lastItems = [];
+        const render = (items) => {
+            lastItems = items;
+            grid.innerHTML = '';
+            items.forEach(item => grid.appendChild(createItemCard(item)));
+            
+            const doneCount = items.filter(item => item.status === 'done').length;
+            summary.textContent = `${doneCount}/${items.length} 张已完成`;
+            processAllButton.disabled = busy || items.length === 0;
+            downloadZipButton.disabled = busy || doneCount === 0;
+            clearButton.disabled = busy;
+            container.style.display = items.length > 0 ? 'block' : 'none';
+        };
+        
+        render([]);
+        
+        return {
+            render,
+            setBusy: (value) => {
+                busy = value;
+                render(lastItems);
+            }
+        };
+    };
+    
+    // 取值为固定选项的参数
+    const selectChoices = {
+        ditherType: ImageAlgorithms.getDitherAlgorithms,
+        ditherHalftoneShape: ImageAlgorithms.getHalftoneShapes,
+        dotGainMode: DotGain.getModes
+    };
+    
+    // 以 "x:y, ..." 文本编辑的点列表参数
+    const pointListInputs = {
+        toneCurve: {
+            placeholder: '不使用 (亮度/对比度/色阶)',
+            title: '色调曲线控制点 输入灰度:输出灰度，逗号分隔 (如 0:0, 64:40, 192:220, 255:255)，设置后代替亮度/对比度和色阶'
+        },
+        dotGainCurve: {
+            placeholder: '标称:实测, ...',
+            title: '测试卡上各灰度色块的 标称灰度:雕刻后实测灰度，逗号分隔 (如 0:0, 64:30, 128:75, 192:150, 255:255)'
+        }
+    };
+    
+    // 写入参数输入控件的值
+    const writeParamInput = (input, value) => {
+        const key = input.dataset.paramKey;
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else if (key === 'ditherLevelTable') {
+            input.value = Array.isArray(value) ? value.join(',') : '';
+        } else if (pointListInputs[key]) {
+            input.value = Array.isArray(value) ? value.map(point => point.join(':')).join(', ') : '';
+        } else {
+            input.value = value ?? '';
+        }
+    };
+    
+    // 创建单个参数的输入控件 (材料编辑器和参数面板共用)
+    const createParamInput = (key, value) => {
+        const range = Materials.PARAM_RANGES[key];
+        let input;
+        if (typeof Materials.defaultParams[key] === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+        } else if (selectChoices[key]) {
+            input = document.createElement('select');
+            selectChoices[key]().forEach(algo => {
+                const option = document.createElement('option');
+                option.value = algo.id;
+                option.textContent = algo.name;
+                input.appendChild(option);
+            });
+        } else if (key === 'ditherLevelTable') {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = '均匀分布';
+            input.title = '各级别的输出灰度值，逗号分隔，从深到浅递增 (如 0,60,150,255)';
+        } else if (pointListInputs[key]) {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = pointListInputs[key].placeholder;
+            input.title = pointListInputs[key].title;
+        } else {
+            input = createNumberInput(range);
+        }
+        input.dataset.paramKey = key;
+        writeParamInput(input, value);
+        return input;
+    };
+    
+    const readParamInput = (input) => {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.tagName === 'SELECT') return input.value;
+        if (input.type === 'text') return input.value.trim() === '' ? null : input.value; // 级别表/曲线文本在校验时解析
+        return input.value.trim() === '' ? undefined : Number(input.value);
+    };
+    
+    // 参数值的显示文本
+    const formatParamValue = (key, value) => {
+        if (value === null || value === undefined) return '-';
+        if (typeof value === 'boolean') return value ? '是' : '否';
+        if (key === 'ditherLevelTable') return value.join(',');
+        if (pointListInputs[key]) return `${value.length} 点`;
+        if (selectChoices[key]) {
+            const choice = selectChoices[key]().find(item => item.id === value);
+            return choice ? choice.name : value;
+        }
+        if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+        return String(value);
+    };
+    
+    // 创建参数面板：每个参数显示材料默认值、自动调整值和用户覆盖值，修改过的参数高亮并可单独重置；
+    // 点击"应用"时校验并回调 onApply(覆盖参数)
+    const createParamsPanel = (containerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = '参数面板';
+        container.appendChild(heading);
+        
+        const hint = document.createElement('div');
+        hint.className = 'advanced-hint';
+        hint.textContent = '修改过的参数 (高亮) 覆盖材料默认值和自动调整结果，更换材料或重新处理时保持生效';
+        container.appendChild(hint);
+        
+        const message = document.createElement('div');
+        message.className = 'advanced-hint';
+        container.appendChild(message);
+        
+        const showMessage = (text, isError = false) => {
+            message.textContent = text;
+            message.style.color = isError ? '#d8000c' : '';
+        };
+        
+        const GROUPS = [
+            { title: '基础调整', match: key => !key.startsWith('dither') && !key.startsWith('dotGain') && !key.startsWith('portrait') },
+            { title: '抖动', match: key => key.startsWith('dither') },
+            { title: '网点扩大补偿', match: key => key.startsWith('dotGain') },
+            { title: '人像增强 (检测到人脸时生效)', match: key => key.startsWith('portrait') }
+        ];
+        
+        let overrides = {};
+        let sources = { material: {}, auto: {}, current: {} };
+        const rows = {};
+        
+        // 未覆盖时显示的值：当前结果 > 自动调整 > 材料默认
+        const getEffectiveValue = (key) => {
+            for (const source of [sources.current, sources.auto, sources.material]) {
+                if (source && source[key] !== undefined && source[key] !== null) return source[key];
+            }
+            return Materials.defaultParams[key];
+        };
+        
+        const refreshRow = (key) => {
+            const row = rows[key];
+            const overridden = Object.prototype.hasOwnProperty.call(overrides, key);
+            const value = overridden ? overrides[key] : getEffectiveValue(key);
+            writeParamInput(row.input, value);
+            if (row.slider) row.slider.value = value ?? row.slider.min;
+            row.materialCell.textContent = `材料: ${formatParamValue(key, sources.material?.[key])}`;
+            row.autoCell.textContent = `自动: ${formatParamValue(key, sources.auto?.[key])}`;
+            row.element.classList.toggle('overridden', overridden);
+            row.resetButton.disabled = !overridden;
+        };
+        
+        const refresh = () => {
+            Object.keys(rows).forEach(refreshRow);
+        };
+        
+        GROUPS.forEach(({ title, match }) => {
+            const group = document.createElement('div');
+            group.className = 'param-group';
+            const groupTitle = document.createElement('h5');
+            groupTitle.textContent = title;
+            group.appendChild(groupTitle);
+            
+            Object.keys(Materials.defaultParams).filter(match).forEach(key => {
+                const element = document.createElement('div');
+                element.className = 'param-row';
+                
+                const name = document.createElement('span');
+                name.className = 'param-name';
+                name.textContent = Materials.PARAM_LABELS[key] || key;
+                element.appendChild(name);
+                
+                const controls = document.createElement('div');
+                controls.className = 'slider-container';
+                const input = createParamInput(key, Materials.defaultParams[key]);
+                const range = Materials.PARAM_RANGES[key];
+                let slider = null;
+                if (range && input.type === 'number') {
+                    slider = document.createElement('input');
+                    slider.type = 'range';
+                    slider.min = range.min;
+                    slider.max = range.max;
+                    slider.step = range.step;
+                    slider.addEventListener('input', () => {
+                        input.value = slider.value;
+                        input.dispatchEvent(new Event('change'));
+                    });
+                    controls.appendChild(slider);
+                }
+                controls.appendChild(input);
+                element.appendChild(controls);
+                
+                const materialCell = document.createElement('span');
+                materialCell.className = 'param-value';
+                const autoCell = document.createElement('span');
+                autoCell.className = 'param-value';
+                element.appendChild(materialCell);
+                element.appendChild(autoCell);
+                
+                const resetButton = document.createElement('button');
+                resetButton.className = 'small';
+                resetButton.textContent = '↺';
+                resetButton.title = '取消覆盖，恢复为自动调整值';
+                resetButton.addEventListener('click', () => {
+                    delete overrides[key];
+                    refreshRow(key);
+                });
+                element.appendChild(resetButton);
+                
+                input.addEventListener('change', () => {
+                    const value = readParamInput(input);
+                    if (value === undefined) return;
+                    overrides[key] = value;
+                    if (slider) slider.value = value;
+                    element.classList.add('overridden');
+                    resetButton.disabled = false;
+                });
+                
+                rows[key] = { element, input, slider, materialCell, autoCell, resetButton };
+                group.appendChild(element);
+            });
+            container.appendChild(group);
+        });
+        
+        const buttonsRow = document.createElement('div');
+        buttonsRow.className = 'buttons-row';
+        
+        const applyButton = document.createElement('button');
+        applyButton.textContent = '应用';
+        applyButton.addEventListener('click', () => {
+            // 与自定义材料相同的校验 (范围、级别表、曲线)，文本参数解析为数组
+            const errors = [];
+            const validated = MaterialLibrary.validateParams({ ...sources.material, ...overrides }, '参数', errors);
+            if (errors.length > 0) {
+                showMessage(errors.join('；'), true);
+                return;
+            }
+            showMessage('');
+            Object.keys(overrides).forEach(key => {
+                overrides[key] = validated[key];
+            });
+            if (callbacks.onApply) callbacks.onApply(getOverrides());
+        });
+        
+        const resetAllButton = document.createElement('button');
+        resetAllButton.textContent = '全部重置';
+        resetAllButton.addEventListener('click', () => {
+            overrides = {};
+            showMessage('');
+            refresh();
+        });
+        
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '关闭';
+        closeButton.addEventListener('click', () => {
+            if (callbacks.onClose) callbacks.onClose();
+        });
+        
+        buttonsRow.appendChild(resetAllButton);
+        buttonsRow.appendChild(closeButton);
+        buttonsRow.appendChild(applyButton);
+        container.appendChild(buttonsRow);
+        
+        const getOverrides = () => ({ ...overrides });
+        
+        // 更新各列数据 { material, auto, current } 和覆盖值
+        const setValues = (newSources, newOverrides = overrides) => {
+            sources = { ...sources, ...newSources };
+            overrides = { ...newOverrides };
+            showMessage('');
+            refresh();
+        };
+        
+        return {
+            setValues,
+            getOverrides
+        };
+    };
+    
+    // 创建自定义材料库面板 (列表、编辑、导入/导出)
+    const createMaterialLibraryPanel = (containerId, toggleContainerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const toggleButton = document.createElement('button');
+        toggleButton.id = 'materialLibraryButton';
+        toggleButton.className = 'secondary small';
+        toggleButton.textContent = '材料库';
+        toggleButton.title = '管理自定义材料';
+        toggleButton.addEventListener('click', () => {
+            container.style.display = container.style.display === 'none' ? 'block' : 'none';
+            if (container.style.display === 'block') renderList();
+        });
+        const toggleContainer = document.getElementById(toggleContainerId);
+        if (toggleContainer) toggleContainer.appendChild(toggleButton);
+        
+        const title = document.createElement('h3');
+        title.textContent = '自定义材料库';
+        
+        const message = document.createElement('div');
+        message.className = 'advanced-hint';
+        
+        const listContainer = document.createElement('div');
+        listContainer.className = 'material-library-list';
+        
+        // 操作按钮
+        const actions = document.createElement('div');
+        actions.className = 'control-row';
+        
+        const newButton = document.createElement('button');
+        newButton.className = 'small';
+        newButton.textContent = '新建 (以当前材料为模板)';
+        
+        const exportButton = document.createElement('button');
+        exportButton.className = 'secondary small';
+        exportButton.textContent = '导出 JSON';
+        
+        const importInput = document.createElement('input');
+        importInput.type = 'file';
+        importInput.accept = '.json,application/json';
+        importInput.style.display = 'none';
+        
+        const importButton = document.createElement('button');
+        importButton.className = 'secondary small';
+        importButton.textContent = '导入 JSON';
+        
+        const replaceCheckbox = document.createElement('input');
+        replaceCheckbox.type = 'checkbox';
+        const replaceLabel = document.createElement('label');
+        replaceLabel.className = 'checkbox-label';
+        replaceLabel.appendChild(replaceCheckbox);
+        replaceLabel.appendChild(document.createTextNode('导入时替换现有材料库'));
+        
+        actions.appendChild(newButton);
+        actions.appendChild(exportButton);
+        actions.appendChild(importButton);
+        actions.appendChild(replaceLabel);
+        actions.appendChild(importInput);
+        
+        const editor = document.createElement('div');
+        editor.className = 'material-editor';
+        editor.style.display = 'none';
+        
+        container.appendChild(title);
+        container.appendChild(actions);
+        container.appendChild(listContainer);
+        container.appendChild(editor);
+        container.appendChild(message);
+        
+        const showMessage = (text, isError = false) => {
+            message.textContent = text;
+            message.style.color = isError ? '#d8000c' : '';
+        };
+        
+        const notifyChange = () => {
+            if (callbacks.onChange) callbacks.onChange();
+        };
+        
+        const renderList = () => {
+            listContainer.innerHTML = '';
+            const materials = MaterialLibrary.list();
+            if (materials.length === 0) {
+                listContainer.textContent = '暂无自定义材料';
+                return;
+            }
+            materials.forEach(material => {
+                const row = document.createElement('div');
+                row.className = 'control-row';
+                
+                const label = document.createElement('span');
+                label.textContent = `${material.name} (${material.id})${material.isMetal ? ' · 金属' : ''}`;
+                label.title = material.description;
+                
+                const editButton = document.createElement('button');
+                editButton.className = 'small';
+                editButton.textContent = '编辑';
+                editButton.addEventListener('click', () => openEditor(material, false));
+                
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'secondary small';
+                deleteButton.textContent = '删除';
+                deleteButton.addEventListener('click', () => {
+                    if (!confirm(`确定删除材料 "${material.name}" 吗？`)) return;
+                    MaterialLibrary.remove(material.id);
+                    editor.style.display = 'none';
+                    renderList();
+                    showMessage(`已删除 ${material.name}`);
+                    notifyChange();
+                });
+                
+                row.appendChild(label);
+                row.appendChild(editButton);
+                row.appendChild(deleteButton);
+                listContainer.appendChild(row);
+            });
+        };
+        
+        const openEditor = (material, isNew) => {
+            editor.innerHTML = '';
+            editor.style.display = 'block';
+            showMessage('');
+            
+            const heading = document.createElement('h4');
+            heading.textContent = isNew ? '新建材料' : `编辑材料: ${material.name}`;
+            editor.appendChild(heading);
+            
+            const basicRow = document.createElement('div');
+            basicRow.className = 'control-row';
+            
+            const idInput = document.createElement('input');
+            idInput.type = 'text';
+            idInput.placeholder = 'ID (如 slate)';
+            idInput.value = material.id;
+            idInput.disabled = !isNew;
+            
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.placeholder = '名称 (如 石板)';
+            nameInput.value = material.name;
+            
+            const descriptionInput = document.createElement('input');
+            descriptionInput.type = 'text';
+            descriptionInput.placeholder = '描述';
+            descriptionInput.value = material.description;
+            
+            const metalCheckbox = document.createElement('input');
+            metalCheckbox.type = 'checkbox';
+            metalCheckbox.checked = material.isMetal;
+            const metalLabel = document.createElement('label');
+            metalLabel.className = 'checkbox-label';
+            metalLabel.appendChild(metalCheckbox);
+            metalLabel.appendChild(document.createTextNode('金属材料'));
+            
+            const textureSelect = document.createElement('select');
+            textureSelect.title = '雕刻模拟预览使用的材质纹理';
+            BurnSimulator.getTextures().forEach(texture => {
+                const option = document.createElement('option');
+                option.value = texture.id;
+                option.textContent = `纹理: ${texture.name}`;
+                option.selected = texture.id === (material.texture || 'none');
+                textureSelect.appendChild(option);
+            });
+            
+            basicRow.appendChild(idInput);
+            basicRow.appendChild(nameInput);
+            basicRow.appendChild(descriptionInput);
+            basicRow.appendChild(metalLabel);
+            basicRow.appendChild(textureSelect);
+            editor.appendChild(basicRow);
+            
+            // 每个颜色变体一组参数
+            const variantInputs = {};
+            for (const variantId of Object.keys(MaterialLibrary.REQUIRED_VARIANTS)) {
+                const variant = material.variants[variantId];
+                const group = document.createElement('div');
+                group.className = 'param-group';
+                
+                const groupTitle = document.createElement('h5');
+                groupTitle.textContent = `${variant.name} (${variantId})`;
+                group.appendChild(groupTitle);
+                
+                // 雕刻模拟使用的底色和烧蚀颜色
+                const appearance = Materials.getMaterialAppearance(material.id, variantId);
+                const colorRow = document.createElement('div');
+                colorRow.className = 'control-row';
+                const colorInputs = {};
+                [['baseColor', '底色'], ['burnedColor', '烧蚀颜色']].forEach(([key, text]) => {
+                    const input = document.createElement('input');
+                    input.type = 'color';
+                    input.value = variant[key] || appearance[key];
+                    const label = document.createElement('label');
+                    label.className = 'checkbox-label';
+                    label.appendChild(document.createTextNode(`${text}:`));
+                    label.appendChild(input);
+                    colorRow.appendChild(label);
+                    colorInputs[key] = input;
+                });
+                // 校准卡确定的固定锚点 (留空时按图像自动计算)
+                const anchorInput = createNumberInput({
+                    min: 0,
+                    max: 255,
+                    step: 1,
+                    title: '固定锚点灰度 (校准卡写入，留空时按图像自动计算)'
+                });
+                anchorInput.placeholder = '自动';
+                anchorInput.value = variant.anchorOverride ?? '';
+                const anchorLabel = document.createElement('label');
+                anchorLabel.className = 'checkbox-label';
+                anchorLabel.appendChild(document.createTextNode('固定锚点:'));
+                anchorLabel.appendChild(anchorInput);
+                colorRow.appendChild(anchorLabel);
+                group.appendChild(colorRow);
+                
+                const grid = document.createElement('div');
+                grid.className = 'params-list';
+                const inputs = [];
+                for (const key of Object.keys(Materials.defaultParams)) {
+                    const label = document.createElement('label');
+                    label.className = 'checkbox-label';
+                    label.appendChild(document.createTextNode(`${Materials.PARAM_LABELS[key] || key}:`));
+                    const input = createParamInput(key, variant.params[key]);
+                    label.appendChild(input);
+                    grid.appendChild(label);
+                    inputs.push(input);
+                }
+                group.appendChild(grid);
+                editor.appendChild(group);
+                variantInputs[variantId] = { name: variant.name, inputs, colorInputs, anchorInput };
+            }
+            
+            const editorActions = document.createElement('div');
+            editorActions.className = 'control-row';
+            
+            const saveButton = document.createElement('button');
+            saveButton.className = 'small';
+            saveButton.textContent = '保存';
+            saveButton.addEventListener('click', () => {
+                const id = idInput.value.trim();
+                if (isNew && MaterialLibrary.get(id) && !confirm(`材料 ${id} 已存在，是否覆盖？`)) {
+                    return;
+                }
+                const variants = {};
+                for (const [variantId, { name, inputs, colorInputs, anchorInput }] of Object.entries(variantInputs)) {
+                    const params = {};
+                    inputs.forEach(input => {
+                        const value = readParamInput(input);
+                        if (value !== undefined) params[input.dataset.paramKey] = value;
+                    });
+                    variants[variantId] = {
+                        name,
+                        baseColor: colorInputs.baseColor.value,
+                        burnedColor: colorInputs.burnedColor.value,
+                        anchorOverride: anchorInput.value === '' ? null : Number(anchorInput.value),
+                        params
+                    };
+                }
+                const result = MaterialLibrary.save({
+                    id,
+                    name: nameInput.value,
+                    description: descriptionInput.value,
+                    isMetal: metalCheckbox.checked,
+                    texture: textureSelect.value,
+                    variants
+                });
+                if (!result.valid) {
+                    showMessage(`保存失败: ${result.errors.join('；')}`, true);
+                    return;
+                }
+                editor.style.display = 'none';
+                renderList();
+                showMessage(`已保存 ${result.material.name}`);
+                notifyChange();
+            });
+            
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'secondary small';
+            cancelButton.textContent = '取消';
+            cancelButton.addEventListener('click', () => {
+                editor.style.display = 'none';
+                showMessage('');
+            });
+            
+            editorActions.appendChild(saveButton);
+            editorActions.appendChild(cancelButton);
+            editor.appendChild(editorActions);
+        };
+        
+        newButton.addEventListener('click', () => {
+            const templateId = callbacks.getCurrentMaterial ? callbacks.getCurrentMaterial() : null;
+            openEditor(MaterialLibrary.createFromTemplate(templateId), true);
+        });
+        
+        exportButton.addEventListener('click', () => {
+            const blob = new Blob([MaterialLibrary.exportJSON()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.download = `img4laser_materials_${new Date().getTime()}.json`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            showMessage(`已导出 ${MaterialLibrary.list().length} 种材料`);
+        });
+        
+        importButton.addEventListener('click', () => {
+            importInput.value = '';
+            importInput.click();
+        });
+        
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files && importInput.files[0];
+            if (!file) return;
+            const result = MaterialLibrary.importJSON(await file.text(), { replace: replaceCheckbox.checked });
+            if (result.errors.length > 0) {
+                showMessage(`导入失败: ${result.errors.join('；')}`, true);
+                return;
+            }
+            renderList();
+            showMessage(`已导入 ${result.imported} 种材料`);
+            notifyChange();
+        });
+        
+        container.style.display = 'none';
+        renderList();
+        
+        return {
+            refresh: renderList
+        };
+    };
+    
+    // 创建材料校准卡面板：生成校准网格，雕刻后记录最佳色块并写回自定义材料
+    const createCalibrationPanel = (containerId, toggleContainerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        container.innerHTML = '';
+
+        const toggleButton = document.createElement('button');
+        toggleButton.id = 'calibrationButton';
+        toggleButton.className = 'secondary small';
+        toggleButton.textContent = '校准卡';
+        toggleButton.title = '生成材料校准卡并记录雕刻结果';
+        toggleButton.addEventListener('click', () => {
+            container.style.display = container.style.display === 'none' ? 'block' : 'none';
+            if (container.style.display === 'block') {
+                // 打开时使用当前的输出 DPI
+                const context = callbacks.getContext ? callbacks.getContext() : {};
+                if (context.dpi && !card) dpiInput.value = Math.round(context.dpi);
+                renderTargets();
+            }
+        });
+        const toggleContainer = document.getElementById(toggleContainerId);
+        if (toggleContainer) toggleContainer.appendChild(toggleButton);
+
+        const title = document.createElement('h3');
+        title.textContent = '材料校准卡';
+
+        const hint = document.createElement('div');
+        hint.className = 'advanced-hint';
+        hint.textContent = '每行是一种抖动算法的灰阶色块，最后一行是不同锚点灰度的照片小样 (已上传图像时取其中心区域)。雕刻后对照编号记录结果。';
+
+        const createLabeled = (text, input) => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            label.appendChild(document.createTextNode(text));
+            label.appendChild(input);
+            return label;
+        };
+
+        // 生成设置
+        const settingsRow = document.createElement('div');
+        settingsRow.className = 'control-row';
+
+        const widthInput = createNumberInput({ value: 100, min: 20, max: 1000, step: 1, title: '校准卡宽度 (毫米)' });
+        const dpiInput = createNumberInput({ value: 254, min: 50, max: 1200, step: 1, title: '雕刻分辨率' });
+        const stepsInput = createNumberInput({ value: 11, min: 3, max: 32, step: 1, title: '每行灰阶色块数' });
+        const anchorInput = document.createElement('input');
+        anchorInput.type = 'text';
+        anchorInput.value = '96,112,128,144,160,176';
+        anchorInput.title = '照片小样的锚点灰度值 (逗号分隔)';
+
+        const generateButton = document.createElement('button');
+        generateButton.className = 'small';
+        generateButton.textContent = '生成校准卡';
+
+        const downloadButton = document.createElement('button');
+        downloadButton.className = 'secondary small';
+        downloadButton.textContent = '下载 PNG';
+        downloadButton.disabled = true;
+
+        settingsRow.appendChild(createLabeled('宽度(mm):', widthInput));
+        settingsRow.appendChild(createLabeled('DPI:', dpiInput));
+        settingsRow.appendChild(createLabeled('色阶数:', stepsInput));
+        settingsRow.appendChild(createLabeled('锚点值:', anchorInput));
+        settingsRow.appendChild(generateButton);
+        settingsRow.appendChild(downloadButton);
+
+        const previewCanvas = document.createElement('canvas');
+        previewCanvas.className = 'calibration-preview';
+        previewCanvas.style.display = 'none';
+
+        const legend = document.createElement('div');
+        legend.className = 'advanced-hint';
+
+        // 结果记录
+        const recordRow = document.createElement('div');
+        recordRow.className = 'control-row';
+        recordRow.style.display = 'none';
+
+        const ditherSelect = document.createElement('select');
+        const darkestSelect = document.createElement('select');
+        darkestSelect.title = '比它更深的色块雕刻效果相同';
+        const lightestSelect = document.createElement('select');
+        lightestSelect.title = '比它更浅的色块几乎没有痕迹';
+        const anchorSelect = document.createElement('select');
+        const targetSelect = document.createElement('select');
+        const variantSelect = document.createElement('select');
+        Object.entries(MaterialLibrary.REQUIRED_VARIANTS).forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            variantSelect.appendChild(option);
+        });
+
+        const applyButton = document.createElement('button');
+        applyButton.className = 'small';
+        applyButton.textContent = '写入材料';
+
+        recordRow.appendChild(createLabeled('最佳抖动行:', ditherSelect));
+        recordRow.appendChild(createLabeled('最深可分辨色阶:', darkestSelect));
+        recordRow.appendChild(createLabeled('最浅可见色阶:', lightestSelect));
+        recordRow.appendChild(createLabeled('最佳锚点:', anchorSelect));
+        recordRow.appendChild(createLabeled('写入:', targetSelect));
+        recordRow.appendChild(variantSelect);
+        recordRow.appendChild(applyButton);
+
+        const message = document.createElement('div');
+        message.className = 'advanced-hint';
+
+        container.appendChild(title);
+        container.appendChild(hint);
+        container.appendChild(settingsRow);
+        container.appendChild(previewCanvas);
+        container.appendChild(legend);
+        container.appendChild(recordRow);
+        container.appendChild(message);
+
+        const showMessage = (text, isError = false) => {
+            message.textContent = text;
+            message.style.color = isError ? '#d8000c' : '';
+        };
+
+        const fillSelect = (select, items, selectedValue) => {
+            select.innerHTML = '';
+            items.forEach(({ value, text }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                option.selected = String(value) === String(selectedValue);
+                select.appendChild(option);
+            });
+        };
+
+        // 可写入的目标：自定义材料 (内置材料不可修改)
+        const renderTargets = () => {
+            const materials = MaterialLibrary.list();
+            const context = callbacks.getContext ? callbacks.getContext() : {};
+            if (materials.length === 0) {
+                fillSelect(targetSelect, [{ value: '', text: '(请先在材料库中新建材料)' }], '');
+                applyButton.disabled = true;
+            } else {
+                fillSelect(targetSelect, materials.map(material => ({ value: material.id, text: material.name })), context.materialId);
+                applyButton.disabled = false;
+            }
+            if (context.variant) variantSelect.value = context.variant;
+        };
+
+        let card = null;
+
+        generateButton.addEventListener('click', () => {
+            const context = callbacks.getContext ? callbacks.getContext() : {};
+            const anchorValues = anchorInput.value.split(/[,，\s]+/)
+                .filter(text => text !== '')
+                .map(Number)
+                .filter(value => Number.isFinite(value) && value >= 0 && value <= 255)
+                .map(Math.round);
+
+            try {
+                card = CalibrationCard.generate({
+                    widthMm: Number(widthInput.value),
+                    dpi: Number(dpiInput.value),
+                    steps: Number(stepsInput.value),
+                    anchorValues,
+                    params: context.params,
+                    photoDitherType: context.ditherType,
+                    sourceImage: context.sourceImage,
+                    invert: context.variant === 'dark'
+                });
+            } catch (error) {
+                showMessage(`生成失败: ${error.message}`, true);
+                return;
+            }
+
+            previewCanvas.width = card.imageData.width;
+            previewCanvas.height = card.imageData.height;
+            previewCanvas.getContext('2d').putImageData(card.imageData, 0, 0);
+            previewCanvas.style.display = 'block';
+            downloadButton.disabled = false;
+
+            const rowText = card.rows.map(row => `${row.label} = ${row.name}`).join('，');
+            const columnText = card.columns.map(column => `${column.label} = ${column.gray}`).join('，');
+            const anchorText = card.anchorPatches.map(patch => `${patch.label} = ${patch.anchorGray}`).join('，');
+            legend.textContent = `行: ${rowText}。列 (灰度): ${columnText}。${anchorText ? `锚点小样: ${anchorText}。` : ''}`;
+
+            const middle = card.columns[Math.floor(card.columns.length / 2)];
+            fillSelect(ditherSelect, card.rows.map(row => ({ value: row.ditherType, text: `${row.label} (${row.name})` })), context.ditherType || 'floydSteinberg');
+            fillSelect(darkestSelect, card.columns.map(column => ({ value: column.gray, text: `${column.label} (${column.gray})` })), card.columns[0].gray);
+            fillSelect(lightestSelect, card.columns.map(column => ({ value: column.gray, text: `${column.label} (${column.gray})` })), card.columns[card.columns.length - 1].gray);
+            fillSelect(anchorSelect, card.anchorPatches.length > 0
+                ? card.anchorPatches.map(patch => ({ value: patch.anchorGray, text: `${patch.label} (${patch.anchorGray})` }))
+                : [{ value: '', text: '保持当前锚点' }], (context.params && context.params.anchorGray));
+            recordRow.style.display = 'flex';
+            renderTargets();
+
+            showMessage(`已生成 ${card.imageData.width}x${card.imageData.height} 像素校准卡 (${card.widthMm.toFixed(1)} x ${card.heightMm.toFixed(1)} mm @ ${card.dpi} DPI)`);
+        });
+
+        downloadButton.addEventListener('click', async () => {
+            if (!card) return;
+            const bytes = await ImageEncoders.encodePNG(card.imageData, { dpi: card.dpi });
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'image/png' }));
+            const link = document.createElement('a');
+            link.download = `img4laser_calibration_${Math.round(card.dpi)}dpi_${new Date().getTime()}.png`;
+            link.href = url;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+
+        applyButton.addEventListener('click', () => {
+            const material = MaterialLibrary.get(targetSelect.value);
+            if (!material) {
+                showMessage('请选择要写入的自定义材料', true);
+                return;
+            }
+            const variant = variantSelect.value;
+            try {
+                const updated = CalibrationCard.applyResults(material, variant, {
+                    ditherType: ditherSelect.value,
+                    darkestGray: Number(darkestSelect.value),
+                    lightestGray: Number(lightestSelect.value),
+                    anchorGray: anchorSelect.value === '' ? null : Number(anchorSelect.value)
+                });
+                const result = MaterialLibrary.save(updated);
+                if (!result.valid) {
+                    showMessage(`写入失败: ${result.errors.join('；')}`, true);
+                    return;
+                }
+                showMessage(`已将校准结果写入 ${result.material.name} (${MaterialLibrary.REQUIRED_VARIANTS[variant]})`);
+                if (callbacks.onMaterialsChanged) callbacks.onMaterialsChanged();
+            } catch (error) {
+                showMessage(`写入失败: ${error.message}`, true);
+            }
+        });
+
+        container.style.display = 'none';
+
+        return {
+            refresh: renderTargets
+        };
+    };
+
+    // 创建参数预设控件 (按 材料 + 颜色 + 激光器 保存/加载)
+    const createPresetControls = (containerId, callbacks = {}) => {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+        
+        container.innerHTML = '';
+        
+        const presetSelect = document.createElement('select');
+        presetSelect.id = 'presetSelect';
+        
+        const createButton = (text, title, className = 'secondary small') => {
+            const button = document.createElement('button');
+            button.className = className;
+            button.textContent = text;
+            button.title = title;
+            return button;
+        };
+        
+        const loadButton = createButton('加载', '加载选中的预设 (选择"不使用预设"则恢复自动参数)', 'small');
+        const saveButton = createButton('保存为预设', '将当前参数 (含锚点、抖动和反色状态) 保存为预设', 'small');
+        const renameButton = createButton('重命名', '重命名选中的预设');
+        const deleteButton = createButton('删除', '删除选中的预设');
+        const defaultButton = createButton('设为默认', '处理该材料/颜色/激光器组合时自动应用此预设');
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'select-wrapper';
+        wrapper.appendChild(document.createTextNode('预设:'));
+        wrapper.appendChild(presetSelect);
+        
+        container.appendChild(wrapper);
+        container.appendChild(loadButton);
+        container.appendChild(saveButton);
+        container.appendChild(renameButton);
+        container.appendChild(deleteButton);
+        container.appendChild(defaultButton);
+        
+        const getScope = () => callbacks.getScope();
+        let presets = [];
+        
+        const getSelectedPreset = () => presets.find(preset => preset.id === presetSelect.value) || null;
+        
+        const updateButtons = () => {
+            const preset = getSelectedPreset();
+            renameButton.disabled = !preset;
+            deleteButton.disabled = !preset;
+            defaultButton.disabled = !preset;
+            defaultButton.textContent = preset && preset.isDefault ? '取消默认' : '设为默认';
+        };
+        
+        const refresh = (selectedId = presetSelect.value) => {
+            presets = PresetStore.list(getScope());
+            presetSelect.innerHTML = '';
+            
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = presets.length > 0 ? '-- 不使用预设 --' : '(当前组合暂无预设)';
+            presetSelect.appendChild(placeholder);
+            
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.isDefault ? `${preset.name} ★` : preset.name;
+                option.selected = preset.id === selectedId;
+                presetSelect.appendChild(option);
+            });
+            updateButtons();
+        };
+        
+        const showMessage = (text) => {
+            if (callbacks.onMessage) callbacks.onMessage(text);
+        };
+        
+        presetSelect.addEventListener('change', updateButtons);
+        
+        loadButton.addEventListener('click', () => {
+            if (callbacks.onLoad) callbacks.onLoad(getSelectedPreset());
+        });
+        
+        saveButton.addEventListener('click', () => {
+            const state = callbacks.getCurrentState ? callbacks.getCurrentState() : null;
+            if (!state) {
+                showMessage('请先处理图像，再保存预设。');
+                return;
+            }
+            const current = getSelectedPreset();
+            const name = prompt('预设名称 (同名预设将被覆盖):', current ? current.name : '');
+            if (name === null) return;
+            try {
+                const preset = PresetStore.save(name, getScope(), state);
+                refresh(preset.id);
+                showMessage(`已保存预设 "${preset.name}"`);
+            } catch (error) {
+                showMessage(`保存预设失败: ${error.message}`);
+            }
+        });
+        
+        renameButton.addEventListener('click', () => {
+            const preset = getSelectedPreset();
+            if (!preset) return;
+            const name = prompt('新的预设名称:', preset.name);
+            if (name === null) return;
+            try {
+                PresetStore.rename(preset.id, name);
+                refresh(preset.id);
+            } catch (error) {
+                showMessage(`重命名失败: ${error.message}`);
+            }
+        });
+        
+        deleteButton.addEventListener('click', () => {
+            const preset = getSelectedPreset();
+            if (!preset || !confirm(`确定删除预设 "${preset.name}" 吗？`)) return;
+            PresetStore.remove(preset.id);
+            refresh('');
+            showMessage(`已删除预设 "${preset.name}"`);
+        });
+        
+        defaultButton.addEventListener('click', () => {
+            const preset = getSelectedPreset();
+            if (!preset) return;
+            PresetStore.setDefault(getScope(), preset.isDefault ? null : preset.id);
+            refresh(preset.id);
+            showMessage(preset.isDefault ? `已取消默认预设` : `"${preset.name}" 已设为默认预设，处理该组合时将自动应用`);
+        });
+        
+        refresh('');
+        
+        return {
+            refresh
+        };
+    };
+    
     return {
         createMaterialSelector,
         createLaserTypeSelector,
         showProcessingInfo,
         createDitherAlgorithmButtons,
         updateDitherButtonSelection,
+        createDitherOptionsControls,
+        createSimulationControls,
+        createCurveEditor,
+        createGeometryEditor,
+        createBackgroundControls,
+        createRegionPanel,
+        drawFaceOverlay,
+        createImageTypeControls,
+        createHistoryControls,
+        createOutputSizeControls,
+        createGcodeControls,
+        createBatchPanel,
+        createMaterialLibraryPanel,
+        createParamsPanel,
+        createCalibrationPanel,
+        createPresetControls,
     };
 })();
 
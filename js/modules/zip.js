@@ -0,0 +1,105 @@
+/**
+ * ZIP 打包模块
+ * 生成不压缩 (store) 的 ZIP 文件，用于批量下载处理结果
+ * PNG/TIFF 等本身已压缩，不再额外压缩，实现简单且无需第三方库
+ */
+
+import ImageEncoders from './encoders.js';
+
+const ZipWriter = (() => {
+    // 通用标志位 bit 11：文件名使用 UTF-8 编码 (支持中文文件名)
+    const FLAG_UTF8 = 0x0800;
+
+    /**
+     * 转换为 MS-DOS 日期和时间格式
+     * @param {Date} date - 日期
+     * @returns {Object} { time, date }
+     */
+    const toDosDateTime = (date) => {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    };
+
+    /**
+     * 生成 ZIP 文件
+     * @param {Array} entries - 文件列表 [{ name, data }]，data 为 Uint8Array 或字符串
+     * @param {Date} date - 文件修改时间 (默认当前时间)
+     * @returns {Uint8Array} ZIP 文件数据
+     */
+    const create = (entries, date = new Date()) => {
+        const encoder = new TextEncoder();
+        const dosTime = toDosDateTime(date);
+        const files = entries.map(entry => {
+            const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+            return {
+                name: encoder.encode(entry.name),
+                data,
+                crc: ImageEncoders.crc32(data)
+            };
+        });
+
+        const localSize = files.reduce((sum, file) => sum + 30 + file.name.length + file.data.length, 0);
+        const centralSize = files.reduce((sum, file) => sum + 46 + file.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+
+        // 写入本地文件头和文件数据
+        let offset = 0;
+        const offsets = [];
+        for (const file of files) {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034b50, true);       // 本地文件头签名
+            view.setUint16(offset + 4, 20, true);           // 解压所需版本 2.0
+            view.setUint16(offset + 6, FLAG_UTF8, true);
+            view.setUint16(offset + 8, 0, true);            // 压缩方式: store
+            view.setUint16(offset + 10, dosTime.time, true);
+            view.setUint16(offset + 12, dosTime.date, true);
+            view.setUint32(offset + 14, file.crc, true);
+            view.setUint32(offset + 18, file.data.length, true); // 压缩后大小
+            view.setUint32(offset + 22, file.data.length, true); // 原始大小
+            view.setUint16(offset + 26, file.name.length, true);
+            view.setUint16(offset + 28, 0, true);           // 扩展字段长度
+            bytes.set(file.name, offset + 30);
+            bytes.set(file.data, offset + 30 + file.name.length);
+            offset += 30 + file.name.length + file.data.length;
+        }
+
+        // 写入中央目录
+        const centralOffset = offset;
+        files.forEach((file, index) => {
+            view.setUint32(offset, 0x02014b50, true);       // 中央目录签名
+            view.setUint16(offset + 4, 20, true);           // 创建版本
+            view.setUint16(offset + 6, 20, true);           // 解压所需版本
+            view.setUint16(offset + 8, FLAG_UTF8, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, dosTime.time, true);
+            view.setUint16(offset + 14, dosTime.date, true);
+            view.setUint32(offset + 16, file.crc, true);
+            view.setUint32(offset + 20, file.data.length, true);
+            view.setUint32(offset + 24, file.data.length, true);
+            view.setUint16(offset + 28, file.name.length, true);
+            // 扩展字段、注释长度、磁盘号、内部/外部属性均为 0
+            view.setUint32(offset + 42, offsets[index], true); // 本地文件头偏移
+            bytes.set(file.name, offset + 46);
+            offset += 46 + file.name.length;
+        });
+
+        // 中央目录结束记录
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, files.length, true);
+        view.setUint16(offset + 10, files.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralOffset, true);
+
+        return bytes;
+    };
+
+    return {
+        create
+    };
+})();
+
+export default ZipWriter;
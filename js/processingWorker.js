@@ -0,0 +1,119 @@
+/**
+ * 图像处理 Worker
+ * 在后台线程执行灰度转换、重采样、调整和抖动，避免大图处理时界面卡顿
+ *
+ * 消息协议:
+ *   { type: 'setSource', imageData }                 设置当前原始图像 (后续任务复用)
+ *   { type: 'setMaterials', materials }              设置自定义材料 (Worker 中没有本地存储，由主线程发送)
+ *   { type: 'run', jobId, method, args }             执行 ImageProcessor 的方法，图像参数由 source 提供 (同时取消所有更早的任务)
+ *   { type: 'cancel', jobId }                        取消该任务及更早的任务
+ * 任务按顺序执行；已取消的任务在开始前或下一个进度点放弃，Worker 保持运行 (源图像和蓝噪声阈值图缓存不丢失)
+ * 回复 (每个任务恰好一条 result/error/cancelled):
+ *   { type: 'progress', jobId, stage, progress }
+ *   { type: 'result', jobId, result }
+ *   { type: 'error', jobId, message }
+ *   { type: 'cancelled', jobId }
+ */
+
+import ImageProcessor from './modules/imageProcessor.js';
+import Materials from './modules/materials.js';
+
+let sourceImage = null;
+// 编号不大于该值的任务都已取消
+let cancelledUpTo = 0;
+// 任务队列 (上一个任务结束后才开始下一个)
+let queue = Promise.resolve();
+
+// 允许在 Worker 中调用的方法 (需要 DOM 的人脸检测只能在主线程执行)
+const methods = {
+    processImage: (args, options) => ImageProcessor.processImage(sourceImage, ...args, options),
+    processImageWithCustomParams: (args, options) => ImageProcessor.processImageWithCustomParams(sourceImage, ...args, options),
+    analyzeImageFeatures: (args, options) => ImageProcessor.analyzeImageFeatures(sourceImage, options)
+};
+
+/**
+ * 收集结果中的图像缓冲区以便零拷贝传回主线程
+ * @param {Object} result - 处理结果
+ * @returns {Array} 可转移对象列表
+ */
+const collectTransferables = (result) => {
+    const transferables = [];
+    if (!result || typeof result !== 'object') return transferables;
+    for (const key of ['processedImage', 'grayImage']) {
+        const image = result[key];
+        if (image && image.data && image.data.buffer && !transferables.includes(image.data.buffer)) {
+            transferables.push(image.data.buffer);
+        }
+    }
+    return transferables;
+};
+
+const createCancelError = () => {
+    const error = new Error('任务已取消');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * 执行一个任务 (已取消的任务直接回复 cancelled)
+ * @param {Object} message - { jobId, method, args }
+ */
+const runJob = async ({ jobId, method, args = [] }) => {
+    try {
+        if (jobId <= cancelledUpTo) {
+            throw createCancelError();
+        }
+        if (!sourceImage) {
+            throw new Error('Worker 尚未设置源图像');
+        }
+        if (!methods[method]) {
+            throw new Error(`Worker 不支持的方法: ${method}`);
+        }
+
+        const onProgress = (stage, progress) => {
+            // 处理流程中有异步等待时，取消消息可能在任务执行期间到达
+            if (jobId <= cancelledUpTo) {
+                throw createCancelError();
+            }
+            self.postMessage({ type: 'progress', jobId, stage, progress });
+        };
+        const result = await methods[method](args, { onProgress });
+
+        // 原始图像主线程已有，不再回传
+        if (result && result.originalImage) {
+            delete result.originalImage;
+        }
+        self.postMessage({ type: 'result', jobId, result }, collectTransferables(result));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            self.postMessage({ type: 'cancelled', jobId });
+        } else {
+            self.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+        }
+    }
+};
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'setSource') {
+        sourceImage = message.imageData;
+        return;
+    }
+
+    if (message.type === 'setMaterials') {
+        Materials.setCustomMaterials(message.materials);
+        return;
+    }
+
+    if (message.type === 'cancel') {
+        cancelledUpTo = Math.max(cancelledUpTo, message.jobId);
+        return;
+    }
+
+    if (message.type !== 'run') return;
+
+    // 客户端同一时间只等待最新的任务，更早的任务都已过期
+    cancelledUpTo = Math.max(cancelledUpTo, message.jobId - 1);
+    queue = queue.then(() => runJob(message));
+};
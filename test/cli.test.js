@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PNG } from 'pngjs';
+
+import Headless from '../js/headless.js';
+
+const CLI = fileURLToPath(new URL('../bin/img4laser.js', import.meta.url));
+
+let tempDir;
+
+// 写入水平渐变的灰度 PNG
+const writeGradient = async (filePath, width = 48, height = 32) => {
+    const png = new PNG({ width, height });
+    for (let i = 0; i < width * height; i++) {
+        const value = Math.round((i % width) * 255 / (width - 1));
+        png.data.set([value, value, value, 255], i * 4);
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, PNG.sync.write(png));
+};
+
+const run = (...args) => spawnSync(process.execPath, [CLI, 'process', ...args], { encoding: 'utf8', timeout: 60000 });
+
+const readGrayLevels = async (filePath) => {
+    const { data } = PNG.sync.read(await fs.readFile(filePath));
+    const levels = new Set();
+    for (let i = 0; i < data.length; i += 4) levels.add(data[i]);
+    return [...levels].sort((a, b) => a - b);
+};
+
+before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'img4laser-test-'));
+    await writeGradient(path.join(tempDir, 'a', 'photo.png'));
+    await writeGradient(path.join(tempDir, 'b', 'photo.png'));
+    await writeGradient(path.join(tempDir, 'b', 'other.png'));
+});
+
+after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('createOutputNames 为同名输入依次加 _2、_3 后缀 (不区分大小写)', () => {
+    const names = Headless.createOutputNames(['in/X.jpg', 'other/x.png', 'x.PNG', 'y.png', 'x_2.png']);
+    assert.deepEqual([...names.values()], ['X', 'x_2', 'x_3', 'y', 'x_2_2']);
+});
+
+test('不同目录下的同名文件输出为不同文件，不互相覆盖', async () => {
+    const outputDir = path.join(tempDir, 'out-names');
+    const result = run(path.join(tempDir, 'a', 'photo.png'), path.join(tempDir, 'b', 'photo.png'),
+        '-m', 'walnut', '--dither', 'atkinson', '-o', outputDir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual((await fs.readdir(outputDir)).sort(), ['photo.json', 'photo.png', 'photo_2.json', 'photo_2.png']);
+    const report = JSON.parse(await fs.readFile(path.join(outputDir, 'photo_2.json'), 'utf8'));
+    assert.equal(report.input, path.join(tempDir, 'b', 'photo.png'));
+});
+
+test('--dither 拒绝未知的抖动算法', async () => {
+    const outputDir = path.join(tempDir, 'out-unknown');
+    const result = run(path.join(tempDir, 'a', 'photo.png'), '-m', 'walnut', '--dither', 'foo', '-o', outputDir);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /未知抖动算法: foo，可选: .*floydSteinberg.*, none/);
+    await assert.rejects(fs.access(path.join(outputDir, 'photo.png')));
+});
+
+test('不抖动时指定抖动选项报错，而不是静默忽略', () => {
+    const input = path.join(tempDir, 'a', 'photo.png');
+    const outputDir = path.join(tempDir, 'out-ignored');
+
+    const levels = run(input, '-m', 'walnut', '--dither', 'none', '--levels', '4', '-o', outputDir);
+    assert.equal(levels.status, 1);
+    assert.match(levels.stderr, /--levels 只在抖动时生效，当前指定了不抖动，请使用 --dither 指定抖动算法/);
+
+    const several = run(input, '-m', 'walnut', '--dither', 'none', '--serpentine', '--blue-noise-seed', '3', '-o', outputDir);
+    assert.equal(several.status, 1);
+    assert.match(several.stderr, /--serpentine, --blue-noise-seed 只在抖动时生效/);
+
+    const plain = run(input, '-m', 'walnut', '--dither', 'none', '-o', outputDir);
+    assert.equal(plain.status, 0, plain.stderr);
+});
+
+test('抖动时使用指定的输出级数', async () => {
+    const outputDir = path.join(tempDir, 'out-levels');
+    const result = run(path.join(tempDir, 'a', 'photo.png'), '-m', 'walnut', '--dither', 'atkinson', '--levels', '4', '-o', outputDir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(await readGrayLevels(path.join(outputDir, 'photo.png')), [0, 85, 170, 255]);
+
+    const bilevel = run(path.join(tempDir, 'a', 'photo.png'), '-m', 'walnut', '--dither', 'floydSteinberg', '-o', outputDir);
+    assert.equal(bilevel.status, 0, bilevel.stderr);
+    assert.deepEqual(await readGrayLevels(path.join(outputDir, 'photo.png')), [0, 255]);
+});
+
+test('目录输入展开其中的图像，并写入指定 DPI', async () => {
+    const outputDir = path.join(tempDir, 'out-dir');
+    const result = run(path.join(tempDir, 'b'), '-m', 'walnut', '--dither', 'atkinson', '--dpi', '254', '-o', outputDir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /完成: 2\/2 个文件/);
+    assert.deepEqual((await fs.readdir(outputDir)).sort(), ['other.json', 'other.png', 'photo.json', 'photo.png']);
+    // 254 DPI = 10000 像素/米
+    const bytes = await fs.readFile(path.join(outputDir, 'photo.png'));
+    const phys = bytes.indexOf('pHYs');
+    assert.ok(phys > 0);
+    assert.equal(bytes.readUInt32BE(phys + 4), 10000);
+});
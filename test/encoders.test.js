@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+
+import ImageEncoders from '../js/modules/encoders.js';
+
+// 按 (x, y) => [r, g, b, a] 生成图像
+const createImage = (width, height, pixel) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(pixel(x, y), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+const grayImage = (width, height, gray) => createImage(width, height, (x, y) => {
+    const value = gray(x, y);
+    return [value, value, value, 255];
+});
+
+// 宽度不是 8 的倍数，覆盖 1-bit 行末的填充位
+const checker = grayImage(13, 5, (x, y) => ((x + y) % 3 === 0 ? 0 : 255));
+
+const findPngChunk = (bytes, type) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const name = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (name === type) return bytes.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+    }
+    return null;
+};
+
+// 解码 1-bit BMP，返回灰度数组 (0 或 255)
+const decodeBMP = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.equal(String.fromCharCode(bytes[0], bytes[1]), 'BM');
+    assert.equal(view.getUint32(2, true), bytes.length);
+    assert.equal(view.getUint16(28, true), 1);
+    const dataOffset = view.getUint32(10, true);
+    const width = view.getInt32(18, true);
+    const height = view.getInt32(22, true);
+    const paddedRowBytes = Math.ceil(Math.ceil(width / 8) / 4) * 4;
+    const palette = [bytes[54], bytes[58]];
+    const gray = [];
+    for (let y = 0; y < height; y++) {
+        const rowStart = dataOffset + (height - 1 - y) * paddedRowBytes;
+        for (let x = 0; x < width; x++) {
+            gray.push(palette[(bytes[rowStart + (x >> 3)] >> (7 - (x & 7))) & 1]);
+        }
+    }
+    return { width, height, gray, ppm: view.getInt32(38, true) };
+};
+
+const unpackBits = (bytes) => {
+    const out = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const header = bytes[i++];
+        if (header < 128) {
+            for (let k = 0; k <= header; k++) out.push(bytes[i++]);
+        } else if (header > 128) {
+            const value = bytes[i++];
+            for (let k = 0; k < 257 - header; k++) out.push(value);
+        }
+    }
+    return Uint8Array.from(out);
+};
+
+// 解码 1-bit TIFF (BlackIsZero，单条带)，返回灰度数组 (0 或 255)
+const decodeTIFF = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.equal(String.fromCharCode(bytes[0], bytes[1]), 'II');
+    assert.equal(view.getUint16(2, true), 42);
+    const ifdOffset = view.getUint32(4, true);
+    const tags = {};
+    const count = view.getUint16(ifdOffset, true);
+    for (let index = 0; index < count; index++) {
+        const pos = ifdOffset + 2 + index * 12;
+        const type = view.getUint16(pos + 2, true);
+        tags[view.getUint16(pos, true)] = type === 3 ? view.getUint16(pos + 8, true) : view.getUint32(pos + 8, true);
+    }
+    assert.equal(tags[258], 1);
+    assert.equal(tags[262], 1);
+    const width = tags[256];
+    const height = tags[257];
+    let strip = bytes.subarray(tags[273], tags[273] + tags[279]);
+    if (tags[259] === 32773) strip = unpackBits(strip);
+    const rowBytes = Math.ceil(width / 8);
+    assert.equal(strip.length, rowBytes * height);
+    const gray = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            gray.push((strip[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1 ? 255 : 0);
+        }
+    }
+    const dpi = view.getUint32(tags[282], true) / view.getUint32(tags[282] + 4, true);
+    return { width, height, gray, compression: tags[259], dpi };
+};
+
+const grayOf = (imageData) => Array.from({ length: imageData.width * imageData.height }, (_, i) => imageData.data[i * 4]);
+
+test('crc32 与标准校验值一致', () => {
+    assert.equal(ImageEncoders.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('PNG 编码后可解码回相同像素', async (t) => {
+    const cases = {
+        '1-bit 黑白': [checker, 1, 0],
+        '2-bit 4 级灰度': [grayImage(7, 3, (x, y) => [0, 85, 170, 255][(x + y) % 4]), 2, 0],
+        '8-bit 灰度': [grayImage(16, 16, (x, y) => (x * 16 + y) % 256), 8, 0],
+        '灰度 + 透明度': [createImage(6, 4, (x, y) => [x * 40, x * 40, x * 40, y * 80]), 8, 4],
+        'RGBA 彩色': [createImage(5, 5, (x, y) => [x * 50, y * 50, 100, 255 - x * 10]), 8, 6]
+    };
+    for (const [name, [imageData, bitDepth, colorType]] of Object.entries(cases)) {
+        await t.test(name, async () => {
+            const bytes = await ImageEncoders.encodePNG(imageData, { dpi: 254 });
+            const ihdr = findPngChunk(bytes, 'IHDR');
+            assert.equal(ihdr[8], bitDepth);
+            assert.equal(ihdr[9], colorType);
+            const decoded = PNG.sync.read(Buffer.from(bytes));
+            assert.equal(decoded.width, imageData.width);
+            assert.equal(decoded.height, imageData.height);
+            assert.deepEqual(Array.from(decoded.data), Array.from(imageData.data));
+        });
+    }
+});
+
+test('PNG 写入 pHYs 分辨率', async () => {
+    const bytes = await ImageEncoders.encodePNG(checker, { dpi: 254 });
+    const phys = findPngChunk(bytes, 'pHYs');
+    const view = new DataView(phys.buffer, phys.byteOffset, phys.byteLength);
+    assert.equal(view.getUint32(0), 10000);
+    assert.equal(view.getUint32(4), 10000);
+    assert.equal(phys[8], 1);
+    assert.equal(findPngChunk(await ImageEncoders.encodePNG(checker), 'pHYs'), null);
+});
+
+test('BMP 编码后可解码回相同像素', () => {
+    const decoded = decodeBMP(ImageEncoders.encodeBMP(checker, { dpi: 254 }));
+    assert.equal(decoded.width, checker.width);
+    assert.equal(decoded.height, checker.height);
+    assert.deepEqual(decoded.gray, grayOf(checker));
+    assert.equal(decoded.ppm, 10000);
+});
+
+test('TIFF 编码后可解码回相同像素 (不压缩和 PackBits)', () => {
+    // 长串重复字节和不重复字节交替，覆盖 PackBits 的两种分组
+    const wide = grayImage(300, 3, (x, y) => (x < 150 || (x + y) % 2 === 0 ? 0 : 255));
+    for (const imageData of [checker, wide]) {
+        for (const compression of ['none', 'packbits']) {
+            const decoded = decodeTIFF(ImageEncoders.encodeTIFF(imageData, { dpi: 300, compression }));
+            assert.equal(decoded.compression, compression === 'packbits' ? 32773 : 1);
+            assert.equal(decoded.width, imageData.width);
+            assert.equal(decoded.height, imageData.height);
+            assert.deepEqual(decoded.gray, grayOf(imageData));
+            assert.equal(decoded.dpi, 300);
+        }
+    }
+});
+
+test('encode 按格式返回文件信息，1-bit 格式拒绝灰度图像', async () => {
+    const tiff = await ImageEncoders.encode(checker, 'tiff-packbits', { dpi: 254 });
+    assert.equal(tiff.extension, 'tif');
+    assert.equal(tiff.mimeType, 'image/tiff');
+    assert.deepEqual(decodeTIFF(tiff.bytes).gray, grayOf(checker));
+
+    const gray = grayImage(4, 4, (x) => x * 60);
+    await assert.rejects(ImageEncoders.encode(gray, 'bmp'), /仅支持纯黑白图像/);
+    await assert.rejects(ImageEncoders.encode(gray, 'gif'), /不支持的导出格式/);
+});
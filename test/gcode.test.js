@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import GcodeGenerator from '../js/modules/gcode.js';
+
+// 按行给出灰度的图像
+const grayImage = (rows) => {
+    const height = rows.length;
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * height * 4);
+    rows.flat().forEach((value, i) => data.set([value, value, value, 255], i * 4));
+    return { width, height, data };
+};
+
+// 去掉注释行
+const commands = (gcode) => gcode.trim().split('\n').filter(line => !line.startsWith(';'));
+
+// 25.4 DPI 时像素间距为 1mm，坐标即像素边界
+const options = { dpi: 25.4, feedRate: 600, sMin: 0, sMax: 1000, overscan: 0, laserMode: 'M4', bidirectional: true, powerMode: 'auto' };
+
+test('黑白图像按开关功率双向扫描，跳过空行', () => {
+    const result = GcodeGenerator.generate(grayImage([
+        [255, 0, 0, 255],
+        [255, 255, 255, 255],
+        [0, 255, 255, 0]
+    ]), options);
+    assert.equal(result.binary, true);
+    assert.deepEqual(commands(result.gcode), [
+        'G21 ; 单位: 毫米',
+        'G90 ; 绝对坐标',
+        'M4 S0',
+        'G0 X1 Y2.5',
+        'G1 X3 S1000 F600',
+        'G0 X4 Y0.5',
+        'G1 X3',
+        'G1 X1 S0',
+        'G1 X0 S1000',
+        'M5 ; 关闭激光',
+        'G0 X0 Y0'
+    ]);
+    assert.equal(result.lineCount, result.gcode.trim().split('\n').length);
+    assert.ok(result.estimatedSeconds > 0);
+});
+
+test('灰度图像按灰度线性映射到 sMin~sMax，并在两端过扫描', () => {
+    const result = GcodeGenerator.generate(grayImage([[0, 128]]), {
+        ...options, sMin: 100, sMax: 900, overscan: 1, laserMode: 'M3'
+    });
+    assert.equal(result.binary, false);
+    assert.deepEqual(commands(result.gcode).slice(2, -2), [
+        'M3 S0',
+        'G0 X-1 Y0.5',
+        'G1 X0 S0 F600',
+        'G1 X1 S900',
+        'G1 X2 S498',
+        'G1 X3 S0'
+    ]);
+});
+
+test('sMax 不超过控制器最大 S 值，binary 模式按 128 阈值开关', () => {
+    const result = GcodeGenerator.generate(grayImage([[100, 200]]), {
+        ...options, sMax: 5000, sMaxValue: 1000, powerMode: 'binary'
+    });
+    assert.equal(result.binary, true);
+    assert.ok(result.gcode.includes('G1 X1 S1000 F600'));
+    assert.ok(!/S5000/.test(result.gcode));
+});
+
+test('全白图像不出光', () => {
+    const result = GcodeGenerator.generate(grayImage([[255, 255], [255, 255]]), options);
+    assert.ok(!commands(result.gcode).some(line => line.startsWith('G1')));
+    assert.equal(result.estimatedSeconds, 0);
+});
+
+test('线间距大于像素间距时减少扫描行', () => {
+    const image = grayImage(Array.from({ length: 10 }, () => [0, 0]));
+    const rows = (lineInterval) => commands(GcodeGenerator.generate(image, { ...options, lineInterval }).gcode)
+        .filter(line => line.startsWith('G0 ') && line !== 'G0 X0 Y0').length;
+    assert.equal(rows(1), 10);
+    assert.equal(rows(2), 5);
+});
+
+test('按激光器类型返回默认参数', () => {
+    assert.equal(GcodeGenerator.getDefaultsForLaser('Diode').feedRate, 3000);
+    assert.deepEqual(GcodeGenerator.getDefaultsForLaser('unknown'), GcodeGenerator.getDefaultsForLaser('CO2'));
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ImageResampler from '../js/modules/resampler.js';
+
+// 按 (x, y) => 灰度生成不透明灰度图像
+const grayImage = (width, height, gray) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = gray(x, y);
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+};
+
+const grayAt = (imageData, x, y) => imageData.data[(y * imageData.width + x) * 4];
+
+const kernelIds = ImageResampler.getKernelList().map(kernel => kernel.id);
+
+test('按物理尺寸和 DPI 计算像素尺寸', () => {
+    assert.deepEqual(ImageResampler.calculateTargetSize(25.4, 50.8, 'mm', 100), { width: 100, height: 200 });
+    assert.deepEqual(ImageResampler.calculateTargetSize(2, 0.5, 'inch', 254), { width: 508, height: 127 });
+    assert.deepEqual(ImageResampler.calculateTargetSize(0.01, 0.01, 'mm', 254), { width: 1, height: 1 });
+});
+
+test('DPI 与线间距互相换算', () => {
+    assert.ok(Math.abs(ImageResampler.dpiToLineInterval(254) - 0.1) < 1e-12);
+    assert.ok(Math.abs(ImageResampler.lineIntervalToDpi(0.1) - 254) < 1e-9);
+    assert.equal(ImageResampler.lineIntervalToDpi(0), 0);
+    assert.equal(ImageResampler.toInches(25.4, 'mm'), 1);
+});
+
+test('提供四种插值核', () => {
+    assert.deepEqual(kernelIds, ['nearest', 'bilinear', 'bicubic', 'lanczos']);
+});
+
+test('尺寸不变时原样返回', () => {
+    const image = grayImage(4, 3, (x, y) => x * 60 + y);
+    assert.equal(ImageResampler.resample(image, 4, 3), image);
+});
+
+test('各插值核放大和缩小后纯色图像保持不变', () => {
+    const image = grayImage(9, 7, () => 137);
+    for (const kernel of kernelIds) {
+        for (const [width, height] of [[20, 15], [4, 3], [13, 2]]) {
+            const result = ImageResampler.resample(image, width, height, kernel);
+            assert.equal(result.width, width);
+            assert.equal(result.height, height);
+            assert.ok(result.data.every((value, i) => value === (i % 4 === 3 ? 255 : 137)), `${kernel} ${width}x${height}`);
+        }
+    }
+});
+
+test('最近邻整数倍缩小时按块平均', () => {
+    // 每个 2x2 块内 0 和 200 交替，缩小一半后每个像素为块的平均值
+    const image = grayImage(8, 8, (x, y) => ((x + y) % 2 === 0 ? 0 : 200));
+    const result = ImageResampler.resample(image, 4, 4, 'nearest');
+    for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 4; x++) {
+            assert.equal(grayAt(result, x, y), 100, `(${x}, ${y})`);
+        }
+    }
+});
+
+test('缩小棋盘格时各插值核都接近平均灰度', () => {
+    const image = grayImage(16, 16, (x, y) => ((x + y) % 2 === 0 ? 0 : 200));
+    for (const kernel of kernelIds) {
+        const result = ImageResampler.resample(image, 4, 4, kernel);
+        for (let i = 0; i < 16; i++) {
+            assert.ok(Math.abs(result.data[i * 4] - 100) <= 12, `${kernel}: ${result.data[i * 4]}`);
+        }
+    }
+});
+
+test('最近邻整数倍放大复制像素', () => {
+    const image = grayImage(3, 2, (x, y) => x * 100 + y * 10);
+    const result = ImageResampler.resample(image, 6, 4, 'nearest');
+    for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 6; x++) {
+            assert.equal(grayAt(result, x, y), grayAt(image, x >> 1, y >> 1));
+        }
+    }
+});
+
+test('放大后的渐变保持单调', () => {
+    const image = grayImage(8, 1, (x) => x * 30);
+    for (const kernel of kernelIds) {
+        const result = ImageResampler.resample(image, 32, 1, kernel);
+        for (let x = 1; x < 32; x++) {
+            assert.ok(grayAt(result, x, 0) >= grayAt(result, x - 1, 0), `${kernel} x=${x}`);
+        }
+    }
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import SvgExporter from '../js/modules/svgExporter.js';
+
+// 按行给出灰度的图像
+const grayImage = (rows) => {
+    const height = rows.length;
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * height * 4);
+    rows.flat().forEach((value, i) => data.set([value, value, value, 255], i * 4));
+    return { width, height, data };
+};
+
+// 按 evenodd 规则判断点是否在轮廓内 (射线法)
+const isInside = (outlines, px, py) => {
+    let inside = false;
+    for (const points of outlines) {
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [xi, yi] = points[i];
+            const [xj, yj] = points[j];
+            if ((yi > py) !== (yj > py) && px < xj + (py - yj) * (xi - xj) / (yi - yj)) {
+                inside = !inside;
+            }
+        }
+    }
+    return inside;
+};
+
+// 固定种子的伪随机数，保证测试可重复
+const random = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+test('单个黑色像素描边为一个正方形', () => {
+    assert.deepEqual(SvgExporter.traceOutlines(grayImage([[0]])), [[[0, 0], [1, 0], [1, 1], [0, 1]]]);
+});
+
+test('孔洞生成反向的内轮廓，对角相接的像素分为两个轮廓', () => {
+    const ring = SvgExporter.traceOutlines(grayImage([[0, 0, 0], [0, 255, 0], [0, 0, 0]]));
+    assert.deepEqual(ring, [
+        [[0, 0], [3, 0], [3, 3], [0, 3]],
+        [[1, 1], [1, 2], [2, 2], [2, 1]]
+    ]);
+    assert.equal(SvgExporter.traceOutlines(grayImage([[0, 255], [255, 0]])).length, 2);
+});
+
+test('按 evenodd 填充描边轮廓可还原原图的黑色像素', () => {
+    const next = random(42);
+    const rows = Array.from({ length: 24 }, () => Array.from({ length: 31 }, () => (next() < 0.45 ? 0 : 255)));
+    const outlines = SvgExporter.traceOutlines(grayImage(rows));
+    rows.forEach((row, y) => row.forEach((value, x) => {
+        assert.equal(isInside(outlines, x + 0.5, y + 0.5), value === 0, `像素 (${x}, ${y})`);
+    }));
+});
+
+test('阈值决定哪些像素视为黑色', () => {
+    const image = grayImage([[100, 200]]);
+    assert.equal(SvgExporter.traceOutlines(image, 128).length, 1);
+    assert.equal(SvgExporter.traceOutlines(image, 250)[0].length, 4);
+    assert.deepEqual(SvgExporter.traceOutlines(image, 50), []);
+});
+
+test('行程矩形 SVG 合并每行连续的黑色像素，尺寸按 DPI 换算为毫米', () => {
+    const svg = SvgExporter.exportRunLengthSvg(grayImage([[0, 0, 255, 0], [255, 255, 255, 255]]), { dpi: 25.4 });
+    assert.ok(svg.includes('width="4mm" height="2mm" viewBox="0 0 4 2"'));
+    assert.deepEqual(svg.match(/<rect [^>]*\/>/g), [
+        '<rect x="0" y="0" width="2" height="1"/>',
+        '<rect x="3" y="0" width="1" height="1"/>'
+    ]);
+});
+
+test('轮廓描边 SVG 输出 evenodd 路径', () => {
+    const svg = SvgExporter.exportTracedSvg(grayImage([[0, 255]]), { dpi: 50.8 });
+    assert.ok(svg.includes('width="1mm" height="0.5mm"'));
+    assert.ok(svg.includes('fill-rule="evenodd" d="M0 0L0.5 0L0.5 0.5L0 0.5Z"'));
+});
+
+test('encode 按方式返回文件信息，未知方式报错', () => {
+    const result = SvgExporter.encode(grayImage([[0]]), 'svg-trace', { dpi: 254 });
+    assert.equal(result.extension, 'svg');
+    assert.equal(result.mimeType, 'image/svg+xml');
+    assert.ok(new TextDecoder().decode(result.bytes).startsWith('<?xml'));
+    assert.throws(() => SvgExporter.encode(grayImage([[0]]), 'svg-foo'), /不支持的SVG导出方式/);
+});
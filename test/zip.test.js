@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import ZipWriter from '../js/modules/zip.js';
+import ImageEncoders from '../js/modules/encoders.js';
+
+// 按中央目录读取 store 方式的 ZIP，并核对本地文件头
+const readZip = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    assert.equal(offset + view.getUint32(end + 12, true), end);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(offset, true), 0x02014b50);
+        const nameLength = view.getUint16(offset + 28, true);
+        const entry = {
+            flags: view.getUint16(offset + 8, true),
+            method: view.getUint16(offset + 10, true),
+            time: view.getUint16(offset + 12, true),
+            date: view.getUint16(offset + 14, true),
+            crc: view.getUint32(offset + 16, true),
+            size: view.getUint32(offset + 24, true),
+            name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+        };
+        const local = view.getUint32(offset + 42, true);
+        assert.equal(view.getUint32(local, true), 0x04034b50);
+        assert.equal(view.getUint32(local + 14, true), entry.crc);
+        assert.equal(view.getUint16(local + 26, true), nameLength);
+        const dataStart = local + 30 + nameLength + view.getUint16(local + 28, true);
+        entry.data = bytes.subarray(dataStart, dataStart + entry.size);
+        entries.push(entry);
+        offset += 46 + nameLength;
+    }
+    return entries;
+};
+
+test('打包的文件可按原样读回，CRC 与内容一致', () => {
+    const binary = Uint8Array.from({ length: 300 }, (_, i) => (i * 7) % 256);
+    const zip = ZipWriter.create([
+        { name: '照片.png', data: binary },
+        { name: 'report.json', data: '{"a":1}' },
+        { name: 'empty.txt', data: '' }
+    ], new Date(2024, 4, 17, 13, 45, 30));
+
+    const entries = readZip(zip);
+    assert.deepEqual(entries.map(entry => entry.name), ['照片.png', 'report.json', 'empty.txt']);
+    assert.deepEqual(entries[0].data, binary);
+    assert.equal(new TextDecoder().decode(entries[1].data), '{"a":1}');
+    assert.equal(entries[2].size, 0);
+    for (const entry of entries) {
+        assert.equal(entry.method, 0);
+        assert.equal(entry.flags & 0x0800, 0x0800); // 文件名为 UTF-8
+        assert.equal(entry.crc, ImageEncoders.crc32(entry.data));
+    }
+});
+
+test('写入 DOS 格式的修改时间', () => {
+    const [entry] = readZip(ZipWriter.create([{ name: 'a.txt', data: 'a' }], new Date(2024, 4, 17, 13, 45, 30)));
+    assert.equal(entry.date, ((2024 - 1980) << 9) | (5 << 5) | 17);
+    assert.equal(entry.time, (13 << 11) | (45 << 5) | 15);
+});
+
+test('空列表生成只有结束记录的 ZIP', () => {
+    const zip = ZipWriter.create([]);
+    assert.equal(zip.length, 22);
+    assert.deepEqual(readZip(zip), []);
+});